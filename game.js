@@ -1,5 +1,8 @@
 STATE.sound = new SoundService();
 
+// Headless simulation core - the scene and HUD below only render it
+const simulation = new Simulation(STATE);
+
 // ==================== UTILITY FUNCTIONS ====================
 
 // Format time as h:m:s, m:s, or just s depending on duration
@@ -19,94 +22,13 @@ function formatTime(totalSeconds) {
 
 // ==================== BALANCE OVERHAUL FUNCTIONS ====================
 
-function calculateTargetRPS(gameTimeSeconds) {
-
-    const base = CONFIG.survival.baseRPS;
-    const logGrowth = Math.log(1 + gameTimeSeconds / 20) * 2.2;
-    const linearBoost = gameTimeSeconds * 0.008; // Adds ~0.5 RPS per minute
-    let targetRPS = base + logGrowth + linearBoost;
-
-
-    if (CONFIG.survival.rpsAcceleration && STATE.intervention) {
-        const milestones = CONFIG.survival.rpsAcceleration.milestones;
-        let multiplier = 1.0;
-
-        for (let i = 0; i < milestones.length; i++) {
-            if (gameTimeSeconds >= milestones[i].time) {
-                multiplier = milestones[i].multiplier;
-                if (STATE.intervention.currentMilestoneIndex < i + 1) {
-                    STATE.intervention.currentMilestoneIndex = i + 1;
-
-                    addInterventionWarning(
-                        i18n.t('rps_surge_warning', { multiplier: multiplier.toFixed(1) }),
-                        "danger",
-                        5000
-                    );
-                }
-            }
-        }
-
-        STATE.intervention.rpsMultiplier = multiplier;
-        targetRPS *= multiplier;
-    }
-
-    return targetRPS;
-}
-
+// Kept global for the modular UI, which reads upkeep through window
 function getUpkeepMultiplier() {
-    if (STATE.gameMode !== "survival") return 1.0;
-    if (!CONFIG.survival.upkeepScaling.enabled) return 1.0;
-
-    const gameTime =
-        STATE.elapsedGameTime ?? (performance.now() - STATE.gameStartTime) / 1000;
-    const progress = Math.min(
-        gameTime / CONFIG.survival.upkeepScaling.scaleTime,
-        1.0
-    );
-
-    const base = CONFIG.survival.upkeepScaling.baseMultiplier;
-    const max = CONFIG.survival.upkeepScaling.maxMultiplier;
-
-    let multiplier = base + (max - base) * progress;
-
-    if (STATE.intervention?.costMultiplier) {
-        multiplier *= STATE.intervention.costMultiplier;
-    }
-
-    return multiplier;
+    return simulation.getUpkeepMultiplier();
 }
 
-function updateMaliciousSpike(dt) {
-    if (STATE.gameMode !== "survival") return;
-    if (!CONFIG.survival.maliciousSpike.enabled) return;
-
-    STATE.maliciousSpikeTimer += dt;
-
-    const interval = CONFIG.survival.maliciousSpike.interval;
-    const duration = CONFIG.survival.maliciousSpike.duration;
-    const warning = CONFIG.survival.maliciousSpike.warningTime;
-
-    const cycleTime = STATE.maliciousSpikeTimer % interval;
-
-    if (
-        cycleTime >= interval - warning &&
-        cycleTime < interval - warning + dt &&
-        !STATE.maliciousSpikeActive
-    ) {
-        showMaliciousWarning();
-    }
-
-    if (cycleTime < dt && STATE.maliciousSpikeTimer > warning) {
-        startMaliciousSpike();
-    }
-
-    if (
-        STATE.maliciousSpikeActive &&
-        cycleTime >= duration &&
-        cycleTime < duration + dt
-    ) {
-        endMaliciousSpike();
-    }
+function getAutoRepairUpkeep() {
+    return simulation.getAutoRepairUpkeep();
 }
 
 function showMaliciousWarning() {
@@ -129,29 +51,10 @@ function showMaliciousWarning() {
     setTimeout(() => warning.remove(), 4000);
 }
 
-function startMaliciousSpike() {
+function showMaliciousSpikeIndicator() {
     const existing = document.getElementById("malicious-spike-indicator");
     if (existing) existing.remove();
 
-    if (STATE.intervention && STATE.intervention.trafficShiftActive) return;
-
-    STATE.maliciousSpikeActive = true;
-
-    STATE.normalTrafficDist = { ...STATE.trafficDistribution };
-
-    const maliciousPct = CONFIG.survival.maliciousSpike.maliciousPercent;
-    const remaining = 1 - maliciousPct;
-
-    const otherTotal = 1 - STATE.normalTrafficDist.MALICIOUS;
-    STATE.trafficDistribution = {
-        STATIC: (STATE.normalTrafficDist.STATIC / otherTotal) * remaining,
-        READ: (STATE.normalTrafficDist.READ / otherTotal) * remaining,
-        WRITE: (STATE.normalTrafficDist.WRITE / otherTotal) * remaining,
-        UPLOAD: (STATE.normalTrafficDist.UPLOAD / otherTotal) * remaining,
-        SEARCH: (STATE.normalTrafficDist.SEARCH / otherTotal) * remaining,
-        MALICIOUS: maliciousPct,
-    };
-
     const indicator = document.createElement("div");
     indicator.id = "malicious-spike-indicator";
     indicator.className =
@@ -168,15 +71,7 @@ function startMaliciousSpike() {
         maliciousEl.className = "text-red-500 font-bold animate-pulse";
 }
 
-function endMaliciousSpike() {
-    STATE.maliciousSpikeActive = false;
-
-    // Restore normal distribution
-    if (STATE.normalTrafficDist) {
-        STATE.trafficDistribution = { ...STATE.normalTrafficDist };
-        STATE.normalTrafficDist = null;
-    }
-
+function hideMaliciousSpikeIndicator() {
     // Remove indicator
     const indicator = document.getElementById("malicious-spike-indicator");
     if (indicator) indicator.remove();
@@ -234,57 +129,14 @@ function addInterventionWarning(message, type = "warning", duration = 4000) {
     }, duration - 300);
 }
 
-function updateTrafficShift(dt) {
-    if (STATE.gameMode !== "survival") return;
-    if (!CONFIG.survival.trafficShift?.enabled) return;
-    if (!STATE.intervention) return;
-
-    STATE.intervention.trafficShiftTimer += dt;
-
-    const config = CONFIG.survival.trafficShift;
-    const interval = config.interval;
-    const duration = config.duration;
-
-    // Check if shift should start
-    if (
-        !STATE.intervention.trafficShiftActive &&
-        STATE.intervention.trafficShiftTimer >= interval
-    ) {
-        startTrafficShift();
-    }
-
-    // Check if shift should end
-    if (
-        STATE.intervention.trafficShiftActive &&
-        STATE.intervention.trafficShiftTimer >= interval + duration
-    ) {
-        endTrafficShift();
-        STATE.intervention.trafficShiftTimer = 0; // Reset for next cycle
-    }
-}
-
-function startTrafficShift() {
-    if (!STATE.intervention || STATE.maliciousSpikeActive) return;
-
-    const config = CONFIG.survival.trafficShift;
-    const shifts = config.shifts;
-
-    // Pick a random shift
-    const shift = shifts[Math.floor(Math.random() * shifts.length)];
-    STATE.intervention.currentShift = shift;
-    STATE.intervention.trafficShiftActive = true;
-
-    // Store original distribution
-    STATE.intervention.originalTrafficDist = { ...STATE.trafficDistribution };
-
-    if (shift.distribution) {
-        STATE.trafficDistribution = { ...shift.distribution };
-    }
-
+function showTrafficShiftWarning(shift) {
+    // Shifts are named after the traffic type they push hardest
+    const dist = shift.distribution;
+    const type = Object.keys(dist).reduce((a, b) => (dist[a] >= dist[b] ? a : b));
     addInterventionWarning(
         i18n.t('traffic_surging', { 
             name: i18n.t('shift_' + shift.name.toLowerCase().replace(' ', '_')), 
-            type: i18n.t('traffic_' + shift.type.toLowerCase()) 
+            type: i18n.t('traffic_' + type.toLowerCase()) 
         }),
         "warning",
         5000
@@ -292,80 +144,12 @@ function startTrafficShift() {
     STATE.sound?.playTone(500, "sine", 0.2);
 }
 
-function endTrafficShift() {
-    if (!STATE.intervention) return;
-
-    STATE.intervention.trafficShiftActive = false;
-
-    // Restore original distribution
-    if (STATE.intervention.originalTrafficDist) {
-        STATE.trafficDistribution = { ...STATE.intervention.originalTrafficDist };
-        STATE.intervention.originalTrafficDist = null;
-    }
-
-    STATE.intervention.currentShift = null;
-}
-
-function updateRandomEvents(dt) {
-    if (STATE.gameMode !== "survival") return;
-    if (!CONFIG.survival.randomEvents?.enabled) return;
-    if (!STATE.intervention) return;
-
-    STATE.intervention.randomEventTimer += dt;
-
-    const config = CONFIG.survival.randomEvents;
-
-    // Check if event should trigger
-    if (STATE.intervention.randomEventTimer >= config.checkInterval) {
-        STATE.intervention.randomEventTimer = 0;
-
-        // 30% chance to trigger an event
-        if (Math.random() < 0.3) {
-            triggerRandomEvent();
-        }
-    }
-
-    // Check if active event should end
-    if (
-        STATE.intervention.activeEvent &&
-        Date.now() >= STATE.intervention.eventEndTime
-    ) {
-        endRandomEvent();
-    }
-}
-
+// Events run on game time, so pausing holds them where they are
 window.handleGameState = (timeScale) => {
-    if (timeScale === 0) { // pause state
-        STATE.intervention.pausedEvent = STATE.intervention.activeEvent;
-        STATE.intervention.remainingTime = STATE.intervention.eventEndTime - Date.now();
-        endRandomEvent();
-    } else if (STATE.intervention.pausedEvent) { // not paused state
-        triggerRandomEvent(
-            STATE.intervention.pausedEvent,
-            STATE.intervention.remainingTime
-        );
-        STATE.intervention.pausedEvent = null;
-        STATE.intervention.remainingTime = 0;
-    }
-
     window.setTimeScale(timeScale);
 }
 
-function triggerRandomEvent(
-    eventType = null,
-    duration = null
-) {
-    if (!STATE.intervention || STATE.intervention.activeEvent) return;
-
-    const config = CONFIG.survival.randomEvents;
-    if (!eventType)
-        eventType = config.types[Math.floor(Math.random() * config.types.length)];
-    if (!duration) duration = 30000; // 30 seconds
-
-    STATE.intervention.activeEvent = eventType;
-    STATE.intervention.eventEndTime = Date.now() + duration;
-    STATE.intervention.eventDuration = duration;
-
+function showRandomEventStart(eventType, target, region) {
     switch (eventType) {
         case "COST_SPIKE":
             addInterventionWarning(
@@ -373,7 +157,6 @@ function triggerRandomEvent(
                 "danger",
                 8000
             );
-            STATE.intervention.costMultiplier = 2.0;
             break;
 
         case "CAPACITY_DROP":
@@ -382,9 +165,6 @@ function triggerRandomEvent(
                 "danger",
                 8000
             );
-            STATE.services.forEach((s) => {
-                s.tempCapacityReduction = 0.5; // 50% capacity
-            });
             break;
 
         case "TRAFFIC_BURST":
@@ -393,17 +173,10 @@ function triggerRandomEvent(
                 "warning",
                 8000
             );
-            STATE.intervention.trafficBurstMultiplier = 3.0;
             break;
 
         case "SERVICE_OUTAGE":
-            // Pick a random service to temporarily disable
-            const services = STATE.services.filter((s) => s.type !== "waf");
-            if (services.length > 0) {
-                const target = services[Math.floor(Math.random() * services.length)];
-                target.isDisabled = true;
-                target.mesh.material.opacity = 0.3;
-                target.mesh.material.transparent = true;
+            if (target) {
                 addInterventionWarning(
                     i18n.t('service_outage_warning', { type: i18n.t(target.type) }),
                     "danger",
@@ -411,6 +184,14 @@ function triggerRandomEvent(
                 );
             }
             break;
+
+        case "REGION_OUTAGE":
+            addInterventionWarning(
+                i18n.t('region_outage_warning', { region: i18n.t(`region_${region}`) }),
+                "danger",
+                8000
+            );
+            break;
     }
 
     // Show active event bar
@@ -419,41 +200,10 @@ function triggerRandomEvent(
     STATE.sound?.playTone(300, "sawtooth", 0.3);
 }
 
-function endRandomEvent() {
-    if (!STATE.intervention || !STATE.intervention.activeEvent) return;
-
-    const eventType = STATE.intervention.activeEvent;
-
-    switch (eventType) {
-        case "COST_SPIKE":
-            STATE.intervention.costMultiplier = 1.0;
-            break;
-
-        case "CAPACITY_DROP":
-            STATE.services.forEach((s) => {
-                s.tempCapacityReduction = 1.0;
-            });
-            break;
-
-        case "TRAFFIC_BURST":
-            STATE.intervention.trafficBurstMultiplier = 1.0;
-            break;
-
-        case "SERVICE_OUTAGE":
-            STATE.services.forEach((s) => {
-                if (s.isDisabled) {
-                    s.isDisabled = false;
-                    s.mesh.material.opacity = 1.0;
-                    s.mesh.material.transparent = false;
-                }
-            });
-            break;
-    }
-
+function showRandomEventEnd() {
     // Hide active event bar
     hideActiveEventBar();
 
-    STATE.intervention.activeEvent = null;
     addInterventionWarning(i18n.t('event_ended'), "info", 2000);
     STATE.sound?.playSuccess();
 }
@@ -482,6 +232,11 @@ function showActiveEventBar(eventType) {
             text: i18n.t('service_outage_active'),
             color: "bg-purple-600",
         },
+        REGION_OUTAGE: {
+            icon: "🌐",
+            text: i18n.t('region_outage_active'),
+            color: "bg-purple-600",
+        },
     };
 
     const config = eventConfig[eventType] || eventConfig["COST_SPIKE"];
@@ -503,8 +258,11 @@ function updateActiveEventTimer() {
     const timerEl = document.getElementById("active-event-timer");
     const progressEl = document.getElementById("active-event-progress");
 
-    const remaining = Math.max(0, STATE.intervention.eventEndTime - Date.now());
-    const remainingSec = Math.ceil(remaining / 1000);
+    const remaining = Math.max(
+        0,
+        STATE.intervention.eventEndTime - STATE.elapsedGameTime
+    );
+    const remainingSec = Math.ceil(remaining);
 
     if (timerEl) {
         timerEl.textContent = formatTime(remainingSec);
@@ -524,7 +282,7 @@ function updateServiceHealthIndicators() {
     if (!healthContainer) return;
 
     const criticalServices = STATE.services.filter(
-        (s) => s.health < (CONFIG.survival.degradation?.criticalHealth || 30)
+        (s) => s.health < CONFIG.survival.degradation.criticalHealth
     );
 
     if (criticalServices.length === 0) {
@@ -657,12 +415,24 @@ function updateFinancesDisplay() {
 
     // Expense categories - services with costs
     const serviceTypes = [
+        {
+            key: "dns",
+            label: i18n.t('dns'),
+            color: "text-indigo-400",
+            cost: CONFIG.services.dns.cost,
+        },
         {
             key: "waf",
             label: i18n.t('firewall'),
             color: "text-red-400",
             cost: CONFIG.services.waf.cost,
         },
+        {
+            key: "apigw",
+            label: i18n.t('apigw'),
+            color: "text-teal-400",
+            cost: CONFIG.services.apigw.cost,
+        },
         {
             key: "alb",
             label: i18n.t('load_balancer'),
@@ -681,6 +451,24 @@ function updateFinancesDisplay() {
             color: "text-yellow-400",
             cost: CONFIG.services.db.cost,
         },
+        {
+            key: "replica",
+            label: i18n.t('read_replica'),
+            color: "text-rose-400",
+            cost: CONFIG.services.replica.cost,
+        },
+        {
+            key: "nosql",
+            label: i18n.t('nosql'),
+            color: "text-lime-400",
+            cost: CONFIG.services.nosql.cost,
+        },
+        {
+            key: "search",
+            label: i18n.t('search'),
+            color: "text-yellow-300",
+            cost: CONFIG.services.search.cost,
+        },
         {
             key: "s3",
             label: i18n.t('file_storage'),
@@ -699,6 +487,12 @@ function updateFinancesDisplay() {
             color: "text-cyan-400",
             cost: CONFIG.services.sqs.cost,
         },
+        {
+            key: "dlq",
+            label: i18n.t('dlq'),
+            color: "text-orange-600",
+            cost: CONFIG.services.dlq.cost,
+        },
     ];
 
     const repairPercent = CONFIG.survival.degradation?.repairCostPercent || 0.15;
@@ -746,6 +540,13 @@ function updateFinancesDisplay() {
             )}</span></div>`;
         }
 
+        // Cross-region data transfer
+        if (f.expenses.egress > 0) {
+            expenseHtml += `<div class="flex justify-between"><span class="text-sky-300">${i18n.t('egress')}</span><span class="text-red-300">-$${Math.floor(
+                f.expenses.egress
+            )}</span></div>`;
+        }
+
         // Breach penalties
         if (f.expenses.breach > 0) {
             expenseHtml += `<div class="flex justify-between"><span class="text-red-500 font-bold">Security Breach</span><span class="text-red-500 font-bold">-$${Math.floor(
@@ -766,6 +567,7 @@ function updateFinancesDisplay() {
         f.expenses.repairs +
         f.expenses.autoRepair +
         (f.expenses.mitigation || 0) +
+        (f.expenses.egress || 0) +
         (f.expenses.breach || 0);
     const expenseTotal = document.getElementById("expense-total");
     if (expenseTotal) expenseTotal.textContent = `$${Math.floor(totalExpenses)}`;
@@ -824,51 +626,108 @@ dirLight.shadow.mapSize.width = 2048;
 dirLight.shadow.mapSize.height = 2048;
 scene.add(dirLight);
 
-const gridHelper = new THREE.GridHelper(
-    CONFIG.gridSize * CONFIG.tileSize,
-    CONFIG.gridSize,
-    CONFIG.colors.grid,
-    CONFIG.colors.grid
-);
-scene.add(gridHelper);
-
-const serviceGroup = new THREE.Group();
-const connectionGroup = new THREE.Group();
-const requestGroup = new THREE.Group();
-scene.add(serviceGroup);
-scene.add(connectionGroup);
-scene.add(requestGroup);
-
-const internetGeo = new THREE.BoxGeometry(6, 1, 10);
-const internetMat = new THREE.MeshStandardMaterial({
-    color: 0x111111,
-    emissive: 0x00ffff,
-    emissiveIntensity: 0.7,
-    roughness: 0.2,
+// One board per region
+CONFIG.regions.list.forEach((region) => {
+    const gridHelper = new THREE.GridHelper(
+        CONFIG.gridSize * CONFIG.tileSize,
+        CONFIG.gridSize,
+        CONFIG.colors.grid,
+        CONFIG.colors.grid
+    );
+    gridHelper.position.set(region.center.x, 0, region.center.z);
+    scene.add(gridHelper);
+});
+
+const sceneRenderer = new SceneRenderer(simulation, scene);
+
+// ==================== SIMULATION EVENTS ====================
+
+simulation.on("score:changed", () => updateScoreUI());
+simulation.on("request:failed", () => STATE.sound.playFail());
+simulation.on("request:blocked", () => STATE.sound.playFraudBlocked());
+simulation.on("service:cache-hit", () => STATE.sound.playSuccess());
+simulation.on("money:insufficient", () => flashMoney());
+
+simulation.on("service:placed", ({ service }) => {
+    STATE.sound.playPlace();
+    updateRepairCostTable();
+
+    // Notify tutorial
+    if (window.tutorial?.isActive) {
+        window.tutorial.onAction("place", { type: service.type });
+    }
+});
+simulation.on("service:upgraded", () => STATE.sound.playPlace());
+simulation.on("service:repaired", () => STATE.sound.playPlace());
+simulation.on("service:removed", ({ managed }) => {
+    if (!managed) STATE.sound.playDelete();
+    updateRepairCostTable();
+});
+
+simulation.on("connection:created", ({ from, fromType, toType, managed }) => {
+    // Links an autoscaling group wires up for its instances are silent
+    if (managed) return;
+    new Audio("assets/sounds/click-5.mp3").play();
+    STATE.sound.playConnect();
+
+    // Notify tutorial
+    if (window.tutorial?.isActive) {
+        window.tutorial.onAction("connect", { from, fromType, toType });
+    }
 });
-const internetMesh = new THREE.Mesh(internetGeo, internetMat);
-internetMesh.position.copy(STATE.internetNode.position);
-internetMesh.castShadow = true;
-internetMesh.receiveShadow = true;
-scene.add(internetMesh);
-STATE.internetNode.mesh = internetMesh;
-
-const intRingGeo = new THREE.RingGeometry(7, 7.2, 32);
-const intRingMat = new THREE.MeshStandardMaterial({
-    color: 0x00ffff,
-    transparent: true,
-    opacity: 0.2,
-    side: THREE.DoubleSide,
+simulation.on("connection:rejected", () => {
+    new Audio("assets/sounds/click-9.mp3").play();
+    console.error(i18n.t('invalid_topology_detailed'));
 });
-const internetRing = new THREE.Mesh(intRingGeo, intRingMat);
-internetRing.rotation.x = -Math.PI / 2;
-internetRing.position.set(
-    internetMesh.position.x,
-    -internetMesh.position.y + 0.1,
-    internetMesh.position.z
+
+simulation.on("warning", ({ key, params, type, duration }) =>
+    addInterventionWarning(i18n.t(key, params), type, duration)
+);
+simulation.on("rps:milestone", ({ multiplier }) =>
+    addInterventionWarning(
+        i18n.t('rps_surge_warning', { multiplier: multiplier.toFixed(1) }),
+        "danger",
+        5000
+    )
+);
+
+simulation.on("malicious:warning", () => showMaliciousWarning());
+simulation.on("malicious:start", () => showMaliciousSpikeIndicator());
+simulation.on("malicious:end", () => hideMaliciousSpikeIndicator());
+simulation.on("traffic-shift:start", ({ shift }) => showTrafficShiftWarning(shift));
+simulation.on("random-event:start", ({ eventType, target, region }) =>
+    showRandomEventStart(eventType, target, region)
+);
+simulation.on("random-event:end", () => showRandomEventEnd());
+simulation.on("game:over", () => showGameOver());
+simulation.on("shard:migrated", () =>
+    addInterventionWarning(i18n.t('shard_migrated'), "info", 3000)
+);
+simulation.on("cache:restarted", ({ service }) =>
+    addInterventionWarning(
+        i18n.t(service.cacheStore.warming ? 'cache_restarted_warming' : 'cache_restarted_cold'),
+        "warning",
+        5000
+    )
+);
+simulation.on("cdn:purged", () =>
+    addInterventionWarning(i18n.t('cdn_purged'), "info", 3000)
+);
+// Releases only matter to players serving assets from a CDN
+simulation.on("assets:deployed", ({ version, versioned }) => {
+    if (!STATE.services.some((s) => s.edges)) return;
+    addInterventionWarning(
+        i18n.t(versioned ? 'assets_deployed_versioned' : 'assets_deployed_stale', { version }),
+        versioned ? "info" : "warning",
+        5000
+    );
+});
+simulation.on("region:failover", ({ region }) =>
+    addInterventionWarning(i18n.t('region_failover', { region: i18n.t(`region_${region}`) }), "danger", 5000)
+);
+simulation.on("region:recovered", ({ region }) =>
+    addInterventionWarning(i18n.t('region_recovered', { region: i18n.t(`region_${region}`) }), "info", 3000)
 );
-scene.add(internetRing);
-STATE.internetNode.ring = internetRing;
 
 const raycaster = new THREE.Raycaster();
 const mouse = new THREE.Vector2();
@@ -879,114 +738,20 @@ let lastMouseX = 0;
 let lastMouseY = 0;
 const panSpeed = 0.1;
 
-function resetGame(mode = "survival") {
+function resetGame(mode = "survival", seed) {
     STATE.sound.init();
     STATE.sound.playGameBGM();
-    STATE.gameMode = mode;
 
-    // Set budget based on mode
-    if (mode === "sandbox") {
-        STATE.sandboxBudget = CONFIG.sandbox.defaultBudget;
-        STATE.money = STATE.sandboxBudget;
-        STATE.upkeepEnabled = CONFIG.sandbox.upkeepEnabled;
-        STATE.trafficDistribution = {
-            STATIC: CONFIG.sandbox.trafficDistribution.STATIC / 100,
-            READ: CONFIG.sandbox.trafficDistribution.READ / 100,
-            WRITE: CONFIG.sandbox.trafficDistribution.WRITE / 100,
-            UPLOAD: CONFIG.sandbox.trafficDistribution.UPLOAD / 100,
-            SEARCH: CONFIG.sandbox.trafficDistribution.SEARCH / 100,
-            MALICIOUS: CONFIG.sandbox.trafficDistribution.MALICIOUS / 100,
-        };
-        STATE.burstCount = CONFIG.sandbox.defaultBurstCount;
-        STATE.currentRPS = CONFIG.sandbox.defaultRPS;
-    } else {
-        STATE.money = CONFIG.survival.startBudget;
-        STATE.upkeepEnabled = true;
-        STATE.trafficDistribution = { ...CONFIG.survival.trafficDistribution };
-        STATE.currentRPS = 0.5;
-    }
-
-    STATE.reputation = 100;
-    STATE.requestsProcessed = 0;
-    STATE.services = [];
-    STATE.requests = [];
-    STATE.connections = [];
-    STATE.score = { total: 0, storage: 0, database: 0, maliciousBlocked: 0 };
-    STATE.failures = {
-        STATIC: 0,
-        READ: 0,
-        WRITE: 0,
-        UPLOAD: 0,
-        SEARCH: 0,
-        MALICIOUS: 0,
-    };
-    STATE.isRunning = true;
+    simulation.reset(mode, seed);
+    updateSeedDisplay();
+
     STATE.lastTime = performance.now();
     STATE.timeScale = 0;
-    STATE.spawnTimer = 0;
 
     // Hide failures panel on reset
     const failuresPanel = document.getElementById("failures-panel");
     if (failuresPanel) failuresPanel.classList.add("hidden");
 
-    // Initialize balance overhaul state
-    STATE.elapsedGameTime = 0;
-    STATE.gameStartTime = performance.now();
-    STATE.maliciousSpikeTimer = 0;
-    STATE.maliciousSpikeActive = false;
-    STATE.normalTrafficDist = null;
-    STATE.autoRepairEnabled = false;
-
-    // Initialize detailed finance tracking
-    STATE.finances = {
-        income: {
-            byType: {
-                STATIC: 0,
-                READ: 0,
-                WRITE: 0,
-                UPLOAD: 0,
-                SEARCH: 0,
-            },
-            countByType: {
-                STATIC: 0,
-                READ: 0,
-                WRITE: 0,
-                UPLOAD: 0,
-                SEARCH: 0,
-                blocked: 0,
-            },
-            requests: 0, // Total from all request types
-            blocked: 0, // From blocking attacks
-            total: 0, // Grand total income
-        },
-        expenses: {
-            services: 0, // One-time service purchase costs
-            upkeep: 0, // Running upkeep costs
-            repairs: 0, // Manual repair costs
-            autoRepair: 0, // Auto-repair overhead costs
-            byService: {
-                // Breakdown by service type (upkeep + repairs)
-                waf: 0,
-                alb: 0,
-                compute: 0,
-                db: 0,
-                s3: 0,
-                cache: 0,
-                sqs: 0,
-            },
-            countByService: {
-                // Count of each service purchased
-                waf: 0,
-                alb: 0,
-                compute: 0,
-                db: 0,
-                s3: 0,
-                cache: 0,
-                sqs: 0,
-            },
-        },
-    };
-
     // Reset auto-repair toggle UI
     const autoRepairBtn = document.getElementById("auto-repair-toggle");
     if (autoRepairBtn) {
@@ -1006,28 +771,6 @@ function resetGame(mode = "survival") {
     );
     if (maliciousIndicator) maliciousIndicator.remove();
 
-    // Clear visual elements
-    while (serviceGroup.children.length > 0) {
-        serviceGroup.remove(serviceGroup.children[0]);
-    }
-    while (connectionGroup.children.length > 0) {
-        connectionGroup.remove(connectionGroup.children[0]);
-    }
-    while (requestGroup.children.length > 0) {
-        requestGroup.remove(requestGroup.children[0]);
-    }
-    STATE.internetNode.connections = [];
-    STATE.internetNode.position.set(
-        CONFIG.internetNodeStartPos.x,
-        CONFIG.internetNodeStartPos.y,
-        CONFIG.internetNodeStartPos.z
-    );
-    STATE.internetNode.mesh.position.set(
-        CONFIG.internetNodeStartPos.x,
-        CONFIG.internetNodeStartPos.y,
-        CONFIG.internetNodeStartPos.z
-    );
-
     // Reset UI
     document
         .querySelectorAll(".time-btn")
@@ -1109,62 +852,34 @@ function toggleAutoRepair() {
     updateRepairCostTable();
 }
 
-function processAutoRepair(dt) {
-    if (!STATE.autoRepairEnabled || STATE.gameMode !== "survival") return;
-
-    const config = CONFIG.survival.degradation;
-    if (!config?.enabled) return;
-
-    STATE.services.forEach((service) => {
-        if (service.health < 100) {
-            // Gradually heal - 5 health per second when auto-repair is on
-            service.health = Math.min(100, service.health + 5 * dt);
-            service.updateHealthVisual();
-        }
-    });
-}
-
-function getAutoRepairUpkeep() {
-    if (!STATE.autoRepairEnabled) return 0;
-
-    const percent = CONFIG.survival.degradation?.autoRepairCostPercent || 0.1;
-    // 10% of total service cost per second
-    const totalServiceCost = STATE.services.reduce(
-        (sum, s) => sum + s.config.cost,
-        0
-    );
-    return (totalServiceCost * percent) / 60; // Per second
+// What a service cost to buy: the node, its upgrades and any CDN edges
+function purchaseCost(service) {
+    const tiers = CONFIG.services[service.type].tiers || [];
+    const upgrades = tiers.slice(1, service.tier).reduce((sum, tier) => sum + tier.cost, 0);
+    const cdn = service.edges
+        ? (service.edges.regions.length - 1) * CONFIG.cdn.popCost +
+          (service.edges.settings.shield ? CONFIG.cdn.shieldCost : 0)
+        : 0;
+    return service.config.cost + upgrades + cdn;
 }
 
 function retryWithSameArchitecture() {
     document.getElementById("modal").classList.add("hidden");
 
-    // Save current architecture with indices for connection mapping
-    const savedServices = STATE.services.map((s, idx) => ({
-        type: s.type,
-        position: { x: s.position.x, y: s.position.y, z: s.position.z },
-        index: idx,
-        cost: s.config.cost, // Save the cost for budget calculation
-    }));
-
-    // Calculate total cost of saved architecture
-    const totalArchitectureCost = savedServices.reduce(
-        (sum, s) => sum + s.cost,
-        0
-    );
+    // Save the architecture with its settings. Instances an autoscaling
+    // group launched are left out: the group launches its own again.
+    const architecture = STATE.services.filter((s) => !s.groupId);
+    const savedServices = architecture.map(serializeService);
+    const kept = (id) => simulation.isIngress(id) || architecture.some((s) => s.id === id);
+    const savedConnections = STATE.connections
+        .filter((c) => kept(c.from) && kept(c.to))
+        .map((c) => ({ from: c.from, to: c.to }));
 
-    // Save connections with indices instead of IDs
-    const savedConnections = STATE.connections.map((c) => ({
-        fromIndex:
-            c.from === "internet"
-                ? -1
-                : STATE.services.findIndex((s) => s.id === c.from),
-        toIndex:
-            c.to === "internet" ? -1 : STATE.services.findIndex((s) => s.id === c.to),
-    }));
-
-    // Reset game state but keep mode
-    resetGame(STATE.gameMode);
+    // Calculate total cost of saved architecture, upgrades and CDN edges included
+    const totalArchitectureCost = architecture.reduce((sum, s) => sum + purchaseCost(s), 0);
+
+    // Reset game state but keep mode and seed, so the retry replays the same run
+    resetGame(STATE.gameMode, STATE.seed);
 
     // Deduct the architecture cost from starting budget (simulate buying services)
     STATE.money -= totalArchitectureCost;
@@ -1173,32 +888,13 @@ function retryWithSameArchitecture() {
     }
 
     // Rebuild services in same order (bypass cost check since we already deducted)
-    savedServices.forEach((saved) => {
-        const pos = new THREE.Vector3(
-            saved.position.x,
-            saved.position.y,
-            saved.position.z
-        );
-        // Create service directly without cost check for retry
-        const service = new Service(saved.type, pos);
-        service.mesh.position.set(saved.position.x, 0, saved.position.z);
-        STATE.services.push(service);
-    });
+    restoreServices(savedServices);
 
     // Update repair cost table after all services are created
     updateRepairCostTable();
 
-    // Rebuild connections using indices
-    savedConnections.forEach((saved) => {
-        const fromId =
-            saved.fromIndex === -1 ? "internet" : STATE.services[saved.fromIndex]?.id;
-        const toId =
-            saved.toIndex === -1 ? "internet" : STATE.services[saved.toIndex]?.id;
-
-        if (fromId && toId) {
-            createConnection(fromId, toId);
-        }
-    });
+    // Services kept their ids, so links are rebuilt as they were
+    savedConnections.forEach((saved) => createConnection(saved.from, saved.to));
 
     addInterventionWarning(i18n.t('arch_restored'), "info", 3000);
     STATE.sound?.playPlace();
@@ -1217,6 +913,7 @@ function getIntersect(clientX, clientY) {
     mouse.y = -(clientY / window.innerHeight) * 2 + 1;
     raycaster.setFromCamera(mouse, camera);
 
+    const serviceGroup = sceneRenderer.serviceGroup;
     const intersects = raycaster.intersectObjects(serviceGroup.children, true);
     if (intersects.length > 0) {
         let obj = intersects[0].object;
@@ -1224,9 +921,10 @@ function getIntersect(clientX, clientY) {
         return { type: "service", id: obj.userData.id, obj: obj };
     }
 
-    const intInter = raycaster.intersectObject(STATE.internetNode.mesh);
-    if (intInter.length > 0)
-        return { type: "internet", id: "internet", obj: STATE.internetNode.mesh };
+    for (const { mesh } of sceneRenderer.ingressMeshes.values()) {
+        if (raycaster.intersectObject(mesh).length > 0)
+            return { type: "internet", id: mesh.userData.id, obj: mesh };
+    }
 
     const target = new THREE.Vector3();
     raycaster.ray.intersectPlane(plane, target);
@@ -1242,158 +940,537 @@ function snapToGrid(vec) {
     );
 }
 
-function getTrafficType() {
-    const dist = STATE.trafficDistribution;
-    const types = Object.keys(dist);
-    const total = types.reduce((sum, type) => sum + (dist[type] || 0), 0);
-    if (total === 0) return TRAFFIC_TYPES.STATIC;
-
-    const r = Math.random() * total;
-    let cumulative = 0;
-
-    for (const type of types) {
-        cumulative += dist[type] || 0;
-        if (r < cumulative) {
-            return TRAFFIC_TYPES[type] || type;
-        }
-    }
-
-    return TRAFFIC_TYPES.STATIC;
+function updateSeedDisplay() {
+    const seedEl = document.getElementById("seed-display");
+    if (seedEl) seedEl.textContent = STATE.seed;
 }
 
-function spawnRequest() {
-    const type = getTrafficType();
-    const req = new Request(type);
-    STATE.requests.push(req);
-    const conns = STATE.internetNode.connections;
-    if (conns.length > 0) {
-        const entryNodes = conns.map((id) =>
-            STATE.services.find((s) => s.id === id)
-        );
-
-        // Traffic Routing Logic
-        let target;
+// Empty or invalid input means a fresh random seed
+function readSeedInput() {
+    const input = document.getElementById("seed-input");
+    const seed = parseInt(input?.value, 10);
+    return Number.isNaN(seed) || seed < 0 ? undefined : seed;
+}
 
-        // 1. Prefer CDN for STATIC traffic
-        if (type === "STATIC") {
-            target = entryNodes.find(s => s?.type === "cdn");
-        }
+function updateScoreUI() {
+    document.getElementById("total-score-display").innerText = STATE.score.total;
+    document.getElementById("score-storage").innerText = STATE.score.storage;
+    document.getElementById("score-database").innerText = STATE.score.database;
+    document.getElementById("score-malicious").innerText =
+        STATE.score.maliciousBlocked;
+}
 
-        // 2. Fallback to WAF (Security Best Practice)
-        if (!target) {
-            target = entryNodes.find((s) => s?.type === "waf");
-        }
+// Game clock, the demand it brings and, in sandbox, the curve behind it
+function updateClock() {
+    const clockEl = document.getElementById("clock-display");
+    if (!clockEl) return;
+
+    const { weekday, hour } = simulation.clockAt(STATE.elapsedGameTime);
+    const hh = String(Math.floor(hour)).padStart(2, "0");
+    const weekend = CONFIG.trafficCurves.weekendDays.includes(weekday);
+    clockEl.textContent = `${i18n.t(`weekday_${weekday}`)} ${hh}:00`;
+    clockEl.className = weekend ? "text-purple-400" : "text-gray-400";
+    document.getElementById("demand-display").textContent = `×${STATE.demand.toFixed(1)}`;
+
+    const panel = document.getElementById("curve-panel");
+    if (!panel) return;
+    panel.classList.toggle("hidden", STATE.gameMode !== "sandbox");
+    const curve = STATE.trafficCurve;
+    const select = document.getElementById("curve-select");
+    if (document.activeElement !== select) select.value = curve.name;
+    ["peakHour", "swing", "weekendDip"].forEach((setting) => {
+        const input = document.getElementById(`curve-${setting}-input`);
+        if (input && document.activeElement !== input) input.value = curve[setting];
+    });
+}
 
-        // 3. Last Resort: Random entry point (Reckless)
-        if (!target) {
-            target = entryNodes[Math.floor(Math.random() * entryNodes.length)];
-        }
+// Rolling end-to-end latency per traffic type, in milliseconds of game time
+function updateLatencyPanel() {
+    const panel = document.getElementById("latency-panel");
+    if (!panel) return;
 
-        if (target) req.flyTo(target);
-        else failRequest(req);
-    } else failRequest(req);
+    let hasSamples = false;
+    // Traffic types, then the client populations
+    const series = ["STATIC", "READ", "WRITE", "UPLOAD", "SEARCH"].concat(
+        CONFIG.clients.populations.map((population) => `population:${population.id}`)
+    );
+    series.forEach((name) => {
+        const summary = simulation.latency.summary(name);
+        const key = name.toLowerCase().replace(":", "-");
+        const row = document.getElementById(`lat-row-${key}`);
+        if (row) row.classList.toggle("hidden", !summary);
+        if (!summary) return;
+
+        hasSamples = true;
+        ["p50", "p95", "p99"].forEach((p) => {
+            const cell = document.getElementById(`lat-${key}-${p}`);
+            if (cell) cell.textContent = Math.round(summary[p] * 1000);
+        });
+    });
+    panel.classList.toggle("hidden", !hasSamples);
 }
 
-function updateScore(req, outcome) {
-    const points = CONFIG.survival.SCORE_POINTS;
-    const typeConfig = req.typeConfig || CONFIG.trafficTypes[req.type];
+// Details of the service picked with the select tool
+function updateInspector() {
+    const panel = document.getElementById("inspector-panel");
+    if (!panel) return;
 
-    if (outcome === "MALICIOUS_BLOCKED") {
-        STATE.score.maliciousBlocked += points.MALICIOUS_BLOCKED_SCORE;
-        STATE.score.total += points.MALICIOUS_BLOCKED_SCORE;
-        STATE.score.total += points.MALICIOUS_BLOCKED_SCORE;
+    const svc = STATE.services.find((s) => s.id === STATE.inspectedServiceId);
+    if (!svc) STATE.inspectedServiceId = null;
+    panel.classList.toggle("hidden", !svc);
+    if (!svc) return;
 
-        // Mitigation cost for blocking attacks
-        const mitigationCost = CONFIG.survival.SCORE_POINTS.MALICIOUS_MITIGATION_COST || 1.0;
-        STATE.money -= mitigationCost;
-        if (STATE.finances) {
-            STATE.finances.expenses.mitigation = (STATE.finances.expenses.mitigation || 0) + mitigationCost;
-        }
-        STATE.sound.playFraudBlocked();
-    } else if (
-        req.type === TRAFFIC_TYPES.MALICIOUS &&
-        outcome === "MALICIOUS_PASSED"
-    ) {
-        STATE.reputation += points.MALICIOUS_PASSED_REPUTATION;
-        STATE.reputation += points.MALICIOUS_PASSED_REPUTATION;
-        STATE.failures.MALICIOUS++;
+    const tierLabel = svc.config.tiers ? ` T${svc.tier}` : "";
+    document.getElementById("inspector-title").textContent =
+        i18n.t(svc.type) + tierLabel;
+    document.getElementById("inspector-load").textContent =
+        `${Math.round(svc.totalLoad * 100)}%`;
+    document.getElementById("inspector-capacity").textContent =
+        `${svc.processing.length}/${svc.getEffectiveCapacity()}`;
+    document.getElementById("inspector-health").textContent =
+        `${Math.round(svc.health)}%`;
+
+    const lbSection = document.getElementById("inspector-lb");
+    lbSection.classList.toggle("hidden", svc.type !== "alb");
+    if (svc.type === "alb") {
+        const select = document.getElementById("inspector-lb-strategy");
+        // Leave the dropdown alone while the player is choosing
+        if (document.activeElement !== select) select.value = svc.lbStrategy;
+        document.getElementById("inspector-lb-desc").textContent = i18n.t(
+            `lb_${svc.lbStrategy.replace(/-/g, "_")}_desc`
+        );
+    }
 
-        // Breach penalty
-        const breachPenalty = CONFIG.survival.SCORE_POINTS.MALICIOUS_BREACH_PENALTY || 50.0;
-        STATE.money -= breachPenalty;
-        if (STATE.finances) {
-            STATE.finances.expenses.breach = (STATE.finances.expenses.breach || 0) + breachPenalty;
-        }
+    const gatewaySection = document.getElementById("inspector-gateway");
+    gatewaySection.classList.toggle("hidden", svc.type !== "apigw");
+    if (svc.type === "apigw") {
+        const input = document.getElementById("inspector-gw-rate");
+        if (document.activeElement !== input) input.value = svc.rateLimit;
+        Object.entries(STATE.rejections).forEach(([reason, count]) => {
+            document.getElementById(`inspector-gw-${reason}`).textContent = count;
+        });
+    }
 
-        console.warn(
-            `MALICIOUS PASSED: ${points.MALICIOUS_PASSED_REPUTATION} Rep. (Critical Failure)`
+    const queueSection = document.getElementById("inspector-queue");
+    queueSection.classList.toggle("hidden", svc.type !== "sqs");
+    if (svc.type === "sqs") {
+        document.getElementById("inspector-queue-async").checked = svc.asyncMode;
+        document.getElementById("inspector-queue-depth").textContent =
+            `${svc.queue.length}/${svc.config.maxQueueSize}`;
+        const age = svc.oldestMessageAge;
+        const ageCell = document.getElementById("inspector-queue-age");
+        ageCell.textContent = svc.asyncMode || age > 0 ? `${age.toFixed(1)}s` : "-";
+        ageCell.classList.toggle("text-red-400", age > CONFIG.messaging.queueAgeSLO);
+        document.getElementById("inspector-queue-dlq").textContent = svc.deadLetterQueue
+            ? svc.deadLetterQueue.messages.filter((req) => req.queueId === svc.id).length
+            : i18n.t('no_dlq');
+        const receivesInput = document.getElementById("inspector-queue-max-receives");
+        if (document.activeElement !== receivesInput) receivesInput.value = svc.maxReceiveCount;
+    }
+
+    const dnsSection = document.getElementById("inspector-dns");
+    dnsSection.classList.toggle("hidden", svc.type !== "dns");
+    if (svc.type === "dns") updateInspectorDns(svc);
+
+    const cacheSection = document.getElementById("inspector-cache");
+    cacheSection.classList.toggle("hidden", svc.type !== "cache");
+    if (svc.type === "cache") {
+        const store = svc.cacheStore;
+        document.getElementById("inspector-cache-hit-rate").textContent =
+            `${Math.round(store.hitRate * 100)}%`;
+        document.getElementById("inspector-cache-entries").textContent = store.entries.size;
+        document.getElementById("inspector-cache-memory").textContent =
+            `${store.used}/${store.memory} MB`;
+        const evictionSelect = document.getElementById("inspector-cache-eviction");
+        if (document.activeElement !== evictionSelect) evictionSelect.value = store.settings.eviction;
+        document.getElementById("inspector-cache-eviction-desc").textContent = i18n.t(
+            `eviction_${store.settings.eviction}_desc`
         );
-    } else if (outcome === "COMPLETED") {
-        let reward = typeConfig.reward;
-        const score = typeConfig.score;
-
-        if (req.cached) {
-            reward *= 1 + points.CACHE_HIT_BONUS;
-        }
+        document.getElementById("inspector-cache-evictions").textContent =
+            store.rejected > 0 ? `${store.evictions} (${i18n.t('cache_rejected', { count: store.rejected })})` : store.evictions;
+        document.getElementById("inspector-cache-stale").textContent = store.staleHits;
+        const ttlInput = document.getElementById("inspector-cache-ttl");
+        if (document.activeElement !== ttlInput) ttlInput.value = store.settings.ttl;
+        document.getElementById("inspector-cache-invalidate").checked = store.settings.invalidateOnWrite;
+        document.getElementById("inspector-cache-coalesce").checked = store.settings.coalesce;
+        document.getElementById("inspector-cache-coalesced").textContent = store.coalesced;
+        document.getElementById("inspector-cache-warm").checked = store.settings.warm;
+        const warmingRow = document.getElementById("inspector-cache-warming");
+        warmingRow.classList.toggle("hidden", !store.warming);
+        if (store.warming) {
+            warmingRow.textContent = i18n.t('cache_warming', { count: store.warmQueue.length });
+        }
+    }
+
+    const cdnSection = document.getElementById("inspector-cdn");
+    cdnSection.classList.toggle("hidden", svc.type !== "cdn");
+    if (svc.type === "cdn") updateInspectorCdn(svc);
+
+    const dlqSection = document.getElementById("inspector-dlq");
+    dlqSection.classList.toggle("hidden", svc.type !== "dlq");
+    if (svc.type === "dlq") updateInspectorDeadLetters(svc);
+
+    // Only nodes that forward traffic have anything to retry
+    const retrySection = document.getElementById("inspector-retry");
+    // (a scaling group hands its links to its instances and sends nothing
+    // itself, and a primary DB's links carry replication, not requests)
+    const forwards = !!VALID_CONNECTIONS[svc.type] && !svc.scaling && svc.type !== "db";
+    retrySection.classList.toggle("hidden", !forwards);
+    if (forwards) {
+        const select = document.getElementById("inspector-retry-policy");
+        if (document.activeElement !== select) select.value = svc.retryPolicy;
+        document.getElementById("inspector-retry-desc").textContent = i18n.t(
+            `retry_${svc.retryPolicy.replace(/-/g, "_")}_desc`
+        );
+    }
 
-        if (typeConfig.destination === "s3" || typeConfig.destination === "cdn") {
-            STATE.score.storage += score;
-        } else if (typeConfig.destination === "db") {
-            STATE.score.database += score;
-        }
+    updateInspectorBreakers(svc);
+
+    const shardSection = document.getElementById("inspector-shards");
+    shardSection.classList.toggle("hidden", svc.type !== "db");
+    if (svc.type === "db") updateInspectorShards(svc);
+
+    const searchSection = document.getElementById("inspector-search");
+    searchSection.classList.toggle("hidden", svc.type !== "search");
+    if (svc.type === "search") {
+        const lag = svc.indexLag;
+        document.getElementById("inspector-search-lag").textContent =
+            lag === Infinity ? i18n.t('index_not_fed') : `${lag.toFixed(1)}s`;
+        document.getElementById("inspector-search-backlog").textContent =
+            Math.ceil(svc.indexBacklog);
+        document.getElementById("inspector-search-stale").textContent =
+            `${Math.round(svc.indexStaleChance * 100)}%`;
+    }
+
+    const replicaSection = document.getElementById("inspector-replica");
+    replicaSection.classList.toggle("hidden", svc.type !== "replica");
+    if (svc.type === "replica") {
+        document.getElementById("inspector-replica-lag").textContent = svc.primary
+            ? `${svc.replicationLag.toFixed(2)}s`
+            : i18n.t('no_primary');
+        document.getElementById("inspector-replica-stale").textContent =
+            `${Math.round(svc.staleChance * 100)}%`;
+    }
+
+    const asgSection = document.getElementById("inspector-asg");
+    asgSection.classList.toggle("hidden", !svc.scaling);
+    if (svc.scaling) {
+        const group = svc.scaling;
+        document.getElementById("inspector-asg-instances").textContent =
+            `${group.inServiceInstances.length}/${group.activeInstances.length}`;
+        const metric = group.lastMetric;
+        document.getElementById("inspector-asg-metric-now").textContent =
+            metric === null ? "-" : metric.toFixed(2);
+        Object.entries(group.settings).forEach(([setting, value]) => {
+            const input = document.getElementById(`inspector-asg-${setting}`);
+            if (input && document.activeElement !== input) input.value = value;
+        });
+    }
 
-        STATE.score.total += score;
-        STATE.money += reward;
-        if (STATE.finances) {
-            STATE.finances.income.requests += reward;
-            STATE.finances.income.total += reward;
-            // Track by request type
-            const reqType = req.type || "STATIC";
-            STATE.finances.income.byType[reqType] =
-                (STATE.finances.income.byType[reqType] || 0) + reward;
-            STATE.finances.income.countByType[reqType] =
-                (STATE.finances.income.countByType[reqType] || 0) + 1;
-        }
-        STATE.reputation += points.SUCCESS_REPUTATION || 0.5; // Gain reputation on success
-    } else if (outcome === "FAILED") {
-        STATE.reputation += points.FAIL_REPUTATION;
-        STATE.score.total -= (typeConfig.score || 5) / 2;
-        if (STATE.failures[req.type] !== undefined) {
-            STATE.failures[req.type]++;
-        }
+    const hcSection = document.getElementById("inspector-hc");
+    hcSection.classList.toggle("hidden", !svc.healthCheck);
+    if (svc.healthCheck) {
+        const healthy = svc.connections.filter((id) => svc.isTargetHealthy(id));
+        document.getElementById("inspector-hc-targets").textContent =
+            `${healthy.length}/${svc.connections.length}`;
+        Object.entries(svc.healthCheck).forEach(([setting, value]) => {
+            const input = document.getElementById(`inspector-hc-${setting}`);
+            if (input && document.activeElement !== input) input.value = value;
+        });
     }
+}
 
-    updateScoreUI();
+window.setLoadBalancingStrategy = (strategy) => {
+    simulation.setLoadBalancingStrategy(STATE.inspectedServiceId, strategy);
+};
+
+// One row per link from Compute to a store, with its breaker state and toggle
+function updateInspectorBreakers(svc) {
+    const section = document.getElementById("inspector-breakers");
+    const stores = svc.type === "compute"
+        ? svc.connections
+            .map((id) => STATE.services.find((s) => s.id === id))
+            .filter((s) => s && CONFIG.circuitBreaker.storeTypes.includes(s.type))
+        : [];
+    section.classList.toggle("hidden", stores.length === 0);
+
+    const html = stores
+        .map((store) => {
+            const breaker = svc.breakers[store.id];
+            const stateKey = breaker ? `breaker_${breaker.state.replace("-", "_")}` : "breaker_off";
+            return `<div class="flex justify-between items-center">
+                <span class="text-gray-300">${i18n.t(store.type)}</span>
+                <button data-breaker-target="${store.id}" class="px-2 rounded border border-gray-600 bg-gray-800 font-mono">${i18n.t(stateKey)}</button>
+            </div>`;
+        })
+        .join("");
+    // Rebuilding every frame would swallow clicks on the buttons
+    const list = document.getElementById("inspector-breaker-list");
+    if (list.dataset.html !== html) {
+        list.innerHTML = html;
+        list.dataset.html = html;
+    }
 }
 
-function finishRequest(req) {
-    STATE.requestsProcessed++;
-    updateScore(req, "COMPLETED");
-    removeRequest(req);
+// What a dead-letter queue holds, newest first, for deciding to redrive or purge
+function updateInspectorDeadLetters(svc) {
+    document.getElementById("inspector-dlq-count").textContent = svc.messages.length;
+    const now = STATE.elapsedGameTime;
+    const html = svc.messages
+        .slice(-CONFIG.messaging.deadLettersShown)
+        .reverse()
+        .map((req) => `<div class="flex justify-between">
+                <span class="text-gray-300">${i18n.t('traffic_' + req.type.toLowerCase())}${req.poison ? ` <span class="text-red-400">${i18n.t('dlq_malformed')}</span>` : ""}</span>
+                <span class="text-gray-500">×${req.receiveCount} · ${Math.floor(now - req.acceptedAt)}s</span>
+            </div>`)
+        .join("");
+    const list = document.getElementById("inspector-dlq-list");
+    if (list.dataset.html !== html) {
+        list.innerHTML = html;
+        list.dataset.html = html;
+    }
+    document.getElementById("inspector-dlq-redrive").disabled = svc.messages.length === 0;
+    document.getElementById("inspector-dlq-purge").disabled = svc.messages.length === 0;
 }
 
-function failRequest(req) {
-    const failType =
-        req.type === TRAFFIC_TYPES.MALICIOUS ? "MALICIOUS_PASSED" : "FAILED";
-    updateScore(req, failType);
-    STATE.sound.playFail();
-    req.mesh.material.color.setHex(CONFIG.colors.requestFail);
-    setTimeout(() => removeRequest(req), 500);
+// Edge locations and their hit rates, the origin shield and asset releases
+function updateInspectorCdn(svc) {
+    const edges = svc.edges;
+    const settings = CONFIG.cdn;
+    const home = edges.home;
+    const regions = edges.regions;
+
+    // Rows only change with where the CDN sits; live figures are filled in below
+    const html = CONFIG.regions.list
+        .map((region) => `<label class="flex justify-between items-center gap-1">
+                <span class="text-gray-300"><input type="checkbox" data-cdn-pop="${region.id}"${region.id === home ? " disabled" : ""}> ${i18n.t(`region_${region.id}`)}</span>
+                <span data-cdn-hit="${region.id}" class="text-gray-400"></span>
+            </label>`)
+        .join("");
+    const list = document.getElementById("inspector-cdn-pops");
+    if (list.dataset.html !== html) {
+        list.innerHTML = html;
+        list.dataset.html = html;
+    }
+    CONFIG.regions.list.forEach(({ id }) => {
+        const open = regions.includes(id);
+        list.querySelector(`[data-cdn-pop="${id}"]`).checked = open;
+        list.querySelector(`[data-cdn-hit="${id}"]`).textContent = open
+            ? `${Math.round(edges.pop(id).hitRate * 100)}% · ${edges.pop(id).used} MB`
+            : "-";
+    });
+    document.getElementById("inspector-cdn-pop-cost").textContent =
+        i18n.t('cdn_pop_cost', { cost: settings.popCost, upkeep: settings.popUpkeep });
+
+    document.getElementById("inspector-cdn-shield").checked = edges.settings.shield;
+    document.getElementById("inspector-cdn-shield-desc").textContent =
+        i18n.t('cdn_shield_desc', { cost: settings.shieldCost, upkeep: settings.shieldUpkeep });
+    document.getElementById("inspector-cdn-shield-hit").textContent = edges.shield
+        ? `${Math.round(edges.shield.hitRate * 100)}%`
+        : "-";
+    document.getElementById("inspector-cdn-origin").textContent = edges.originFetches;
+    const ttlInput = document.getElementById("inspector-cdn-ttl");
+    if (document.activeElement !== ttlInput) ttlInput.value = edges.settings.ttl;
+
+    document.getElementById("inspector-cdn-versioned").checked = STATE.versionedAssets;
+    document.getElementById("inspector-cdn-release").textContent = i18n.t('cdn_release_info', {
+        version: STATE.assetVersion,
+        seconds: Math.ceil(settings.deployInterval - STATE.deployTimer),
+    });
+    document.getElementById("inspector-cdn-stale").textContent =
+        edges.stores.reduce((sum, store) => sum + store.staleHits, 0);
 }
 
-function removeRequest(req) {
-    req.destroy();
-    STATE.requests = STATE.requests.filter((r) => r !== req);
+// Routing policy, TTL and the records DNS answers with, with their share of lookups
+function updateInspectorDns(svc) {
+    const router = svc.router;
+    const settings = router.settings;
+    const policySelect = document.getElementById("inspector-dns-policy");
+    if (document.activeElement !== policySelect) policySelect.value = settings.policy;
+    document.getElementById("inspector-dns-desc").textContent = i18n.t(`dns_${settings.policy}_desc`);
+    const ttlInput = document.getElementById("inspector-dns-ttl");
+    if (document.activeElement !== ttlInput) ttlInput.value = settings.ttl;
+
+    const primaryRow = document.getElementById("inspector-dns-primary-row");
+    primaryRow.classList.toggle("hidden", settings.policy !== "failover");
+    const primarySelect = document.getElementById("inspector-dns-primary");
+    if (primarySelect.options.length === 0) {
+        primarySelect.innerHTML = CONFIG.regions.list
+            .map((region) => `<option value="${region.id}">${i18n.t(`region_${region.id}`)}</option>`)
+            .join("");
+    }
+    if (document.activeElement !== primarySelect) primarySelect.value = settings.primaryRegion;
+
+    // Rows only change with the records; live figures are filled in below
+    const records = router.records;
+    const weighted = settings.policy === "weighted";
+    const html = records
+        .map((record) => `<div class="flex justify-between items-center gap-1">
+                <span class="text-gray-300 truncate">${i18n.t(record.type)} <span class="text-gray-500">${i18n.t(`region_${simulation.regionAt(record.position).id}`)}</span></span>
+                <span data-dns-health="${record.id}"></span>
+                <span data-dns-share="${record.id}" class="text-gray-400 w-8 text-right"></span>
+                ${weighted ? `<input type="number" min="0" step="1" data-dns-weight="${record.id}" class="w-10 bg-gray-800 border border-gray-600 rounded px-1 text-right text-gray-200">` : ""}
+            </div>`)
+        .join("");
+    const list = document.getElementById("inspector-dns-records");
+    if (list.dataset.html !== html) {
+        list.innerHTML = html || `<div class="text-gray-500 italic">${i18n.t('dns_no_records')}</div>`;
+        list.dataset.html = html;
+    }
+
+    const shares = router.shares;
+    records.forEach((record) => {
+        const healthy = router.isHealthy(record);
+        const health = list.querySelector(`[data-dns-health="${record.id}"]`);
+        health.textContent = healthy ? "●" : "✕";
+        health.className = healthy ? "text-green-400" : "text-red-400";
+        list.querySelector(`[data-dns-share="${record.id}"]`).textContent =
+            `${Math.round((shares[record.id] || 0) * 100)}%`;
+        const weightInput = list.querySelector(`[data-dns-weight="${record.id}"]`);
+        if (weightInput && document.activeElement !== weightInput) {
+            weightInput.value = router.weightOf(record);
+        }
+    });
 }
 
-function updateScoreUI() {
-    document.getElementById("total-score-display").innerText = STATE.score.total;
-    document.getElementById("score-storage").innerText = STATE.score.storage;
-    document.getElementById("score-database").innerText = STATE.score.database;
-    document.getElementById("score-malicious").innerText =
-        STATE.score.maliciousBlocked;
+// Shard count and key share, the copy in progress, and what a split costs
+function updateInspectorShards(svc) {
+    const map = svc.shardMap;
+    const buckets = CONFIG.sharding.buckets;
+    const owned = map ? map.bucketsOwnedBy(svc.id).length : buckets;
+    document.getElementById("inspector-shard-info").textContent = map
+        ? `${i18n.t(`shard_${map.strategy}`)} · ${map.shardIds.length} · ${owned}/${buckets}`
+        : i18n.t('shard_none');
+
+    const migration = map?.migration;
+    const migrationRow = document.getElementById("inspector-shard-migration");
+    migrationRow.classList.toggle("hidden", !migration);
+    if (migration) {
+        const progress = 1 - migration.remaining / migration.duration;
+        migrationRow.textContent = i18n.t('shard_copying', {
+            count: migration.buckets.length,
+            percent: Math.round(progress * 100),
+        });
+    }
+
+    // The first split picks the strategy; later splits keep it
+    document.querySelectorAll("[data-shard-strategy]").forEach((button) => {
+        button.classList.toggle("hidden", !!map && button.dataset.shardStrategy !== map.strategy);
+        button.disabled = !!migration || owned < 2;
+    });
+    const moved = owned - Math.ceil(owned / 2);
+    document.getElementById("inspector-shard-cost").textContent = i18n.t('shard_split_cost', {
+        cost: CONFIG.services.db.cost,
+        copy: moved * CONFIG.sharding.moveCostPerBucket,
+    });
 }
 
+window.toggleCircuitBreaker = (targetId) => {
+    const svc = STATE.services.find((s) => s.id === STATE.inspectedServiceId);
+    if (!svc) return;
+    simulation.setCircuitBreaker(svc.id, targetId, !svc.breakers[targetId]);
+};
+
+window.setRateLimit = (rate) => {
+    simulation.setRateLimit(STATE.inspectedServiceId, rate);
+};
+
+window.setQueueMode = (async) => {
+    simulation.setQueueMode(STATE.inspectedServiceId, async);
+};
+
+window.setDnsPolicy = (policy) => {
+    simulation.setDnsPolicy(STATE.inspectedServiceId, policy);
+};
+
+window.setDnsTtl = (ttl) => {
+    simulation.setDnsTtl(STATE.inspectedServiceId, ttl);
+};
+
+window.setDnsPrimaryRegion = (region) => {
+    simulation.setDnsPrimaryRegion(STATE.inspectedServiceId, region);
+};
+
+window.setDnsWeight = (recordId, weight) => {
+    simulation.setDnsWeight(STATE.inspectedServiceId, recordId, weight);
+};
+
+window.setCacheEviction = (policy) => {
+    simulation.setCacheEviction(STATE.inspectedServiceId, policy);
+};
+
+window.setCacheTtl = (ttl) => {
+    simulation.setCacheTtl(STATE.inspectedServiceId, ttl);
+};
+
+window.setCacheInvalidation = (enabled) => {
+    simulation.setCacheInvalidation(STATE.inspectedServiceId, enabled);
+};
+
+window.setCacheCoalescing = (enabled) => {
+    simulation.setCacheCoalescing(STATE.inspectedServiceId, enabled);
+};
+
+window.setCacheWarming = (enabled) => {
+    simulation.setCacheWarming(STATE.inspectedServiceId, enabled);
+};
+
+window.setCdnPop = (region, open) => {
+    simulation.setCdnPop(STATE.inspectedServiceId, region, open);
+};
+
+window.setCdnShield = (enabled) => {
+    simulation.setCdnShield(STATE.inspectedServiceId, enabled);
+};
+
+window.setCdnTtl = (ttl) => {
+    simulation.setCdnTtl(STATE.inspectedServiceId, ttl);
+};
+
+window.purgeCdn = () => {
+    simulation.purgeCdn(STATE.inspectedServiceId);
+};
+
+window.setVersionedAssets = (enabled) => {
+    simulation.setVersionedAssets(enabled);
+};
+
+window.deployAssets = () => {
+    simulation.deployAssets();
+};
+
+window.setMaxReceiveCount = (count) => {
+    simulation.setMaxReceiveCount(STATE.inspectedServiceId, count);
+};
+
+window.redriveDeadLetters = () => {
+    simulation.redriveDeadLetters(STATE.inspectedServiceId);
+};
+
+window.purgeDeadLetters = () => {
+    simulation.purgeDeadLetters(STATE.inspectedServiceId);
+};
+
+window.setRetryPolicy = (policy) => {
+    simulation.setRetryPolicy(STATE.inspectedServiceId, policy);
+};
+
+window.splitShard = (strategy) => {
+    simulation.splitShard(STATE.inspectedServiceId, strategy);
+};
+
+window.setScalingSetting = (setting, value) => {
+    simulation.configureScaling(STATE.inspectedServiceId, { [setting]: value });
+};
+
+window.setHealthCheckSetting = (setting, value) => {
+    simulation.configureHealthCheck(STATE.inspectedServiceId, { [setting]: value });
+};
+
+window.closeInspector = () => {
+    STATE.inspectedServiceId = null;
+};
+
 function flashMoney() {
     const el = document.getElementById("money-display");
     el.classList.add("text-red-500");
@@ -1469,7 +1546,7 @@ window.startGame = () => {
         window.hideMainMenu();
     }
     
-    resetGame();
+    resetGame("survival", readSeedInput());
 
     if (window.tutorial) {
         setTimeout(() => {
@@ -1490,116 +1567,15 @@ window.startSandbox = () => {
 };
 
 function createService(type, pos) {
-    if (STATE.money < CONFIG.services[type].cost) {
-        flashMoney();
-        return;
-    }
-    if (STATE.services.find((s) => s.position.distanceTo(pos) < 1)) return;
-    const cost = CONFIG.services[type].cost;
-    STATE.money -= cost;
-    if (STATE.finances) {
-        STATE.finances.expenses.services += cost;
-        STATE.finances.expenses.byService[type] =
-            (STATE.finances.expenses.byService[type] || 0) + cost;
-        STATE.finances.expenses.countByService[type] =
-            (STATE.finances.expenses.countByService[type] || 0) + 1;
-    }
-    STATE.services.push(new Service(type, pos));
-    STATE.sound.playPlace();
-    updateRepairCostTable();
-
-    // Notify tutorial
-    if (window.tutorial?.isActive) {
-        window.tutorial.onAction("place", { type });
-    }
-}
-
-function restoreService(serviceData, pos) {
-    const service = Service.restore(serviceData, pos);
-    STATE.services.push(service);
-    STATE.sound.playPlace();
+    simulation.placeService(type, pos);
 }
 
 function createConnection(fromId, toId) {
-    if (fromId === toId) return;
-    const getEntity = (id) =>
-        id === "internet"
-            ? STATE.internetNode
-            : STATE.services.find((s) => s.id === id);
-    const from = getEntity(fromId),
-        to = getEntity(toId);
-    if (!from || !to || from.connections.includes(toId)) return;
-
-    let valid = false;
-    const t1 = from.type,
-        t2 = to.type;
-
-    if (t1 === "internet" && (t2 === "waf" || t2 === "alb")) valid = true;
-    else if (t1 === "waf" && t2 === "alb") valid = true;
-    else if (t1 === "waf" && t2 === "sqs") valid = true;
-    else if (t1 === "sqs" && t2 === "alb") valid = true;
-    else if (t1 === "alb" && t2 === "sqs") valid = true;
-    else if (t1 === "sqs" && t2 === "compute") valid = true;
-    else if (t1 === "alb" && t2 === "compute") valid = true;
-    else if (t1 === "compute" && t2 === "cache") valid = true;
-    else if (t1 === "cache" && (t2 === "db" || t2 === "s3")) valid = true;
-    else if (t1 === "compute" && (t2 === "db" || t2 === "s3")) valid = true;
-    else if (t1 === "internet" && t2 === "cdn") valid = true;
-    else if (t1 === "cdn" && t2 === "s3") valid = true;
-
-    if (!valid) {
-        new Audio("assets/sounds/click-9.mp3").play();
-        console.error(i18n.t('invalid_topology_detailed'));
-        return;
-    }
-
-    new Audio("assets/sounds/click-5.mp3").play();
-
-    from.connections.push(toId);
-    const pts = [from.position.clone(), to.position.clone()];
-    pts[0].y = pts[1].y = 1;
-    const geo = new THREE.BufferGeometry().setFromPoints(pts);
-    const mat = new THREE.LineBasicMaterial({ color: CONFIG.colors.line });
-    const line = new THREE.Line(geo, mat);
-    connectionGroup.add(line);
-    STATE.connections.push({ from: fromId, to: toId, mesh: line });
-    STATE.sound.playConnect();
-
-    // Notify tutorial
-    if (window.tutorial?.isActive) {
-        window.tutorial.onAction("connect", {
-            from: fromId,
-            fromType: t1,
-            toType: t2,
-        });
-    }
+    simulation.connect(fromId, toId);
 }
 
 function deleteConnection(fromId, toId) {
-    const getEntity = (id) =>
-        id === "internet"
-            ? STATE.internetNode
-            : STATE.services.find((s) => s.id === id);
-    const from = getEntity(fromId);
-    if (!from) return false;
-
-    // Check if connection exists
-    if (!from.connections.includes(toId)) return false;
-
-    // Remove from service connections array
-    from.connections = from.connections.filter((c) => c !== toId);
-
-    // Find and remove the visual mesh
-    const conn = STATE.connections.find(
-        (c) => c.from === fromId && c.to === toId
-    );
-    if (conn) {
-        connectionGroup.remove(conn.mesh);
-        conn.mesh.geometry.dispose();
-        conn.mesh.material.dispose();
-        STATE.connections = STATE.connections.filter((c) => c !== conn);
-    }
-
+    if (!simulation.disconnect(fromId, toId)) return false;
     STATE.sound.playDelete();
     return true;
 }
@@ -1618,14 +1594,8 @@ function getConnectionAtPoint(clientX, clientY) {
     const threshold = 2; // Distance threshold for clicking on a line
 
     for (const conn of STATE.connections) {
-        const from =
-            conn.from === "internet"
-                ? STATE.internetNode
-                : STATE.services.find((s) => s.id === conn.from);
-        const to =
-            conn.to === "internet"
-                ? STATE.internetNode
-                : STATE.services.find((s) => s.id === conn.to);
+        const from = simulation.getEntity(conn.from);
+        const to = simulation.getEntity(conn.to);
 
         if (!from || !to) continue;
 
@@ -1648,41 +1618,7 @@ function getConnectionAtPoint(clientX, clientY) {
 }
 
 function deleteObject(id) {
-    const svc = STATE.services.find((s) => s.id === id);
-    if (!svc) return;
-
-    STATE.services.forEach(
-        (s) => (s.connections = s.connections.filter((c) => c !== id))
-    );
-    STATE.internetNode.connections = STATE.internetNode.connections.filter(
-        (c) => c !== id
-    );
-    const toRemove = STATE.connections.filter(
-        (c) => c.from === id || c.to === id
-    );
-    // Properly dispose geometry and materials to prevent memory leak
-    toRemove.forEach((c) => {
-        connectionGroup.remove(c.mesh);
-        c.mesh.geometry.dispose();
-        c.mesh.material.dispose();
-    });
-    STATE.connections = STATE.connections.filter((c) => !toRemove.includes(c));
-
-    svc.destroy();
-    STATE.services = STATE.services.filter((s) => s.id !== id);
-    STATE.money += Math.floor(svc.config.cost / 2);
-    STATE.sound.playDelete();
-    updateRepairCostTable();
-}
-
-/**
- * Calculates the percentage if failure based on the load of the node.
- * @param {number} load fractions of 1 (0 to 1) of how loaded the node is
- * @returns {number} chance of failure (0 to 1)
- */
-function calculateFailChanceBasedOnLoad(load) {
-    if (load <= 0.5) return 0;
-    return 2 * (load - 0.5);
+    simulation.removeService(id);
 }
 
 window.setTool = (t) => {
@@ -1700,24 +1636,21 @@ window.setTimeScale = (s) => {
     document
         .querySelectorAll(".time-btn")
         .forEach((b) => b.classList.remove("active"));
+    document.querySelector(`.time-btn[data-speed="${s}"]`)?.classList.add("active");
 
     if (s === 0) {
-        document.getElementById("btn-pause").classList.add("active");
         // Only add pulse-green if tutorial is not active
         if (!window.tutorial?.isActive) {
             document.getElementById("btn-play").classList.add("pulse-green");
         }
-    } else if (s === 1) {
-        document.getElementById("btn-play").classList.add("active");
-        document.getElementById("btn-play").classList.remove("pulse-green");
+        return;
+    }
 
-        // Notify tutorial when game starts
-        if (window.tutorial?.isActive) {
-            window.tutorial.onAction("start_game");
-        }
-    } else if (s === 3) {
-        document.getElementById("btn-fast").classList.add("active");
-        document.getElementById("btn-play").classList.remove("pulse-green");
+    document.getElementById("btn-play").classList.remove("pulse-green");
+
+    // Notify tutorial when game starts
+    if (s === 1 && window.tutorial?.isActive) {
+        window.tutorial.onAction("start_game");
     }
 };
 
@@ -1855,7 +1788,7 @@ container.addEventListener("mousedown", (e) => {
         if (i.type === "service") {
             const svc = STATE.services.find((s) => s.id === i.id);
             // Use criticalHealth from config for consistency
-            const criticalHealth = CONFIG.survival.degradation?.criticalHealth || 40;
+            const criticalHealth = CONFIG.survival.degradation.criticalHealth;
             if (svc && svc.health < criticalHealth && CONFIG.survival.degradation?.enabled) {
                 // Repair on click when damaged below critical threshold
                 if (svc.repair()) {
@@ -1868,14 +1801,19 @@ container.addEventListener("mousedown", (e) => {
                 }
             }
             draggedNode = svc;
+            STATE.inspectedServiceId = i.id;
         } else if (i.type === "internet") {
-            draggedNode = STATE.internetNode;
+            draggedNode = simulation.getEntity(i.id);
+        } else if (i.type === "ground") {
+            STATE.inspectedServiceId = null;
         }
         if (draggedNode) {
             isDraggingNode = true;
             const hit = getIntersect(e.clientX, e.clientY);
             if (hit.pos) {
-                dragOffset.copy(draggedNode.position).sub(hit.pos);
+                dragOffset
+                    .set(draggedNode.position.x, 0, draggedNode.position.z)
+                    .sub(hit.pos);
             }
             container.style.cursor = "grabbing";
             e.preventDefault();
@@ -1902,7 +1840,7 @@ container.addEventListener("mousedown", (e) => {
             new Audio("assets/sounds/click-5.mp3").play();
         }
     } else if (
-        ["waf", "alb", "lambda", "db", "s3", "sqs", "cache", "cdn"].includes(
+        ["dns", "waf", "apigw", "alb", "lambda", "asg", "db", "replica", "nosql", "search", "s3", "sqs", "dlq", "cache", "cdn"].includes(
             STATE.activeTool
         )
     ) {
@@ -1925,12 +1863,19 @@ container.addEventListener("mousedown", (e) => {
         }
         if (i.type === "ground") {
             const typeMap = {
+                dns: "dns",
                 waf: "waf",
+                apigw: "apigw",
                 alb: "alb",
                 lambda: "compute",
+                asg: "asg",
                 db: "db",
+                replica: "replica",
+                nosql: "nosql",
+                search: "search",
                 s3: "s3",
                 sqs: "sqs",
+                dlq: "dlq",
                 cache: "cache",
                 cdn: "cdn",
             };
@@ -1950,19 +1895,9 @@ container.addEventListener("mousemove", (e) => {
             const newPos = hit.pos.clone().add(dragOffset);
             newPos.y = 0;
 
-            draggedNode.position.copy(newPos);
-
-            if (draggedNode.mesh) {
-                draggedNode.mesh.position.x = newPos.x;
-                draggedNode.mesh.position.z = newPos.z;
-            } else {
-                STATE.internetNode.mesh.position.x = newPos.x;
-                STATE.internetNode.mesh.position.z = newPos.z;
-                STATE.internetNode.ring.position.x = newPos.x;
-                STATE.internetNode.ring.position.z = newPos.z;
-            }
-
-            updateConnectionsForNode(draggedNode.id);
+            draggedNode.position.x = newPos.x;
+            draggedNode.position.z = newPos.z;
+            sceneRenderer.updateConnectionsForNode(draggedNode.id);
 
             container.style.cursor = "grabbing";
         }
@@ -2000,11 +1935,7 @@ container.addEventListener("mousemove", (e) => {
     let cursor = "default";
 
     // Reset all connection colors first
-    STATE.connections.forEach((c) => {
-        if (c.mesh && c.mesh.material) {
-            c.mesh.material.color.setHex(CONFIG.colors.line);
-        }
-    });
+    sceneRenderer.resetConnectionColors();
 
     // Handle unlink tool hover
     if (STATE.activeTool === "unlink") {
@@ -2012,23 +1943,16 @@ container.addEventListener("mousemove", (e) => {
         if (conn) {
             cursor = "pointer";
             // Highlight the connection in red
-            if (conn.mesh && conn.mesh.material) {
-                conn.mesh.material.color.setHex(0xff4444);
-            }
+            const line = sceneRenderer.getConnectionLine(conn);
+            if (line) line.material.color.setHex(0xff4444);
 
             // Get source and target names for tooltip
-            const from =
-                conn.from === "internet"
-                    ? STATE.internetNode
-                    : STATE.services.find((s) => s.id === conn.from);
-            const to =
-                conn.to === "internet"
-                    ? STATE.internetNode
-                    : STATE.services.find((s) => s.id === conn.to);
+            const from = simulation.getEntity(conn.from);
+            const to = simulation.getEntity(conn.to);
             const fromName =
-                conn.from === "internet" ? i18n.t('internet') : from?.config?.name || i18n.t('unknown');
+                simulation.isIngress(conn.from) ? ingressName(from) : from?.config?.name || i18n.t('unknown');
             const toName =
-                conn.to === "internet" ? i18n.t('internet') : to?.config?.name || i18n.t('unknown');
+                simulation.isIngress(conn.to) ? ingressName(to) : to?.config?.name || i18n.t('unknown');
 
             showTooltip(
                 e.clientX + 15,
@@ -2081,10 +2005,12 @@ container.addEventListener("mousemove", (e) => {
 
             // Service-specific dynamic stats
             if (s.type === "cache") {
-                const hitRate = Math.round((s.config.cacheHitRate || 0.35) * 100);
+                const store = s.cacheStore;
+                const hitRate = Math.round(store.hitRate * 100);
                 content += `${i18n.t('queue_label')} <span class="${loadColor}">${s.queue.length}</span><br>
                 ${i18n.t('load_label')} <span class="${loadColor}">${s.processing.length}/${s.config.capacity}</span><br>
-                ${i18n.t('hit_rate_label')} <span class="text-green-400">${hitRate}%</span>`;
+                ${i18n.t('hit_rate_label')} <span class="text-green-400">${hitRate}%</span><br>
+                ${i18n.t('cache_memory')}: <span class="text-gray-300">${store.used}/${store.memory} MB</span>`;
             } else if (s.type === "sqs") {
                 const maxQ = s.config.maxQueueSize || 200;
                 const fillPercent = Math.round((s.queue.length / maxQ) * 100);
@@ -2099,6 +2025,20 @@ container.addEventListener("mousemove", (e) => {
                 content += `${i18n.t('buffered_label')} <span class="${loadColor}">${s.queue.length}/${maxQ}</span><br>
                 ${i18n.t('processing_label')} ${s.processing.length}/${s.config.capacity}<br>
                 ${i18n.t('status_label')} <span class="${statusColor}">${status}</span>`;
+            } else if (s.type === "dlq") {
+                content += `${i18n.t('dead_letters')}: <span class="text-orange-400">${s.messages.length}</span>`;
+            } else if (s.type === "dns") {
+                content += `${i18n.t('dns_policy')}: <span class="text-indigo-300">${i18n.t(`dns_${s.router.settings.policy}`)}</span><br>
+                ${i18n.t('dns_ttl')}: ${s.router.settings.ttl}s<br>
+                ${i18n.t('dns_records')}: ${s.router.records.length}`;
+            } else if (s.type === "cdn") {
+                const stores = s.edges.regions.map((region) => s.edges.pop(region));
+                const hits = stores.reduce((sum, store) => sum + store.hits, 0);
+                const lookups = stores.reduce((sum, store) => sum + store.hits + store.misses, 0);
+                const hitRate = lookups > 0 ? Math.round((hits / lookups) * 100) : 0;
+                content += `${i18n.t('load_label')} <span class="${loadColor}">${s.processing.length}/${s.config.capacity}</span><br>
+                ${i18n.t('hit_rate_label')} <span class="text-green-400">${hitRate}%</span><br>
+                ${i18n.t('cdn_edges')}: ${s.edges.regions.length}`;
             } else {
                 content += `${i18n.t('queue_label')} <span class="${loadColor}">${s.queue.length}</span><br>
                 ${i18n.t('load_label')} <span class="${loadColor}">${s.processing.length}/${s.config.capacity}</span>`;
@@ -2116,8 +2056,9 @@ container.addEventListener("mousemove", (e) => {
                     cursor = "pointer";
                     const nextCost = tiers[s.tier].cost;
                     content += `<div class="mt-1 pt-1 border-t border-gray-700"><span class="text-green-300 text-xs font-bold">${i18n.t('upgrade_label')} $${nextCost}</span></div>`;
-                    if (s.mesh.material.emissive)
-                        s.mesh.material.emissive.setHex(0x333333);
+                    const mesh = sceneRenderer.getServiceMesh(s.id);
+                    if (mesh?.material.emissive)
+                        mesh.material.emissive.setHex(0x333333);
                 } else {
                     content += `<div class="mt-1 pt-1 border-t border-gray-700"><span class="text-gray-500 text-xs">${i18n.t('max_tier')}</span></div>`;
                 }
@@ -2137,7 +2078,7 @@ container.addEventListener("mousemove", (e) => {
                     const nextCost = tiers[s.tier].cost;
 
                     // Project 3D position to 2D screen
-                    const pos = s.mesh.position.clone();
+                    const pos = sceneRenderer.getServiceMesh(s.id).position.clone();
                     pos.y += 3; // Offset above service
                     pos.project(camera);
 
@@ -2181,16 +2122,18 @@ container.addEventListener("mousemove", (e) => {
 
             // Reset previous highlights
             STATE.services.forEach((svc) => {
-                if (svc !== s && svc.mesh.material.emissive)
-                    svc.mesh.material.emissive.setHex(0x000000);
+                const mesh = sceneRenderer.getServiceMesh(svc.id);
+                if (svc !== s && mesh?.material.emissive)
+                    mesh.material.emissive.setHex(0x000000);
             });
         }
     } else {
         t.style.display = "none";
         // Reset highlights when not hovering service
         STATE.services.forEach((svc) => {
-            if (svc.mesh.material.emissive)
-                svc.mesh.material.emissive.setHex(0x000000);
+            const mesh = sceneRenderer.getServiceMesh(svc.id);
+            if (mesh?.material.emissive)
+                mesh.material.emissive.setHex(0x000000);
         });
 
         // Hide upgrade indicator if visible (with delay)
@@ -2217,7 +2160,7 @@ function showTooltip(x, y, html) {
 
 // Setup UI tooltips
 function setupUITooltips() {
-    const tools = ["waf", "sqs", "alb", "lambda", "db", "cache", "s3", "cdn"];
+    const tools = ["dns", "waf", "apigw", "sqs", "dlq", "alb", "lambda", "asg", "db", "replica", "nosql", "search", "cache", "s3", "cdn"];
     tools.forEach((toolId) => {
         const btn = document.getElementById(`tool-${toolId}`);
         if (!btn) return;
@@ -2258,19 +2201,9 @@ container.addEventListener("mouseup", (e) => {
 
         const snapped = snapToGrid(draggedNode.position);
 
-        draggedNode.position.copy(snapped);
-
-        if (draggedNode.mesh) {
-            draggedNode.mesh.position.x = snapped.x;
-            draggedNode.mesh.position.z = snapped.z;
-        } else {
-            STATE.internetNode.mesh.position.x = snapped.x;
-            STATE.internetNode.mesh.position.z = snapped.z;
-            STATE.internetNode.ring.position.x = snapped.x;
-            STATE.internetNode.ring.position.z = snapped.z;
-        }
-
-        updateConnectionsForNode(draggedNode.id);
+        draggedNode.position.x = snapped.x;
+        draggedNode.position.z = snapped.z;
+        sceneRenderer.updateConnectionsForNode(draggedNode.id);
 
         draggedNode = null;
         container.style.cursor = "default";
@@ -2278,31 +2211,6 @@ container.addEventListener("mouseup", (e) => {
     }
 });
 
-function updateConnectionsForNode(nodeId) {
-    STATE.connections.forEach((c) => {
-        if (c.from === nodeId || c.to === nodeId) {
-            const from =
-                c.from === "internet"
-                    ? STATE.internetNode
-                    : STATE.services.find((s) => s.id === c.from);
-            const to =
-                c.to === "internet"
-                    ? STATE.internetNode
-                    : STATE.services.find((s) => s.id === c.to);
-
-            if (!from || !to) return;
-
-            const pts = [
-                new THREE.Vector3(from.position.x, 1, from.position.z),
-                new THREE.Vector3(to.position.x, 1, to.position.z),
-            ];
-
-            c.mesh.geometry.dispose();
-            c.mesh.geometry = new THREE.BufferGeometry().setFromPoints(pts);
-        }
-    });
-}
-
 function animate(time) {
     STATE.animationId = requestAnimationFrame(animate);
     if (!STATE.isRunning) return;
@@ -2311,9 +2219,7 @@ function animate(time) {
     // (requestAnimationFrame pauses when tab is inactive)
     const rawDt = (time - STATE.lastTime) / 1000;
     const clampedDt = Math.min(rawDt, 0.1); // Max 100ms per frame
-    const dt = clampedDt * STATE.timeScale;
     STATE.lastTime = time;
-    STATE.elapsedGameTime += dt;
 
     // Keyboard panning
     const moveSpeed = 50 * clampedDt; // Use unscaled time so we can move while paused
@@ -2397,40 +2303,12 @@ function animate(time) {
         // already handled by pos update
     }
 
-    STATE.services.forEach((s) => s.update(dt));
-    STATE.requests.forEach((r) => r.update(dt));
-
-    STATE.spawnTimer += dt;
-    // Apply traffic burst multiplier from random events
-    const effectiveRPS =
-        STATE.currentRPS * (STATE.intervention?.trafficBurstMultiplier || 1.0);
-    if (effectiveRPS > 0) {
-        const spawnInterval = 1 / effectiveRPS;
-        // Spawn multiple requests if timeScale causes large dt jumps
-        // This ensures correct spawn rate even when fast forwarding
-        while (STATE.spawnTimer >= spawnInterval) {
-            STATE.spawnTimer -= spawnInterval;
-            spawnRequest();
-        }
-        // Only ramp up in survival mode - use logarithmic growth
-        if (STATE.gameMode === "survival") {
-            const gameTime = STATE.elapsedGameTime;
-            const targetRPS = calculateTargetRPS(gameTime);
-
-            // Smooth transition to target
-            STATE.currentRPS += (targetRPS - STATE.currentRPS) * 0.01;
-            STATE.currentRPS = Math.min(STATE.currentRPS, CONFIG.survival.maxRPS);
-        }
-    }
+    // Fixed ticks: speeding up runs more ticks per frame, not longer ones
+    simulation.advance(clampedDt, STATE.timeScale);
+    sceneRenderer.sync(simulation.alpha);
 
-    updateMaliciousSpike(dt);
-
-    // Intervention mechanics updates
-    updateTrafficShift(dt);
-    updateRandomEvents(dt);
     updateServiceHealthIndicators();
     updateActiveEventTimer();
-    processAutoRepair(dt);
     updateFinancesDisplay();
 
     document.getElementById("money-display").innerText = `$${Math.floor(
@@ -2438,22 +2316,13 @@ function animate(time) {
     )}`;
 
     const baseUpkeep = STATE.services.reduce(
-        (sum, s) => sum + s.config.upkeep / 60,
+        (sum, s) => sum + s.upkeep / 60,
         0
     );
-    const multiplier =
-        typeof getUpkeepMultiplier === "function" ? getUpkeepMultiplier() : 1.0;
-    const autoRepairCost =
-        typeof getAutoRepairUpkeep === "function" ? getAutoRepairUpkeep() : 0;
+    const multiplier = simulation.getUpkeepMultiplier();
+    const autoRepairCost = simulation.getAutoRepairUpkeep();
     const totalUpkeep = baseUpkeep * multiplier + autoRepairCost;
 
-    // Deduct auto-repair cost and track it
-    if (autoRepairCost > 0 && STATE.upkeepEnabled) {
-        const cost = autoRepairCost * dt;
-        STATE.money -= cost;
-        if (STATE.finances) STATE.finances.expenses.autoRepair += cost;
-    }
-
     const upkeepDisplay = document.getElementById("upkeep-display");
     if (upkeepDisplay) {
         if (autoRepairCost > 0) {
@@ -2498,7 +2367,6 @@ function animate(time) {
                 Math.round((STATE.trafficDistribution.MALICIOUS || 0) * 100) + "%";
     }
 
-    STATE.reputation = Math.min(100, STATE.reputation);
     document.getElementById("rep-bar").style.width = `${Math.max(
         0,
         STATE.reputation
@@ -2506,15 +2374,18 @@ function animate(time) {
     document.getElementById("rep-display").textContent = `${Math.round(
         Math.max(0, STATE.reputation)
     )}%`;
+    // Sandbox rates are scaled by the hour as requests spawn
+    const rps = STATE.currentRPS * (STATE.gameMode === "sandbox" ? STATE.demand : 1);
     document.getElementById(
         "rps-display"
-    ).innerText = `${STATE.currentRPS.toFixed(1)} ${i18n.t('req_per_sec')}`;
+    ).innerText = `${rps.toFixed(1)} ${i18n.t('req_per_sec')}`;
 
     // Update elapsed time
     const elapsedEl = document.getElementById("elapsed-time");
     if (elapsedEl) {
         elapsedEl.textContent = formatTime(STATE.elapsedGameTime);
     }
+    updateClock();
 
     // Update next RPS milestone (survival mode only)
     const rpsNextEl = document.getElementById("rps-next");
@@ -2553,6 +2424,53 @@ function animate(time) {
         rpsMilestoneRow.style.display = "none";
     }
 
+    updateLatencyPanel();
+    updateInspector();
+
+    const retriesRow = document.getElementById("retries-row");
+    if (retriesRow) {
+        retriesRow.classList.toggle("hidden", STATE.retries === 0);
+        document.getElementById("retries-display").textContent = STATE.retries;
+    }
+
+    const rejectedRow = document.getElementById("rejected-row");
+    if (rejectedRow) {
+        const rejected = Object.values(STATE.rejections).reduce((a, b) => a + b, 0);
+        rejectedRow.classList.toggle("hidden", rejected === 0);
+        document.getElementById("rejected-display").textContent = rejected;
+    }
+
+    const staleRow = document.getElementById("stale-reads-row");
+    if (staleRow) {
+        staleRow.classList.toggle("hidden", STATE.staleReads === 0);
+        document.getElementById("stale-reads-display").textContent = STATE.staleReads;
+    }
+
+    const cacheRow = document.getElementById("cache-row");
+    if (cacheRow) {
+        const stats = STATE.cacheStats;
+        const lookups = stats.hits + stats.misses;
+        cacheRow.classList.toggle("hidden", lookups === 0);
+        document.getElementById("cache-hit-display").textContent =
+            lookups > 0 ? `${Math.round((stats.hits / lookups) * 100)}%` : "-";
+        document.getElementById("cache-stale-display").textContent =
+            i18n.t('cache_stale_count', { count: stats.staleHits });
+    }
+
+    const sloRow = document.getElementById("queue-slo-row");
+    if (sloRow) {
+        sloRow.classList.toggle("hidden", STATE.messages.sloBreaches === 0);
+        document.getElementById("queue-slo-display").textContent = STATE.messages.sloBreaches;
+    }
+
+    const deadLettersRow = document.getElementById("dead-letters-row");
+    if (deadLettersRow) {
+        deadLettersRow.classList.toggle("hidden", STATE.messages.deadLettered === 0);
+        document.getElementById("dead-letters-display").textContent = STATE.messages.deadLettered;
+    }
+
+    updateRegionsPanel();
+
     // Update failures panel with table format
     const totalFailures = Object.values(STATE.failures).reduce(
         (a, b) => a + b,
@@ -2566,6 +2484,16 @@ function animate(time) {
             "failures-total"
         ).textContent = `${totalFailures} ${i18n.t('total')}`;
 
+        // Timeouts are a subset of the failures below
+        const totalTimeouts = Object.values(STATE.timeouts).reduce(
+            (a, b) => a + b,
+            0
+        );
+        document.getElementById("fail-timeouts").textContent = totalTimeouts;
+        document
+            .getElementById("fail-timeouts-row")
+            .classList.toggle("hidden", totalTimeouts === 0);
+
         // Update counts
         document.getElementById("fail-malicious").textContent =
             STATE.failures.MALICIOUS;
@@ -2604,56 +2532,42 @@ function animate(time) {
             STATE.failures.SEARCH > 0 ? "" : "none";
     }
 
-    if (STATE.internetNode.ring) {
-        if (STATE.selectedNodeId === "internet") {
-            STATE.internetNode.ring.material.opacity = 1.0;
-        } else {
-            STATE.internetNode.ring.material.opacity = 0.2;
-        }
-    }
+    renderer.render(scene, camera);
+}
 
-    // Game over only in survival mode
-    if (
-        STATE.gameMode === "survival" &&
-        (STATE.reputation <= 0 || STATE.money <= -1000)
-    ) {
-        STATE.isRunning = false;
-
-        // Determine failure reason and generate tips
-        const failureAnalysis = analyzeFailure();
-
-        document.getElementById("modal-title").innerText = i18n.t('system_failure');
-        document.getElementById("modal-title").classList.add("text-red-500");
-        document.getElementById("modal-desc").innerHTML = `
-            <div class="text-left space-y-3">
-                <div class="text-center text-2xl font-bold text-yellow-400 mb-2">${i18n.t('final_score', { score: STATE.score.total })}</div>
-                <div class="text-center text-sm text-gray-400 mb-4">${i18n.t('survived_time', { time: formatTime(STATE.elapsedGameTime || 0) })}</div>
-                
-                <div class="bg-red-900/30 border border-red-500/50 rounded-lg p-3">
-                    <div class="text-red-400 font-bold text-sm uppercase mb-1">${i18n.t('failure_reason')}</div>
-                    <div class="text-white">${failureAnalysis.reason}</div>
-                </div>
-                
-                <div class="bg-blue-900/30 border border-blue-500/50 rounded-lg p-3">
-                    <div class="text-blue-400 font-bold text-sm uppercase mb-1">${i18n.t('analysis')}</div>
-                    <div class="text-gray-300 text-sm">${failureAnalysis.description}</div>
-                </div>
-                
-                <div class="bg-green-900/30 border border-green-500/50 rounded-lg p-3">
-                    <div class="text-green-400 font-bold text-sm uppercase mb-1">${i18n.t('tips_title')}</div>
-                    <ul class="text-gray-300 text-sm list-disc list-inside space-y-1">
-                        ${failureAnalysis.tips
-                .map((tip) => `<li>${tip}</li>`)
-                .join("")}
-                    </ul>
-                </div>
+function showGameOver() {
+    // Determine failure reason and generate tips
+    const failureAnalysis = analyzeFailure();
+
+    document.getElementById("modal-title").innerText = i18n.t('system_failure');
+    document.getElementById("modal-title").classList.add("text-red-500");
+    document.getElementById("modal-desc").innerHTML = `
+        <div class="text-left space-y-3">
+            <div class="text-center text-2xl font-bold text-yellow-400 mb-2">${i18n.t('final_score', { score: STATE.score.total })}</div>
+            <div class="text-center text-sm text-gray-400 mb-4">${i18n.t('survived_time', { time: formatTime(STATE.elapsedGameTime || 0) })}</div>
+            
+            <div class="bg-red-900/30 border border-red-500/50 rounded-lg p-3">
+                <div class="text-red-400 font-bold text-sm uppercase mb-1">${i18n.t('failure_reason')}</div>
+                <div class="text-white">${failureAnalysis.reason}</div>
             </div>
-        `;
-        document.getElementById("modal").classList.remove("hidden");
-        STATE.sound.playGameOver();
-    }
-
-    renderer.render(scene, camera);
+            
+            <div class="bg-blue-900/30 border border-blue-500/50 rounded-lg p-3">
+                <div class="text-blue-400 font-bold text-sm uppercase mb-1">${i18n.t('analysis')}</div>
+                <div class="text-gray-300 text-sm">${failureAnalysis.description}</div>
+            </div>
+            
+            <div class="bg-green-900/30 border border-green-500/50 rounded-lg p-3">
+                <div class="text-green-400 font-bold text-sm uppercase mb-1">${i18n.t('tips_title')}</div>
+                <ul class="text-gray-300 text-sm list-disc list-inside space-y-1">
+                    ${failureAnalysis.tips
+            .map((tip) => `<li>${tip}</li>`)
+            .join("")}
+                </ul>
+            </div>
+        </div>
+    `;
+    document.getElementById("modal").classList.remove("hidden");
+    STATE.sound.playGameOver();
 }
 
 // Analyze why the player failed and generate helpful tips
@@ -2674,11 +2588,20 @@ function analyzeFailure() {
             0
         );
         const maliciousFailures = STATE.failures.MALICIOUS || 0;
+        // Timeouts are also counted in STATE.failures
+        const totalTimeouts = Object.values(STATE.timeouts).reduce(
+            (a, b) => a + b,
+            0
+        );
 
         if (maliciousFailures > totalFailures * 0.3) {
             result.description = i18n.t('reason_malicious', { count: maliciousFailures });
             result.tips.push(i18n.t('tip_waf'));
             result.tips.push(i18n.t('tip_multiple_waf'));
+        } else if (totalTimeouts > totalFailures * 0.3) {
+            result.description = i18n.t('reason_timeouts', { count: totalTimeouts });
+            result.tips.push(i18n.t('tip_timeouts_queue'));
+            result.tips.push(i18n.t('tip_timeouts_hops'));
         } else {
             const worstFailure = Object.entries(STATE.failures)
                 .filter(([k]) => k !== "MALICIOUS")
@@ -2692,6 +2615,13 @@ function analyzeFailure() {
 
                 if (worstFailure[0] === "STATIC" || worstFailure[0] === "UPLOAD") {
                     result.tips.push(i18n.t('tip_s3'));
+                } else if (worstFailure[0] === "SEARCH") {
+                    result.tips.push(i18n.t('tip_search_index'));
+                    result.tips.push(i18n.t('tip_search_sql'));
+                    result.tips.push(i18n.t('tip_db'));
+                } else if (worstFailure[0] === "WRITE") {
+                    result.tips.push(i18n.t('tip_write_nosql'));
+                    result.tips.push(i18n.t('tip_db'));
                 } else {
                     result.tips.push(i18n.t('tip_db'));
                     result.tips.push(i18n.t('tip_cache'));
@@ -2701,6 +2631,44 @@ function analyzeFailure() {
             }
         }
 
+        // Retries that outnumber successes mean the retries were the load
+        if (STATE.retries > STATE.requestsProcessed) {
+            result.tips.push(i18n.t('tip_retry_storm', { count: STATE.retries }));
+        }
+
+        // Stale cache and CDN hits get their own advice below
+        const replicaStaleReads = STATE.staleReads - STATE.cacheStats.staleHits - STATE.cdnStats.staleHits;
+        if (replicaStaleReads > 0) {
+            result.tips.push(i18n.t('tip_stale_reads', { count: replicaStaleReads }));
+        }
+
+        if (STATE.cacheStats.staleHits > 0) {
+            result.tips.push(i18n.t('tip_cache_stale', { count: STATE.cacheStats.staleHits }));
+        }
+
+        if (STATE.cdnStats.staleHits > 0) {
+            result.tips.push(i18n.t('tip_cdn_stale', { count: STATE.cdnStats.staleHits }));
+        }
+
+        // A limit low enough to catch ordinary clients is a limit set wrong
+        if (STATE.throttledClients > 0) {
+            result.tips.push(i18n.t('tip_rate_limit_low', { count: STATE.throttledClients }));
+        }
+
+        // Async queues answer fast, but only keep the promise if workers keep up
+        if (STATE.messages.sloBreaches > 0) {
+            result.tips.push(i18n.t('tip_queue_slo', {
+                count: STATE.messages.sloBreaches,
+                slo: CONFIG.messaging.queueAgeSLO,
+            }));
+        }
+        if (STATE.messages.deadLettered > 0) {
+            result.tips.push(i18n.t('tip_dead_letters', { count: STATE.messages.deadLettered }));
+        }
+        if (STATE.messages.overReceived > 0) {
+            result.tips.push(i18n.t('tip_no_dlq', { count: STATE.messages.overReceived }));
+        }
+
         result.tips.push(i18n.t('tip_sqs'));
         result.tips.push(i18n.t('tip_repair'));
     } else if (STATE.money <= -1000) {
@@ -2719,6 +2687,16 @@ function analyzeFailure() {
             if (STATE.finances.expenses.repairs > STATE.finances.income.total * 0.2) {
                 result.tips.push(i18n.t('tip_auto_repair'));
             }
+
+            // Compute sized for the peak sits idle through the night
+            if (STATE.finances.idleUpkeep > STATE.finances.expenses.upkeep * 0.3) {
+                result.tips.push(i18n.t('tip_idle_capacity', { cost: Math.floor(STATE.finances.idleUpkeep) }));
+            }
+        }
+
+        // Late replies pay half, which quietly drains income
+        if (STATE.lateCompletions > STATE.requestsProcessed * 0.2) {
+            result.tips.push(i18n.t('tip_late_replies', { count: STATE.lateCompletions }));
         }
 
         result.tips.push(i18n.t('tip_scale_slow'));
@@ -2780,6 +2758,64 @@ function toggleView() {
     resetCamera();
 }
 
+/** Per-region status; only shown once traffic enters through more than one region */
+function updateRegionsPanel() {
+    const panel = document.getElementById("regions-panel");
+    if (!panel) return;
+    const active = simulation.activeIngresses.map((node) => simulation.regionAt(node.position).id);
+    panel.classList.toggle("hidden", active.length < 2);
+    if (active.length < 2) return;
+
+    const list = document.getElementById("regions-list");
+    const html = CONFIG.regions.list
+        .map((region) => {
+            const health = STATE.regionHealth[region.id];
+            const services = STATE.services.filter(
+                (s) => simulation.regionAt(s.position) === region
+            ).length;
+            let status = `<span class="text-gray-500">${i18n.t('region_idle')}</span>`;
+            if (health.degraded) {
+                status = `<span class="text-red-400">${i18n.t('region_degraded')}</span>`;
+            } else if (active.includes(region.id)) {
+                status = `<span class="text-green-400">${i18n.t('region_healthy')}</span>`;
+            }
+            return `<div class="flex justify-between items-center gap-2">
+                <span class="text-gray-300">${i18n.t(`region_${region.id}`)}</span>
+                <span class="text-gray-500">${services}</span>
+                <span>${status} ${Math.round(health.failureRate * 100)}%</span>
+                <button data-region="${region.id}" class="px-1 border border-gray-600 rounded text-gray-400 hover:text-white">${i18n.t('go')}</button>
+            </div>`;
+        })
+        .join("");
+    // Rebuilding on every frame would swallow clicks on the buttons
+    if (list.dataset.html !== html) {
+        list.dataset.html = html;
+        list.innerHTML = html;
+    }
+    document.getElementById("cross-region-hops").textContent = STATE.crossRegionHops;
+}
+
+/** Label for an internet ingress, naming its region unless it is home */
+function ingressName(node) {
+    if (node.id === "internet") return i18n.t('internet');
+    return `${i18n.t('internet')} (${i18n.t(`region_${simulation.regionAt(node.position).id}`)})`;
+}
+
+/** Moves the camera over a region's board */
+window.focusRegion = (id) => {
+    const region = CONFIG.regions.list.find((r) => r.id === id);
+    if (!region) return;
+    const { x, z } = region.center;
+    if (isIsometric) {
+        camera.position.set(x + 40, 40, z + 40);
+        cameraTarget.set(x, 0, z);
+        camera.lookAt(cameraTarget);
+    } else {
+        camera.position.set(x, 50, z);
+        camera.lookAt(x, 0, z);
+    }
+};
+
 function resetCamera() {
     if (isIsometric) {
         camera.position.set(40, 40, 40);
@@ -2823,6 +2859,14 @@ window.setTrafficMix = (type, value) => {
     syncInput(type.toLowerCase(), v);
 };
 
+window.setTrafficCurve = (curve) => {
+    simulation.setTrafficCurve(curve);
+};
+
+window.setTrafficCurveSetting = (setting, value) => {
+    simulation.setTrafficCurveSetting(setting, value);
+};
+
 window.setBurstCount = (value) => {
     const v = Math.max(1, parseInt(value) || 10);
     STATE.burstCount = v;
@@ -2831,23 +2875,7 @@ window.setBurstCount = (value) => {
 
 window.spawnBurst = (type) => {
     for (let i = 0; i < STATE.burstCount; i++) {
-        setTimeout(() => {
-            const req = new Request(type);
-            STATE.requests.push(req);
-            const conns = STATE.internetNode.connections;
-            if (conns.length > 0) {
-                const entryNodes = conns.map((id) =>
-                    STATE.services.find((s) => s.id === id)
-                );
-                const wafEntry = entryNodes.find((s) => s?.type === "waf");
-                const target =
-                    wafEntry || entryNodes[Math.floor(Math.random() * entryNodes.length)];
-                if (target) req.flyTo(target);
-                else failRequest(req);
-            } else {
-                failRequest(req);
-            }
-        }, i * 30);
+        setTimeout(() => simulation.spawnRequest(type), i * 30);
     }
 };
 
@@ -2862,13 +2890,7 @@ window.toggleUpkeep = () => {
 };
 
 window.clearAllServices = () => {
-    STATE.services.forEach((s) => s.destroy());
-    STATE.services = [];
-    STATE.connections.forEach((c) => connectionGroup.remove(c.mesh));
-    STATE.connections = [];
-    STATE.internetNode.connections = [];
-    STATE.requests.forEach((r) => r.destroy());
-    STATE.requests = [];
+    simulation.clear();
     STATE.money = STATE.sandboxBudget;
 };
 
@@ -2919,6 +2941,30 @@ window.resumeGame = () => {
 
 // ==================== SAVE/LOAD FUNCTIONS ====================
 
+/** A service's placement and settings, as saves and retries restore them */
+function serializeService(service) {
+    return {
+        id: service.id,
+        type: service.type,
+        position: [service.position.x, service.position.y, service.position.z],
+        connections: [...service.connections],
+        tier: service.tier,
+        lbStrategy: service.lbStrategy,
+        rateLimit: service.rateLimit,
+        asyncMode: service.asyncMode,
+        maxReceiveCount: service.maxReceiveCount,
+        dns: service.router?.toJSON(),
+        cache: service.cacheStore?.toJSON(),
+        cdn: service.edges?.toJSON(),
+        healthCheck: service.healthCheck,
+        retryPolicy: service.retryPolicy,
+        breakers: Object.keys(service.breakers),
+        groupId: service.groupId,
+        scaling: service.scaling?.settings,
+        shardMap: service.shardMap?.toJSON(),
+    };
+}
+
 window.saveGameState = () => {
     try {
         const saveData = {
@@ -2927,20 +2973,14 @@ window.saveGameState = () => {
             ...STATE,
             score: { ...STATE.score },
             trafficDistribution: { ...STATE.trafficDistribution },
-            services: STATE.services.map((service) => ({
-                id: service.id,
-                type: service.type,
-                position: [service.position.x, service.position.y, service.position.z],
-                connections: [...service.connections],
-                tier: service.tier,
-                cacheHitRate: service.config.cacheHitRate || null,
-            })),
+            services: STATE.services.map(serializeService),
             connections: STATE.connections.map((conn) => ({
                 from: conn.from,
                 to: conn.to,
             })),
             requests: [],
             internetConnections: [...STATE.internetNode.connections],
+            rngState: simulation.rng.state,
         };
 
         localStorage.setItem("serverSurvivalSave", JSON.stringify(saveData));
@@ -3034,8 +3074,16 @@ window.loadGameState = () => {
         STATE.currentRPS = saveData.currentRPS || 0.5;
         STATE.timeScale = saveData.timeScale || 0; // Start paused
         STATE.elapsedGameTime = saveData.elapsedGameTime ?? 0;
+        // Write times are game times, so they only make sense with the run they came from
+        STATE.keyWrites = { ...saveData.keyWrites };
+        STATE.versionedAssets = saveData.versionedAssets ?? true;
+        STATE.assetVersion = saveData.assetVersion ?? 1;
+        STATE.assetsDeployedAt = saveData.assetsDeployedAt ?? 0;
+        STATE.deployTimer = saveData.deployTimer ?? 0;
         STATE.isRunning = saveData.isRunning || false;
-        STATE.gameStartTime = performance.now();
+        // Saves from before seeded runs carry no seed and start a fresh one
+        simulation.restoreRandom(saveData.seed ?? undefined, saveData.rngState);
+        updateSeedDisplay();
 
         STATE.gameMode = saveData.gameMode || "survival";
         STATE.sandboxBudget = saveData.sandboxBudget || 2000;
@@ -3049,26 +3097,15 @@ window.loadGameState = () => {
             MALICIOUS: 0.2,
         };
         STATE.burstCount = saveData.burstCount || 10;
+        // Saves from before traffic curves follow their mode's default
+        const curve = STATE.gameMode === "sandbox" ? CONFIG.sandbox.trafficCurve : CONFIG.survival.trafficCurve;
+        STATE.trafficCurve = { name: curve, ...CONFIG.trafficCurves.curves[curve], ...saveData.trafficCurve };
         STATE.gameStarted = saveData.gameStarted || true;
         STATE.previousTimeScale = saveData.previousTimeScale || 1;
 
         // Initialize intervention state for survival mode mechanics
         if (STATE.gameMode === "survival") {
-            STATE.intervention = {
-                trafficShiftTimer: 0,
-                trafficShiftActive: false,
-                currentShift: null,
-                originalTrafficDist: null,
-                randomEventTimer: 0,
-                activeEvent: null,
-                eventEndTime: 0,
-                currentMilestoneIndex: 0,
-                rpsMultiplier: 1.0,
-                recentEvents: [],
-                warnings: [],
-                costMultiplier: 1.0,
-                trafficBurstMultiplier: 1.0,
-            };
+            STATE.intervention = createInterventionState();
             STATE.maliciousSpikeTimer = 0;
             STATE.maliciousSpikeActive = false;
             STATE.normalTrafficDist = null;
@@ -3076,25 +3113,13 @@ window.loadGameState = () => {
         }
 
         // Initialize finances tracking
-        STATE.finances = {
-            income: {
-                byType: { STATIC: 0, READ: 0, WRITE: 0, UPLOAD: 0, SEARCH: 0 },
-                countByType: { STATIC: 0, READ: 0, WRITE: 0, UPLOAD: 0, SEARCH: 0, blocked: 0 },
-                requests: 0,
-                blocked: 0,
-                total: 0,
-            },
-            expenses: {
-                services: 0,
-                upkeep: 0,
-                repairs: 0,
-                autoRepair: 0,
-                mitigation: 0,
-                breach: 0,
-                byService: { waf: 0, alb: 0, compute: 0, db: 0, s3: 0, cache: 0, sqs: 0 },
-                countByService: { waf: 0, alb: 0, compute: 0, db: 0, s3: 0, cache: 0, sqs: 0 },
-            },
-        };
+        STATE.finances = createFinances();
+
+        // Ingresses may have been dragged around their boards
+        [saveData.internetNode, ...(saveData.regionIngresses || [])].forEach((saved) => {
+            const node = saved && simulation.getEntity(saved.id);
+            if (node) node.position = { ...saved.position };
+        });
 
         restoreServices(saveData.services);
 
@@ -3157,32 +3182,13 @@ window.loadGameState = () => {
 };
 
 function clearCurrentGame() {
-    while (serviceGroup.children.length > 0) {
-        serviceGroup.remove(serviceGroup.children[0]);
-    }
-    while (connectionGroup.children.length > 0) {
-        connectionGroup.remove(connectionGroup.children[0]);
-    }
-    while (requestGroup.children.length > 0) {
-        requestGroup.remove(requestGroup.children[0]);
-    }
-
-    STATE.services.forEach((s) => s.destroy());
-    STATE.services = [];
-    STATE.requests = [];
-    STATE.connections = [];
-    STATE.internetNode.connections = [];
+    simulation.clear();
 }
 
 function restoreServices(savedServices) {
     savedServices.forEach((serviceData) => {
-        const position = new THREE.Vector3(
-            serviceData.position[0],
-            serviceData.position[1],
-            serviceData.position[2]
-        );
-
-        restoreService(serviceData, position);
+        const [x, y, z] = serviceData.position;
+        simulation.restoreService(serviceData, { x, y, z });
     });
 }
 
@@ -20,9 +20,24 @@ const CONFIG = {
     s3: 0x10b981,
     lineActive: 0x00FFFF,
     line: 0x00FF85,
+    lineUnhealthy: 0x6b7280, // Target drained by a failing health check
+    breakerClosed: 0x38bdf8,
+    breakerOpen: 0xef4444,
+    breakerHalfOpen: 0xf59e0b,
     requestFail: 0xef4444,
     cache: 0xdc382d, // Redis red
     sqs: 0xff9900, // AWS orange
+    asg: 0xfbbf24,
+    replica: 0xf87171,
+    replicationLink: 0xfca5a5, // Primary DB to its read replicas
+    nosql: 0x84cc16,
+    search: 0xeab308,
+    indexLink: 0xfde047, // Stores feeding writes to a search index
+    apigw: 0x14b8a6,
+    dlq: 0x9a3412,
+    deadLetterLink: 0xc2410c, // Queue to the dead-letter queue behind it
+    dns: 0x6366f1,
+    population: 0x94a3b8, // Where client populations live
   },
   trafficTypes: {
     STATIC: {
@@ -32,9 +47,9 @@ const CONFIG = {
       reward: 0.5,
       score: 3,
       cacheable: true,
-      cacheHitRate: 0.9,
       destination: "cdn", // Prefer CDN, fallback to s3 logic in game
       processingWeight: 0.5,
+      deadline: 4, // Seconds of game time before the reply counts as late
     },
     READ: {
       name: "READ",
@@ -43,9 +58,9 @@ const CONFIG = {
       reward: 0.8,
       score: 5,
       cacheable: true,
-      cacheHitRate: 0.4,
       destination: "db",
       processingWeight: 1.0,
+      deadline: 6,
     },
     WRITE: {
       name: "WRITE",
@@ -54,9 +69,9 @@ const CONFIG = {
       reward: 1.2,
       score: 8,
       cacheable: false,
-      cacheHitRate: 0,
       destination: "db",
       processingWeight: 1.5,
+      deadline: 8,
     },
     UPLOAD: {
       name: "UPLOAD",
@@ -65,9 +80,9 @@ const CONFIG = {
       reward: 1.5,
       score: 10,
       cacheable: false,
-      cacheHitRate: 0,
       destination: "s3",
       processingWeight: 2.0,
+      deadline: 10,
     },
     SEARCH: {
       name: "SEARCH",
@@ -76,9 +91,9 @@ const CONFIG = {
       reward: 0.8,
       score: 5,
       cacheable: true,
-      cacheHitRate: 0.15,
       destination: "db",
       processingWeight: 2.5,
+      deadline: 8,
     },
     MALICIOUS: {
       name: "MALICIOUS",
@@ -87,12 +102,154 @@ const CONFIG = {
       reward: 0,
       score: 0,
       cacheable: false,
-      cacheHitRate: 0,
       destination: "blocked",
       processingWeight: 1.0,
+      deadline: null, // Attacks never time out
     },
   },
   internetNodeStartPos: { x: -40, y: 0, z: 0 },
+
+  // Each region is a board of its own, centred at `center`, with an internet
+  // ingress at the same spot internetNodeStartPos has on the home board (the
+  // first). Hops between regions take longer and pay for the egress.
+  regions: {
+    list: [
+      { id: "us-east", center: { x: 0, z: 0 } },
+      { id: "eu-west", center: { x: 150, z: 0 } },
+      { id: "ap-south", center: { x: 0, z: 150 } },
+    ],
+    hopSeconds: 0.5, // Flight time of a hop within a region
+    crossRegionSeconds: 0.75, // Added to a hop between regions
+    egressCost: 0.05, // Per request that crosses regions
+    // The global traffic manager takes a region out of rotation when too much
+    // of its traffic fails, sending it only a trickle of probes until it recovers
+    healthSmoothing: 0.1, // Weight of each outcome in a region's failure rate
+    failoverThreshold: 0.5,
+    recoverThreshold: 0.2,
+    probeShare: 0.2,
+  },
+
+  // The simulation advances in fixed ticks; rendering runs at the browser's frame rate
+  simulation: {
+    tickSeconds: 0.05,
+    maxTicksPerFrame: 250, // Caps catch-up after a stall so the tab never locks up
+    latencyWindow: 200, // Completed requests per traffic type behind the percentiles
+  },
+  // What a node does when a request it sent is dropped downstream (overload or a
+  // failed processing roll). Delays are game seconds: attempt n waits
+  // baseDelay * multiplier^(n-1), capped at maxDelay. jitter 1 randomises the
+  // whole wait; budget is the retries earned per request sent.
+  retryPolicies: {
+    none: { maxAttempts: 1 },
+    immediate: { maxAttempts: 5, baseDelay: 0, multiplier: 1, jitter: 0, budget: null },
+    exponential: { maxAttempts: 4, baseDelay: 0.2, multiplier: 2, maxDelay: 3, jitter: 0, budget: null },
+    "exponential-jitter": { maxAttempts: 4, baseDelay: 0.2, multiplier: 2, maxDelay: 3, jitter: 1, budget: null },
+    budgeted: { maxAttempts: 4, baseDelay: 0.2, multiplier: 2, maxDelay: 3, jitter: 1, budget: 0.1 },
+  },
+  retries: {
+    defaultPolicy: "none",
+    budgetCap: 10, // Most retries a budget can bank
+  },
+  // Breakers the player can put on links from Compute to its stores
+  circuitBreaker: {
+    storeTypes: ["db", "replica", "nosql", "search", "cache", "s3"],
+    window: 10, // Latest outcomes the failure rate is taken over
+    minRequests: 5, // Outcomes needed before the breaker may trip
+    failureThreshold: 0.5,
+    openSeconds: 5, // Cool-down before a probe is let through
+    halfOpenProbes: 1,
+    probeSeconds: 10, // A probe that has not reported back by then failed
+  },
+  // Who sends the traffic: many ordinary clients and a few abusive ones.
+  // Abusive clients, bad credentials and malformed requests only appear
+  // once an API gateway is on the board.
+  clients: {
+    minClients: 10,
+    clientRPS: 0.5, // Requests per second an ordinary client sends
+    abusiveClients: 2,
+    abusiveShare: 0.2, // Share of traffic from abusive but valid clients
+    abusiveRewardMultiplier: 0, // Scrapers and bots pay nothing
+    unauthenticatedChance: 0.04, // Missing or expired credentials
+    invalidChance: 0.03, // Malformed requests
+    THROTTLED_CLIENT_REPUTATION: -0.5, // Rate-limiting an ordinary client
+    // Where clients live and the share of traffic each population sends.
+    // Each sits just off its region's board, `populationOffset` from the centre.
+    populations: [
+      { id: "na", region: "us-east", share: 0.6 },
+      { id: "eu", region: "eu-west", share: 0.3 },
+      { id: "apac", region: "ap-south", share: 0.1 },
+    ],
+    populationOffset: { x: -75, z: 0 },
+    accessSecondsPerUnit: 0.004, // Client-to-ingress latency per unit of distance
+  },
+  // Read replicas copy a primary DB and fall behind it under write load
+  replication: {
+    baseLag: 0.1, // Seconds behind the primary with no writes
+    lagPerWrite: 0.15, // Extra seconds of lag per write/s on the primary
+    smoothing: 2, // Seconds for lag and write rate to follow the load
+    staleChancePerSecond: 0.1, // Chance a read is stale, per second of lag
+    maxStaleChance: 0.5,
+    STALE_REWARD_MULTIPLIER: 0.5, // Stale reads earn half and cost reputation
+    STALE_READ_REPUTATION: -0.2,
+  },
+  // Database sharding: keys map to buckets, buckets to db shards
+  sharding: {
+    strategies: ["hash", "range"],
+    keySpace: 1024,
+    buckets: 16,
+    hotKeys: 4, // Keys in the hot window
+    hotKeyChance: 0.25, // Share of database requests that hit the hot window
+    hotKeyShiftInterval: 60, // Seconds before the hot window moves
+    secondsPerBucket: 2, // Time to copy one bucket to a new shard
+    moveCostPerBucket: 10,
+    migrationCapacity: 0.7, // Capacity the source shard keeps while copying
+  },
+  // Memory caches key answers by what was read: database reads by their
+  // partition key, STATIC by which asset
+  caching: {
+    staticAssets: 256, // Distinct files STATIC requests ask for
+    // Key popularity: the key ranked r is asked for in proportion to
+    // 1 / r^zipfExponent, so 0 is uniform and higher is more skewed
+    zipfExponent: 1,
+    evictionPolicies: ["lru", "lfu", "random", "ttl"],
+    entrySizes: { STATIC: 8, READ: 1, SEARCH: 4 }, // MB an answer takes
+    warmRate: 10, // Keys a warming cache reloads per second
+    warmCapacity: 0.8, // Capacity a store keeps while caches warm from it
+  },
+  // Demand follows the clock. A game day passes in `dayLength` seconds, and
+  // each curve sets the hour traffic peaks, how far it swings either side of
+  // the day's average (0 flat, 1 down to nothing at night) and how much
+  // quieter weekends are.
+  trafficCurves: {
+    dayLength: 120,
+    startHour: 8, // Runs start on a Monday morning
+    weekendDays: [5, 6], // Counting Monday as 0
+    curves: {
+      business: { peakHour: 14, swing: 0.6, weekendDip: 0.5 },
+      consumer: { peakHour: 20, swing: 0.5, weekendDip: 0.1 },
+      flat: { peakHour: 12, swing: 0, weekendDip: 0 },
+    },
+  },
+  // CDN edges: a PoP in each region the CDN serves, each holding its own
+  // copies, and an optional origin shield between them and the origin
+  cdn: {
+    popCost: 40, // To open a PoP outside the CDN's own region
+    popUpkeep: 3,
+    shieldCost: 50,
+    shieldUpkeep: 4,
+    deployInterval: 180, // Seconds between releases that ship new assets
+  },
+  // Queues in async mode answer writes once the message is stored and leave
+  // the work to the consumers behind them
+  messaging: {
+    asyncTypes: ["WRITE", "UPLOAD"],
+    poisonChance: 0.03, // Accepted messages no worker can ever process
+    maxReceiveCount: 5, // Default deliveries before a queue dead-letters a message
+    deadLettersShown: 6, // Newest dead letters listed in the inspector
+    queueAgeSLO: 20, // Seconds from accepted to processed
+    SLO_BREACH_REPUTATION: -0.3,
+    DEAD_LETTER_REPUTATION: -1,
+  },
   services: {
     waf: {
       name: "Firewall",
@@ -106,6 +263,20 @@ const CONFIG = {
         desc: "<b>Firewall.</b> The first line of defense. Blocks Malicious traffic.",
       },
     },
+    apigw: {
+      name: "API Gateway",
+      cost: 70,
+      type: "apigw",
+      processingTime: 40,
+      capacity: 30,
+      upkeep: 8,
+      rateLimit: 2, // Requests per second per client, tuned in the inspector
+      burstSeconds: 2, // A quiet client may send this many seconds' worth at once
+      tooltip: {
+        upkeep: "Medium",
+        desc: "<b>API Gateway.</b> Rejects unauthenticated and malformed requests and rate-limits each client before they reach Compute.",
+      },
+    },
     alb: {
       name: "Load Balancer",
       cost: 50,
@@ -117,6 +288,12 @@ const CONFIG = {
         upkeep: "Medium",
         desc: "<b>Load Balancer.</b> Distributes traffic to multiple Compute instances.",
       },
+      // See LOAD_BALANCING_STRATEGIES; chosen per instance in the inspector
+      defaultStrategy: "round-robin",
+      // Probes each target every interval seconds. A target is drained after
+      // unhealthyThreshold failed probes in a row and re-added after
+      // healthyThreshold passes. Tunable per instance in the inspector.
+      healthCheck: { interval: 2, unhealthyThreshold: 2, healthyThreshold: 3 },
     },
     compute: {
       name: "Compute",
@@ -152,6 +329,47 @@ const CONFIG = {
         { level: 3, capacity: 35, cost: 350 },
       ],
     },
+    replica: {
+      name: "Read Replica",
+      cost: 90,
+      type: "replica",
+      processingTime: 250,
+      capacity: 8,
+      upkeep: 14,
+      tooltip: {
+        upkeep: "High",
+        desc: "<b>Read Replica.</b> Serves READ/SEARCH for a primary SQL DB. Link the DB into it and Compute to it. Lags the primary under write load.",
+      },
+    },
+    nosql: {
+      name: "NoSQL Store",
+      cost: 70,
+      type: "nosql",
+      processingTime: 120,
+      capacity: 12,
+      upkeep: 10,
+      // SEARCH has no index to use and scans the whole store
+      searchProcessingMultiplier: 8,
+      tooltip: {
+        upkeep: "Medium",
+        desc: "<b>NoSQL Store.</b> Fast, cheap READ/WRITE for Compute; add more nodes to scale out. Slow at SEARCH - keep a SQL DB linked for that.",
+      },
+    },
+    search: {
+      name: "Search Index",
+      cost: 110,
+      type: "search",
+      processingTime: 80,
+      capacity: 20,
+      upkeep: 14,
+      indexRate: 15, // Writes per second the indexing pipeline applies
+      staleChancePerSecond: 0.1, // Chance a result is stale, per second of index lag
+      maxStaleChance: 0.5,
+      tooltip: {
+        upkeep: "High",
+        desc: "<b>Search Index.</b> Answers SEARCH far faster than a database. Link a SQL DB or NoSQL store into it so WRITEs keep the index fresh.",
+      },
+    },
     s3: {
       name: "File Storage",
       cost: 25,
@@ -173,9 +391,12 @@ const CONFIG = {
       upkeep: 5,
       tooltip: {
         upkeep: "Low",
-        desc: "<b>Content Delivery Network.</b> Caches STATIC content at the edge. High cache hit rate.",
+        desc: "<b>Content Delivery Network.</b> Caches STATIC content at edges near your clients.",
       },
-      cacheHitRate: 0.95,
+      memory: 1024, // MB of assets each edge and the shield can hold
+      eviction: "lru",
+      ttl: 300, // Seconds an edge serves an asset before fetching it again
+      maxTtl: 3600,
     },
     cache: {
       name: "Memory Cache",
@@ -188,13 +409,48 @@ const CONFIG = {
         upkeep: "Medium",
         desc: "<b>Memory Cache.</b> Caches responses to reduce DB load.",
       },
-      cacheHitRate: 0.35,
+      memory: 256, // MB of answers it can hold
+      eviction: "lru", // What makes room when memory is full
+      ttl: 30, // Seconds an answer is served before it must be read again
+      maxTtl: 300,
       tiers: [
-        { level: 1, capacity: 30, cacheHitRate: 0.35, cost: 0 },
-        { level: 2, capacity: 50, cacheHitRate: 0.5, cost: 120 },
-        { level: 3, capacity: 80, cacheHitRate: 0.65, cost: 180 },
+        { level: 1, capacity: 30, memory: 256, cost: 0 },
+        { level: 2, capacity: 50, memory: 512, cost: 120 },
+        { level: 3, capacity: 80, memory: 1024, cost: 180 },
       ],
     },
+    asg: {
+      name: "Auto Scaling Group",
+      cost: 80,
+      type: "asg",
+      processingTime: 0,
+      capacity: 1, // Takes no traffic itself; its instances do
+      upkeep: 3,
+      tooltip: {
+        upkeep: "Low",
+        desc: "<b>Auto Scaling Group.</b> Launches and retires Compute instances to match the load. Link a Load Balancer or Queue into it and stores out of it.",
+      },
+      // Defaults for a new group, tuned per group in the inspector
+      scaling: {
+        min: 1,
+        max: 6,
+        desired: 2,
+        policy: "target-tracking", // target-tracking | step | manual
+        metric: "cpu", // cpu | queue
+        target: 0.6,
+        stepUpRatio: 1.25, // Step policy adds one above target * this
+        stepDownRatio: 0.5, // ...and removes one below target * this
+        scaleOutCooldown: 10,
+        scaleInCooldown: 30,
+        warmup: 5, // Seconds before a new instance takes traffic
+        interval: 1,
+      },
+      // Default target per metric, applied when the metric is switched
+      metrics: {
+        cpu: { target: 0.6 },
+        queue: { target: 5 },
+      },
+    },
     sqs: {
       name: "Message Queue",
       cost: 35,
@@ -207,6 +463,39 @@ const CONFIG = {
         upkeep: "Low",
         desc: "<b>Queue.</b> Buffers requests during spikes. Prevents drops.",
       },
+      // Same probing as the load balancer, for the consumers it feeds
+      healthCheck: { interval: 2, unhealthyThreshold: 2, healthyThreshold: 3 },
+    },
+    dns: {
+      name: "DNS",
+      cost: 40,
+      type: "dns",
+      processingTime: 0,
+      capacity: 1, // Answers lookups; no requests pass through
+      maxQueueSize: 0,
+      upkeep: 2,
+      policy: "latency", // latency | weighted | geolocation | failover
+      ttl: 30, // Seconds resolvers cache an answer
+      maxTtl: 300,
+      resolvers: 8, // Caches per client region, each holding its own answer
+      defaultWeight: 10,
+      tooltip: {
+        upkeep: "Low",
+        desc: "<b>DNS.</b> Decides which entry point each client goes to: by latency, weight, location or failover. Answers are cached for the TTL.",
+      },
+    },
+    dlq: {
+      name: "Dead-Letter Queue",
+      cost: 20,
+      type: "dlq",
+      processingTime: 100,
+      capacity: 1, // Holds messages aside; nothing is processed here
+      maxQueueSize: 0,
+      upkeep: 1,
+      tooltip: {
+        upkeep: "Low",
+        desc: "<b>Dead letters.</b> Link from a Queue to catch messages that keep failing. Inspect, redrive or purge them.",
+      },
     },
   },
   survival: {
@@ -231,6 +520,8 @@ const CONFIG = {
       CACHE_HIT_BONUS: 0.2,
       MALICIOUS_MITIGATION_COST: 1.0, // Cost per blocked attack
       MALICIOUS_BREACH_PENALTY: 50.0, // Cost per successful attack
+      LATE_REWARD_MULTIPLIER: 0.5, // Replies past the deadline earn half and no rep
+      TIMEOUT_MULTIPLIER: 2, // Past deadline × this the client gives up: a failure
     },
 
     upkeepScaling: {
@@ -319,7 +610,7 @@ const CONFIG = {
       minInterval: 15, // Events can happen very rapidly
       maxInterval: 45, // Frequent events keep players engaged
       checkInterval: 30, // How often to check for triggering events
-      types: ["COST_SPIKE", "CAPACITY_DROP", "TRAFFIC_BURST", "SERVICE_OUTAGE"],
+      types: ["COST_SPIKE", "CAPACITY_DROP", "TRAFFIC_BURST", "SERVICE_OUTAGE", "REGION_OUTAGE"],
       events: [
         {
           type: "COST_SPIKE",
@@ -348,6 +639,12 @@ const CONFIG = {
           duration: 15,
           description: "Random service goes offline!",
         },
+        {
+          type: "REGION_OUTAGE",
+          name: "Region Outage",
+          duration: 20,
+          description: "Every service in one region goes offline!",
+        },
       ],
     },
 
@@ -363,12 +660,14 @@ const CONFIG = {
         { time: 600, multiplier: 4.0 }, // After 10 min, 4x - endgame pressure
       ],
     },
+    trafficCurve: "business",
   },
   sandbox: {
     defaultBudget: 2000,
     defaultRPS: 1.0,
     defaultBurstCount: 10,
     upkeepEnabled: false,
+    trafficCurve: "flat", // The RPS set is the rate until a curve is picked
     trafficDistribution: {
       STATIC: 30,
       READ: 20,
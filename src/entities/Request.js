@@ -1,34 +1,111 @@
 class Request {
-    constructor(type) {
+    /**
+     * @param {Object} [ingress] internet node the client comes in through
+     */
+    constructor(type, sim, ingress = sim.state.internetNode) {
         this.id = Math.random().toString(36);
+        this.sim = sim;
         this.type = type;
         this.typeConfig = CONFIG.trafficTypes[type];
         this.value = this.typeConfig.reward;
         this.cached = false;
+        this.stale = false; // Answered by a lagging replica or an out-of-date cache entry
+        this.partitionKey =
+            this.typeConfig.destination === "db" ? sim.randomPartitionKey() : null;
+        this.assetKey = type === TRAFFIC_TYPES.STATIC ? sim.randomAssetKey() : null;
+        // Caches that missed it, filled once the store answers
+        this.missedCaches = [];
 
-        const color = this.typeConfig.color;
-
-        const geo = new THREE.SphereGeometry(0.4, 8, 8);
-        const mat = new THREE.MeshBasicMaterial({ color: color });
-        this.mesh = new THREE.Mesh(geo, mat);
-
-        this.mesh.position.copy(STATE.internetNode.position);
-        this.mesh.position.y = 2;
-        requestGroup.add(this.mesh);
+        // Who sent it, and whether it would pass an API gateway's checks.
+        // Bad credentials and malformed requests only come with a gateway.
+        const gated = sim.hasGateway();
+        const client = sim.randomClient(gated);
+        this.clientId = client.id;
+        this.abusive = client.abusive;
+        this.authenticated = !gated || sim.rng.next() >= CONFIG.clients.unauthenticatedChance;
+        this.valid = !gated || sim.rng.next() >= CONFIG.clients.invalidChance;
 
+        const start = ingress.position;
+        // Region it entered, when the traffic manager had more than one
+        this.region = null;
+        // Client population it came from, and the client's trip to the ingress
+        this.population = null;
+        this.accessSeconds = 0;
+        // Region of the CDN edge it went to, if any
+        this.edge = null;
+        this.position = { x: start.x, y: 0, z: start.z };
+        this.origin = { ...this.position };
         this.target = null;
-        this.origin = STATE.internetNode.position.clone();
-        this.origin.y = 2;
         this.progress = 0;
         this.isMoving = false;
+        this.hopSeconds = CONFIG.regions.hopSeconds;
+
+        // Node that sent the current hop (null for the client) and which try it is
+        this.sender = null;
+        this.attempts = 1;
+
+        // Set once a queue in async mode has answered the client for it
+        this.accepted = false;
+        this.queueId = null;
+        this.acceptedAt = null;
+        this.receiveCount = 0; // Times a worker took it
+        this.received = false; // Whether a worker took it since it left its queue
+        this.poison = false; // A message no worker can process
+
+        // Where the request was one tick ago, for smooth rendering between ticks
+        this.previous = { x: start.x, z: start.z, progress: 0 };
+
+        // Hop timeline: spawn, enqueue, process, forward, finish / fail
+        this.spawnedAt = sim.state.elapsedGameTime;
+        this.timeline = [];
+        this.record("spawn");
+    }
+
+    /**
+     * Appends a hop event stamped with the current game time.
+     * @param {string} event spawn | enqueue | accept | process | forward | retry | redeliver |
+     *   dead-letter | finish | fail | timeout | reject
+     * @param {Service} [service] where it happened (the destination, for forward)
+     */
+    record(event, service = null) {
+        this.timeline.push({
+            event,
+            at: this.sim.state.elapsedGameTime,
+            serviceId: service?.id ?? null,
+            serviceType: service?.type ?? null,
+        });
+    }
+
+    /**
+     * Game seconds from spawn to the latest hop event.
+     */
+    get latency() {
+        return this.timeline[this.timeline.length - 1].at - this.spawnedAt;
+    }
+
+    /**
+     * Seconds spent queued, in flight and processing, summed over all hops.
+     */
+    get latencyBreakdown() {
+        const totals = { queued: 0, inFlight: 0, processing: 0 };
+        for (let i = 1; i < this.timeline.length; i++) {
+            const span = this.timeline[i].at - this.timeline[i - 1].at;
+            const from = this.timeline[i - 1].event;
+            if (from === "enqueue" || from === "accept") totals.queued += span;
+            else if (from === "process") totals.processing += span;
+            else totals.inFlight += span;
+        }
+        return totals;
     }
 
     get isCacheable() {
         return this.typeConfig.cacheable && !this.cached;
     }
 
-    get cacheHitRate() {
-        return this.typeConfig.cacheHitRate;
+    /** What a cache holds the answer under, or null for unkeyed requests */
+    get cacheKey() {
+        const key = this.partitionKey ?? this.assetKey;
+        return key === null ? null : `${this.type}:${key}`;
     }
 
     get destination() {
@@ -39,41 +116,71 @@ class Request {
         return this.typeConfig.processingWeight;
     }
 
-    flyTo(service) {
-        this.origin.copy(this.mesh.position);
+    get deadline() {
+        return this.typeConfig.deadline;
+    }
+
+    /**
+     * Game seconds since the client sent the request.
+     */
+    get age() {
+        return this.sim.state.elapsedGameTime - this.spawnedAt;
+    }
+
+    /**
+     * @param {Service} service next hop
+     * @param {number} [attempt] which try this is at the hop, for retries
+     */
+    flyTo(service, attempt = 1) {
+        this.record("forward", service);
+        // Moving on means the node we were at handled the last hop
+        if (this.sender) this.sender.recordHopOutcome(this.target, true);
+        this.sender = this.target;
+        this.attempts = attempt;
+        if (attempt === 1 && this.sender) this.sender.creditRetryBudget();
+        this.origin = { ...this.position };
+        // The client's own trip rides on the first hop
+        this.hopSeconds = this.sim.startHop(this.position, service, this) + this.accessSeconds;
+        this.accessSeconds = 0;
         this.target = service;
         this.progress = 0;
         this.isMoving = true;
     }
 
+    /**
+     * Parks the request back at the node that sent it until its backoff ends.
+     */
+    holdForRetry(service) {
+        this.record("retry", service);
+        this.target = service;
+        this.isMoving = false;
+        this.position = { x: service.position.x, y: 0, z: service.position.z };
+    }
+
     update(dt) {
+        this.previous = { x: this.position.x, z: this.position.z, progress: this.progress };
+
         if (this.isMoving && this.target) {
-            this.progress += dt * 2;
+            this.progress += dt / this.hopSeconds;
+            const dest = this.target.position;
             if (this.progress >= 1) {
                 this.progress = 1;
                 this.isMoving = false;
-                this.mesh.position.copy(this.target.position);
-                this.mesh.position.y = 2;
+                this.position = { x: dest.x, y: 0, z: dest.z };
 
                 // Use service-specific max queue size
                 const maxQueue = this.target.config.maxQueueSize || 20;
                 if (this.target.queue.length < maxQueue) {
                     this.target.queue.push(this);
+                    this.record("enqueue", this.target);
+                    if (this.target.acceptsAsync(this)) this.sim.acceptRequest(this, this.target);
                 } else {
-                    failRequest(this);
+                    this.sim.retryOrFail(this);
                 }
             } else {
-                const dest = this.target.position.clone();
-                dest.y = 2;
-                this.mesh.position.lerpVectors(this.origin, dest, this.progress);
-                this.mesh.position.y += Math.sin(this.progress * Math.PI) * 2;
+                this.position.x = this.origin.x + (dest.x - this.origin.x) * this.progress;
+                this.position.z = this.origin.z + (dest.z - this.origin.z) * this.progress;
             }
         }
     }
-
-    destroy() {
-        requestGroup.remove(this.mesh);
-        this.mesh.geometry.dispose();
-        this.mesh.material.dispose();
-    }
 }
@@ -1,181 +1,111 @@
 class Service {
-  constructor(type, pos) {
+  constructor(type, pos, sim) {
     this.id = "svc_" + Math.random().toString(36).substr(2, 9);
+    this.sim = sim;
     this.type = type;
     this.config = CONFIG.services[type];
-    this.position = pos.clone();
+    this.position = { x: pos.x, y: pos.y, z: pos.z };
     this.queue = [];
     this.processing = [];
     this.connections = [];
 
-    let geo, mat;
-    const materialProps = { roughness: 0.2 };
-
-    switch (type) {
-      case "waf":
-        geo = new THREE.BoxGeometry(3, 2, 0.5);
-        mat = new THREE.MeshStandardMaterial({
-          color: CONFIG.colors.waf,
-          ...materialProps,
-        });
-        break;
-      case "alb":
-        geo = new THREE.BoxGeometry(3, 1.5, 3);
-        mat = new THREE.MeshStandardMaterial({
-          color: CONFIG.colors.alb,
-          roughness: 0.1,
-        });
-        break;
-      case "compute":
-        geo = new THREE.CylinderGeometry(1.2, 1.2, 3, 16);
-        mat = new THREE.MeshStandardMaterial({
-          color: CONFIG.colors.compute,
-          ...materialProps,
-        });
-        break;
-      case "db":
-        geo = new THREE.CylinderGeometry(2, 2, 2, 6);
-        mat = new THREE.MeshStandardMaterial({
-          color: CONFIG.colors.db,
-          roughness: 0.3,
-        });
-        break;
-      case "s3":
-        geo = new THREE.CylinderGeometry(1.8, 1.5, 1.5, 8);
-        mat = new THREE.MeshStandardMaterial({
-          color: CONFIG.colors.s3,
-          ...materialProps,
-        });
-        break;
-      case "cache":
-        geo = new THREE.BoxGeometry(2.5, 1.5, 2.5);
-        mat = new THREE.MeshStandardMaterial({
-          color: CONFIG.colors.cache,
-          ...materialProps,
-        });
-        break;
-      case "sqs":
-        geo = new THREE.BoxGeometry(4, 0.8, 2);
-        mat = new THREE.MeshStandardMaterial({
-          color: CONFIG.colors.sqs,
-          ...materialProps,
-        });
-        break;
-      case "cdn":
-        geo = new THREE.SphereGeometry(1.5, 16, 16);
-        mat = new THREE.MeshStandardMaterial({
-          color: 0x4ade80, // Greenish for static
-          ...materialProps,
-          wireframe: true,
-        });
-        break;
-    }
-
-    this.mesh = new THREE.Mesh(geo, mat);
-    this.mesh.position.copy(pos);
-
-    if (type === "waf") this.mesh.position.y += 1;
-    else if (type === "alb") this.mesh.position.y += 0.75;
-    else if (type === "compute") this.mesh.position.y += 1.5;
-    else if (type === "s3") this.mesh.position.y += 0.75;
-    else if (type === "cache") this.mesh.position.y += 0.75;
-    else if (type === "sqs") this.mesh.position.y += 0.4;
-    else if (type === "cdn") this.mesh.position.y += 1.5;
-    else this.mesh.position.y += 1;
-
-    this.mesh.castShadow = true;
-    this.mesh.receiveShadow = true;
-    this.mesh.userData = { id: this.id };
-
-    const ringGeo = new THREE.RingGeometry(2.5, 2.7, 32);
-    const ringMat = new THREE.MeshBasicMaterial({
-      color: 0x333333,
-      side: THREE.DoubleSide,
-      transparent: true,
-      opacity: 0.5,
-    });
-    this.loadRing = new THREE.Mesh(ringGeo, ringMat);
-    this.loadRing.rotation.x = -Math.PI / 2;
-    this.loadRing.position.y = -this.mesh.position.y + 0.1;
-    this.mesh.add(this.loadRing);
-
     this.tier = 1;
-    this.tierRings = [];
     this.rrIndex = 0;
+    if (type === "alb") this.lbStrategy = this.config.defaultStrategy;
 
-    // Service health for degradation mechanic
-    this.health = 100;
-    this.originalColor = mat.color.getHex();
+    // Retries for requests this node sent that were dropped downstream
+    this.retryPolicy = CONFIG.retries.defaultPolicy;
+    this.retryTokens = 0;
+    this.pendingRetries = [];
 
-    // Health bar (3D bar above service)
-    this.createHealthBar();
+    // API gateways keep a token bucket per client
+    if (type === "apigw") {
+      this.rateLimit = this.config.rateLimit;
+      this.rateBuckets = {};
+    }
 
-    // SQS queue fill indicator
+    // Queues answer some writes as soon as they hold them when async
     if (type === "sqs") {
-      const fillGeo = new THREE.BoxGeometry(3.8, 0.6, 1.8);
-      const fillMat = new THREE.MeshBasicMaterial({
-        color: 0x00ff00,
-        transparent: true,
-        opacity: 0.3,
-      });
-      this.queueFill = new THREE.Mesh(fillGeo, fillMat);
-      this.queueFill.position.set(0, 0, 0);
-      this.queueFill.scale.x = 0;
-      this.mesh.add(this.queueFill);
+      this.asyncMode = false;
+      this.maxReceiveCount = CONFIG.messaging.maxReceiveCount;
+    }
+    // Messages a queue gave up on, set aside rather than queued
+    if (type === "dlq") this.messages = [];
+    // The DNS node answers every client lookup with an entry point
+    if (type === "dns") this.router = new DnsRouter(this);
+    // Memory caches hold answers by key until they expire or are invalidated
+    if (type === "cache") this.cacheStore = new CacheStore(this);
+    // The CDN serves assets from an edge near each client
+    if (type === "cdn") this.edges = new CdnEdges(this);
+
+    // Circuit breakers on links to stores, by target id
+    this.breakers = {};
+
+    // Autoscaling groups manage a pool of Compute instances
+    if (type === "asg") this.scaling = new AutoScalingGroup(this);
+    // Set on instances a group launched
+    this.groupId = null;
+    this.warmup = 0;
+    this.draining = false;
+
+    // Replication: a primary DB tracks its write rate, replicas their lag
+    if (type === "db") {
+      this.writeRate = 0;
+      this.writesThisTick = 0;
+      // Shared by every shard once the db has been split
+      this.shardMap = null;
+    }
+    if (type === "replica") this.replicationLag = CONFIG.replication.baseLag;
+    // Writes waiting for the indexing pipeline
+    if (type === "search") this.indexBacklog = 0;
+
+    // Active health checks on the targets this node routes to
+    if (this.config.healthCheck) {
+      this.healthCheck = { ...this.config.healthCheck };
+      this.healthCheckTimer = 0;
+      this.targetHealth = {};
     }
 
-    serviceGroup.add(this.mesh);
+    // Service health for degradation mechanic
+    this.health = 100;
   }
 
   upgrade() {
-    if (!["compute", "db", "cache"].includes(this.type)) return;
+    if (!["compute", "db", "cache"].includes(this.type)) return false;
+    const state = this.sim.state;
     const tiers = CONFIG.services[this.type].tiers;
-    if (this.tier >= tiers.length) return;
+    if (this.tier >= tiers.length) return false;
 
     const nextTier = tiers[this.tier];
-    if (STATE.money < nextTier.cost) {
-      flashMoney();
-      return;
+    if (state.money < nextTier.cost) {
+      this.sim.emit("money:insufficient", { cost: nextTier.cost });
+      return false;
     }
 
-    STATE.money -= nextTier.cost;
+    state.money -= nextTier.cost;
     // Track upgrade costs in finances
-    if (STATE.finances) {
-      STATE.finances.expenses.services += nextTier.cost;
-      STATE.finances.expenses.byService[this.type] =
-        (STATE.finances.expenses.byService[this.type] || 0) + nextTier.cost;
+    if (state.finances) {
+      state.finances.expenses.services += nextTier.cost;
+      state.finances.expenses.byService[this.type] =
+        (state.finances.expenses.byService[this.type] || 0) + nextTier.cost;
     }
-    this.tier++;
-    this.config = { ...this.config, capacity: nextTier.capacity };
+    this.applyTier(this.tier + 1);
 
-    // Update cacheHitRate for cache type
-    if (this.type === "cache" && nextTier.cacheHitRate) {
-      this.config = { ...this.config, cacheHitRate: nextTier.cacheHitRate };
-    }
+    this.sim.emit("service:upgraded", { service: this });
+    return true;
+  }
 
-    STATE.sound.playPlace();
+  applyTier(level) {
+    const tierData = CONFIG.services[this.type].tiers?.[level - 1];
+    if (!tierData) return;
 
-    // Visuals
-    let ringSize, ringColor;
-    if (this.type === "db") {
-      ringSize = 2.2;
-      ringColor = 0xff0000;
-    } else if (this.type === "cache") {
-      ringSize = 1.5;
-      ringColor = 0xdc382d; // Redis red
-    } else {
-      ringSize = 1.3;
-      ringColor = 0xffff00;
-    }
+    this.tier = level;
+    this.config = { ...this.config, capacity: tierData.capacity };
 
-    const ringGeo = new THREE.TorusGeometry(ringSize, 0.1, 8, 32);
-    const ringMat = new THREE.MeshBasicMaterial({ color: ringColor });
-    const ring = new THREE.Mesh(ringGeo, ringMat);
-    ring.rotation.x = Math.PI / 2;
-    // Tier rings
-    ring.position.y = -this.mesh.position.y + (this.tier === 2 ? 0.5 : 1.0);
-    this.mesh.add(ring);
-    this.tierRings.push(ring);
+    // Cache tiers buy memory
+    if (tierData.memory) {
+      this.config = { ...this.config, memory: tierData.memory };
+    }
   }
 
   processQueue() {
@@ -187,17 +117,23 @@ class Service {
       const req = this.queue.shift();
 
       if (this.type === "waf" && req.type === TRAFFIC_TYPES.MALICIOUS) {
-        updateScore(req, "MALICIOUS_BLOCKED");
-        req.destroy();
+        this.sim.blockRequest(req);
         continue;
       }
 
+      // A worker taking an accepted message is what counts as a receive
+      if (this.type === "compute" && req.accepted) {
+        req.receiveCount++;
+        req.received = true;
+      }
+
+      req.record("process", this);
       this.processing.push({ req: req, timer: 0 });
     }
   }
 
   findConnectedService(serviceType) {
-    return STATE.services.find(
+    return this.sim.state.services.find(
       (s) => this.connections.includes(s.id) && s.type === serviceType
     );
   }
@@ -213,8 +149,10 @@ class Service {
   }
 
   update(dt) {
+    const state = this.sim.state;
+
     // Service degradation mechanic
-    if (CONFIG.survival.degradation?.enabled && STATE.gameMode === "survival") {
+    if (CONFIG.survival.degradation?.enabled && state.gameMode === "survival") {
       const degradeConfig = CONFIG.survival.degradation;
       const load = this.totalLoad;
 
@@ -232,120 +170,161 @@ class Service {
           this.health + degradeConfig.autoRepairRate * dt
         );
       }
-
-      // Update visual appearance based on health
-      this.updateHealthVisual();
     }
 
-    if (STATE.upkeepEnabled) {
-      const multiplier =
-        typeof getUpkeepMultiplier === "function" ? getUpkeepMultiplier() : 1.0;
-      const upkeepCost = (this.config.upkeep / 60) * dt * multiplier;
-      STATE.money -= upkeepCost;
-      if (STATE.finances) {
-        STATE.finances.expenses.upkeep += upkeepCost;
-        STATE.finances.expenses.byService[this.type] =
-          (STATE.finances.expenses.byService[this.type] || 0) + upkeepCost;
+    if (state.upkeepEnabled) {
+      const multiplier = this.sim.getUpkeepMultiplier();
+      const upkeepCost = (this.upkeep / 60) * dt * multiplier;
+      state.money -= upkeepCost;
+      if (state.finances) {
+        state.finances.expenses.upkeep += upkeepCost;
+        state.finances.expenses.byService[this.type] =
+          (state.finances.expenses.byService[this.type] || 0) + upkeepCost;
+        if (this.type === "compute") {
+          state.finances.idleUpkeep += upkeepCost * Math.max(0, 1 - this.totalLoad);
+        }
       }
     }
 
+    if (this.scaling) this.scaling.update(dt);
+    if (this.type === "db") this.updateWriteRate(dt);
+    if (this.isMigrationSource) this.updateMigration(dt);
+    if (this.cacheStore) this.cacheStore.update(dt);
+    if (this.type === "replica") this.updateReplicationLag(dt);
+    if (this.type === "search") this.updateIndexing(dt);
+    if (this.healthCheck) this.runHealthChecks(dt);
+    this.updateRetries(dt);
+    this.updateBreakers();
+
     this.processQueue();
 
     for (let i = this.processing.length - 1; i >= 0; i--) {
       let job = this.processing[i];
 
-      const processingTime =
+      let processingTime =
         this.type === "compute"
           ? this.config.processingTime * job.req.processingWeight
           : this.config.processingTime;
+      if (this.type === "nosql" && job.req.type === TRAFFIC_TYPES.SEARCH) {
+        processingTime *= this.config.searchProcessingMultiplier;
+      }
 
       job.timer += dt * 1000;
 
       if (job.timer >= processingTime) {
         this.processing.splice(i, 1);
 
-        const failChance = calculateFailChanceBasedOnLoad(this.totalLoad);
+        // A queue holds on to what it cannot hand on rather than dropping it
+        const failChance =
+          this.type === "sqs" ? 0 : calculateFailChanceBasedOnLoad(this.totalLoad);
         // Increase fail chance when health is low
         const healthPenalty =
-          this.health < (CONFIG.survival.degradation?.criticalHealth || 30)
+          this.health < CONFIG.survival.degradation.criticalHealth
             ? (1 - this.health / 100) * 0.5
             : 0;
         const totalFailChance = Math.min(1, failChance + healthPenalty);
-        if (Math.random() < totalFailChance) {
-          failRequest(job.req);
+        if (this.sim.rng.next() < totalFailChance) {
+          this.sim.retryOrFail(job.req);
           continue;
         }
 
         if (this.type === "db") {
           if (job.req.destination === "db") {
-            finishRequest(job.req);
+            if (job.req.type === TRAFFIC_TYPES.WRITE) {
+              this.writesThisTick++;
+              this.publishWrite();
+              this.sim.recordWrite(this, job.req.partitionKey);
+            }
+            this.sim.finishRequest(job.req);
           } else {
-            failRequest(job.req);
+            this.sim.failRequest(job.req);
+          }
+          continue;
+        }
+
+        // Key-value stores take any database request, searches just run slow
+        if (this.type === "nosql") {
+          if (job.req.destination === "db") {
+            if (job.req.type === TRAFFIC_TYPES.WRITE) {
+              this.publishWrite();
+              this.sim.recordWrite(this, job.req.partitionKey);
+            }
+            this.sim.finishRequest(job.req);
+          } else {
+            this.sim.failRequest(job.req);
+          }
+          continue;
+        }
+
+        // Search indexes answer SEARCH from whatever they have indexed so far
+        if (this.type === "search") {
+          if (job.req.type === TRAFFIC_TYPES.SEARCH) {
+            if (this.sim.rng.next() < this.indexStaleChance) job.req.stale = true;
+            this.sim.finishRequest(job.req);
+          } else {
+            this.sim.failRequest(job.req);
+          }
+          continue;
+        }
+
+        // Replicas answer reads for their primary, possibly out of date
+        if (this.type === "replica") {
+          if (job.req.destination === "db" && job.req.type !== TRAFFIC_TYPES.WRITE && this.primary) {
+            if (this.sim.rng.next() < this.staleChance) job.req.stale = true;
+            this.sim.finishRequest(job.req);
+          } else {
+            this.sim.failRequest(job.req);
           }
           continue;
         }
 
         if (this.type === "s3") {
           if (job.req.destination === "s3" || job.req.destination === "cdn") {
-            finishRequest(job.req);
+            this.sim.finishRequest(job.req);
           } else {
-            failRequest(job.req);
+            this.sim.failRequest(job.req);
           }
           continue;
         }
 
         if (this.type === "cache") {
-          if (job.req.isCacheable) {
-            const hitRate = job.req.cacheHitRate;
-
-            if (Math.random() < hitRate) {
+          if (job.req.isCacheable && job.req.cacheKey !== null) {
+            if (this.cacheStore.lookup(job.req)) {
               job.req.cached = true;
-              STATE.sound.playSuccess();
-              this.flashCacheHit();
-              finishRequest(job.req);
+              this.sim.emit("service:cache-hit", { service: this, req: job.req });
+              this.sim.finishRequest(job.req);
               continue;
             }
+            job.req.missedCaches.push(this.cacheStore);
+            if (this.cacheStore.coalesce(job.req)) continue;
           }
 
-          const destType = job.req.destination;
-          const target = this.findConnectedService(destType);
+          const target = this.storeFor(job.req);
 
           if (target) {
             job.req.flyTo(target);
           } else {
-            failRequest(job.req);
+            this.sim.failRequest(job.req);
           }
           continue;
         }
 
-        // CDN processing logic - High cache hit rate for static content
+        // CDN: the client's edge answers STATIC it holds
         if (this.type === "cdn") {
-          if (job.req.type === "STATIC") {
-            const hitRate = this.config.cacheHitRate || 0.95;
-
-            // CDN Cache Hit
-            if (Math.random() < hitRate) {
-              job.req.cached = true;
-              STATE.sound.playSuccess();
-              this.flashCacheHit();
-              finishRequest(job.req);
-              continue;
-            }
+          if (job.req.type === TRAFFIC_TYPES.STATIC && this.edges.serve(job.req)) {
+            job.req.cached = true;
+            this.sim.emit("service:cache-hit", { service: this, req: job.req });
+            this.sim.finishRequest(job.req);
+            continue;
           }
 
-          // Cache Miss - Forward to Origin (S3 or whatever is connected)
-          // We look for any connected service that isn't Internet
-          const connectedServices = this.connections
-            .map((id) => STATE.services.find((s) => s.id === id))
-            .filter((s) => s && s.type !== "internet");
-
-          if (connectedServices.length > 0) {
-            // Simple round robin or just pick first
-            const target = connectedServices[0];
-            job.req.flyTo(target);
+          // Cache Miss - Forward to Origin
+          const origin = this.pickConnected("s3");
+          if (origin) {
+            job.req.flyTo(origin);
           } else {
             // Configuring Miss but no origin = Fail
-            failRequest(job.req);
+            this.sim.failRequest(job.req);
           }
           continue;
         }
@@ -354,12 +333,15 @@ class Service {
         if (this.type === "sqs") {
           // SQS just forwards requests with backpressure check
           const downstreamTypes = ["alb", "compute"];
-          const candidates = this.connections
-            .map((id) => STATE.services.find((s) => s.id === id))
-            .filter((s) => s && downstreamTypes.includes(s.type) && !s.isDisabled);
-
-          if (candidates.length === 0) {
-            failRequest(job.req);
+          const candidates = this.routableTargets(
+            this.connections
+              .map((id) => state.services.find((s) => s.id === id))
+              .filter((s) => s && downstreamTypes.includes(s.type) && s.isRoutable)
+          );
+
+          // Accepted messages wait for a consumer; requests have a client waiting
+          if (candidates.length === 0 && !job.req.accepted) {
+            this.sim.failRequest(job.req);
             continue;
           }
 
@@ -369,9 +351,12 @@ class Service {
             const target = candidates[this.rrIndex % candidates.length];
             this.rrIndex++;
 
-            // Check if target can accept (has queue space)
-            const targetMaxQueue = target.config.maxQueueSize || 20;
-            if (target.queue.length < targetMaxQueue) {
+            // Check if target can accept (has queue space). Workers pull
+            // accepted messages only when one of them has a free slot
+            const hasRoom = job.req.accepted
+              ? target.freeWorkerSlots > 0
+              : target.queue.length < (target.config.maxQueueSize || 20);
+            if (hasRoom) {
               job.req.flyTo(target);
               sent = true;
               break;
@@ -381,215 +366,493 @@ class Service {
           if (!sent) {
             // All downstream busy - put back in OUR queue
             this.queue.unshift(job.req);
-            this.processing.splice(i, 1);
+            job.req.record("enqueue", this);
             break; // Don't process more this frame
           }
           continue;
         }
 
+        // Gateways turn away what the backend should never see, then route
+        if (this.type === "apigw") {
+          const reason = this.gatekeep(job.req);
+          if (reason) {
+            this.sim.rejectRequest(job.req, reason);
+            continue;
+          }
+        }
+
         if (this.type === "compute") {
           const destType = job.req.destination;
 
           if (destType === "blocked") {
-            failRequest(job.req);
+            this.sim.failRequest(job.req);
+            continue;
+          }
+
+          // A poison message crashes the worker every time it is received
+          if (job.req.poison) {
+            this.sim.retryOrFail(job.req);
+            continue;
+          }
+
+          // Without a gateway in front, the app only finds out after the work
+          if (!job.req.authenticated || !job.req.valid) {
+            this.sim.rejectRequest(job.req, job.req.authenticated ? "invalid" : "unauthenticated");
             continue;
           }
 
+          // An open breaker on the cache link sends reads straight to the store
           if (job.req.isCacheable) {
             const cacheTarget = this.findConnectedService("cache");
-            if (cacheTarget) {
+            if (cacheTarget && this.breakerAllows(cacheTarget)) {
               job.req.flyTo(cacheTarget);
               continue;
             }
           }
 
-          const directTarget = this.findConnectedService(destType);
-          if (directTarget) {
+          // Reads go to a replica when one is attached; writes need the primary,
+          // and SEARCH goes to a linked search index first
+          const indexed = job.req.type === TRAFFIC_TYPES.SEARCH && this.pickConnected("search");
+          if (job.req.type !== TRAFFIC_TYPES.WRITE && destType === "db" && !indexed) {
+            const replica = this.pickReplica(job.req);
+            if (replica && this.breakerAllows(replica)) {
+              job.req.flyTo(replica);
+              continue;
+            }
+          }
+
+          const directTarget = this.storeFor(job.req);
+          if (directTarget && this.breakerAllows(directTarget)) {
             job.req.flyTo(directTarget);
           } else {
-            failRequest(job.req);
+            // No store, or its breaker is open: fail fast
+            this.sim.failRequest(job.req);
           }
         } else {
-          const candidates = this.connections
-            .map((id) => STATE.services.find((s) => s.id === id))
-            .filter((s) => s !== undefined && !s.isDisabled); // Skip offline nodes
+          const candidates = this.routableTargets(
+            this.connections
+              .map((id) => state.services.find((s) => s.id === id))
+              .filter((s) => s !== undefined && s.isRoutable) // Skip offline nodes
+          );
 
           if (candidates.length > 0) {
-            const target = candidates[this.rrIndex % candidates.length];
-            this.rrIndex++;
-            job.req.flyTo(target);
+            job.req.flyTo(this.pickTarget(candidates));
           } else {
-            failRequest(job.req);
+            this.sim.failRequest(job.req);
           }
         }
       }
     }
+  }
 
-    if (this.totalLoad > 0.8) {
-      this.loadRing.material.color.setHex(0xff0000);
-      if (STATE.selectedNodeId === this.id) {
-        this.loadRing.material.opacity = 1.0;
-      } else {
-        this.loadRing.material.opacity = 0.8;
-      }
-    } else if (this.totalLoad > 0.5) {
-      this.loadRing.material.color.setHex(0xffaa00);
-      if (STATE.selectedNodeId === this.id) {
-        this.loadRing.material.opacity = 1.0;
-      } else {
-        this.loadRing.material.opacity = 0.6;
-      }
-    } else if (this.totalLoad > 0.2) {
-      this.loadRing.material.color.setHex(0xffff00);
-      if (STATE.selectedNodeId === this.id) {
-        this.loadRing.material.opacity = 1.0;
-      } else {
-        this.loadRing.material.opacity = 0.4;
-      }
-    } else {
-      this.loadRing.material.color.setHex(0x00ff00);
-      if (STATE.selectedNodeId === this.id) {
-        this.loadRing.material.opacity = 1.0;
-      } else {
-        this.loadRing.material.opacity = 0.3;
-      }
+  // ==================== RETRIES ====================
+
+  get retryConfig() {
+    return CONFIG.retryPolicies[this.retryPolicy] || CONFIG.retryPolicies.none;
+  }
+
+  /**
+   * Every first attempt this node sends earns a fraction of a retry when
+   * its policy has a budget.
+   */
+  creditRetryBudget() {
+    const budget = this.retryConfig.budget;
+    if (!budget) return;
+    this.retryTokens = Math.min(CONFIG.retries.budgetCap, this.retryTokens + budget);
+  }
+
+  /**
+   * Takes back a request that was dropped after this node sent it and
+   * schedules another attempt. Returns false when the policy is out of
+   * attempts or budget.
+   */
+  scheduleRetry(req) {
+    const policy = this.retryConfig;
+    if (req.attempts >= policy.maxAttempts) return false;
+    if (policy.budget) {
+      if (this.retryTokens < 1) return false;
+      this.retryTokens -= 1;
     }
 
-    if (this.type === "sqs" && this.queueFill) {
-      const maxQ = this.config.maxQueueSize || 200;
-      const fillPercent = this.queue.length / maxQ;
-      this.queueFill.scale.x = fillPercent;
-      this.queueFill.position.x = (fillPercent - 1) * 1.9;
+    const failedAt = req.target;
+    let delay = Math.min(
+      policy.baseDelay * Math.pow(policy.multiplier, req.attempts - 1),
+      policy.maxDelay ?? Infinity
+    );
+    if (policy.jitter) delay *= 1 - policy.jitter * this.sim.rng.next();
+
+    req.holdForRetry(this);
+    this.pendingRetries.push({ req, failedAt, timer: delay });
+    this.sim.state.retries++;
+    this.sim.emit("request:retried", { req, service: this });
+    return true;
+  }
+
+  updateRetries(dt) {
+    for (let i = this.pendingRetries.length - 1; i >= 0; i--) {
+      const retry = this.pendingRetries[i];
+      retry.timer -= dt;
+      if (retry.timer > 0) continue;
 
-      if (fillPercent > 0.8) {
-        this.queueFill.material.color.setHex(0xff0000);
-      } else if (fillPercent > 0.5) {
-        this.queueFill.material.color.setHex(0xffaa00);
+      this.pendingRetries.splice(i, 1);
+      const target = this.retryTarget(retry.failedAt);
+      if (target && this.breakerAllows(target)) {
+        retry.req.flyTo(target, retry.req.attempts + 1);
       } else {
-        this.queueFill.material.color.setHex(0x00ff00);
+        this.sim.failRequest(retry.req);
       }
     }
   }
 
-  flashCacheHit() {
-    if (!this.mesh) return;
-    const originalColor = this.mesh.material.color.getHex();
-    this.mesh.material.color.setHex(0x00ff00); // Green flash
-    setTimeout(() => {
-      this.mesh.material.color.setHex(originalColor);
-    }, 100);
+  /**
+   * Balancers spread retries across healthy targets like any other request;
+   * everything else tries the same node again.
+   */
+  retryTarget(failedAt) {
+    const alive = this.connections
+      .map((id) => this.sim.getEntity(id))
+      .filter((s) => s && s.isRoutable);
+    if (this.healthCheck) {
+      const candidates = this.routableTargets(alive);
+      if (candidates.length > 0) return this.pickTarget(candidates);
+    }
+    return alive.includes(failedAt) ? failedAt : null;
   }
 
-  get totalLoad() {
-    return (
-      (this.processing.length + this.queue.length) / (this.config.capacity * 2)
+  // ==================== REPLICATION ====================
+
+  /** The DB this replica copies: the one linked into it */
+  get primary() {
+    return this.sim.state.services.find(
+      (s) => s.type === "db" && s.connections.includes(this.id)
     );
   }
 
-  destroy() {
-    serviceGroup.remove(this.mesh);
-    if (this.tierRings) {
-      this.tierRings.forEach((r) => {
-        r.geometry.dispose();
-        r.material.dispose();
+  updateWriteRate(dt) {
+    const alpha = Math.min(1, dt / CONFIG.replication.smoothing);
+    this.writeRate += (this.writesThisTick / dt - this.writeRate) * alpha;
+    this.writesThisTick = 0;
+  }
+
+  /**
+   * Lag follows the primary's write rate, and a busy replica applies the
+   * changes more slowly. Without a primary there is nothing to fall behind.
+   */
+  updateReplicationLag(dt) {
+    const settings = CONFIG.replication;
+    const primary = this.primary;
+    const target = primary
+      ? (settings.baseLag + primary.writeRate * settings.lagPerWrite) * (1 + this.totalLoad)
+      : settings.baseLag;
+    this.replicationLag += (target - this.replicationLag) * Math.min(1, dt / settings.smoothing);
+  }
+
+  get staleChance() {
+    const settings = CONFIG.replication;
+    return Math.min(settings.maxStaleChance, this.replicationLag * settings.staleChancePerSecond);
+  }
+
+  /**
+   * A replica linked from this node that copies the primary owning the
+   * request's key.
+   */
+  pickReplica(req) {
+    const replicas = this.connections
+      .map((id) => this.sim.getEntity(id))
+      .filter((s) => {
+        if (!s || s.type !== "replica" || !s.isRoutable) return false;
+        const primary = s.primary;
+        return primary && (!primary.shardMap || primary.shardMap.ownerOf(req.partitionKey) === primary.id);
       });
+    return replicas.length > 0 ? this.pickTarget(replicas) : null;
+  }
+
+  // ==================== MESSAGING ====================
+
+  /** The dead-letter queue this queue moves failing messages to, if linked */
+  get deadLetterQueue() {
+    return this.findConnectedService("dlq");
+  }
+
+  /** Whether this queue answers `req` as soon as it holds it */
+  acceptsAsync(req) {
+    return this.asyncMode && !req.accepted && CONFIG.messaging.asyncTypes.includes(req.type);
+  }
+
+  /** Requests flying to this node that have not arrived yet */
+  get inbound() {
+    return this.sim.state.requests.filter((r) => r.isMoving && r.target === this).length;
+  }
+
+  /**
+   * Slots free for accepted messages. A worker has what its capacity leaves
+   * after the work it holds or has coming; a load balancer has its workers'
+   * free slots, less what it holds or has coming itself.
+   */
+  get freeWorkerSlots() {
+    const pending = this.processing.length + this.queue.length + this.inbound;
+    if (this.type === "compute") return this.getEffectiveCapacity() - pending;
+    const workers = this.connections
+      .map((id) => this.sim.getEntity(id))
+      .filter((s) => s && s.type === "compute" && s.isRoutable);
+    return workers.reduce((sum, s) => sum + Math.max(0, s.freeWorkerSlots), 0) - pending;
+  }
+
+  /**
+   * Seconds the oldest accepted message behind this queue has waited, or 0
+   * when there is none. Counts messages out with consumers, not just queued.
+   */
+  get oldestMessageAge() {
+    const now = this.sim.state.elapsedGameTime;
+    return this.sim.state.requests
+      .filter((req) => req.accepted && req.queueId === this.id)
+      .reduce((oldest, req) => Math.max(oldest, now - req.acceptedAt), 0);
+  }
+
+  // ==================== API GATEWAY ====================
+
+  /**
+   * @returns {string|null} why the request is rejected, or null to let it through
+   */
+  gatekeep(req) {
+    if (!req.authenticated) return "unauthenticated";
+    if (!req.valid) return "invalid";
+    return this.takeRateToken(req.clientId) ? null : "rate-limited";
+  }
+
+  /**
+   * Token bucket per client, refilled at `rateLimit` per second.
+   */
+  takeRateToken(clientId) {
+    const now = this.sim.state.elapsedGameTime;
+    const burst = Math.max(1, this.rateLimit * this.config.burstSeconds);
+    const bucket = this.rateBuckets[clientId] || { tokens: burst, at: now };
+    bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.at) * this.rateLimit);
+    bucket.at = now;
+    this.rateBuckets[clientId] = bucket;
+    if (bucket.tokens < 1) return false;
+    bucket.tokens -= 1;
+    return true;
+  }
+
+  // ==================== SEARCH INDEXING ====================
+
+  /** Hands a completed write to every search index this store feeds */
+  publishWrite() {
+    this.connections
+      .map((id) => this.sim.getEntity(id))
+      .filter((s) => s && s.type === "search")
+      .forEach((index) => index.indexBacklog++);
+  }
+
+  /** Stores linked into this search index */
+  get indexFeeds() {
+    return this.sim.state.services.filter(
+      (s) => ["db", "nosql"].includes(s.type) && s.connections.includes(this.id)
+    );
+  }
+
+  updateIndexing(dt) {
+    this.indexBacklog = Math.max(0, this.indexBacklog - this.config.indexRate * dt);
+  }
+
+  /**
+   * Seconds before a write made now shows up in results: the backlog ahead
+   * of it. An index nothing feeds never catches up.
+   */
+  get indexLag() {
+    if (this.indexFeeds.length === 0) return Infinity;
+    return this.indexBacklog / this.config.indexRate;
+  }
+
+  get indexStaleChance() {
+    return Math.min(this.config.maxStaleChance, this.indexLag * this.config.staleChancePerSecond);
+  }
+
+  // ==================== SHARDING ====================
+
+  /**
+   * The linked store for the request's destination. SEARCH goes to a
+   * search index first. Database requests go to NoSQL stores when there
+   * are any, except SEARCH while a SQL DB is linked too. Sharded databases
+   * are looked up in the shard map; a shard this node has no link to is no
+   * route at all.
+   */
+  storeFor(req) {
+    if (req.type === TRAFFIC_TYPES.SEARCH) {
+      const index = this.pickConnected("search");
+      if (index) return index;
     }
-    if (this.healthBarBg) {
-      this.healthBarBg.geometry.dispose();
-      this.healthBarBg.material.dispose();
+
+    if (req.destination === "db") {
+      const nosql = this.pickConnected("nosql");
+      const searchOnSql = req.type === TRAFFIC_TYPES.SEARCH && this.findConnectedService("db");
+      if (nosql && !searchOnSql) return nosql;
     }
-    if (this.healthBarFill) {
-      this.healthBarFill.geometry.dispose();
-      this.healthBarFill.material.dispose();
+
+    const store = this.findConnectedService(req.destination);
+    if (!store || !store.shardMap) return store;
+    const owner = store.shardMap.ownerOf(req.partitionKey);
+    return this.connections.includes(owner) ? this.sim.getEntity(owner) : null;
+  }
+
+  /**
+   * Any routable linked node of a type whose nodes are interchangeable:
+   * NoSQL stores partition their keys themselves, search indexes each hold
+   * the whole index.
+   */
+  pickConnected(type) {
+    const stores = this.connections
+      .map((id) => this.sim.getEntity(id))
+      .filter((s) => s && s.type === type && s.isRoutable);
+    return stores.length > 0 ? this.pickTarget(stores) : null;
+  }
+
+  get isMigrationSource() {
+    return this.shardMap?.migration?.from === this.id;
+  }
+
+  /** Whether a cache linked to this store is reloading keys from it */
+  get isWarmSource() {
+    return this.sim.state.services.some(
+      (s) => s.cacheStore?.warming && s.connections.includes(this.id)
+    );
+  }
+
+  updateMigration(dt) {
+    const map = this.shardMap;
+    const to = map.migration.to;
+    if (map.updateMigration(dt)) {
+      this.sim.emit("shard:migrated", { service: this, shard: this.sim.getEntity(to) });
     }
-    this.mesh.geometry.dispose();
-    this.mesh.material.dispose();
   }
 
-  createHealthBar() {
-    // Background bar (dark)
-    const bgGeo = new THREE.BoxGeometry(3, 0.3, 0.1);
-    const bgMat = new THREE.MeshBasicMaterial({
-      color: 0x333333,
-      transparent: true,
-      opacity: 0.8,
-    });
-    this.healthBarBg = new THREE.Mesh(bgGeo, bgMat);
-    this.healthBarBg.position.set(0, 2.5, 0);
-    this.mesh.add(this.healthBarBg);
+  // ==================== CIRCUIT BREAKERS ====================
 
-    // Fill bar (colored based on health)
-    const fillGeo = new THREE.BoxGeometry(2.9, 0.25, 0.12);
-    const fillMat = new THREE.MeshBasicMaterial({ color: 0x00ff00 });
-    this.healthBarFill = new THREE.Mesh(fillGeo, fillMat);
-    this.healthBarFill.position.set(0, 0, 0.01);
-    this.healthBarBg.add(this.healthBarFill);
+  breakerAllows(target) {
+    const breaker = this.breakers[target.id];
+    return !breaker || breaker.allowRequest(this.sim.state.elapsedGameTime);
+  }
 
-    // Initially hidden (show when damaged)
-    this.healthBarBg.visible = false;
+  /**
+   * Feeds the result of a hop this node sent into the link's breaker.
+   */
+  recordHopOutcome(target, ok) {
+    const breaker = target && this.breakers[target.id];
+    if (breaker && breaker.record(ok, this.sim.state.elapsedGameTime)) {
+      this.emitBreakerChange(target.id);
+    }
   }
 
-  updateHealthBar() {
-    if (!this.healthBarBg || !this.healthBarFill) return;
+  updateBreakers() {
+    const now = this.sim.state.elapsedGameTime;
+    Object.keys(this.breakers).forEach((id) => {
+      if (!this.connections.includes(id)) delete this.breakers[id];
+      else if (this.breakers[id].update(now)) this.emitBreakerChange(id);
+    });
+  }
 
-    // Show health bar when health < 100
-    this.healthBarBg.visible = this.health < 100;
+  emitBreakerChange(targetId) {
+    this.sim.emit("breaker:changed", {
+      service: this,
+      targetId,
+      state: this.breakers[targetId]?.state ?? null,
+    });
+  }
 
-    if (this.health >= 100) return;
+  // ==================== HEALTH CHECKS ====================
+
+  /**
+   * Probes every connected target that takes routed traffic once per
+   * interval. A probe fails when the target is offline or its health is
+   * below the critical threshold.
+   */
+  runHealthChecks(dt) {
+    this.healthCheckTimer += dt;
+    if (this.healthCheckTimer < this.healthCheck.interval) return;
+    this.healthCheckTimer = 0;
+
+    const criticalHealth = CONFIG.survival.degradation.criticalHealth;
+    const checked = {};
+    this.connections.forEach((id) => {
+      const target = this.sim.getEntity(id);
+      // Group nodes and dead-letter queues take no routed traffic to probe
+      if (!target || target.scaling || target.type === "dlq") return;
+
+      const status = this.targetHealth[id] || { healthy: true, passes: 0, fails: 0 };
+      checked[id] = status;
+      const passed = target.isRoutable && target.health >= criticalHealth;
+
+      if (passed) {
+        status.fails = 0;
+        status.passes++;
+        if (!status.healthy && status.passes >= this.healthCheck.healthyThreshold) {
+          status.healthy = true;
+          this.sim.emit("target:healthy", { balancer: this, target });
+        }
+      } else {
+        status.passes = 0;
+        status.fails++;
+        if (status.healthy && status.fails >= this.healthCheck.unhealthyThreshold) {
+          status.healthy = false;
+          this.sim.emit("target:unhealthy", { balancer: this, target });
+        }
+      }
+    });
+    // Targets that were unlinked are forgotten
+    this.targetHealth = checked;
+  }
 
-    // Update fill scale (0 to 1)
-    const fillPercent = this.health / 100;
-    this.healthBarFill.scale.x = Math.max(0.01, fillPercent);
-    this.healthBarFill.position.x = (fillPercent - 1) * 1.45;
+  isTargetHealthy(id) {
+    return !this.targetHealth || this.targetHealth[id]?.healthy !== false;
+  }
 
-    // Update color based on health
-    if (this.health < 30) {
-      this.healthBarFill.material.color.setHex(0xff0000); // Red
-    } else if (this.health < 60) {
-      this.healthBarFill.material.color.setHex(0xff8800); // Orange
-    } else if (this.health < 80) {
-      this.healthBarFill.material.color.setHex(0xffff00); // Yellow
-    } else {
-      this.healthBarFill.material.color.setHex(0x00ff00); // Green
-    }
+  /**
+   * Drops targets that failed their health checks. When every target is
+   * failing, all of them stay in rotation (fail open) rather than dropping
+   * all traffic.
+   */
+  routableTargets(candidates) {
+    if (!this.targetHealth) return candidates;
+    const healthy = candidates.filter((s) => this.isTargetHealthy(s.id));
+    return healthy.length > 0 ? healthy : candidates;
   }
 
-  updateHealthVisual() {
-    if (!this.mesh || !this.mesh.material) return;
+  /**
+   * Chooses where to send the next request. Load balancers use their
+   * configured strategy; everything else takes plain turns.
+   */
+  pickTarget(candidates) {
+    const strategy =
+      LOAD_BALANCING_STRATEGIES[this.lbStrategy] ||
+      LOAD_BALANCING_STRATEGIES["round-robin"];
+    return strategy(this, candidates);
+  }
 
-    // Update the 3D health bar
-    this.updateHealthBar();
+  /**
+   * Whether routers may send new requests here: not offline, not a group
+   * node, not an instance still warming up or being retired, and not a
+   * dead-letter queue, which only takes what its queue sets aside.
+   */
+  get isRoutable() {
+    return (
+      !this.isDisabled && !this.scaling && !(this.warmup > 0) && !this.draining && this.type !== "dlq"
+    );
+  }
 
-    const criticalHealth = CONFIG.survival.degradation?.criticalHealth || 30;
+  /** Running cost per minute, with whatever the node has added on */
+  get upkeep() {
+    return this.config.upkeep + (this.edges ? this.edges.upkeep : 0);
+  }
 
-    if (this.health < criticalHealth) {
-      // Critical - red tint and pulsing
-      const pulse = 0.5 + 0.5 * Math.sin(Date.now() / 200);
-      this.mesh.material.color.setHex(0xff0000);
-      this.mesh.material.emissive = new THREE.Color(0xff0000);
-      this.mesh.material.emissiveIntensity = pulse * 0.3;
-    } else if (this.health < 60) {
-      // Damaged - orange tint
-      this.mesh.material.color.setHex(0xff8800);
-      this.mesh.material.emissive = new THREE.Color(0x000000);
-      this.mesh.material.emissiveIntensity = 0;
-    } else if (this.health < 80) {
-      // Worn - yellow tint
-      const healthRatio = this.health / 100;
-      const r =
-        (1 - healthRatio) * 255 +
-        healthRatio * ((this.originalColor >> 16) & 0xff);
-      const g = healthRatio * ((this.originalColor >> 8) & 0xff);
-      const b = healthRatio * (this.originalColor & 0xff);
-      this.mesh.material.color.setRGB(r / 255, g / 255, b / 255);
-      this.mesh.material.emissive = new THREE.Color(0x000000);
-      this.mesh.material.emissiveIntensity = 0;
-    } else {
-      // Healthy - original color
-      this.mesh.material.color.setHex(this.originalColor);
-      this.mesh.material.emissive = new THREE.Color(0x000000);
-      this.mesh.material.emissiveIntensity = 0;
+  get totalLoad() {
+    // Holding a backlog is a queue's job, so it only counts against its depth
+    if (this.type === "sqs") {
+      return (this.processing.length / this.config.capacity + this.queue.length / this.config.maxQueueSize) / 2;
     }
+    return (
+      (this.processing.length + this.queue.length) / (this.config.capacity * 2)
+    );
   }
 
   repair() {
@@ -600,25 +863,26 @@ class Service {
       this.config.cost * (repairConfig?.repairCostPercent || 0.15)
     );
 
-    if (STATE.money < repairCost) {
-      flashMoney();
-      addInterventionWarning(
-        i18n.t('repair_need_money', { cost: repairCost }),
-        "danger",
-        2000
-      );
+    const state = this.sim.state;
+    if (state.money < repairCost) {
+      this.sim.emit("money:insufficient", { cost: repairCost });
+      this.sim.emit("warning", {
+        key: "repair_need_money",
+        params: { cost: repairCost },
+        type: "danger",
+        duration: 2000,
+      });
       return false;
     }
 
-    STATE.money -= repairCost;
-    if (STATE.finances) {
-      STATE.finances.expenses.repairs += repairCost;
-      STATE.finances.expenses.byService[this.type] =
-        (STATE.finances.expenses.byService[this.type] || 0) + repairCost;
+    state.money -= repairCost;
+    if (state.finances) {
+      state.finances.expenses.repairs += repairCost;
+      state.finances.expenses.byService[this.type] =
+        (state.finances.expenses.byService[this.type] || 0) + repairCost;
     }
     this.health = 100;
-    this.updateHealthVisual();
-    STATE.sound?.playPlace();
+    this.sim.emit("service:repaired", { service: this });
     return true;
   }
 
@@ -627,13 +891,23 @@ class Service {
     let capacity = this.config.capacity;
 
     // Apply health-based reduction
-    const criticalHealth = CONFIG.survival.degradation?.criticalHealth || 30;
+    const criticalHealth = CONFIG.survival.degradation.criticalHealth;
     if (this.health < criticalHealth) {
       // Linear reduction from critical to 0 health: 100% -> 30% capacity
       const healthRatio = this.health / criticalHealth;
       capacity = Math.max(1, Math.floor(capacity * (0.3 + 0.7 * healthRatio)));
     }
 
+    // Copying keys to a new shard takes a share of the work
+    if (this.isMigrationSource) {
+      capacity = Math.max(1, Math.floor(capacity * CONFIG.sharding.migrationCapacity));
+    }
+
+    // So does reloading a warming cache
+    if (this.isWarmSource) {
+      capacity = Math.max(1, Math.floor(capacity * CONFIG.caching.warmCapacity));
+    }
+
     // Apply temporary capacity reduction from random events
     if (this.tempCapacityReduction && this.tempCapacityReduction < 1) {
       capacity = Math.max(1, Math.floor(capacity * this.tempCapacityReduction));
@@ -647,47 +921,52 @@ class Service {
     return capacity;
   }
 
-  static restore(serviceData, pos) {
-    const service = new Service(serviceData.type, pos);
+  static restore(serviceData, pos, sim) {
+    const service = new Service(serviceData.type, pos, sim);
     service.id = serviceData.id;
-    service.mesh.userData.id = serviceData.id;
 
     if (serviceData.tier && serviceData.tier > 1) {
-      const tiers = CONFIG.services[serviceData.type]?.tiers;
-      if (tiers) {
-        service.tier = serviceData.tier;
-        const tierData = tiers[service.tier - 1];
-        if (tierData) {
-          service.config = { ...service.config, capacity: tierData.capacity };
-          if (tierData.cacheHitRate) {
-            service.config = {
-              ...service.config,
-              cacheHitRate: tierData.cacheHitRate,
-            };
-          }
-        }
+      service.applyTier(serviceData.tier);
+    }
 
-        for (let t = 2; t <= service.tier; t++) {
-          let ringSize, ringColor;
-          if (service.type === "db") {
-            ringSize = 2.2;
-            ringColor = 0xff0000;
-          } else if (service.type === "cache") {
-            ringSize = 1.5;
-            ringColor = 0xdc382d;
-          } else {
-            ringSize = 1.3;
-            ringColor = 0xffff00;
-          }
-          const ringGeo = new THREE.TorusGeometry(ringSize, 0.1, 8, 32);
-          const ringMat = new THREE.MeshBasicMaterial({ color: ringColor });
-          const ring = new THREE.Mesh(ringGeo, ringMat);
-          ring.rotation.x = Math.PI / 2;
-          ring.position.y = -service.mesh.position.y + (t === 2 ? 0.5 : 1.0);
-          service.mesh.add(ring);
-          service.tierRings.push(ring);
-        }
-      }
+    if (serviceData.lbStrategy && LOAD_BALANCING_STRATEGIES[serviceData.lbStrategy]) {
+      service.lbStrategy = serviceData.lbStrategy;
+    }
+
+    if (service.type === "sqs") {
+      service.asyncMode = !!serviceData.asyncMode;
+      if (serviceData.maxReceiveCount) service.maxReceiveCount = serviceData.maxReceiveCount;
+    }
+
+    if (serviceData.dns && service.router) service.router.restore(serviceData.dns);
+    if (serviceData.cache && service.cacheStore) service.cacheStore.restore(serviceData.cache);
+    if (serviceData.cdn && service.edges) service.edges.restore(serviceData.cdn);
+
+    if (serviceData.rateLimit && service.type === "apigw") {
+      service.rateLimit = serviceData.rateLimit;
+    }
+
+    if (serviceData.retryPolicy && CONFIG.retryPolicies[serviceData.retryPolicy]) {
+      service.retryPolicy = serviceData.retryPolicy;
+    }
+
+    if (serviceData.groupId) service.groupId = serviceData.groupId;
+    if (serviceData.scaling && service.scaling) {
+      Object.assign(service.scaling.settings, serviceData.scaling);
+    }
+
+    // Shards restored earlier already hold the map this one shares
+    if (serviceData.shardMap && service.type === "db") {
+      const sibling = sim.state.services.find((s) => s.shardMap?.id === serviceData.shardMap.id);
+      service.shardMap = sibling ? sibling.shardMap : ShardMap.restore(serviceData.shardMap);
+    }
+
+    (serviceData.breakers || []).forEach((id) => {
+      service.breakers[id] = new CircuitBreaker();
+    });
+
+    if (serviceData.healthCheck && service.healthCheck) {
+      service.healthCheck = { ...service.healthCheck, ...serviceData.healthCheck };
     }
 
     return service;
@@ -4,6 +4,12 @@ const DE_TRANSLATIONS = {
     "budget": "BUDGET",
     "upkeep_cost": "Wartungskosten",
     "elapsed_time": "Laufzeit",
+    "seed": "Seed",
+    "seed_placeholder": "Seed (optional)",
+    "pause": "Pause",
+    "play": "Start",
+    "fast_forward": "Vorspulen",
+    "latency_ms": "Latenz (ms)",
     "reputation": "REPUTATION",
     "load_rps": "LAST (Anfr./s)",
     "next_rps_surge": "Nächster Last-Anstieg",
@@ -90,13 +96,13 @@ const DE_TRANSLATIONS = {
     "tut_place_storage_hint": "STATISCH = Bilder, CSS, JS (90% Cache-Hit-Rate). UPLOAD = Datei-Uploads (schwer, nie gecacht).",
     "tut_place_cdn_title": "CDN platzieren",
     "tut_place_cdn_text": "<span class=\"text-green-400 font-bold\">CDN</span> (Content Delivery Network) beschleunigt <span class=\"text-green-400\">STATISCHE</span> Inhalte. Es sitzt zwischen Internet und Storage.",
-    "tut_place_cdn_hint": "CDNs haben eine sehr hohe Cache-Hit-Rate (95%), sodass die meisten Anfragen nie deine Storage-Server erreichen müssen!",
+    "tut_place_cdn_hint": "Sobald ein CDN warm ist, beantwortet es die meisten STATIC-Anfragen an seinen Edges, sodass die meisten nie deine Storage-Server erreichen müssen!",
     "tut_connect_internet_cdn_title": "Internet mit CDN verbinden",
     "tut_connect_internet_cdn_text": "Verbinde das <span class=\"text-cyan-400 font-bold\">Internet</span> mit deinem <span class=\"text-green-400 font-bold\">CDN</span>. Das erlaubt Nutzern, zuerst den Edge-Cache zu treffen.",
     "tut_connect_internet_cdn_hint": "Traffic-Fluss: Internet → CDN. Bei Cache-Miss → Storage.",
     "tut_connect_cdn_s3_title": "CDN mit Storage verbinden",
     "tut_connect_cdn_s3_text": "Verbinde das <span class=\"text-green-400 font-bold\">CDN</span> mit dem <span class=\"text-emerald-400 font-bold\">Datei-Speicher</span>. So kann das CDN Inhalte bei Cache-Misses abrufen.",
-    "tut_connect_cdn_s3_hint": "Nur Cache-Misses (5%) gehen zum Storage. Das spart Geld und Kapazität!",
+    "tut_connect_cdn_s3_hint": "Nur Cache-Misses gehen zum Storage. Das spart Geld und Kapazität!",
     "tut_place_db_title": "SQL-Datenbank platzieren",
     "tut_place_db_text": "<span class=\"text-red-400 font-bold\">SQL-Datenbank</span> verarbeitet <span class=\"text-blue-400\">LESEN</span>, <span class=\"text-orange-400\">SCHREIBEN</span> und <span class=\"text-cyan-400\">SUCHE</span> Traffic. APIs benötigen Datenbank-Speicher.",
     "tut_place_db_hint": "LESEN = Datenabruf (40% Cache). SCHREIBEN = Datenbank-Updates (nie gecacht). SUCHE = komplexe Abfragen (15% Cache, schwer).",
@@ -263,6 +269,211 @@ const DE_TRANSLATIONS = {
     "uptime": "Uptime",
     "processed": "Verarbeitet",
     "health": "Gesundheit",
+    "inspector": "Inspektor",
+    "lb_strategy": "Verteilungsstrategie",
+    "lb_round_robin": "Round Robin",
+    "lb_least_connections": "Wenigste Verbindungen",
+    "lb_least_queue": "Kürzeste Warteschlange",
+    "lb_weighted": "Gewichtet (nach Stufe)",
+    "lb_random_two_choices": "Zwei Zufallsziele",
+    "lb_round_robin_desc": "Reihum. Gleichmäßig und vorhersehbar, aber blind dafür, wie ausgelastet ein Ziel ist.",
+    "lb_least_connections_desc": "Sendet an das Ziel, das gerade die wenigsten Anfragen verarbeitet.",
+    "lb_least_queue_desc": "Sendet an das Ziel mit der kürzesten Warteschlange.",
+    "lb_weighted_desc": "Aufgerüstete Stufen erhalten mehr Verkehr, anteilig zu ihrer Kapazität.",
+    "lb_random_two_choices_desc": "Wählt zwei Ziele zufällig und nimmt das weniger ausgelastete.",
+    "health_checks": "Health Checks",
+    "hc_interval": "Intervall (s)",
+    "hc_unhealthy_threshold": "Ungesund nach",
+    "hc_healthy_threshold": "Gesund nach",
+    "retry_policy": "Retry-Richtlinie",
+    "retry_none": "Keine Retries",
+    "retry_immediate": "Sofort (5 Versuche)",
+    "retry_exponential": "Exponentielles Backoff",
+    "retry_exponential_jitter": "Backoff + Jitter",
+    "retry_budgeted": "Backoff + Jitter + Budget",
+    "retry_none_desc": "Verworfene Anfragen schlagen sofort fehl.",
+    "retry_immediate_desc": "Sendet sofort erneut, bis zu 5 Versuche. Bei Überlast vervielfacht das die Last - ein Retry-Sturm.",
+    "retry_exponential_desc": "Wartet 0,2s, 0,4s, 0,8s zwischen Versuchen. Entlastet das Ziel, aber Retries kommen weiter in Wellen.",
+    "retry_exponential_jitter_desc": "Backoff mit zufälligen Wartezeiten, damit sich Retries verteilen statt gleichzeitig einzutreffen.",
+    "retry_budgeted_desc": "Backoff und Jitter, dazu höchstens 1 Retry pro 10 gesendeten Anfragen. Begrenzt die Zusatzlast bei einem Ausfall.",
+    "circuit_breakers": "Circuit Breaker",
+    "breaker_off": "AUS",
+    "asg": "Auto-Scaling-Gruppe",
+    "asg_short": "ASG",
+    "asg_desc": "<b>Auto-Scaling-Gruppe.</b> Startet und beendet Compute-Instanzen passend zur Last. Verbinde einen Load Balancer oder eine Queue hinein und Speicher hinaus.",
+    "asg_instances": "In Betrieb / aktiv",
+    "asg_metric_now": "Aktuelle Metrik",
+    "asg_policy": "Richtlinie",
+    "asg_target_tracking": "Zielverfolgung",
+    "asg_step": "Stufen",
+    "asg_manual": "Manuell",
+    "asg_metric": "Metrik",
+    "asg_metric_cpu": "CPU (Last)",
+    "asg_metric_queue": "Warteschlangentiefe",
+    "asg_target": "Zielwert",
+    "asg_min": "Min",
+    "asg_max": "Max",
+    "asg_desired": "Gewünscht",
+    "asg_scale_out_cooldown": "Abkühlung Hochskalieren (s)",
+    "asg_scale_in_cooldown": "Abkühlung Herunterskalieren (s)",
+    "asg_warmup": "Aufwärmen (s)",
+    "replica": "Lesereplikat",
+    "read_replica": "Lesereplikat",
+    "replica_short": "Replikat",
+    "replica_desc": "<b>Lesereplikat.</b> Bedient READ/SEARCH für eine primäre SQL-DB. Verbinde die DB hinein und Compute damit. Hinkt der Primären bei Schreiblast hinterher.",
+    "replication_lag": "Replikationsverzögerung",
+    "stale_chance": "Chance veralteter Lesezugriffe",
+    "no_primary": "Keine Primäre",
+    "stale_reads": "Veraltete Lesezugriffe",
+    "tip_stale_reads": "{count} Lesezugriffe kamen von verzögerten Replikaten - verteile Schreiblast oder erweitere die DB, damit Replikate mithalten",
+    "sharding": "Sharding",
+    "shard_none": "Nicht geshardet",
+    "shard_hash": "Hash",
+    "shard_range": "Bereich",
+    "shard_split_hash": "Nach Hash teilen",
+    "shard_split_range": "Nach Bereich teilen",
+    "shard_split_cost": "Neuer Shard ${cost} + ${copy}, um die Hälfte der Schlüssel zu kopieren",
+    "shard_copying": "Kopiere {count} Buckets: {percent}%",
+    "shard_migrated": "Shard-Migration abgeschlossen - Schlüssel auf neuen Shard verschoben",
+    "nosql": "NoSQL-Speicher",
+    "nosql_short": "NoSQL",
+    "nosql_desc": "<b>NoSQL-Speicher.</b> Schnelles, günstiges READ/WRITE für Compute; weitere Knoten skalieren horizontal. Langsam bei SEARCH - verbinde dafür auch eine SQL-DB.",
+    "tip_search_sql": "NoSQL-Speicher durchsuchen bei SEARCH alles - verbinde auch eine SQL-DB, dann laufen Suchen dorthin",
+    "tip_write_nosql": "Schreibfluten überlasten eine SQL-DB - NoSQL-Speicher übernehmen READ/WRITE und skalieren mit mehr Knoten",
+    "search": "Suchindex",
+    "search_short": "Suche",
+    "search_desc": "<b>Suchindex.</b> Beantwortet SEARCH weit schneller als eine Datenbank. Verbinde eine SQL-DB oder einen NoSQL-Speicher hinein, damit WRITEs den Index aktuell halten.",
+    "index_lag": "Index-Verzögerung",
+    "index_backlog": "Zu indexierende Writes",
+    "index_not_fed": "Keine Quelle",
+    "tip_search_index": "Ein Suchindex beantwortet SEARCH viel schneller als eine Datenbank - speise ihn aus deiner DB, damit Ergebnisse aktuell bleiben",
+    "apigw": "API-Gateway",
+    "apigw_short": "Gateway",
+    "apigw_desc": "<b>API-Gateway.</b> Weist nicht authentifizierte und fehlerhafte Anfragen ab und begrenzt jeden Client, bevor Anfragen Compute erreichen.",
+    "rate_limit": "Ratenlimit (Anfr./s pro Client)",
+    "rejected": "Abgewiesen",
+    "rejected_unauthenticated": "Nicht authentifiziert",
+    "rejected_invalid": "Ungültig",
+    "rejected_rate_limited": "Ratenbegrenzt",
+    "tip_rate_limit_low": "{count} normale Clients wurden ausgebremst - erhöhe das Gateway-Limit, damit es nur missbräuchliche Clients trifft",
+    "queue_async_mode": "Asynchroner Modus",
+    "queue_async_desc": "Schreibvorgänge und Uploads werden beim Einreihen beantwortet; Worker erledigen sie später.",
+    "queue_depth": "In Warteschlange",
+    "oldest_message": "Älteste Nachricht",
+    "dead_letters": "Dead Letters",
+    "queue_slo_breaches": "Queue-SLO-Verstöße",
+    "tip_queue_slo": "{count} Nachrichten warteten länger als das Queue-Alter-SLO von {slo}s - mehr Worker hinter die Queue stellen",
+    "tip_dead_letters": "{count} Nachrichten scheiterten bei jeder Zustellung und landeten als Dead Letter - Worker und Speicher hinter der Queue prüfen",
+    "dlq": "Dead-Letter-Queue",
+    "dlq_short": "DLQ",
+    "dlq_desc": "<b>Dead Letters.</b> Von einer Queue verbinden, um dauerhaft scheiternde Nachrichten aufzufangen. Ansehen, erneut einspielen oder löschen.",
+    "max_receive_count": "Max. Empfänge",
+    "no_dlq": "Keine DLQ",
+    "dlq_redrive": "Erneut einspielen",
+    "dlq_purge": "Löschen",
+    "dlq_malformed": "fehlerhaft",
+    "warn_no_dlq": "Eine Nachricht ist {count} Mal gescheitert und kommt immer wieder - eine Dead-Letter-Queue mit der Queue verbinden",
+    "tip_no_dlq": "{count} Nachrichten scheiterten immer wieder ohne Dead-Letter-Queue - sie kreisten stattdessen durch die Worker",
+    "regions": "Regionen",
+    "region_us-east": "US Ost",
+    "region_eu-west": "EU West",
+    "region_ap-south": "AP Süd",
+    "region_idle": "inaktiv",
+    "region_healthy": "gesund",
+    "region_degraded": "umgeschaltet",
+    "go": "Los",
+    "cross_region_hops": "Regionsübergreifende Hops",
+    "egress": "Regionsübergreifender Egress",
+    "region_failover": "🌐 {region} fällt aus - Traffic wechselt zu den anderen Regionen",
+    "region_recovered": "🌐 {region} hat sich erholt und nimmt wieder Traffic an",
+    "region_outage_warning": "🌐 REGIONSAUSFALL {region}! Alle Dienste dort sind offline",
+    "region_outage_active": "REGIONSAUSFALL - darum herum routen",
+    "dns": "DNS",
+    "dns_short": "DNS",
+    "dns_desc": "<b>DNS.</b> Entscheidet, zu welchem Einstiegspunkt jeder Client geht: nach Latenz, Gewicht, Standort oder Failover. Antworten werden für die TTL zwischengespeichert.",
+    "dns_policy": "Routing-Richtlinie",
+    "dns_latency": "Latenz",
+    "dns_weighted": "Gewichtet",
+    "dns_geolocation": "Geolokation",
+    "dns_failover": "Failover",
+    "dns_latency_desc": "Schickt jeden Client in die Region mit dem schnellsten Netzwerkpfad.",
+    "dns_weighted_desc": "Verteilt Anfragen nach dem Gewicht, das du jedem Eintrag gibst.",
+    "dns_geolocation_desc": "Hält Clients in ihrer eigenen Region, woanders nur, wenn sie keinen Einstiegspunkt hat.",
+    "dns_failover_desc": "Alles geht in die primäre Region, bis ihre Health Checks fehlschlagen.",
+    "dns_primary": "Primäre Region",
+    "dns_ttl": "TTL (s)",
+    "dns_records": "Einträge",
+    "dns_no_records": "Verbinde Einstiegspunkte mit dem Internet, um mit ihnen zu antworten",
+    "warn_one_dns": "Ein DNS-Knoten antwortet bereits für die ganze Seite",
+    "population_na": "NA-Clients",
+    "population_eu": "EU-Clients",
+    "population_apac": "APAC-Clients",
+    "cache_hit_rate": "Cache-Trefferquote",
+    "cache_entries": "Einträge",
+    "cache_ttl": "TTL (s)",
+    "cache_invalidate": "Bei Schreibzugriff invalidieren",
+    "cache_invalidate_desc": "Schreibzugriffe auf den Speicher hinter diesem Cache verwerfen die betroffenen Antworten.",
+    "cache_stale_hits": "Veraltete Treffer",
+    "cache_stale_count": "({count} veraltet)",
+    "tip_cache_stale": "{count} Cache-Treffer lieferten Daten, die ein Schreibzugriff geändert hatte - Invalidierung einschalten, den Cache mit jedem beschriebenen Speicher verbinden oder die TTL verkürzen",
+    "cache_coalesce": "Fehlzugriffe bündeln",
+    "cache_coalesced": "Gebündelt",
+    "cache_warm": "Nach Neustart vorwärmen",
+    "cache_warm_desc": "Lädt heiße und zuletzt gehaltene Schlüssel im Hintergrund nach und kostet den Speicher etwas Kapazität.",
+    "cache_warming": "Vorwärmen: noch {count} Schlüssel",
+    "cache_restarted_cold": "Speicher-Cache ist leer zurück - jeder Lesezugriff geht an die Datenbank, bis er vorgewärmt ist",
+    "cache_restarted_warming": "Speicher-Cache ist leer zurück und lädt seine Schlüssel nach",
+    "cache_memory": "Speicher",
+    "cache_eviction": "Verdrängungsstrategie",
+    "eviction_lru": "Am längsten nicht genutzt",
+    "eviction_lfu": "Am seltensten genutzt",
+    "eviction_random": "Zufällig",
+    "eviction_ttl": "Nur TTL",
+    "eviction_lru_desc": "Verwirft die Antwort, die am längsten nicht gelesen wurde. Passt sich schnell an, aber ein Schwall einmaliger Lesezugriffe verdrängt beliebte Schlüssel.",
+    "eviction_lfu_desc": "Verwirft die seit dem Speichern am seltensten gelesene Antwort. Hält dauerhaft beliebte Schlüssel auch bei einmaligen Lesezugriffen.",
+    "eviction_random_desc": "Verwirft irgendeine Antwort. Billig und bei gleichmäßiger Beliebtheit kaum schlechter als LRU.",
+    "eviction_ttl_desc": "Verdrängt nie eine gültige Antwort; neue werden abgewiesen, bis etwas abläuft.",
+    "cache_evictions": "Verdrängungen",
+    "cache_rejected": "{count} abgewiesen",
+    "cdn_edges": "Edge-Standorte",
+    "cdn_pop_cost": "Jeder weitere Edge: ${cost} einmalig, ${upkeep}/Min.",
+    "cdn_shield": "Origin Shield",
+    "cdn_shield_desc": "Edges fragen einen gemeinsamen Cache, bevor sie zum Origin gehen. ${cost} einmalig, ${upkeep}/Min.",
+    "cdn_shield_hit_rate": "Shield-Trefferrate",
+    "cdn_origin_fetches": "Origin-Abrufe",
+    "cdn_ttl": "Edge-TTL (s)",
+    "cdn_versioned": "Versionierte Asset-URLs",
+    "cdn_versioned_desc": "Jedes Release bekommt neue URLs, also holen die Edges es frisch, statt die alten Dateien auszuliefern.",
+    "cdn_release": "Release",
+    "cdn_release_info": "v{version} · nächstes in {seconds}s",
+    "cdn_deploy": "Deployen",
+    "cdn_purge": "Leeren",
+    "cdn_purged": "CDN geleert - Edges füllen sich vom Origin neu",
+    "assets_deployed_versioned": "Release v{version} deployt - CDN-Edges holen die neuen Assets vom Origin",
+    "assets_deployed_stale": "Release v{version} deployt - CDN-Edges liefern die alten Assets aus, bis sie ablaufen oder geleert werden",
+    "tip_cdn_stale": "{count} CDN-Treffer lieferten Assets eines alten Releases - versioniere Asset-URLs oder leere das CDN nach jedem Deploy",
+    "time_of_day": "Tageszeit",
+    "weekday_0": "Mo",
+    "weekday_1": "Di",
+    "weekday_2": "Mi",
+    "weekday_3": "Do",
+    "weekday_4": "Fr",
+    "weekday_5": "Sa",
+    "weekday_6": "So",
+    "traffic_curve": "Traffic-Kurve",
+    "curve_flat": "Gleichmäßig",
+    "curve_business": "Geschäftszeiten",
+    "curve_consumer": "Abendspitze",
+    "curve_custom": "Benutzerdefiniert",
+    "curve_peak_hour": "Spitzenstunde",
+    "curve_swing": "Tagesschwankung",
+    "curve_weekend_dip": "Wochenendrückgang",
+    "tip_idle_capacity": "${cost} Unterhalt gingen an ungenutzte Rechenleistung - eine Auto-Scaling-Gruppe skaliert herunter, wenn der Traffic nachts sinkt",
+    "breaker_closed": "GESCHLOSSEN",
+    "breaker_open": "OFFEN",
+    "breaker_half_open": "HALB OFFEN",
+    "retries": "Retries",
+    "tip_retry_storm": "{count} Retries kamen zum normalen Verkehr hinzu - nutze Backoff mit Jitter und ein Retry-Budget",
     "no_save_found": "Kein Spielstand gefunden.",
     "save_corrupted": "Laden fehlgeschlagen. Der Spielstand ist beschädigt.",
     "final_score": "Endpunktestand: {score}",
@@ -386,6 +597,11 @@ const DE_TRANSLATIONS = {
     "max": "Max",
     "reason_malicious": "{count} bösartige Angriffe haben deine Verteidigung umgangen.",
     "reason_failed_type": "{count} {type}-Anfragen fehlgeschlagen (Kapazität oder fehlender Pfad).",
+    "reason_timeouts": "{count} Anfragen liefen in ein Timeout: Die Clients gaben auf, bevor dein System antwortete.",
+    "tip_timeouts_queue": "Lange Warteschlangen sprengen Deadlines - füge Compute hinter SQS hinzu, damit sie sich leeren",
+    "tip_timeouts_hops": "Jeder Hop kostet Latenz - cache häufige Lesezugriffe und liefere statische Dateien per CDN aus",
+    "tip_late_replies": "{count} Antworten kamen zu spät und brachten nur die Hälfte - senke die Latenz, um die Einnahmen zurückzuholen",
+    "timed_out": "Timeouts",
     "tip_multiple_waf": "Platziere mehrere Firewalls, um große Angriffe abzuwehren",
     "waf": "Firewall",
     "alb": "Load Balancer",
@@ -4,6 +4,12 @@ const EN_TRANSLATIONS = {
     "budget": "BUDGET",
     "upkeep_cost": "Upkeep Cost",
     "elapsed_time": "Elapsed Time",
+    "seed": "Seed",
+    "seed_placeholder": "Seed (optional)",
+    "pause": "Pause",
+    "play": "Play",
+    "fast_forward": "Fast forward",
+    "latency_ms": "Latency (ms)",
     "reputation": "REPUTATION",
     "load_rps": "LOAD (RPS)",
     "next_rps_surge": "Next RPS Surge",
@@ -90,13 +96,13 @@ const EN_TRANSLATIONS = {
     "tut_place_storage_hint": "STATIC = images, CSS, JS files (90% cache hit rate). UPLOAD = file uploads (heavy, never cached).",
     "tut_place_cdn_title": "Deploy CDN",
     "tut_place_cdn_text": "<span class=\"text-green-400 font-bold\">CDN</span> (Content Delivery Network) speeds up <span class=\"text-green-400\">STATIC</span> content delivery. It sits between the Internet and Storage.",
-    "tut_place_cdn_hint": "CDNs have a very high cache hit rate (95%), meaning most requests never need to touch your Storage servers!",
+    "tut_place_cdn_hint": "Once warm, a CDN answers most STATIC requests from its edges, so most never need to touch your Storage servers!",
     "tut_connect_internet_cdn_title": "Connect Internet to CDN",
     "tut_connect_internet_cdn_text": "Connect the <span class=\"text-cyan-400 font-bold\">Internet</span> to your <span class=\"text-green-400 font-bold\">CDN</span>. This allows users to hit the edge cache first.",
     "tut_connect_internet_cdn_hint": "Traffic flow: Internet → CDN. If cache miss → Storage.",
     "tut_connect_cdn_s3_title": "Connect CDN to Storage",
     "tut_connect_cdn_s3_text": "Connect the <span class=\"text-green-400 font-bold\">CDN</span> to <span class=\"text-emerald-400 font-bold\">File Storage</span>. This allows the CDN to fetch content on cache misses.",
-    "tut_connect_cdn_s3_hint": "Only cache misses (5%) will go to Storage. This saves money and capacity!",
+    "tut_connect_cdn_s3_hint": "Only cache misses go to Storage. This saves money and capacity!",
     "tut_place_db_title": "Deploy SQL Database",
     "tut_place_db_text": "<span class=\"text-red-400 font-bold\">SQL Database</span> handles <span class=\"text-blue-400\">READ</span>, <span class=\"text-orange-400\">WRITE</span>, and <span class=\"text-cyan-400\">SEARCH</span> traffic. APIs need database storage.",
     "tut_place_db_hint": "READ = data fetch (40% cache). WRITE = database updates (never cached). SEARCH = complex queries (15% cache, heavy).",
@@ -262,6 +268,211 @@ const EN_TRANSLATIONS = {
   "uptime": "Uptime",
   "processed": "Processed",
   "health": "Health",
+  "inspector": "Inspector",
+  "lb_strategy": "Balancing Strategy",
+  "lb_round_robin": "Round Robin",
+  "lb_least_connections": "Least Connections",
+  "lb_least_queue": "Least Queue",
+  "lb_weighted": "Weighted (by tier)",
+  "lb_random_two_choices": "Random Two Choices",
+  "lb_round_robin_desc": "Takes turns. Even and predictable, but blind to how busy each target is.",
+  "lb_least_connections_desc": "Sends to the target processing the fewest requests right now.",
+  "lb_least_queue_desc": "Sends to the target with the shortest backlog.",
+  "lb_weighted_desc": "Upgraded tiers get a bigger share, in proportion to their capacity.",
+  "lb_random_two_choices_desc": "Samples two targets at random and picks the less loaded one.",
+  "health_checks": "Health Checks",
+  "hc_interval": "Interval (s)",
+  "hc_unhealthy_threshold": "Unhealthy after",
+  "hc_healthy_threshold": "Healthy after",
+  "retry_policy": "Retry Policy",
+  "retry_none": "No Retries",
+  "retry_immediate": "Immediate (5 tries)",
+  "retry_exponential": "Exponential Backoff",
+  "retry_exponential_jitter": "Backoff + Jitter",
+  "retry_budgeted": "Backoff + Jitter + Budget",
+  "retry_none_desc": "Dropped requests fail straight away.",
+  "retry_immediate_desc": "Resends at once, up to 5 tries. Under overload this multiplies the load - a retry storm.",
+  "retry_exponential_desc": "Waits 0.2s, 0.4s, 0.8s between tries. Gives the target room, but retries still arrive in waves.",
+  "retry_exponential_jitter_desc": "Backoff with randomised waits, so retries spread out instead of arriving together.",
+  "retry_budgeted_desc": "Backoff and jitter, plus at most 1 retry per 10 requests sent. Caps the extra load during an outage.",
+  "circuit_breakers": "Circuit Breakers",
+  "breaker_off": "OFF",
+  "asg": "Auto Scaling Group",
+  "asg_short": "ASG",
+  "asg_desc": "<b>Auto Scaling Group.</b> Launches and retires Compute instances to match the load. Link a Load Balancer or Queue into it and stores out of it.",
+  "asg_instances": "In service / active",
+  "asg_metric_now": "Metric now",
+  "asg_policy": "Policy",
+  "asg_target_tracking": "Target tracking",
+  "asg_step": "Step",
+  "asg_manual": "Manual",
+  "asg_metric": "Metric",
+  "asg_metric_cpu": "CPU (load)",
+  "asg_metric_queue": "Queue depth",
+  "asg_target": "Target",
+  "asg_min": "Min",
+  "asg_max": "Max",
+  "asg_desired": "Desired",
+  "asg_scale_out_cooldown": "Scale-out cooldown (s)",
+  "asg_scale_in_cooldown": "Scale-in cooldown (s)",
+  "asg_warmup": "Warm-up (s)",
+  "replica": "Read Replica",
+  "read_replica": "Read Replica",
+  "replica_short": "Replica",
+  "replica_desc": "<b>Read Replica.</b> Serves READ/SEARCH for a primary SQL DB. Link the DB into it and Compute to it. Lags the primary under write load.",
+  "replication_lag": "Replication Lag",
+  "stale_chance": "Stale Read Chance",
+  "no_primary": "No primary",
+  "stale_reads": "Stale Reads",
+  "tip_stale_reads": "{count} reads came from lagging replicas - spread writes or add DB capacity so replicas keep up",
+  "sharding": "Sharding",
+  "shard_none": "Not sharded",
+  "shard_hash": "Hash",
+  "shard_range": "Range",
+  "shard_split_hash": "Split by hash",
+  "shard_split_range": "Split by range",
+  "shard_split_cost": "New shard ${cost} + ${copy} to copy half the keys",
+  "shard_copying": "Copying {count} buckets: {percent}%",
+  "shard_migrated": "Shard migration complete - keys moved to the new shard",
+  "nosql": "NoSQL Store",
+  "nosql_short": "NoSQL",
+  "nosql_desc": "<b>NoSQL Store.</b> Fast, cheap READ/WRITE for Compute; add more nodes to scale out. Slow at SEARCH - keep a SQL DB linked for that.",
+  "tip_search_sql": "NoSQL stores scan for SEARCH - link a SQL DB too and searches go there",
+  "tip_write_nosql": "Write floods outgrow one SQL DB - NoSQL stores take READ/WRITE and scale out by adding nodes",
+  "search": "Search Index",
+  "search_short": "Search",
+  "search_desc": "<b>Search Index.</b> Answers SEARCH far faster than a database. Link a SQL DB or NoSQL store into it so WRITEs keep the index fresh.",
+  "index_lag": "Index Lag",
+  "index_backlog": "Writes to Index",
+  "index_not_fed": "Not fed",
+  "tip_search_index": "A Search Index answers SEARCH far faster than a database - feed it from your DB so results stay fresh",
+  "apigw": "API Gateway",
+  "apigw_short": "Gateway",
+  "apigw_desc": "<b>API Gateway.</b> Rejects unauthenticated and malformed requests and rate-limits each client before they reach Compute.",
+  "rate_limit": "Rate limit (req/s per client)",
+  "rejected": "Rejected",
+  "rejected_unauthenticated": "Unauthenticated",
+  "rejected_invalid": "Invalid",
+  "rejected_rate_limited": "Rate limited",
+  "tip_rate_limit_low": "{count} ordinary clients were rate-limited - raise the gateway limit so only abusive clients hit it",
+  "queue_async_mode": "Async mode",
+  "queue_async_desc": "Writes and uploads are answered once queued; workers finish them later.",
+  "queue_depth": "Queued",
+  "oldest_message": "Oldest message",
+  "dead_letters": "Dead Letters",
+  "queue_slo_breaches": "Queue SLO Breaches",
+  "tip_queue_slo": "{count} queued messages waited longer than the {slo}s queue-age SLO - add workers behind the queue",
+  "tip_dead_letters": "{count} messages failed every delivery and were dead-lettered - check the workers and stores behind the queue",
+  "dlq": "Dead-Letter Queue",
+  "dlq_short": "DLQ",
+  "dlq_desc": "<b>Dead letters.</b> Link from a Queue to catch messages that keep failing. Inspect, redrive or purge them.",
+  "max_receive_count": "Max receives",
+  "no_dlq": "No DLQ",
+  "dlq_redrive": "Redrive",
+  "dlq_purge": "Purge",
+  "dlq_malformed": "malformed",
+  "warn_no_dlq": "A message failed {count} times and keeps coming back - link a Dead-Letter Queue to the Queue",
+  "tip_no_dlq": "{count} messages kept failing with no Dead-Letter Queue to catch them - they cycled through the workers instead",
+  "regions": "Regions",
+  "region_us-east": "US East",
+  "region_eu-west": "EU West",
+  "region_ap-south": "AP South",
+  "region_idle": "idle",
+  "region_healthy": "healthy",
+  "region_degraded": "failed over",
+  "go": "Go",
+  "cross_region_hops": "Cross-region Hops",
+  "egress": "Cross-region Egress",
+  "region_failover": "🌐 {region} is failing - traffic fails over to the other regions",
+  "region_recovered": "🌐 {region} recovered and takes traffic again",
+  "region_outage_warning": "🌐 {region} REGION OUTAGE! Every service there is offline",
+  "region_outage_active": "REGION OUTAGE - route around it",
+  "dns": "DNS",
+  "dns_short": "DNS",
+  "dns_desc": "<b>DNS.</b> Decides which entry point each client goes to: by latency, weight, location or failover. Answers are cached for the TTL.",
+  "dns_policy": "Routing policy",
+  "dns_latency": "Latency",
+  "dns_weighted": "Weighted",
+  "dns_geolocation": "Geolocation",
+  "dns_failover": "Failover",
+  "dns_latency_desc": "Sends each client to the region with the quickest network path.",
+  "dns_weighted_desc": "Splits lookups by the weight you give each record.",
+  "dns_geolocation_desc": "Keeps clients in their own region, anywhere else only if it has no entry point.",
+  "dns_failover_desc": "Everything goes to the primary region until its health checks fail.",
+  "dns_primary": "Primary region",
+  "dns_ttl": "TTL (s)",
+  "dns_records": "Records",
+  "dns_no_records": "Link entry points from the Internet to answer with",
+  "warn_one_dns": "One DNS node already answers for the whole site",
+  "population_na": "NA clients",
+  "population_eu": "EU clients",
+  "population_apac": "APAC clients",
+  "cache_hit_rate": "Cache Hit Rate",
+  "cache_entries": "Entries",
+  "cache_ttl": "TTL (s)",
+  "cache_invalidate": "Invalidate on write",
+  "cache_invalidate_desc": "Writes to the store behind this cache drop the answers they change.",
+  "cache_stale_hits": "Stale hits",
+  "cache_stale_count": "({count} stale)",
+  "tip_cache_stale": "{count} cache hits served data a write had changed - turn on write invalidation, link the cache to every store taking writes, or shorten its TTL",
+  "cache_coalesce": "Coalesce misses",
+  "cache_coalesced": "Coalesced",
+  "cache_warm": "Warm after restart",
+  "cache_warm_desc": "Reloads hot and recently held keys in the background, taking some of the store's capacity.",
+  "cache_warming": "Warming: {count} keys to go",
+  "cache_restarted_cold": "Memory cache came back empty - every read goes to the database until it warms up",
+  "cache_restarted_warming": "Memory cache came back empty and is reloading its keys",
+  "cache_memory": "Memory",
+  "cache_eviction": "Eviction policy",
+  "eviction_lru": "Least recently used",
+  "eviction_lfu": "Least frequently used",
+  "eviction_random": "Random",
+  "eviction_ttl": "TTL only",
+  "eviction_lru_desc": "Drops the answer read longest ago. Quick to adapt, but a burst of one-off reads flushes popular keys.",
+  "eviction_lfu_desc": "Drops the answer read least since it was stored. Keeps steadily popular keys through bursts of one-off reads.",
+  "eviction_random_desc": "Drops any answer. Cheap, and not much worse than LRU when popularity is flat.",
+  "eviction_ttl_desc": "Never evicts a live answer; new ones are turned away until something expires.",
+  "cache_evictions": "Evictions",
+  "cache_rejected": "{count} turned away",
+  "cdn_edges": "Edge locations",
+  "cdn_pop_cost": "Each extra edge: ${cost} up front, ${upkeep}/min",
+  "cdn_shield": "Origin shield",
+  "cdn_shield_desc": "Edges ask one shared cache before the origin. ${cost} up front, ${upkeep}/min",
+  "cdn_shield_hit_rate": "Shield hit rate",
+  "cdn_origin_fetches": "Origin fetches",
+  "cdn_ttl": "Edge TTL (s)",
+  "cdn_versioned": "Versioned asset URLs",
+  "cdn_versioned_desc": "Each release gets new URLs, so edges fetch it fresh instead of serving the old files.",
+  "cdn_release": "Release",
+  "cdn_release_info": "v{version} · next in {seconds}s",
+  "cdn_deploy": "Deploy",
+  "cdn_purge": "Purge",
+  "cdn_purged": "CDN purged - edges refill from the origin",
+  "assets_deployed_versioned": "Release v{version} deployed - CDN edges fetch the new assets from the origin",
+  "assets_deployed_stale": "Release v{version} deployed - CDN edges keep serving the old assets until they expire or are purged",
+  "tip_cdn_stale": "{count} CDN hits served assets from an old release - version asset URLs or purge the CDN after each deploy",
+  "time_of_day": "Time of Day",
+  "weekday_0": "Mon",
+  "weekday_1": "Tue",
+  "weekday_2": "Wed",
+  "weekday_3": "Thu",
+  "weekday_4": "Fri",
+  "weekday_5": "Sat",
+  "weekday_6": "Sun",
+  "traffic_curve": "Traffic Curve",
+  "curve_flat": "Flat",
+  "curve_business": "Business Hours",
+  "curve_consumer": "Evening Peak",
+  "curve_custom": "Custom",
+  "curve_peak_hour": "Peak Hour",
+  "curve_swing": "Daily Swing",
+  "curve_weekend_dip": "Weekend Dip",
+  "tip_idle_capacity": "${cost} of upkeep went on idle compute - an auto-scaling group scales in when traffic drops at night",
+  "breaker_closed": "CLOSED",
+  "breaker_open": "OPEN",
+  "breaker_half_open": "HALF-OPEN",
+  "retries": "Retries",
+  "tip_retry_storm": "{count} retries piled on top of normal traffic - use backoff with jitter and a retry budget",
   "no_save_found": "No saved game found.",
   "save_corrupted": "Failed to load game. The save file may be corrupted.",
   "final_score": "Final Score: {score}",
@@ -385,6 +596,11 @@ const EN_TRANSLATIONS = {
     "max": "Max",
     "reason_malicious": "{count} malicious attacks bypassed your defenses.",
     "reason_failed_type": "{count} {type} requests failed due to capacity or missing paths.",
+    "reason_timeouts": "{count} requests timed out: clients gave up before your system answered.",
+    "tip_timeouts_queue": "Deep queues blow deadlines - add Compute behind SQS so queues drain",
+    "tip_timeouts_hops": "Every hop adds latency - cache hot reads and serve static files from a CDN",
+    "tip_late_replies": "{count} replies arrived late and paid half - cut latency to win that income back",
+    "timed_out": "Timed out",
     "tip_multiple_waf": "Deploy multiple Firewalls to handle large attack surges",
     "waf": "Firewall",
     "alb": "Load Balancer",
@@ -4,6 +4,12 @@ const NE_TRANSLATIONS = {
     "budget": "बजेट",
     "upkeep_cost": "रखरखाव लागत",
     "elapsed_time": "बितिएको समय",
+    "seed": "सिड",
+    "seed_placeholder": "सिड (वैकल्पिक)",
+    "pause": "रोक्नुहोस्",
+    "play": "चलाउनुहोस्",
+    "fast_forward": "छिटो अगाडि",
+    "latency_ms": "ढिलाइ (ms)",
     "reputation": "प्रतिष्ठा",
     "load_rps": "लोड (RPS)",
     "next_rps_surge": "अग्लो RPS छाला",
@@ -90,13 +96,13 @@ const NE_TRANSLATIONS = {
     "tut_place_storage_hint": "स्ट्याटिक = छविहरू, CSS, JS फाइलहरू (90% क्यास हिट दर)। अपलोड = फाइल अपलोडहरू (गहन, कहिल्यै क्यास हुँदैन)।",
     "tut_place_cdn_title": "CDN डिप्ले गर्नुहोस्",
     "tut_place_cdn_text": "<span class=\"text-green-400 font-bold\">CDN</span> (कन्टेन्ट डेलिभरी नेटवर्क) ले <span class=\"text-green-400\">स्ट्याटिक</span> सामग्री डेलिभरी गति बढाउँछ। यो इन्टरनेट र भण्डारण बीच बस्छ।",
-    "tut_place_cdn_hint": "CDN को धेरै उच्च क्यास हिट दर (95%) छ, जसको अर्थ धेरैजसो अनुरोधहरू कहिल्यै तपाईंको भण्डारण सर्भरहरूलाई छुन्नेछैनन्!",
+    "tut_place_cdn_hint": "तातिएपछि, CDN ले धेरैजसो STATIC अनुरोधहरूको जवाफ आफ्ना किनाराहरूबाट दिन्छ, त्यसैले धेरैजसो अनुरोधहरू कहिल्यै तपाईंको भण्डारण सर्भरहरूलाई छुन्नेछैनन्!",
     "tut_connect_internet_cdn_title": "इन्टरनेटलाई CDN मा जडान गर्नुहोस्",
     "tut_connect_internet_cdn_text": "<span class=\"text-cyan-400 font-bold\">इन्टरनेट</span> लाई तपाईंको <span class=\"text-green-400 font-bold\">CDN</span> मा जडान गर्नुहोस्। यसले प्रयोगकर्ताहरूलाई पहिले एज क्यास हिट गर्न अनुमति दिन्छ।",
     "tut_connect_internet_cdn_hint": "ट्राफिक प्रवाह: इन्टरनेट → CDN। यदि क्यास मिस → भण्डारण।",
     "tut_connect_cdn_s3_title": "CDN लाई भण्डारणमा जडान गर्नुहोस्",
     "tut_connect_cdn_s3_text": "<span class=\"text-green-400 font-bold\">CDN</span> लाई <span class=\"text-emerald-400 font-bold\">फाइल भण्डारण</span> मा जडान गर्नुहोस्। यसले CDN लाई क्यास मिसहरूमा सामग्री ल्याउन अनुमति दिन्छ।",
-    "tut_connect_cdn_s3_hint": "केवल क्यास मिसहरू (5%) भण्डारणमा जानेछन्। यसले पैसा र क्षमता बचाउँछ!",
+    "tut_connect_cdn_s3_hint": "केवल क्यास मिसहरू भण्डारणमा जानेछन्। यसले पैसा र क्षमता बचाउँछ!",
     "tut_place_db_title": "SQL डाटाबेस डिप्ले गर्नुहोस्",
     "tut_place_db_text": "<span class=\"text-red-400 font-bold\">SQL डाटाबेस</span> ले <span class=\"text-blue-400\">पढ्ने</span>, <span class=\"text-orange-400\">लेख्ने</span>, र <span class=\"text-cyan-400\">खोज्ने</span> ट्राफिक ह्यान्डल गर्छ। API लाई डाटाबेस भण्डारण चाहिन्छ।",
     "tut_place_db_hint": "पढ्ने = डाटा ल्याउने (40% क्यास)। लेख्ने = डाटाबेस अपडेटहरू (कहिल्यै क्यास हुँदैन)। खोज्ने = जटिल क्वेरीहरू (15% क्यास, गहन)।",
@@ -263,6 +269,211 @@ const NE_TRANSLATIONS = {
     "uptime": "अपटाइम",
     "processed": "प्रक्रिया गरियो",
     "health": "स्वास्थ्य",
+    "inspector": "निरीक्षक",
+    "lb_strategy": "लोड ब्यालेन्सिङ रणनीति",
+    "lb_round_robin": "पालैपालो",
+    "lb_least_connections": "कम्ती कनेक्सन",
+    "lb_least_queue": "छोटो लाइन",
+    "lb_weighted": "भारित (टियर अनुसार)",
+    "lb_random_two_choices": "अनियमित दुई छनोट",
+    "lb_round_robin_desc": "पालैपालो पठाउँछ। समान र अनुमानयोग्य, तर कुन लक्ष्य कति व्यस्त छ हेर्दैन।",
+    "lb_least_connections_desc": "अहिले सबैभन्दा कम अनुरोध प्रशोधन गरिरहेको लक्ष्यमा पठाउँछ।",
+    "lb_least_queue_desc": "सबैभन्दा छोटो लाइन भएको लक्ष्यमा पठाउँछ।",
+    "lb_weighted_desc": "अपग्रेड गरिएका टियरले क्षमताको अनुपातमा बढी ट्राफिक पाउँछन्।",
+    "lb_random_two_choices_desc": "दुई लक्ष्य अनियमित रूपमा छानेर कम लोड भएकोमा पठाउँछ।",
+    "health_checks": "स्वास्थ्य जाँच",
+    "hc_interval": "अन्तराल (सेकेन्ड)",
+    "hc_unhealthy_threshold": "अस्वस्थ मानिने पटक",
+    "hc_healthy_threshold": "स्वस्थ मानिने पटक",
+    "retry_policy": "पुनः प्रयास नीति",
+    "retry_none": "पुनः प्रयास छैन",
+    "retry_immediate": "तुरुन्तै (५ पटक)",
+    "retry_exponential": "घातीय ब्याकअफ",
+    "retry_exponential_jitter": "ब्याकअफ + जिटर",
+    "retry_budgeted": "ब्याकअफ + जिटर + बजेट",
+    "retry_none_desc": "छाडिएका अनुरोध तुरुन्तै असफल हुन्छन्।",
+    "retry_immediate_desc": "तुरुन्तै फेरि पठाउँछ, ५ पटकसम्म। ओभरलोडमा यसले लोड धेरै गुणा बढाउँछ - पुनः प्रयासको आँधी।",
+    "retry_exponential_desc": "प्रयासहरूबीच ०.२, ०.४, ०.८ सेकेन्ड पर्खन्छ। लक्ष्यलाई ठाउँ दिन्छ, तर पुनः प्रयास अझै लहरमा आउँछन्।",
+    "retry_exponential_jitter_desc": "अनियमित पर्खाइसहितको ब्याकअफ, जसले गर्दा पुनः प्रयास एकैसाथ नआई फैलिन्छन्।",
+    "retry_budgeted_desc": "ब्याकअफ र जिटर, साथै पठाइएका हरेक १० अनुरोधमा बढीमा १ पुनः प्रयास। आउटेजमा थप लोड सीमित गर्छ।",
+    "circuit_breakers": "सर्किट ब्रेकर",
+    "breaker_off": "बन्द",
+    "asg": "अटो स्केलिङ समूह",
+    "asg_short": "ASG",
+    "asg_desc": "<b>अटो स्केलिङ समूह।</b> लोड अनुसार कम्प्युट इन्स्ट्यान्सहरू सुरु र बन्द गर्छ। लोड ब्यालेन्सर वा क्यु यसमा जोड्नुहोस् र यसबाट स्टोरहरूमा।",
+    "asg_instances": "सेवामा / सक्रिय",
+    "asg_metric_now": "हालको मेट्रिक",
+    "asg_policy": "नीति",
+    "asg_target_tracking": "लक्ष्य ट्र्याकिङ",
+    "asg_step": "चरण",
+    "asg_manual": "म्यानुअल",
+    "asg_metric": "मेट्रिक",
+    "asg_metric_cpu": "CPU (लोड)",
+    "asg_metric_queue": "क्यु गहिराइ",
+    "asg_target": "लक्ष्य",
+    "asg_min": "न्यूनतम",
+    "asg_max": "अधिकतम",
+    "asg_desired": "चाहिएको",
+    "asg_scale_out_cooldown": "स्केल-आउट कुलडाउन (s)",
+    "asg_scale_in_cooldown": "स्केल-इन कुलडाउन (s)",
+    "asg_warmup": "वार्म-अप (s)",
+    "replica": "रिड रेप्लिका",
+    "read_replica": "रिड रेप्लिका",
+    "replica_short": "रेप्लिका",
+    "replica_desc": "<b>रिड रेप्लिका।</b> प्राइमरी SQL DB का लागि READ/SEARCH सेवा दिन्छ। DB लाई यसमा र कम्प्युटलाई यसमा जोड्नुहोस्। लेखन लोडमा प्राइमरीभन्दा पछाडि पर्छ।",
+    "replication_lag": "रेप्लिकेसन ढिलाइ",
+    "stale_chance": "पुरानो पढाइको सम्भावना",
+    "no_primary": "प्राइमरी छैन",
+    "stale_reads": "पुराना पढाइहरू",
+    "tip_stale_reads": "{count} पढाइ पछाडि परेका रेप्लिकाबाट आए - लेखन बाँड्नुहोस् वा DB क्षमता बढाउनुहोस्",
+    "sharding": "शार्डिङ",
+    "shard_none": "शार्ड गरिएको छैन",
+    "shard_hash": "ह्यास",
+    "shard_range": "दायरा",
+    "shard_split_hash": "ह्यासद्वारा विभाजन",
+    "shard_split_range": "दायराद्वारा विभाजन",
+    "shard_split_cost": "नयाँ शार्ड ${cost} + आधा कुञ्जी प्रतिलिपि गर्न ${copy}",
+    "shard_copying": "{count} बकेट प्रतिलिपि हुँदै: {percent}%",
+    "shard_migrated": "शार्ड माइग्रेसन पूरा - कुञ्जीहरू नयाँ शार्डमा सारियो",
+    "nosql": "NoSQL स्टोर",
+    "nosql_short": "NoSQL",
+    "nosql_desc": "<b>NoSQL स्टोर।</b> कम्प्युटका लागि छिटो, सस्तो READ/WRITE; थप नोडहरू थपेर स्केल गर्नुहोस्। SEARCH मा ढिलो - त्यसका लागि SQL DB पनि जोड्नुहोस्।",
+    "tip_search_sql": "NoSQL स्टोरले SEARCH का लागि सबै स्क्यान गर्छ - SQL DB पनि जोड्नुहोस्, खोजहरू त्यहाँ जान्छन्",
+    "tip_write_nosql": "लेखनको बाढीले एउटा SQL DB लाई पार गर्छ - NoSQL स्टोरले READ/WRITE लिन्छ र नोड थपेर स्केल हुन्छ",
+    "search": "सर्च इन्डेक्स",
+    "search_short": "सर्च",
+    "search_desc": "<b>सर्च इन्डेक्स।</b> डाटाबेसभन्दा धेरै छिटो SEARCH को जवाफ दिन्छ। WRITE ले इन्डेक्स ताजा राखोस् भनेर SQL DB वा NoSQL स्टोर यसमा जोड्नुहोस्।",
+    "index_lag": "इन्डेक्स ढिलाइ",
+    "index_backlog": "इन्डेक्स गर्न बाँकी लेखन",
+    "index_not_fed": "स्रोत छैन",
+    "tip_search_index": "सर्च इन्डेक्सले डाटाबेसभन्दा धेरै छिटो SEARCH गर्छ - नतिजा ताजा राख्न आफ्नो DB बाट यसलाई डाटा दिनुहोस्",
+    "apigw": "API गेटवे",
+    "apigw_short": "गेटवे",
+    "apigw_desc": "<b>API गेटवे।</b> कम्प्युटमा पुग्नु अघि अप्रमाणित र बिग्रिएका अनुरोधहरू अस्वीकार गर्छ र हरेक क्लाइन्टको दर सीमित गर्छ।",
+    "rate_limit": "दर सीमा (प्रति क्लाइन्ट अनुरोध/से)",
+    "rejected": "अस्वीकृत",
+    "rejected_unauthenticated": "अप्रमाणित",
+    "rejected_invalid": "अमान्य",
+    "rejected_rate_limited": "दर सीमित",
+    "tip_rate_limit_low": "{count} सामान्य क्लाइन्टहरू दर सीमित भए - गेटवे सीमा बढाउनुहोस् ताकि दुरुपयोग गर्ने क्लाइन्ट मात्र रोकिऊन्",
+    "queue_async_mode": "एसिंक मोड",
+    "queue_async_desc": "लेखन र अपलोडलाई क्यूमा पुगेपछि नै जवाफ दिइन्छ; वर्करहरूले पछि पूरा गर्छन्।",
+    "queue_depth": "क्यूमा",
+    "oldest_message": "सबैभन्दा पुरानो सन्देश",
+    "dead_letters": "डेड लेटरहरू",
+    "queue_slo_breaches": "क्यू SLO उल्लङ्घन",
+    "tip_queue_slo": "{count} सन्देशहरूले {slo}s क्यू-उमेर SLO भन्दा बढी पर्खे - क्यू पछाडि थप वर्कर राख्नुहोस्",
+    "tip_dead_letters": "{count} सन्देशहरू हरेक डेलिभरीमा असफल भई डेड लेटरमा गए - क्यू पछाडिका वर्कर र स्टोरहरू जाँच गर्नुहोस्",
+    "dlq": "डेड-लेटर क्यू",
+    "dlq_short": "DLQ",
+    "dlq_desc": "<b>डेड लेटर।</b> बारम्बार असफल हुने सन्देशहरू समात्न क्यूबाट जोड्नुहोस्। हेर्नुहोस्, पुनः पठाउनुहोस् वा हटाउनुहोस्।",
+    "max_receive_count": "अधिकतम प्राप्ति",
+    "no_dlq": "DLQ छैन",
+    "dlq_redrive": "पुनः पठाउनुहोस्",
+    "dlq_purge": "हटाउनुहोस्",
+    "dlq_malformed": "बिग्रिएको",
+    "warn_no_dlq": "एउटा सन्देश {count} पटक असफल भयो र फर्किरहन्छ - क्यूमा डेड-लेटर क्यू जोड्नुहोस्",
+    "tip_no_dlq": "{count} सन्देशहरू समात्ने डेड-लेटर क्यू बिना असफल भइरहे - ती वर्करहरूमा घुमिरहे",
+    "regions": "क्षेत्रहरू",
+    "region_us-east": "US पूर्व",
+    "region_eu-west": "EU पश्चिम",
+    "region_ap-south": "AP दक्षिण",
+    "region_idle": "निष्क्रिय",
+    "region_healthy": "स्वस्थ",
+    "region_degraded": "फेलओभर भयो",
+    "go": "जानुहोस्",
+    "cross_region_hops": "क्रस-क्षेत्र हपहरू",
+    "egress": "क्रस-क्षेत्र इग्रेस",
+    "region_failover": "🌐 {region} असफल हुँदैछ - ट्राफिक अन्य क्षेत्रहरूमा सर्छ",
+    "region_recovered": "🌐 {region} पुनः स्वस्थ भयो र फेरि ट्राफिक लिन्छ",
+    "region_outage_warning": "🌐 {region} क्षेत्र आउटेज! त्यहाँका सबै सेवाहरू अफलाइन",
+    "region_outage_active": "क्षेत्र आउटेज - यसलाई छलेर रुट गर्नुहोस्",
+    "dns": "DNS",
+    "dns_short": "DNS",
+    "dns_desc": "<b>DNS।</b> प्रत्येक क्लाइन्ट कुन प्रवेश बिन्दुमा जान्छ भन्ने निर्णय गर्छ: लेटेन्सी, तौल, स्थान वा फेलओभर अनुसार। उत्तरहरू TTL सम्म क्यास हुन्छन्।",
+    "dns_policy": "रुटिङ नीति",
+    "dns_latency": "लेटेन्सी",
+    "dns_weighted": "तौलयुक्त",
+    "dns_geolocation": "भौगोलिक स्थान",
+    "dns_failover": "फेलओभर",
+    "dns_latency_desc": "प्रत्येक क्लाइन्टलाई सबैभन्दा छिटो नेटवर्क बाटो भएको क्षेत्रमा पठाउँछ।",
+    "dns_weighted_desc": "तपाईंले प्रत्येक रेकर्डलाई दिएको तौल अनुसार खोजहरू बाँड्छ।",
+    "dns_geolocation_desc": "क्लाइन्टहरूलाई आफ्नै क्षेत्रमा राख्छ, प्रवेश बिन्दु नभए मात्र अन्यत्र।",
+    "dns_failover_desc": "प्राथमिक क्षेत्रको स्वास्थ्य जाँच असफल नभएसम्म सबै त्यहीँ जान्छ।",
+    "dns_primary": "प्राथमिक क्षेत्र",
+    "dns_ttl": "TTL (s)",
+    "dns_records": "रेकर्डहरू",
+    "dns_no_records": "उत्तर दिन इन्टरनेटबाट प्रवेश बिन्दुहरू जोड्नुहोस्",
+    "warn_one_dns": "एउटा DNS नोडले पहिले नै सम्पूर्ण साइटको जवाफ दिन्छ",
+    "population_na": "NA क्लाइन्टहरू",
+    "population_eu": "EU क्लाइन्टहरू",
+    "population_apac": "APAC क्लाइन्टहरू",
+    "cache_hit_rate": "क्यास हिट दर",
+    "cache_entries": "प्रविष्टिहरू",
+    "cache_ttl": "TTL (से)",
+    "cache_invalidate": "लेख्दा अमान्य गर्नुहोस्",
+    "cache_invalidate_desc": "यस क्यास पछाडिको स्टोरमा लेख्दा परिवर्तन भएका उत्तरहरू हटाइन्छ।",
+    "cache_stale_hits": "पुराना हिटहरू",
+    "cache_stale_count": "({count} पुराना)",
+    "tip_cache_stale": "{count} क्यास हिटले लेखाइले बदलिसकेको डाटा दिए - लेख्दा अमान्य गर्ने खोल्नुहोस्, लेखाइ लिने हरेक स्टोरसँग क्यास जोड्नुहोस्, वा TTL घटाउनुहोस्",
+    "cache_coalesce": "मिसहरू एकै ठाउँमा गाभ्नुहोस्",
+    "cache_coalesced": "गाभिएका",
+    "cache_warm": "पुनः सुरु पछि तताउनुहोस्",
+    "cache_warm_desc": "हट र हालै राखिएका कुञ्जीहरू पृष्ठभूमिमा फेरि लोड गर्छ, स्टोरको केही क्षमता लिन्छ।",
+    "cache_warming": "तताउँदै: {count} कुञ्जी बाँकी",
+    "cache_restarted_cold": "मेमोरी क्यास खाली फर्कियो - नतातिएसम्म हरेक पढाइ डाटाबेसमा जान्छ",
+    "cache_restarted_warming": "मेमोरी क्यास खाली फर्कियो र आफ्ना कुञ्जीहरू फेरि लोड गर्दैछ",
+    "cache_memory": "मेमोरी",
+    "cache_eviction": "हटाउने नीति",
+    "eviction_lru": "हालै कम प्रयोग भएको",
+    "eviction_lfu": "कम पटक प्रयोग भएको",
+    "eviction_random": "अनियमित",
+    "eviction_ttl": "TTL मात्र",
+    "eviction_lru_desc": "सबैभन्दा पहिले पढिएको उत्तर हटाउँछ। छिटो अनुकूल हुन्छ, तर एकपटके पढाइको लहरले लोकप्रिय कुञ्जीहरू निकाल्छ।",
+    "eviction_lfu_desc": "राखेदेखि सबैभन्दा कम पढिएको उत्तर हटाउँछ। एकपटके पढाइको लहरमा पनि लगातार लोकप्रिय कुञ्जीहरू जोगाउँछ।",
+    "eviction_random_desc": "जुनसुकै उत्तर हटाउँछ। सस्तो, र लोकप्रियता समान हुँदा LRU भन्दा खासै नराम्रो छैन।",
+    "eviction_ttl_desc": "मान्य उत्तर कहिल्यै हटाउँदैन; केही म्याद नसकिउन्जेल नयाँ उत्तर अस्वीकार हुन्छन्।",
+    "cache_evictions": "हटाइएका",
+    "cache_rejected": "{count} अस्वीकृत",
+    "cdn_edges": "एज स्थानहरू",
+    "cdn_pop_cost": "प्रत्येक थप एज: सुरुमा ${cost}, ${upkeep}/मिनेट",
+    "cdn_shield": "ओरिजिन शिल्ड",
+    "cdn_shield_desc": "एजहरूले ओरिजिनभन्दा पहिले एउटा साझा क्यास सोध्छन्। सुरुमा ${cost}, ${upkeep}/मिनेट",
+    "cdn_shield_hit_rate": "शिल्ड हिट दर",
+    "cdn_origin_fetches": "ओरिजिनबाट ल्याइएको",
+    "cdn_ttl": "एज TTL (सेकेन्ड)",
+    "cdn_versioned": "संस्करण भएका एसेट URL",
+    "cdn_versioned_desc": "प्रत्येक रिलिजले नयाँ URL पाउँछ, त्यसैले एजहरूले पुराना फाइलहरू दिनुको सट्टा नयाँ ल्याउँछन्।",
+    "cdn_release": "रिलिज",
+    "cdn_release_info": "v{version} · अर्को {seconds} सेकेन्डमा",
+    "cdn_deploy": "डिप्लोय",
+    "cdn_purge": "खाली गर्नुहोस्",
+    "cdn_purged": "CDN खाली गरियो - एजहरू ओरिजिनबाट फेरि भरिन्छन्",
+    "assets_deployed_versioned": "रिलिज v{version} डिप्लोय भयो - CDN एजहरूले नयाँ एसेटहरू ओरिजिनबाट ल्याउँछन्",
+    "assets_deployed_stale": "रिलिज v{version} डिप्लोय भयो - CDN एजहरूले पुराना एसेटहरू म्याद नसकिएसम्म वा खाली नगरिएसम्म दिइरहन्छन्",
+    "tip_cdn_stale": "{count} CDN हिटहरूले पुरानो रिलिजका एसेटहरू दिए - एसेट URL मा संस्करण राख्नुहोस् वा प्रत्येक डिप्लोयपछि CDN खाली गर्नुहोस्",
+    "time_of_day": "दिनको समय",
+    "weekday_0": "सोम",
+    "weekday_1": "मंगल",
+    "weekday_2": "बुध",
+    "weekday_3": "बिही",
+    "weekday_4": "शुक्र",
+    "weekday_5": "शनि",
+    "weekday_6": "आइत",
+    "traffic_curve": "ट्राफिक वक्र",
+    "curve_flat": "समतल",
+    "curve_business": "कार्यालय समय",
+    "curve_consumer": "साँझको शिखर",
+    "curve_custom": "आफ्नै",
+    "curve_peak_hour": "शिखर घण्टा",
+    "curve_swing": "दैनिक उतारचढाव",
+    "curve_weekend_dip": "सप्ताहान्त गिरावट",
+    "tip_idle_capacity": "${cost} मर्मत खर्च निष्क्रिय कम्प्युटमा गयो - अटो-स्केलिङ समूहले राति ट्राफिक घट्दा क्षमता घटाउँछ",
+    "breaker_closed": "जोडिएको",
+    "breaker_open": "खुला",
+    "breaker_half_open": "आधा खुला",
+    "retries": "पुनः प्रयास",
+    "tip_retry_storm": "{count} पुनः प्रयास सामान्य ट्राफिकमाथि थपिए - जिटरसहितको ब्याकअफ र पुनः प्रयास बजेट प्रयोग गर्नुहोस्",
     "no_save_found": "बचत गरिएको खेल फेला परेन।",
     "save_corrupted": "खेल लोड गर्न असफल। बचत फाइल भ्रष्ट भएको हुन सक्छ।",
     "final_score": "अन्तिम स्कोर: {score}",
@@ -386,6 +597,11 @@ const NE_TRANSLATIONS = {
     "max": "अधिकतम",
     "reason_malicious": "{count} दुर्भावनापूर्ण आक्रमणहरूले तपाईंको रक्षा बाइपास गरे।",
     "reason_failed_type": "{count} {type} अनुरोधहरू क्षमता वा हराइरहेका मार्गहरूको कारणले असफल भए।",
+    "reason_timeouts": "{count} अनुरोधहरूको समय सकियो: तपाईंको प्रणालीले जवाफ दिनुअघि नै ग्राहकहरूले छोडे।",
+    "tip_timeouts_queue": "लामो लाइनले समयसीमा नाघ्छ - लाइन खाली गर्न SQS पछाडि Compute थप्नुहोस्",
+    "tip_timeouts_hops": "हरेक हपले ढिलाइ थप्छ - धेरै पढिने डेटा क्यास गर्नुहोस् र स्थिर फाइलहरू CDN बाट दिनुहोस्",
+    "tip_late_replies": "{count} जवाफहरू ढिलो आए र आधा मात्र कमाए - त्यो आम्दानी फिर्ता पाउन ढिलाइ घटाउनुहोस्",
+    "timed_out": "समय सकियो",
     "tip_multiple_waf": "ठूलो आक्रमण छालाहरू ह्यान्डल गर्न बहुविध फायरवालहरू डिप्ले गर्नुहोस्",
     "waf": "फायरवाल",
     "alb": "लोड ब्यालेन्सर",
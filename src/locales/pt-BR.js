@@ -4,6 +4,12 @@ const PT_BR_TRANSLATIONS = {
     "budget": "Orçamento",
     "upkeep_cost": "Custo de Manutenção",
     "elapsed_time": "Tempo Decorrido",
+    "seed": "Semente",
+    "seed_placeholder": "Semente (opcional)",
+    "pause": "Pausar",
+    "play": "Jogar",
+    "fast_forward": "Avançar",
+    "latency_ms": "Latência (ms)",
     "reputation": "Reputação",
     "load_rps": "Carga (RPS)",
     "next_rps_surge": "Próxima Onda de Carga",
@@ -90,13 +96,13 @@ const PT_BR_TRANSLATIONS = {
     "tut_place_storage_hint": "STATIC = imagens, CSS, JS (taxa de cache de 90%). UPLOAD = uploads de arquivo (solicitações pesadas, nunca cacheadas).",
     "tut_place_cdn_title": "Implantar CDN",
     "tut_place_cdn_text": "<span class=\"text-green-400 font-bold\">CDN</span> (Content Delivery Network) acelera a entrega de conteúdo <span class=\"text-green-400\">estático</span>. Ele fica entre a internet e o armazenamento de arquivos.",
-    "tut_place_cdn_hint": "CDN tem uma taxa de acerto de cache muito alta (95%), o que significa que a maioria das solicitações nunca precisa tocar nos seus servidores de armazenamento!",
+    "tut_place_cdn_hint": "Depois de aquecida, a CDN responde à maioria das solicitações STATIC a partir das bordas, então a maioria nunca precisa tocar nos seus servidores de armazenamento!",
     "tut_connect_internet_cdn_title": "Conectar Internet ao CDN",
     "tut_connect_internet_cdn_text": "Conecte a <span class=\"text-cyan-400 font-bold\">Internet</span> ao seu <span class=\"text-green-400 font-bold\">CDN</span>. Isso permite acesso primeiro ao cache de borda.",
     "tut_connect_internet_cdn_hint": "Fluxo de tráfego: Internet → CDN. Se cache perder → Armazenamento de Arquivos.",
     "tut_connect_cdn_s3_title": "Conectar CDN ao Armazenamento de Arquivos",
     "tut_connect_cdn_s3_text": "Conecte o <span class=\"text-green-400 font-bold\">CDN</span> ao <span class=\"text-emerald-400 font-bold\">Armazenamento de Arquivos</span>. Isso permite que o CDN busque conteúdo quando o cache perde.",
-    "tut_connect_cdn_s3_hint": "Apenas solicitações que perderam o cache (5%) fluirão para o armazenamento de arquivos. Isso economiza dinheiro e capacidade!",
+    "tut_connect_cdn_s3_hint": "Apenas solicitações que perderam o cache fluirão para o armazenamento de arquivos. Isso economiza dinheiro e capacidade!",
     "tut_place_db_title": "Implantar Banco de Dados SQL",
     "tut_place_db_text": "<span class=\"text-red-400 font-bold\">Banco de Dados SQL</span> lida com tráfego de <span class=\"text-blue-400\">leitura</span>, <span class=\"text-orange-400\">escrita</span> e <span class=\"text-cyan-400\">busca</span>. APIs precisam de armazenamento de banco de dados.",
     "tut_place_db_hint": "READ = busca de dados (40% cache). WRITE = atualizações de banco (nunca cache). SEARCH = consultas complexas (15% cache, solicitações pesadas).",
@@ -294,6 +300,211 @@ const PT_BR_TRANSLATIONS = {
     "uptime": "Tempo de Atividade",
     "processed": "Processado",
     "health": "Saúde",
+    "inspector": "Inspetor",
+    "lb_strategy": "Estratégia de Balanceamento",
+    "lb_round_robin": "Round Robin",
+    "lb_least_connections": "Menos Conexões",
+    "lb_least_queue": "Menor Fila",
+    "lb_weighted": "Ponderado (por nível)",
+    "lb_random_two_choices": "Duas Escolhas Aleatórias",
+    "lb_round_robin_desc": "Reveza entre os destinos. Uniforme e previsível, mas ignora o quanto cada um está ocupado.",
+    "lb_least_connections_desc": "Envia para o destino que está processando menos requisições agora.",
+    "lb_least_queue_desc": "Envia para o destino com a menor fila.",
+    "lb_weighted_desc": "Níveis melhorados recebem uma fatia maior, proporcional à capacidade.",
+    "lb_random_two_choices_desc": "Sorteia dois destinos e escolhe o menos carregado.",
+    "health_checks": "Verificações de Saúde",
+    "hc_interval": "Intervalo (s)",
+    "hc_unhealthy_threshold": "Não saudável após",
+    "hc_healthy_threshold": "Saudável após",
+    "retry_policy": "Política de Retentativa",
+    "retry_none": "Sem Retentativas",
+    "retry_immediate": "Imediata (5 tentativas)",
+    "retry_exponential": "Backoff Exponencial",
+    "retry_exponential_jitter": "Backoff + Jitter",
+    "retry_budgeted": "Backoff + Jitter + Orçamento",
+    "retry_none_desc": "Requisições descartadas falham na hora.",
+    "retry_immediate_desc": "Reenvia na hora, até 5 tentativas. Sob sobrecarga isso multiplica a carga - uma tempestade de retentativas.",
+    "retry_exponential_desc": "Espera 0,2s, 0,4s, 0,8s entre tentativas. Dá folga ao destino, mas as retentativas ainda chegam em ondas.",
+    "retry_exponential_jitter_desc": "Backoff com esperas aleatórias, para as retentativas se espalharem em vez de chegarem juntas.",
+    "retry_budgeted_desc": "Backoff e jitter, com no máximo 1 retentativa a cada 10 requisições enviadas. Limita a carga extra durante uma falha.",
+    "circuit_breakers": "Disjuntores",
+    "breaker_off": "DESLIGADO",
+    "asg": "Grupo de Auto Scaling",
+    "asg_short": "ASG",
+    "asg_desc": "<b>Grupo de Auto Scaling.</b> Lança e desativa instâncias de Computação conforme a carga. Conecte um Balanceador ou Fila nele e armazenamentos a partir dele.",
+    "asg_instances": "Em serviço / ativas",
+    "asg_metric_now": "Métrica atual",
+    "asg_policy": "Política",
+    "asg_target_tracking": "Rastreamento de alvo",
+    "asg_step": "Degraus",
+    "asg_manual": "Manual",
+    "asg_metric": "Métrica",
+    "asg_metric_cpu": "CPU (carga)",
+    "asg_metric_queue": "Tamanho da fila",
+    "asg_target": "Alvo",
+    "asg_min": "Mín",
+    "asg_max": "Máx",
+    "asg_desired": "Desejado",
+    "asg_scale_out_cooldown": "Espera p/ aumentar (s)",
+    "asg_scale_in_cooldown": "Espera p/ reduzir (s)",
+    "asg_warmup": "Aquecimento (s)",
+    "replica": "Réplica de Leitura",
+    "read_replica": "Réplica de Leitura",
+    "replica_short": "Réplica",
+    "replica_desc": "<b>Réplica de Leitura.</b> Atende READ/SEARCH de um SQL DB primário. Conecte o DB nela e a Computação a ela. Fica atrás do primário sob carga de escrita.",
+    "replication_lag": "Atraso de Replicação",
+    "stale_chance": "Chance de Leitura Obsoleta",
+    "no_primary": "Sem primário",
+    "stale_reads": "Leituras Obsoletas",
+    "tip_stale_reads": "{count} leituras vieram de réplicas atrasadas - distribua escritas ou aumente o DB para as réplicas acompanharem",
+    "sharding": "Fragmentação",
+    "shard_none": "Sem shards",
+    "shard_hash": "Hash",
+    "shard_range": "Intervalo",
+    "shard_split_hash": "Dividir por hash",
+    "shard_split_range": "Dividir por intervalo",
+    "shard_split_cost": "Novo shard ${cost} + ${copy} para copiar metade das chaves",
+    "shard_copying": "Copiando {count} buckets: {percent}%",
+    "shard_migrated": "Migração de shard concluída - chaves movidas para o novo shard",
+    "nosql": "Armazenamento NoSQL",
+    "nosql_short": "NoSQL",
+    "nosql_desc": "<b>Armazenamento NoSQL.</b> READ/WRITE rápido e barato para a Computação; adicione nós para escalar. Lento em SEARCH - mantenha um SQL DB conectado para isso.",
+    "tip_search_sql": "NoSQL varre tudo em SEARCH - conecte também um SQL DB e as buscas vão para ele",
+    "tip_write_nosql": "Enxurradas de escrita superam um SQL DB - NoSQL atende READ/WRITE e escala adicionando nós",
+    "search": "Índice de Busca",
+    "search_short": "Busca",
+    "search_desc": "<b>Índice de Busca.</b> Responde SEARCH muito mais rápido que um banco. Conecte um SQL DB ou NoSQL nele para que os WRITEs mantenham o índice atualizado.",
+    "index_lag": "Atraso do Índice",
+    "index_backlog": "Escritas a Indexar",
+    "index_not_fed": "Sem fonte",
+    "tip_search_index": "Um Índice de Busca responde SEARCH muito mais rápido que um banco - alimente-o pelo seu DB para manter os resultados atualizados",
+    "apigw": "API Gateway",
+    "apigw_short": "Gateway",
+    "apigw_desc": "<b>API Gateway.</b> Rejeita requisições não autenticadas e malformadas e limita a taxa de cada cliente antes da Computação.",
+    "rate_limit": "Limite (req/s por cliente)",
+    "rejected": "Rejeitadas",
+    "rejected_unauthenticated": "Não autenticadas",
+    "rejected_invalid": "Inválidas",
+    "rejected_rate_limited": "Limitadas",
+    "tip_rate_limit_low": "{count} clientes comuns foram limitados - aumente o limite do gateway para atingir só clientes abusivos",
+    "queue_async_mode": "Modo assíncrono",
+    "queue_async_desc": "Gravações e uploads são respondidos ao entrar na fila; os workers os concluem depois.",
+    "queue_depth": "Na fila",
+    "oldest_message": "Mensagem mais antiga",
+    "dead_letters": "Mensagens Mortas",
+    "queue_slo_breaches": "Violações do SLO da Fila",
+    "tip_queue_slo": "{count} mensagens esperaram mais que o SLO de {slo}s de idade da fila - adicione workers atrás da fila",
+    "tip_dead_letters": "{count} mensagens falharam em todas as entregas e foram para a fila de mensagens mortas - verifique os workers e armazenamentos atrás da fila",
+    "dlq": "Fila de Mensagens Mortas",
+    "dlq_short": "DLQ",
+    "dlq_desc": "<b>Mensagens mortas.</b> Conecte a partir de uma Fila para capturar mensagens que falham sempre. Inspecione, reenvie ou descarte.",
+    "max_receive_count": "Máx. recebimentos",
+    "no_dlq": "Sem DLQ",
+    "dlq_redrive": "Reenviar",
+    "dlq_purge": "Descartar",
+    "dlq_malformed": "malformada",
+    "warn_no_dlq": "Uma mensagem falhou {count} vezes e continua voltando - conecte uma Fila de Mensagens Mortas à Fila",
+    "tip_no_dlq": "{count} mensagens continuaram falhando sem uma Fila de Mensagens Mortas para capturá-las - ficaram circulando pelos workers",
+    "regions": "Regiões",
+    "region_us-east": "EUA Leste",
+    "region_eu-west": "UE Oeste",
+    "region_ap-south": "AP Sul",
+    "region_idle": "ociosa",
+    "region_healthy": "saudável",
+    "region_degraded": "em failover",
+    "go": "Ir",
+    "cross_region_hops": "Saltos entre regiões",
+    "egress": "Egress entre regiões",
+    "region_failover": "🌐 {region} está falhando - o tráfego vai para as outras regiões",
+    "region_recovered": "🌐 {region} se recuperou e voltou a receber tráfego",
+    "region_outage_warning": "🌐 QUEDA DA REGIÃO {region}! Todos os serviços lá estão offline",
+    "region_outage_active": "QUEDA DE REGIÃO - desvie dela",
+    "dns": "DNS",
+    "dns_short": "DNS",
+    "dns_desc": "<b>DNS.</b> Decide para qual ponto de entrada cada cliente vai: por latência, peso, localização ou failover. Respostas ficam em cache pelo TTL.",
+    "dns_policy": "Política de roteamento",
+    "dns_latency": "Latência",
+    "dns_weighted": "Ponderado",
+    "dns_geolocation": "Geolocalização",
+    "dns_failover": "Failover",
+    "dns_latency_desc": "Envia cada cliente para a região com o caminho de rede mais rápido.",
+    "dns_weighted_desc": "Divide as consultas pelo peso que você dá a cada registro.",
+    "dns_geolocation_desc": "Mantém os clientes na própria região, indo para outra só se ela não tiver ponto de entrada.",
+    "dns_failover_desc": "Tudo vai para a região primária até que suas verificações de saúde falhem.",
+    "dns_primary": "Região primária",
+    "dns_ttl": "TTL (s)",
+    "dns_records": "Registros",
+    "dns_no_records": "Conecte pontos de entrada à Internet para responder com eles",
+    "warn_one_dns": "Um nó DNS já responde pelo site inteiro",
+    "population_na": "Clientes NA",
+    "population_eu": "Clientes UE",
+    "population_apac": "Clientes APAC",
+    "cache_hit_rate": "Taxa de Acerto do Cache",
+    "cache_entries": "Entradas",
+    "cache_ttl": "TTL (s)",
+    "cache_invalidate": "Invalidar na escrita",
+    "cache_invalidate_desc": "Escritas no armazenamento atrás deste cache descartam as respostas que alteram.",
+    "cache_stale_hits": "Acertos desatualizados",
+    "cache_stale_count": "({count} desatualizados)",
+    "tip_cache_stale": "{count} acertos de cache serviram dados já alterados por uma escrita - ative a invalidação na escrita, ligue o cache a todo armazenamento que recebe escritas ou reduza o TTL",
+    "cache_coalesce": "Agrupar falhas",
+    "cache_coalesced": "Agrupadas",
+    "cache_warm": "Aquecer após reinício",
+    "cache_warm_desc": "Recarrega em segundo plano as chaves quentes e as mantidas recentemente, usando parte da capacidade do armazenamento.",
+    "cache_warming": "Aquecendo: faltam {count} chaves",
+    "cache_restarted_cold": "O cache em memória voltou vazio - toda leitura vai ao banco de dados até ele aquecer",
+    "cache_restarted_warming": "O cache em memória voltou vazio e está recarregando suas chaves",
+    "cache_memory": "Memória",
+    "cache_eviction": "Política de remoção",
+    "eviction_lru": "Menos usado recentemente",
+    "eviction_lfu": "Menos usado com frequência",
+    "eviction_random": "Aleatória",
+    "eviction_ttl": "Só TTL",
+    "eviction_lru_desc": "Remove a resposta lida há mais tempo. Adapta-se rápido, mas uma rajada de leituras únicas expulsa chaves populares.",
+    "eviction_lfu_desc": "Remove a resposta menos lida desde que foi guardada. Mantém chaves sempre populares durante rajadas de leituras únicas.",
+    "eviction_random_desc": "Remove qualquer resposta. Barata, e pouco pior que LRU quando a popularidade é uniforme.",
+    "eviction_ttl_desc": "Nunca remove uma resposta válida; novas são recusadas até algo expirar.",
+    "cache_evictions": "Remoções",
+    "cache_rejected": "{count} recusadas",
+    "cdn_edges": "Locais de borda",
+    "cdn_pop_cost": "Cada borda extra: ${cost} na hora, ${upkeep}/min",
+    "cdn_shield": "Escudo de origem",
+    "cdn_shield_desc": "As bordas consultam um cache compartilhado antes da origem. ${cost} na hora, ${upkeep}/min",
+    "cdn_shield_hit_rate": "Acertos do escudo",
+    "cdn_origin_fetches": "Buscas na origem",
+    "cdn_ttl": "TTL da borda (s)",
+    "cdn_versioned": "URLs de assets versionadas",
+    "cdn_versioned_desc": "Cada release ganha URLs novas, então as bordas a buscam de novo em vez de servir os arquivos antigos.",
+    "cdn_release": "Release",
+    "cdn_release_info": "v{version} · próxima em {seconds}s",
+    "cdn_deploy": "Deploy",
+    "cdn_purge": "Limpar",
+    "cdn_purged": "CDN limpa - as bordas se reabastecem na origem",
+    "assets_deployed_versioned": "Release v{version} publicada - as bordas da CDN buscam os novos assets na origem",
+    "assets_deployed_stale": "Release v{version} publicada - as bordas da CDN continuam servindo os assets antigos até expirarem ou serem limpos",
+    "tip_cdn_stale": "{count} acertos da CDN serviram assets de uma release antiga - versione as URLs dos assets ou limpe a CDN após cada deploy",
+    "time_of_day": "Hora do Dia",
+    "weekday_0": "Seg",
+    "weekday_1": "Ter",
+    "weekday_2": "Qua",
+    "weekday_3": "Qui",
+    "weekday_4": "Sex",
+    "weekday_5": "Sáb",
+    "weekday_6": "Dom",
+    "traffic_curve": "Curva de Tráfego",
+    "curve_flat": "Constante",
+    "curve_business": "Horário Comercial",
+    "curve_consumer": "Pico Noturno",
+    "curve_custom": "Personalizada",
+    "curve_peak_hour": "Hora de Pico",
+    "curve_swing": "Variação Diária",
+    "curve_weekend_dip": "Queda no Fim de Semana",
+    "tip_idle_capacity": "${cost} de manutenção foram para computação ociosa - um grupo de auto scaling reduz a capacidade quando o tráfego cai à noite",
+    "breaker_closed": "FECHADO",
+    "breaker_open": "ABERTO",
+    "breaker_half_open": "SEMIABERTO",
+    "retries": "Retentativas",
+    "tip_retry_storm": "{count} retentativas se somaram ao tráfego normal - use backoff com jitter e um orçamento de retentativas",
     "no_save_found": "Nenhum save encontrado.",
     "save_corrupted": "Não foi possível carregar o save, arquivo pode estar corrompido.",
     "final_score": "Pontuação Final: {score}",
@@ -394,6 +605,11 @@ const PT_BR_TRANSLATIONS = {
     "max": "Máx",
     "reason_malicious": "{count} ataques maliciosos penetraram suas defesas.",
     "reason_failed_type": "{count} solicitações {type} falharam devido a capacidade insuficiente ou caminho faltante.",
+    "reason_timeouts": "{count} solicitações expiraram: os clientes desistiram antes de o sistema responder.",
+    "tip_timeouts_queue": "Filas longas estouram prazos - adicione Compute atrás do SQS para esvaziá-las",
+    "tip_timeouts_hops": "Cada salto adiciona latência - use cache para leituras frequentes e CDN para arquivos estáticos",
+    "tip_late_replies": "{count} respostas chegaram atrasadas e renderam metade - reduza a latência para recuperar essa receita",
+    "timed_out": "Expiradas",
     "tip_multiple_waf": "Implante múltiplos firewalls para lidar com picos de ataque em larga escala",
     "waf": "Firewall",
     "alb": "Load Balancer",
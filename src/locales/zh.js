@@ -4,6 +4,12 @@ const ZH_TRANSLATIONS = {
     "budget": "预算",
     "upkeep_cost": "维护成本",
     "elapsed_time": "已用时间",
+    "seed": "种子",
+    "seed_placeholder": "种子（可选）",
+    "pause": "暂停",
+    "play": "开始",
+    "fast_forward": "快进",
+    "latency_ms": "延迟（毫秒）",
     "reputation": "声誉值",
     "load_rps": "负载 (RPS)",
     "next_rps_surge": "下次负载浪涌",
@@ -90,13 +96,13 @@ const ZH_TRANSLATIONS = {
     "tut_place_storage_hint": "STATIC = 图片、CSS、JS 文件（90% 缓存命中率）。UPLOAD = 文件上传（重度请求，永不缓存）。",
     "tut_place_cdn_title": "部署 CDN",
     "tut_place_cdn_text": "<span class=\"text-green-400 font-bold\">CDN</span>（内容分发网络）加速<span class=\"text-green-400\">静态</span>内容的交付。它位于互联网和文件存储之间。",
-    "tut_place_cdn_hint": "CDN 具有非常高的缓存命中率（95%），这意味着大多数请求根本不需要触及你的存储服务器！",
+    "tut_place_cdn_hint": "预热后，CDN 会从边缘节点响应大多数静态请求，因此大多数请求根本不需要触及你的存储服务器！",
     "tut_connect_internet_cdn_title": "连接互联网到 CDN",
     "tut_connect_internet_cdn_text": "将<span class=\"text-cyan-400 font-bold\">互联网</span>连接到你的<span class=\"text-green-400 font-bold\">CDN</span>。这允许用户首先访问边缘缓存。",
     "tut_connect_internet_cdn_hint": "流量路径：互联网 → CDN。如果缓存未命中 → 文件存储。",
     "tut_connect_cdn_s3_title": "连接 CDN 到文件存储",
     "tut_connect_cdn_s3_text": "将<span class=\"text-green-400 font-bold\">CDN</span>连接到<span class=\"text-emerald-400 font-bold\">文件存储</span>。这允许 CDN 在缓存未命中时获取内容。",
-    "tut_connect_cdn_s3_hint": "只有缓存未命中（5%）的请求会流向文件存储。这能节省资金 and 容量！",
+    "tut_connect_cdn_s3_hint": "只有缓存未命中的请求会流向文件存储。这能节省资金和容量！",
     "tut_place_db_title": "部署 SQL 数据库",
     "tut_place_db_text": "<span class=\"text-red-400 font-bold\">SQL 数据库</span>处理<span class=\"text-blue-400\">读取</span>、<span class=\"text-orange-400\">写入</span>和<span class=\"text-cyan-400\">搜索</span>流量。API 需要数据库存储。",
     "tut_place_db_hint": "READ = 数据获取（40% 缓存）。WRITE = 数据库更新（永不缓存）。SEARCH = 复杂查询（15% 缓存，重度请求）。",
@@ -293,6 +299,211 @@ const ZH_TRANSLATIONS = {
   "uptime": "运行时间",
   "processed": "已处理",
   "health": "健康度",
+  "inspector": "检查器",
+  "lb_strategy": "负载均衡策略",
+  "lb_round_robin": "轮询",
+  "lb_least_connections": "最少连接",
+  "lb_least_queue": "最短队列",
+  "lb_weighted": "加权（按等级）",
+  "lb_random_two_choices": "随机二选一",
+  "lb_round_robin_desc": "依次轮流分发。均匀可预测，但不关心目标有多忙。",
+  "lb_least_connections_desc": "发送到当前处理请求最少的目标。",
+  "lb_least_queue_desc": "发送到积压队列最短的目标。",
+  "lb_weighted_desc": "按容量比例分配，升级后的节点承担更多流量。",
+  "lb_random_two_choices_desc": "随机抽取两个目标，选择负载较低的那个。",
+  "health_checks": "健康检查",
+  "hc_interval": "间隔（秒）",
+  "hc_unhealthy_threshold": "判定不健康次数",
+  "hc_healthy_threshold": "判定健康次数",
+  "retry_policy": "重试策略",
+  "retry_none": "不重试",
+  "retry_immediate": "立即重试（5次）",
+  "retry_exponential": "指数退避",
+  "retry_exponential_jitter": "退避 + 抖动",
+  "retry_budgeted": "退避 + 抖动 + 预算",
+  "retry_none_desc": "被丢弃的请求直接失败。",
+  "retry_immediate_desc": "立即重发，最多5次。过载时会成倍放大负载——重试风暴。",
+  "retry_exponential_desc": "每次重试间隔 0.2秒、0.4秒、0.8秒。给目标喘息空间，但重试仍会成批到达。",
+  "retry_exponential_jitter_desc": "带随机等待的退避，让重试分散而不是同时到达。",
+  "retry_budgeted_desc": "退避加抖动，且每发送10个请求最多重试1次。限制故障期间的额外负载。",
+  "circuit_breakers": "熔断器",
+  "breaker_off": "未启用",
+  "asg": "自动伸缩组",
+  "asg_short": "伸缩组",
+  "asg_desc": "<b>自动伸缩组。</b>根据负载启动和回收计算实例。将负载均衡器或队列连入，再连出到存储。",
+  "asg_instances": "服务中 / 活跃",
+  "asg_metric_now": "当前指标",
+  "asg_policy": "策略",
+  "asg_target_tracking": "目标跟踪",
+  "asg_step": "步进",
+  "asg_manual": "手动",
+  "asg_metric": "指标",
+  "asg_metric_cpu": "CPU（负载）",
+  "asg_metric_queue": "队列深度",
+  "asg_target": "目标值",
+  "asg_min": "最小",
+  "asg_max": "最大",
+  "asg_desired": "期望",
+  "asg_scale_out_cooldown": "扩容冷却（秒）",
+  "asg_scale_in_cooldown": "缩容冷却（秒）",
+  "asg_warmup": "预热（秒）",
+  "replica": "只读副本",
+  "read_replica": "只读副本",
+  "replica_short": "副本",
+  "replica_desc": "<b>只读副本。</b>为主 SQL 数据库处理 READ/SEARCH。将数据库连入副本，再把计算节点连到副本。写入负载高时会落后于主库。",
+  "replication_lag": "复制延迟",
+  "stale_chance": "过期读取概率",
+  "no_primary": "无主库",
+  "stale_reads": "过期读取",
+  "tip_stale_reads": "{count} 次读取来自落后的副本 - 分散写入或提升数据库容量，让副本跟上",
+  "sharding": "分片",
+  "shard_none": "未分片",
+  "shard_hash": "哈希",
+  "shard_range": "范围",
+  "shard_split_hash": "按哈希拆分",
+  "shard_split_range": "按范围拆分",
+  "shard_split_cost": "新分片 ${cost} + ${copy} 复制一半的键",
+  "shard_copying": "正在复制 {count} 个分桶：{percent}%",
+  "shard_migrated": "分片迁移完成 - 键已移至新分片",
+  "nosql": "NoSQL 存储",
+  "nosql_short": "NoSQL",
+  "nosql_desc": "<b>NoSQL 存储。</b>为计算节点提供快速、廉价的 READ/WRITE；增加节点即可横向扩展。SEARCH 很慢 - 请同时连接 SQL 数据库。",
+  "tip_search_sql": "NoSQL 存储处理 SEARCH 需要全表扫描 - 同时连接 SQL 数据库，搜索会走那里",
+  "tip_write_nosql": "写入洪峰会压垮单个 SQL 数据库 - NoSQL 存储承担 READ/WRITE，并可通过加节点横向扩展",
+  "search": "搜索索引",
+  "search_short": "搜索",
+  "search_desc": "<b>搜索索引。</b>处理 SEARCH 远快于数据库。将 SQL 数据库或 NoSQL 存储连入，让 WRITE 保持索引新鲜。",
+  "index_lag": "索引延迟",
+  "index_backlog": "待索引写入",
+  "index_not_fed": "无数据源",
+  "tip_search_index": "搜索索引处理 SEARCH 远快于数据库 - 从数据库向其同步数据以保持结果新鲜",
+  "apigw": "API 网关",
+  "apigw_short": "网关",
+  "apigw_desc": "<b>API 网关。</b>在请求到达计算节点前拒绝未认证和格式错误的请求，并对每个客户端限流。",
+  "rate_limit": "限流（每客户端 请求/秒）",
+  "rejected": "已拒绝",
+  "rejected_unauthenticated": "未认证",
+  "rejected_invalid": "无效",
+  "rejected_rate_limited": "被限流",
+  "tip_rate_limit_low": "{count} 个普通客户端被限流 - 提高网关限额，只拦截滥用客户端",
+  "queue_async_mode": "异步模式",
+  "queue_async_desc": "写入和上传在入队后即返回响应，由后台工作节点稍后处理。",
+  "queue_depth": "队列中",
+  "oldest_message": "最旧消息",
+  "dead_letters": "死信",
+  "queue_slo_breaches": "队列 SLO 违规",
+  "tip_queue_slo": "{count} 条排队消息等待超过 {slo} 秒的队列时长 SLO - 在队列后增加工作节点",
+  "tip_dead_letters": "{count} 条消息每次投递都失败并进入死信 - 检查队列后的工作节点和存储",
+  "dlq": "死信队列",
+  "dlq_short": "死信",
+  "dlq_desc": "<b>死信。</b> 从队列连接以接住反复失败的消息。可查看、重新投递或清除。",
+  "max_receive_count": "最大接收次数",
+  "no_dlq": "无死信队列",
+  "dlq_redrive": "重新投递",
+  "dlq_purge": "清除",
+  "dlq_malformed": "格式错误",
+  "warn_no_dlq": "一条消息已失败 {count} 次且不断被重新投递 - 为队列连接死信队列",
+  "tip_no_dlq": "{count} 条消息反复失败却没有死信队列接住 - 它们一直在工作节点间循环",
+  "regions": "区域",
+  "region_us-east": "美国东部",
+  "region_eu-west": "欧洲西部",
+  "region_ap-south": "亚太南部",
+  "region_idle": "空闲",
+  "region_healthy": "健康",
+  "region_degraded": "已故障转移",
+  "go": "前往",
+  "cross_region_hops": "跨区域跳转",
+  "egress": "跨区域流量费",
+  "region_failover": "🌐 {region} 正在故障 - 流量转移到其他区域",
+  "region_recovered": "🌐 {region} 已恢复并重新接收流量",
+  "region_outage_warning": "🌐 {region} 区域故障！该区域所有服务离线",
+  "region_outage_active": "区域故障 - 绕开它路由",
+  "dns": "DNS",
+  "dns_short": "DNS",
+  "dns_desc": "<b>DNS。</b>决定每个客户端前往哪个入口：按延迟、权重、位置或故障转移。应答会按 TTL 缓存。",
+  "dns_policy": "路由策略",
+  "dns_latency": "延迟",
+  "dns_weighted": "加权",
+  "dns_geolocation": "地理位置",
+  "dns_failover": "故障转移",
+  "dns_latency_desc": "将每个客户端发送到网络路径最快的区域。",
+  "dns_weighted_desc": "按你为每条记录设置的权重分配查询。",
+  "dns_geolocation_desc": "让客户端留在本区域，仅当本区域没有入口时才去其他区域。",
+  "dns_failover_desc": "所有流量发往主区域，直到其健康检查失败。",
+  "dns_primary": "主区域",
+  "dns_ttl": "TTL (秒)",
+  "dns_records": "记录",
+  "dns_no_records": "从互联网连接入口节点以作为应答",
+  "warn_one_dns": "已有一个 DNS 节点负责整个站点",
+  "population_na": "北美客户端",
+  "population_eu": "欧洲客户端",
+  "population_apac": "亚太客户端",
+  "cache_hit_rate": "缓存命中率",
+  "cache_entries": "条目",
+  "cache_ttl": "TTL (秒)",
+  "cache_invalidate": "写入时失效",
+  "cache_invalidate_desc": "写入此缓存后端的存储时，会删除受影响的缓存结果。",
+  "cache_stale_hits": "过期命中",
+  "cache_stale_count": "({count} 过期)",
+  "tip_cache_stale": "{count} 次缓存命中返回了已被写入修改的数据 - 开启写入失效、将缓存连接到所有接收写入的存储，或缩短 TTL",
+  "cache_coalesce": "合并未命中",
+  "cache_coalesced": "已合并",
+  "cache_warm": "重启后预热",
+  "cache_warm_desc": "在后台重新加载热点键和最近持有的键，会占用存储的部分容量。",
+  "cache_warming": "预热中：还剩 {count} 个键",
+  "cache_restarted_cold": "内存缓存重启后为空 - 预热完成前所有读取都会打到数据库",
+  "cache_restarted_warming": "内存缓存重启后为空，正在重新加载键",
+  "cache_memory": "内存",
+  "cache_eviction": "淘汰策略",
+  "eviction_lru": "最近最少使用",
+  "eviction_lfu": "最不经常使用",
+  "eviction_random": "随机",
+  "eviction_ttl": "仅 TTL",
+  "eviction_lru_desc": "淘汰最久未被读取的结果。适应快，但一波一次性读取会把热门键挤出去。",
+  "eviction_lfu_desc": "淘汰存入后被读取次数最少的结果。在一次性读取的冲击下仍能保住长期热门的键。",
+  "eviction_random_desc": "随便淘汰一个结果。开销小，热度平均时不比 LRU 差多少。",
+  "eviction_ttl_desc": "从不淘汰未过期的结果；在有条目过期前，新结果会被拒绝。",
+  "cache_evictions": "淘汰次数",
+  "cache_rejected": "{count} 个被拒绝",
+  "cdn_edges": "边缘节点",
+  "cdn_pop_cost": "每个额外边缘节点：一次性 ${cost}，每分钟 ${upkeep}",
+  "cdn_shield": "源站防护层",
+  "cdn_shield_desc": "边缘节点先查询一个共享缓存，再回源。一次性 ${cost}，每分钟 ${upkeep}",
+  "cdn_shield_hit_rate": "防护层命中率",
+  "cdn_origin_fetches": "回源次数",
+  "cdn_ttl": "边缘 TTL（秒）",
+  "cdn_versioned": "带版本的资源 URL",
+  "cdn_versioned_desc": "每次发布使用新的 URL，边缘节点会重新获取，而不是继续提供旧文件。",
+  "cdn_release": "发布版本",
+  "cdn_release_info": "v{version} · {seconds} 秒后发布下一版",
+  "cdn_deploy": "部署",
+  "cdn_purge": "清除",
+  "cdn_purged": "CDN 已清除 - 边缘节点将从源站重新填充",
+  "assets_deployed_versioned": "版本 v{version} 已部署 - CDN 边缘节点从源站获取新资源",
+  "assets_deployed_stale": "版本 v{version} 已部署 - CDN 边缘节点会继续提供旧资源，直到过期或被清除",
+  "tip_cdn_stale": "{count} 次 CDN 命中提供了旧版本的资源 - 为资源 URL 加上版本，或在每次部署后清除 CDN",
+  "time_of_day": "当前时刻",
+  "weekday_0": "周一",
+  "weekday_1": "周二",
+  "weekday_2": "周三",
+  "weekday_3": "周四",
+  "weekday_4": "周五",
+  "weekday_5": "周六",
+  "weekday_6": "周日",
+  "traffic_curve": "流量曲线",
+  "curve_flat": "平稳",
+  "curve_business": "工作时段",
+  "curve_consumer": "晚间高峰",
+  "curve_custom": "自定义",
+  "curve_peak_hour": "高峰时刻",
+  "curve_swing": "日波动",
+  "curve_weekend_dip": "周末降幅",
+  "tip_idle_capacity": "${cost} 的维护费花在了闲置的计算节点上 - 自动扩缩组会在夜间流量下降时缩容",
+  "breaker_closed": "闭合",
+  "breaker_open": "断开",
+  "breaker_half_open": "半开",
+  "retries": "重试",
+  "tip_retry_storm": "{count} 次重试叠加在正常流量上——请使用带抖动的退避和重试预算",
   "no_save_found": "未发现存档文件。",
   "save_corrupted": "无法读取存档，文件可能已损坏。",
   "final_score": "最终得分: {score}",
@@ -393,6 +604,11 @@ const ZH_TRANSLATIONS = {
     "max": "最高",
     "reason_malicious": "{count} 次恶意攻击穿透了你的防御。",
     "reason_failed_type": "{count} 次 {type} 请求由于容量不足或路径缺失而失败。",
+    "reason_timeouts": "{count} 个请求超时：客户端在系统响应前就放弃了。",
+    "tip_timeouts_queue": "队列过深会超出截止时间 - 在 SQS 后增加计算节点以消化队列",
+    "tip_timeouts_hops": "每一跳都会增加延迟 - 缓存热点读取，并通过 CDN 提供静态文件",
+    "tip_late_replies": "{count} 个响应迟到，只获得一半收入 - 降低延迟以挽回收入",
+    "timed_out": "超时",
     "tip_multiple_waf": "部署多个防火墙以应对大规模攻击激增",
     "waf": "防火墙",
     "alb": "负载均衡器",
@@ -0,0 +1,680 @@
+/**
+ * SceneRenderer - Draws a Simulation with Three.js.
+ * Creates and disposes meshes in response to simulation events and syncs
+ * positions and status visuals (load, health, queue fill) once per frame.
+ * The simulation never sees any of these meshes.
+ */
+class SceneRenderer {
+  constructor(sim, scene) {
+    this.sim = sim;
+    this.scene = scene;
+
+    this.serviceGroup = new THREE.Group();
+    this.connectionGroup = new THREE.Group();
+    this.requestGroup = new THREE.Group();
+    scene.add(this.serviceGroup);
+    scene.add(this.connectionGroup);
+    scene.add(this.requestGroup);
+
+    this.serviceMeshes = new Map();
+    this.requestMeshes = new Map();
+    this.connectionLines = new Map();
+
+    this.createInternetNode();
+    this.createPopulationMarkers();
+    this.bindEvents();
+  }
+
+  bindEvents() {
+    const sim = this.sim;
+    sim.on("service:added", ({ service }) => this.addServiceMesh(service));
+    sim.on("service:removed", ({ service }) => this.removeServiceMesh(service));
+    sim.on("service:upgraded", ({ service }) =>
+      this.addTierRing(service, service.tier)
+    );
+    sim.on("service:repaired", ({ service }) => this.updateHealthVisual(service));
+    sim.on("service:cache-hit", ({ service }) => this.flashCacheHit(service));
+    sim.on("target:unhealthy", ({ balancer, target }) =>
+      this.setConnectionBaseColor(balancer.id, target.id, CONFIG.colors.lineUnhealthy)
+    );
+    sim.on("target:healthy", ({ balancer, target }) =>
+      this.setConnectionBaseColor(balancer.id, target.id, CONFIG.colors.line)
+    );
+    sim.on("breaker:changed", ({ service, targetId, state }) =>
+      this.setConnectionBaseColor(service.id, targetId, this.breakerColor(state))
+    );
+    sim.on("connection:created", (conn) => this.addConnectionLine(conn));
+    sim.on("connection:removed", (conn) => this.removeConnectionLine(conn));
+    sim.on("request:spawned", ({ req }) => this.addRequestMesh(req));
+    sim.on("request:failed", ({ req }) => this.markRequestFailed(req));
+    sim.on("request:accepted", ({ req }) => this.markRequestAccepted(req));
+    sim.on("message:dead-lettered", ({ req }) => this.markRequestFailed(req));
+    sim.on("message:redriven", ({ req }) => {
+      this.addRequestMesh(req);
+      this.markRequestAccepted(req);
+    });
+    sim.on("request:removed", ({ req }) => this.removeRequestMesh(req));
+    sim.on("simulation:cleared", () => this.clear());
+  }
+
+  // ==================== INTERNET NODE ====================
+
+  /** One internet ingress per region; `internetMesh` stays the home one */
+  createInternetNode() {
+    this.ingressMeshes = new Map();
+    for (const node of this.sim.ingresses) {
+      const internetGeo = new THREE.BoxGeometry(6, 1, 10);
+      const internetMat = new THREE.MeshStandardMaterial({
+        color: 0x111111,
+        emissive: 0x00ffff,
+        emissiveIntensity: 0.7,
+        roughness: 0.2,
+      });
+      const mesh = new THREE.Mesh(internetGeo, internetMat);
+      mesh.castShadow = true;
+      mesh.receiveShadow = true;
+      mesh.userData = { id: node.id };
+      this.scene.add(mesh);
+
+      const intRingGeo = new THREE.RingGeometry(7, 7.2, 32);
+      const intRingMat = new THREE.MeshStandardMaterial({
+        color: 0x00ffff,
+        transparent: true,
+        opacity: 0.2,
+        side: THREE.DoubleSide,
+      });
+      const ring = new THREE.Mesh(intRingGeo, intRingMat);
+      ring.rotation.x = -Math.PI / 2;
+      this.scene.add(ring);
+
+      this.ingressMeshes.set(node.id, { mesh, ring });
+    }
+    this.internetMesh = this.ingressMeshes.get("internet").mesh;
+    this.internetRing = this.ingressMeshes.get("internet").ring;
+
+    this.syncInternetNode();
+  }
+
+  syncInternetNode() {
+    for (const node of this.sim.ingresses) {
+      const { mesh, ring } = this.ingressMeshes.get(node.id);
+      mesh.position.set(node.position.x, node.position.y, node.position.z);
+      ring.position.set(node.position.x, -mesh.position.y + 0.1, node.position.z);
+      ring.material.opacity = this.sim.state.selectedNodeId === node.id ? 1.0 : 0.2;
+    }
+  }
+
+  /** Where each client population lives, the disc sized by its traffic share */
+  createPopulationMarkers() {
+    for (const population of CONFIG.clients.populations) {
+      const pos = this.sim.populationPosition(population);
+      const disc = new THREE.Mesh(
+        new THREE.CircleGeometry(2 + population.share * 8, 32),
+        new THREE.MeshBasicMaterial({
+          color: CONFIG.colors.population,
+          transparent: true,
+          opacity: 0.25,
+          side: THREE.DoubleSide,
+        })
+      );
+      disc.rotation.x = -Math.PI / 2;
+      disc.position.set(pos.x, 0.05, pos.z);
+      this.scene.add(disc);
+    }
+  }
+
+  // ==================== SERVICES ====================
+
+  addServiceMesh(service) {
+    let geo, mat;
+    const materialProps = { roughness: 0.2 };
+
+    switch (service.type) {
+      case "waf":
+        geo = new THREE.BoxGeometry(3, 2, 0.5);
+        mat = new THREE.MeshStandardMaterial({
+          color: CONFIG.colors.waf,
+          ...materialProps,
+        });
+        break;
+      case "apigw":
+        geo = new THREE.BoxGeometry(3, 1.2, 2);
+        mat = new THREE.MeshStandardMaterial({
+          color: CONFIG.colors.apigw,
+          ...materialProps,
+        });
+        break;
+      case "alb":
+        geo = new THREE.BoxGeometry(3, 1.5, 3);
+        mat = new THREE.MeshStandardMaterial({
+          color: CONFIG.colors.alb,
+          roughness: 0.1,
+        });
+        break;
+      case "compute":
+        geo = new THREE.CylinderGeometry(1.2, 1.2, 3, 16);
+        mat = new THREE.MeshStandardMaterial({
+          color: CONFIG.colors.compute,
+          ...materialProps,
+        });
+        break;
+      case "db":
+        geo = new THREE.CylinderGeometry(2, 2, 2, 6);
+        mat = new THREE.MeshStandardMaterial({
+          color: CONFIG.colors.db,
+          roughness: 0.3,
+        });
+        break;
+      case "replica":
+        geo = new THREE.CylinderGeometry(1.5, 1.5, 1.5, 6);
+        mat = new THREE.MeshStandardMaterial({
+          color: CONFIG.colors.replica,
+          roughness: 0.3,
+        });
+        break;
+      case "nosql":
+        geo = new THREE.CylinderGeometry(1.6, 1.6, 1.6, 4);
+        mat = new THREE.MeshStandardMaterial({
+          color: CONFIG.colors.nosql,
+          ...materialProps,
+        });
+        break;
+      case "search":
+        geo = new THREE.OctahedronGeometry(1.5);
+        mat = new THREE.MeshStandardMaterial({
+          color: CONFIG.colors.search,
+          ...materialProps,
+        });
+        break;
+      case "s3":
+        geo = new THREE.CylinderGeometry(1.8, 1.5, 1.5, 8);
+        mat = new THREE.MeshStandardMaterial({
+          color: CONFIG.colors.s3,
+          ...materialProps,
+        });
+        break;
+      case "cache":
+        geo = new THREE.BoxGeometry(2.5, 1.5, 2.5);
+        mat = new THREE.MeshStandardMaterial({
+          color: CONFIG.colors.cache,
+          ...materialProps,
+        });
+        break;
+      case "sqs":
+        geo = new THREE.BoxGeometry(4, 0.8, 2);
+        mat = new THREE.MeshStandardMaterial({
+          color: CONFIG.colors.sqs,
+          ...materialProps,
+        });
+        break;
+      case "dns":
+        geo = new THREE.OctahedronGeometry(1.5);
+        mat = new THREE.MeshStandardMaterial({
+          color: CONFIG.colors.dns,
+          ...materialProps,
+        });
+        break;
+      case "dlq":
+        geo = new THREE.BoxGeometry(2.5, 0.8, 2);
+        mat = new THREE.MeshStandardMaterial({
+          color: CONFIG.colors.dlq,
+          ...materialProps,
+        });
+        break;
+      case "asg":
+        geo = new THREE.BoxGeometry(3, 0.6, 3);
+        mat = new THREE.MeshStandardMaterial({
+          color: CONFIG.colors.asg,
+          ...materialProps,
+          wireframe: true,
+        });
+        break;
+      case "cdn":
+        geo = new THREE.SphereGeometry(1.5, 16, 16);
+        mat = new THREE.MeshStandardMaterial({
+          color: 0x4ade80, // Greenish for static
+          ...materialProps,
+          wireframe: true,
+        });
+        break;
+    }
+
+    const mesh = new THREE.Mesh(geo, mat);
+    mesh.position.set(service.position.x, 0, service.position.z);
+
+    const type = service.type;
+    if (type === "waf") mesh.position.y += 1;
+    else if (type === "alb") mesh.position.y += 0.75;
+    else if (type === "apigw") mesh.position.y += 0.6;
+    else if (type === "compute") mesh.position.y += 1.5;
+    else if (type === "s3") mesh.position.y += 0.75;
+    else if (type === "cache") mesh.position.y += 0.75;
+    else if (type === "sqs") mesh.position.y += 0.4;
+    else if (type === "dlq") mesh.position.y += 0.4;
+    else if (type === "dns") mesh.position.y += 1.5;
+    else if (type === "cdn") mesh.position.y += 1.5;
+    else if (type === "asg") mesh.position.y += 0.3;
+    else if (type === "replica") mesh.position.y += 0.75;
+    else if (type === "nosql") mesh.position.y += 0.8;
+    else if (type === "search") mesh.position.y += 1.5;
+    else mesh.position.y += 1;
+
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    mesh.userData = { id: service.id, originalColor: mat.color.getHex() };
+
+    const ringGeo = new THREE.RingGeometry(2.5, 2.7, 32);
+    const ringMat = new THREE.MeshBasicMaterial({
+      color: 0x333333,
+      side: THREE.DoubleSide,
+      transparent: true,
+      opacity: 0.5,
+    });
+    mesh.userData.loadRing = new THREE.Mesh(ringGeo, ringMat);
+    mesh.userData.loadRing.rotation.x = -Math.PI / 2;
+    mesh.userData.loadRing.position.y = -mesh.position.y + 0.1;
+    mesh.add(mesh.userData.loadRing);
+
+    mesh.userData.tierRings = [];
+    this.createHealthBar(mesh);
+
+    // SQS queue fill indicator
+    if (type === "sqs") {
+      const fillGeo = new THREE.BoxGeometry(3.8, 0.6, 1.8);
+      const fillMat = new THREE.MeshBasicMaterial({
+        color: 0x00ff00,
+        transparent: true,
+        opacity: 0.3,
+      });
+      mesh.userData.queueFill = new THREE.Mesh(fillGeo, fillMat);
+      mesh.userData.queueFill.position.set(0, 0, 0);
+      mesh.userData.queueFill.scale.x = 0;
+      mesh.add(mesh.userData.queueFill);
+    }
+
+    this.serviceMeshes.set(service.id, mesh);
+    this.serviceGroup.add(mesh);
+
+    for (let t = 2; t <= service.tier; t++) {
+      this.addTierRing(service, t);
+    }
+  }
+
+  getServiceMesh(id) {
+    return this.serviceMeshes.get(id);
+  }
+
+  removeServiceMesh(service) {
+    const mesh = this.serviceMeshes.get(service.id);
+    if (!mesh) return;
+    this.serviceGroup.remove(mesh);
+    this.disposeTree(mesh);
+    this.serviceMeshes.delete(service.id);
+  }
+
+  addTierRing(service, tier) {
+    const mesh = this.serviceMeshes.get(service.id);
+    if (!mesh) return;
+
+    let ringSize, ringColor;
+    if (service.type === "db") {
+      ringSize = 2.2;
+      ringColor = 0xff0000;
+    } else if (service.type === "cache") {
+      ringSize = 1.5;
+      ringColor = 0xdc382d; // Redis red
+    } else {
+      ringSize = 1.3;
+      ringColor = 0xffff00;
+    }
+
+    const ringGeo = new THREE.TorusGeometry(ringSize, 0.1, 8, 32);
+    const ringMat = new THREE.MeshBasicMaterial({ color: ringColor });
+    const ring = new THREE.Mesh(ringGeo, ringMat);
+    ring.rotation.x = Math.PI / 2;
+    // Tier rings
+    ring.position.y = -mesh.position.y + (tier === 2 ? 0.5 : 1.0);
+    mesh.add(ring);
+    mesh.userData.tierRings.push(ring);
+  }
+
+  flashCacheHit(service) {
+    const mesh = this.serviceMeshes.get(service.id);
+    if (!mesh) return;
+    const originalColor = mesh.material.color.getHex();
+    mesh.material.color.setHex(0x00ff00); // Green flash
+    setTimeout(() => {
+      mesh.material.color.setHex(originalColor);
+    }, 100);
+  }
+
+  createHealthBar(mesh) {
+    // Background bar (dark)
+    const bgGeo = new THREE.BoxGeometry(3, 0.3, 0.1);
+    const bgMat = new THREE.MeshBasicMaterial({
+      color: 0x333333,
+      transparent: true,
+      opacity: 0.8,
+    });
+    const healthBarBg = new THREE.Mesh(bgGeo, bgMat);
+    healthBarBg.position.set(0, 2.5, 0);
+    mesh.add(healthBarBg);
+
+    // Fill bar (colored based on health)
+    const fillGeo = new THREE.BoxGeometry(2.9, 0.25, 0.12);
+    const fillMat = new THREE.MeshBasicMaterial({ color: 0x00ff00 });
+    const healthBarFill = new THREE.Mesh(fillGeo, fillMat);
+    healthBarFill.position.set(0, 0, 0.01);
+    healthBarBg.add(healthBarFill);
+
+    // Initially hidden (show when damaged)
+    healthBarBg.visible = false;
+
+    mesh.userData.healthBarBg = healthBarBg;
+    mesh.userData.healthBarFill = healthBarFill;
+  }
+
+  updateHealthBar(service, mesh) {
+    const { healthBarBg, healthBarFill } = mesh.userData;
+    if (!healthBarBg || !healthBarFill) return;
+
+    // Show health bar when health < 100
+    healthBarBg.visible = service.health < 100;
+
+    if (service.health >= 100) return;
+
+    // Update fill scale (0 to 1)
+    const fillPercent = service.health / 100;
+    healthBarFill.scale.x = Math.max(0.01, fillPercent);
+    healthBarFill.position.x = (fillPercent - 1) * 1.45;
+
+    // Update color based on health
+    if (service.health < 30) {
+      healthBarFill.material.color.setHex(0xff0000); // Red
+    } else if (service.health < 60) {
+      healthBarFill.material.color.setHex(0xff8800); // Orange
+    } else if (service.health < 80) {
+      healthBarFill.material.color.setHex(0xffff00); // Yellow
+    } else {
+      healthBarFill.material.color.setHex(0x00ff00); // Green
+    }
+  }
+
+  updateHealthVisual(service) {
+    const mesh = this.serviceMeshes.get(service.id);
+    if (!mesh || !mesh.material) return;
+
+    // Update the 3D health bar
+    this.updateHealthBar(service, mesh);
+
+    const criticalHealth = CONFIG.survival.degradation.criticalHealth;
+    const originalColor = mesh.userData.originalColor;
+
+    if (service.health < criticalHealth) {
+      // Critical - red tint and pulsing
+      const pulse = 0.5 + 0.5 * Math.sin(Date.now() / 200);
+      mesh.material.color.setHex(0xff0000);
+      mesh.material.emissive = new THREE.Color(0xff0000);
+      mesh.material.emissiveIntensity = pulse * 0.3;
+    } else if (service.health < 60) {
+      // Damaged - orange tint
+      mesh.material.color.setHex(0xff8800);
+      mesh.material.emissive = new THREE.Color(0x000000);
+      mesh.material.emissiveIntensity = 0;
+    } else if (service.health < 80) {
+      // Worn - yellow tint
+      const healthRatio = service.health / 100;
+      const r =
+        (1 - healthRatio) * 255 + healthRatio * ((originalColor >> 16) & 0xff);
+      const g = healthRatio * ((originalColor >> 8) & 0xff);
+      const b = healthRatio * (originalColor & 0xff);
+      mesh.material.color.setRGB(r / 255, g / 255, b / 255);
+      mesh.material.emissive = new THREE.Color(0x000000);
+      mesh.material.emissiveIntensity = 0;
+    } else {
+      // Healthy - original color
+      mesh.material.color.setHex(originalColor);
+      mesh.material.emissive = new THREE.Color(0x000000);
+      mesh.material.emissiveIntensity = 0;
+    }
+  }
+
+  syncService(service) {
+    const mesh = this.serviceMeshes.get(service.id);
+    if (!mesh) return;
+    const state = this.sim.state;
+
+    mesh.position.x = service.position.x;
+    mesh.position.z = service.position.z;
+
+    // Outages fade the node out until it comes back; group instances stay
+    // faded while they warm up or drain
+    const faded = service.isDisabled || service.warmup > 0 || service.draining;
+    mesh.material.transparent = faded;
+    mesh.material.opacity = faded ? 0.3 : 1.0;
+
+    if (CONFIG.survival.degradation?.enabled && state.gameMode === "survival") {
+      this.updateHealthVisual(service);
+    }
+
+    const load = service.totalLoad;
+    const loadRing = mesh.userData.loadRing;
+    const selected = state.selectedNodeId === service.id;
+    if (load > 0.8) {
+      loadRing.material.color.setHex(0xff0000);
+      loadRing.material.opacity = selected ? 1.0 : 0.8;
+    } else if (load > 0.5) {
+      loadRing.material.color.setHex(0xffaa00);
+      loadRing.material.opacity = selected ? 1.0 : 0.6;
+    } else if (load > 0.2) {
+      loadRing.material.color.setHex(0xffff00);
+      loadRing.material.opacity = selected ? 1.0 : 0.4;
+    } else {
+      loadRing.material.color.setHex(0x00ff00);
+      loadRing.material.opacity = selected ? 1.0 : 0.3;
+    }
+
+    const queueFill = mesh.userData.queueFill;
+    if (queueFill) {
+      const maxQ = service.config.maxQueueSize || 200;
+      const fillPercent = service.queue.length / maxQ;
+      queueFill.scale.x = fillPercent;
+      queueFill.position.x = (fillPercent - 1) * 1.9;
+
+      if (fillPercent > 0.8) {
+        queueFill.material.color.setHex(0xff0000);
+      } else if (fillPercent > 0.5) {
+        queueFill.material.color.setHex(0xffaa00);
+      } else {
+        queueFill.material.color.setHex(0x00ff00);
+      }
+    }
+  }
+
+  // ==================== CONNECTIONS ====================
+
+  connectionKey(from, to) {
+    return `${from}->${to}`;
+  }
+
+  getConnectionLine(conn) {
+    return this.connectionLines.get(this.connectionKey(conn.from, conn.to));
+  }
+
+  connectionPoints(conn) {
+    const from = this.sim.getEntity(conn.from);
+    const to = this.sim.getEntity(conn.to);
+    if (!from || !to) return null;
+    return [
+      new THREE.Vector3(from.position.x, 1, from.position.z),
+      new THREE.Vector3(to.position.x, 1, to.position.z),
+    ];
+  }
+
+  addConnectionLine(conn) {
+    const pts = this.connectionPoints(conn);
+    if (!pts) return;
+    const geo = new THREE.BufferGeometry().setFromPoints(pts);
+    // Links restored with a breaker already on start out in its color
+    const from = this.sim.getEntity(conn.from);
+    const breaker = from?.breakers?.[conn.to];
+    const color = this.feedColor(conn) ?? this.breakerColor(breaker?.state);
+    const mat = new THREE.LineBasicMaterial({ color });
+    const line = new THREE.Line(geo, mat);
+    line.userData.baseColor = color;
+    this.connectionGroup.add(line);
+    this.connectionLines.set(this.connectionKey(conn.from, conn.to), line);
+  }
+
+  removeConnectionLine(conn) {
+    const key = this.connectionKey(conn.from, conn.to);
+    const line = this.connectionLines.get(key);
+    if (!line) return;
+    this.connectionGroup.remove(line);
+    line.geometry.dispose();
+    line.material.dispose();
+    this.connectionLines.delete(key);
+  }
+
+  updateConnectionsForNode(nodeId) {
+    this.sim.state.connections.forEach((c) => {
+      if (c.from !== nodeId && c.to !== nodeId) return;
+      const line = this.getConnectionLine(c);
+      const pts = this.connectionPoints(c);
+      if (!line || !pts) return;
+
+      line.geometry.dispose();
+      line.geometry = new THREE.BufferGeometry().setFromPoints(pts);
+    });
+  }
+
+  /**
+   * Color a line returns to after hover highlights, e.g. grey while the
+   * target is drained by a health check.
+   */
+  setConnectionBaseColor(from, to, color) {
+    const line = this.connectionLines.get(this.connectionKey(from, to));
+    if (!line) return;
+    line.userData.baseColor = color;
+    line.material.color.setHex(color);
+  }
+
+  /**
+   * Replication, indexing and dead-letter links are not request paths, so
+   * they get colors of their own.
+   */
+  feedColor(conn) {
+    const fromType = this.sim.getEntity(conn.from)?.type;
+    const toType = this.sim.getEntity(conn.to)?.type;
+    if (toType === "dlq") return CONFIG.colors.deadLetterLink;
+    if (fromType !== "db" && fromType !== "nosql") return null;
+    return toType === "search" ? CONFIG.colors.indexLink : CONFIG.colors.replicationLink;
+  }
+
+  breakerColor(state) {
+    if (state === "open") return CONFIG.colors.breakerOpen;
+    if (state === "half-open") return CONFIG.colors.breakerHalfOpen;
+    if (state === "closed") return CONFIG.colors.breakerClosed;
+    return CONFIG.colors.line;
+  }
+
+  resetConnectionColors() {
+    this.connectionLines.forEach((line) => {
+      line.material.color.setHex(line.userData.baseColor);
+    });
+  }
+
+  // ==================== REQUESTS ====================
+
+  addRequestMesh(req) {
+    const geo = new THREE.SphereGeometry(0.4, 8, 8);
+    const mat = new THREE.MeshBasicMaterial({ color: req.typeConfig.color });
+    const mesh = new THREE.Mesh(geo, mat);
+    this.requestMeshes.set(req, mesh);
+    this.requestGroup.add(mesh);
+    this.syncRequest(req);
+  }
+
+  markRequestFailed(req) {
+    const mesh = this.requestMeshes.get(req);
+    if (!mesh) return;
+    mesh.material.color.setHex(CONFIG.colors.requestFail);
+    mesh.userData.failed = true;
+  }
+
+  /** Accepted messages shrink and fade: the client already has its answer */
+  markRequestAccepted(req) {
+    const mesh = this.requestMeshes.get(req);
+    if (!mesh) return;
+    mesh.scale.setScalar(0.7);
+    mesh.material.transparent = true;
+    mesh.material.opacity = 0.6;
+  }
+
+  removeRequestMesh(req) {
+    const mesh = this.requestMeshes.get(req);
+    if (!mesh) return;
+    this.requestMeshes.delete(req);
+
+    const dispose = () => {
+      this.requestGroup.remove(mesh);
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+    };
+    // Failed requests linger in red for a moment so the player sees them
+    if (mesh.userData.failed) setTimeout(dispose, 500);
+    else dispose();
+  }
+
+  syncRequest(req, alpha = 1) {
+    const mesh = this.requestMeshes.get(req);
+    if (!mesh) return;
+    const prev = req.previous;
+    const lerp = (from, to) => from + (to - from) * alpha;
+    mesh.position.set(
+      lerp(prev.x, req.position.x),
+      2,
+      lerp(prev.z, req.position.z)
+    );
+    if (req.isMoving) {
+      const progress = lerp(Math.min(prev.progress, req.progress), req.progress);
+      mesh.position.y += Math.sin(progress * Math.PI) * 2;
+    }
+  }
+
+  // ==================== FRAME ====================
+
+  /**
+   * Copies the current simulation state onto the scene. alpha is how far
+   * real time has run past the last tick; requests are drawn that far
+   * between their previous and current positions.
+   */
+  sync(alpha = 1) {
+    const state = this.sim.state;
+    this.syncInternetNode();
+    state.services.forEach((s) => this.syncService(s));
+    state.requests.forEach((r) => this.syncRequest(r, alpha));
+  }
+
+  clear() {
+    [this.serviceGroup, this.connectionGroup, this.requestGroup].forEach(
+      (group) => {
+        while (group.children.length > 0) {
+          const child = group.children[0];
+          group.remove(child);
+          this.disposeTree(child);
+        }
+      }
+    );
+    this.serviceMeshes.clear();
+    this.requestMeshes.clear();
+    this.connectionLines.clear();
+  }
+
+  disposeTree(object) {
+    object.traverse((child) => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * AutoScalingGroup - Keeps a pool of Compute instances sized to the load.
+ * The group node on the map owns the instances: it launches and retires them,
+ * places them around itself and wires them to whatever feeds the group
+ * (ALB, SQS) and whatever the group feeds (cache, db, s3).
+ *
+ * Policies, evaluated every `interval` seconds over instances in service:
+ * - target-tracking: size the group so the metric sits at `target`
+ * - step: +1 above target * stepUpRatio, -1 below target * stepDownRatio
+ * - manual: hold `desired`
+ * Metrics: cpu (average totalLoad) or queue (average queue length).
+ */
+
+class AutoScalingGroup {
+  constructor(node, settings = CONFIG.services.asg.scaling) {
+    this.node = node;
+    this.sim = node.sim;
+    this.settings = { ...settings };
+    this.cooldown = 0;
+    this.evaluationTimer = 0;
+    this.lastMetric = null;
+  }
+
+  get instances() {
+    return this.sim.state.services.filter((s) => s.groupId === this.node.id);
+  }
+
+  /** Instances that are not being retired */
+  get activeInstances() {
+    return this.instances.filter((s) => !s.draining);
+  }
+
+  /** Instances warmed up and taking traffic */
+  get inServiceInstances() {
+    return this.activeInstances.filter((s) => !(s.warmup > 0));
+  }
+
+  update(dt) {
+    this.cooldown = Math.max(0, this.cooldown - dt);
+    this.instances.forEach((s) => {
+      if (s.warmup > 0) s.warmup = Math.max(0, s.warmup - dt);
+    });
+    this.retireDrained();
+
+    this.evaluationTimer += dt;
+    if (this.evaluationTimer < this.settings.interval) return;
+    this.evaluationTimer = 0;
+
+    this.syncWiring();
+    this.evaluate();
+    this.reconcile();
+  }
+
+  /**
+   * Average of the scaling metric over instances in service, or null when
+   * none are up yet.
+   */
+  measure() {
+    const instances = this.inServiceInstances;
+    if (instances.length === 0) return null;
+    const total = instances.reduce(
+      (sum, s) => sum + (this.settings.metric === "queue" ? s.queue.length : s.totalLoad),
+      0
+    );
+    return total / instances.length;
+  }
+
+  evaluate() {
+    const settings = this.settings;
+    const metric = this.measure();
+    this.lastMetric = metric;
+    if (settings.policy === "manual" || metric === null) return;
+
+    const current = this.inServiceInstances.length;
+    let wanted = settings.desired;
+    if (settings.policy === "target-tracking") {
+      wanted = Math.ceil((current * metric) / settings.target);
+    } else if (settings.policy === "step") {
+      if (metric > settings.target * settings.stepUpRatio) wanted = settings.desired + 1;
+      else if (metric < settings.target * settings.stepDownRatio) wanted = settings.desired - 1;
+    }
+    wanted = Math.max(settings.min, Math.min(settings.max, wanted));
+
+    // Cooldowns stop the group reacting again before the last change shows
+    if (wanted === settings.desired || this.cooldown > 0) return;
+    this.cooldown =
+      wanted > settings.desired ? settings.scaleOutCooldown : settings.scaleInCooldown;
+    settings.desired = wanted;
+  }
+
+  /**
+   * Launches or retires instances until the group matches `desired`.
+   */
+  reconcile() {
+    const settings = this.settings;
+    settings.desired = Math.max(settings.min, Math.min(settings.max, settings.desired));
+
+    let active = this.activeInstances;
+    while (active.length < settings.desired) {
+      if (!this.launch()) break;
+      active = this.activeInstances;
+    }
+
+    // Retire the newest first: still warming instances have served nothing
+    const surplus = active.length - settings.desired;
+    if (surplus > 0) {
+      active.slice(-surplus).forEach((s) => (s.draining = true));
+      this.sim.emit("asg:scaled", { group: this.node, direction: "in" });
+    }
+  }
+
+  launch() {
+    const pos = this.sim.freeSlotNear(this.node.position);
+    if (!pos) return false;
+    const instance = this.sim.addService("compute", pos);
+    instance.groupId = this.node.id;
+    instance.warmup = this.settings.warmup;
+    this.syncWiring();
+    this.sim.emit("asg:scaled", { group: this.node, direction: "out" });
+    return true;
+  }
+
+  /**
+   * Removes draining instances once no request is queued, processing,
+   * waiting to retry or in flight to them.
+   */
+  retireDrained() {
+    const requests = this.sim.state.requests;
+    this.instances
+      .filter((s) => s.draining && !requests.some((r) => r.target === s))
+      .forEach((s) => this.sim.removeService(s.id, true));
+  }
+
+  /**
+   * Gives every instance the group's links: from each node that sends to
+   * the group, and to each node the group sends to.
+   */
+  syncWiring() {
+    const sim = this.sim;
+    const group = this.node;
+    const upstream = sim.state.services.filter((s) => s.connections.includes(group.id));
+
+    this.instances.forEach((instance) => {
+      upstream.forEach((u) => {
+        if (!u.connections.includes(instance.id)) sim.connect(u.id, instance.id, true);
+      });
+      group.connections.forEach((id) => {
+        if (!instance.connections.includes(id)) sim.connect(instance.id, id, true);
+      });
+
+      // Drop links the group itself no longer has
+      instance.connections
+        .filter((id) => !group.connections.includes(id))
+        .forEach((id) => sim.disconnect(instance.id, id));
+      sim.state.services
+        .filter((s) => s.connections.includes(instance.id) && !upstream.includes(s))
+        .forEach((s) => sim.disconnect(s.id, instance.id));
+    });
+  }
+}
@@ -0,0 +1,304 @@
+/**
+ * CacheStore - What a memory cache node holds: answers to earlier reads,
+ * keyed by what was read. A read hits only when its key is held and the
+ * entry has not expired, so the hit rate follows from the key mix, the TTL
+ * and how much memory the tier buys. A miss is filled when the store
+ * answers it; when memory runs out the eviction policy picks what goes.
+ *
+ * Writes invalidate their key in the caches in front of the store that took
+ * them. A cache that never hears about a write keeps serving the old answer
+ * until it expires, and each of those hits is a stale read.
+ *
+ * A cache that restarts comes back empty, and every read misses through to
+ * the store at once. Two settings soften that stampede: coalescing sends one
+ * miss per key to the store and has the rest wait for its answer, and
+ * warming reloads the keys worth holding in the background, at some cost to
+ * the stores it reads from.
+ *
+ * The CDN runs the same stores at its edges (see CdnEdges), counted apart
+ * from memory caches.
+ */
+
+// Reads whose cached answers a write to their partition key makes out of date
+const KEYED_READ_TYPES = Object.values(CONFIG.trafficTypes)
+  .filter((type) => type.cacheable && type.destination === "db")
+  .map((type) => type.name);
+
+// Which entry makes room in a full cache. Each takes the store and returns
+// the cache key to evict, or null to leave every live entry where it is.
+const CACHE_EVICTION_POLICIES = {
+  // Hits move entries to the back, so the front is the least recently used
+  lru: (store) => store.entries.keys().next().value,
+
+  // Fewest reads since it was stored; ties go to the least recently used
+  lfu: (store) => {
+    let victim = null;
+    let fewest = Infinity;
+    store.entries.forEach((entry, key) => {
+      if (entry.reads < fewest) {
+        fewest = entry.reads;
+        victim = key;
+      }
+    });
+    return victim;
+  },
+
+  random: (store) => {
+    const keys = [...store.entries.keys()];
+    return keys[store.sim.rng.int(keys.length)];
+  },
+
+  // Entries only leave when they expire; new answers wait for room
+  ttl: () => null,
+};
+
+class CacheStore {
+  /**
+   * @param {Service} node the node running the cache
+   * @param {string} [statsKey] game state totals its lookups count towards
+   */
+  constructor(node, statsKey = "cacheStats") {
+    this.node = node;
+    this.sim = node.sim;
+    this.statsKey = statsKey;
+    this.settings = {
+      ttl: node.config.ttl,
+      eviction: node.config.eviction,
+      invalidateOnWrite: true,
+      coalesce: false,
+      warm: false,
+    };
+    // Entries by cache key, least recently used first:
+    // { type, key, size, reads, storedAt, expiresAt }
+    this.entries = new Map();
+    this.used = 0; // MB held
+    // Misses on their way to the store, by cache key: { leader, waiting }
+    this.inFlight = new Map();
+    // Keys left to reload while warming: { type, key }
+    this.warmQueue = [];
+    this.warmProgress = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.staleHits = 0;
+    this.coalesced = 0;
+    this.evictions = 0;
+    this.rejected = 0; // Answers turned away with no room to make
+  }
+
+  /** MB the tier buys */
+  get memory() {
+    return this.node.config.memory;
+  }
+
+  get stats() {
+    return this.sim.state[this.statsKey];
+  }
+
+  get warming() {
+    return this.warmQueue.length > 0;
+  }
+
+  get hitRate() {
+    const lookups = this.hits + this.misses;
+    return lookups > 0 ? this.hits / lookups : 0;
+  }
+
+  /**
+   * Whether the cache can answer `req`. A hit on an out-of-date entry marks
+   * the request stale.
+   */
+  lookup(req) {
+    const stats = this.stats;
+    const now = this.sim.state.elapsedGameTime;
+    const cacheKey = req.cacheKey;
+    const entry = this.entries.get(cacheKey);
+    if (!entry || entry.expiresAt <= now) {
+      if (entry) this.remove(cacheKey);
+      this.misses++;
+      stats.misses++;
+      return false;
+    }
+
+    this.hits++;
+    stats.hits++;
+    entry.reads++;
+    this.entries.delete(cacheKey);
+    this.entries.set(cacheKey, entry);
+    if (this.isStale(entry)) {
+      req.stale = true;
+      this.staleHits++;
+      stats.staleHits++;
+    }
+    return true;
+  }
+
+  /**
+   * Whether `entry` was stored before what it answers last changed: a write
+   * to its key, or for an asset under an unversioned URL, a deploy.
+   */
+  isStale(entry) {
+    const state = this.sim.state;
+    if (KEYED_READ_TYPES.includes(entry.type)) {
+      const writtenAt = state.keyWrites[entry.key];
+      return writtenAt !== undefined && writtenAt > entry.storedAt;
+    }
+    // Versioned asset keys name their release; bare ones are the asset alone
+    const unversioned = entry.type === TRAFFIC_TYPES.STATIC && typeof entry.key === "number";
+    return unversioned && entry.storedAt < state.assetsDeployedAt;
+  }
+
+  /**
+   * With coalescing on, the first miss on a key goes to the store and later
+   * ones wait at the cache for its answer. Returns whether `req` is waiting.
+   */
+  coalesce(req) {
+    if (!this.settings.coalesce) return false;
+    const flight = this.inFlight.get(req.cacheKey);
+    if (!flight) {
+      this.inFlight.set(req.cacheKey, { leader: req, waiting: [] });
+      return false;
+    }
+    flight.waiting.push(req);
+    req.record("enqueue", this.node);
+    this.coalesced++;
+    this.stats.coalesced++;
+    return true;
+  }
+
+  /** Holds the store's answer to a read this cache missed */
+  fill(req) {
+    const flight = this.inFlight.get(req.cacheKey);
+    if (flight?.leader === req) {
+      this.inFlight.delete(req.cacheKey);
+      flight.waiting.forEach((waiter) => {
+        waiter.missedCaches = [];
+        waiter.cached = true;
+        this.sim.finishRequest(waiter);
+      });
+    }
+    this.store(req.type, req.partitionKey ?? req.assetKey);
+  }
+
+  /**
+   * `req` failed or its client gave up. Whoever was waiting on its answer
+   * gets the failure too, and retries if the node that sent it allows.
+   */
+  release(req) {
+    const flight = this.inFlight.get(req.cacheKey);
+    if (!flight) return;
+    if (flight.leader !== req) {
+      flight.waiting = flight.waiting.filter((waiter) => waiter !== req);
+      return;
+    }
+    this.inFlight.delete(req.cacheKey);
+    flight.waiting.forEach((waiter) => {
+      waiter.missedCaches = [];
+      this.sim.retryOrFail(waiter);
+    });
+  }
+
+  /**
+   * Comes back from an outage empty. With warming on it starts reloading
+   * what it held, most recently used first.
+   */
+  restart() {
+    const held = [...this.entries.values()].reverse().map(({ type, key }) => ({ type, key }));
+    this.entries.clear();
+    this.used = 0;
+    this.warmQueue = [];
+    if (this.settings.warm) this.warmUp(held);
+  }
+
+  /** Queues the keys hot right now, then `keys`, for reloading */
+  warmUp(keys = []) {
+    const settings = CONFIG.sharding;
+    const queued = new Map();
+    for (let i = 0; i < settings.hotKeys; i++) {
+      const key = (this.sim.state.hotKeyStart + i) % settings.keySpace;
+      KEYED_READ_TYPES.forEach((type) => queued.set(`${type}:${key}`, { type, key }));
+    }
+    keys.forEach((item) => {
+      const cacheKey = `${item.type}:${item.key}`;
+      if (!queued.has(cacheKey)) queued.set(cacheKey, item);
+    });
+    this.warmQueue = [...queued.values()];
+    this.warmProgress = 0;
+  }
+
+  /** Whether a store the cache reads from is up to warm from */
+  get canWarm() {
+    return this.node.connections.some((id) => this.sim.getEntity(id)?.isRoutable);
+  }
+
+  update(dt) {
+    if (!this.warming || this.node.isDisabled || !this.canWarm) return;
+    this.warmProgress += dt * CONFIG.caching.warmRate;
+    while (this.warmProgress >= 1 && this.warming) {
+      this.warmProgress--;
+      const { type, key } = this.warmQueue.shift();
+      this.store(type, key);
+    }
+  }
+
+  /**
+   * Holds an answer if it fits. A full cache drops what has expired first,
+   * then whatever the eviction policy picks.
+   * @returns {boolean} whether the answer was stored
+   */
+  store(type, key) {
+    const size = CONFIG.caching.entrySizes[type];
+    if (this.settings.ttl <= 0 || size > this.memory) return false;
+    const now = this.sim.state.elapsedGameTime;
+    const cacheKey = `${type}:${key}`;
+    this.remove(cacheKey);
+
+    if (this.used + size > this.memory) {
+      this.entries.forEach((entry, k) => {
+        if (entry.expiresAt <= now) this.remove(k);
+      });
+    }
+    while (this.used + size > this.memory) {
+      const victim = CACHE_EVICTION_POLICIES[this.settings.eviction](this);
+      if (victim == null) {
+        this.rejected++;
+        return false;
+      }
+      this.remove(victim);
+      this.evictions++;
+    }
+
+    this.entries.set(cacheKey, {
+      type,
+      key,
+      size,
+      reads: 0,
+      storedAt: now,
+      expiresAt: now + this.settings.ttl,
+    });
+    this.used += size;
+    return true;
+  }
+
+  remove(cacheKey) {
+    const entry = this.entries.get(cacheKey);
+    if (!entry) return false;
+    this.entries.delete(cacheKey);
+    this.used -= entry.size;
+    return true;
+  }
+
+  /** Drops every answer that depends on partition key `key` */
+  invalidate(key) {
+    KEYED_READ_TYPES.forEach((type) => {
+      if (this.remove(`${type}:${key}`)) this.stats.invalidations++;
+    });
+  }
+
+  toJSON() {
+    return { settings: { ...this.settings } };
+  }
+
+  restore(data) {
+    Object.assign(this.settings, data.settings);
+  }
+}
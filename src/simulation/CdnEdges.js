@@ -0,0 +1,143 @@
+/**
+ * CdnEdges - The points of presence behind a CDN node. Each edge PoP sits
+ * with the clients of one region and holds its own copy of the assets they
+ * asked for, so clients reach it quickly, but traffic spread over more PoPs
+ * leaves each one colder. The CDN's own region always has a PoP; clients of
+ * a region without one go to the nearest that does.
+ *
+ * An edge miss goes to the origin. With the origin shield on it asks one
+ * shared cache first, so however many edges miss an asset, the origin
+ * serves it about once.
+ *
+ * Purging empties every PoP and the shield at once. Deploys ship new assets:
+ * versioned URLs are new keys that miss until fetched, while unversioned ones
+ * keep their names and edges serve the old files, as stale hits, until they
+ * expire or are purged.
+ */
+
+class CdnEdges {
+  constructor(node) {
+    this.node = node;
+    this.sim = node.sim;
+    this.settings = {
+      regions: [], // PoPs opened outside the CDN's own region
+      shield: false,
+      ttl: node.config.ttl,
+    };
+    // Edge caches by region id, made when first used
+    this.pops = new Map();
+    this.shield = null;
+    this.originFetches = 0;
+  }
+
+  /** Region of the CDN node, whose PoP is always open */
+  get home() {
+    return this.sim.regionAt(this.node.position).id;
+  }
+
+  /** Regions with an open PoP, in board order */
+  get regions() {
+    return CONFIG.regions.list
+      .map((region) => region.id)
+      .filter((id) => id === this.home || this.settings.regions.includes(id));
+  }
+
+  get upkeep() {
+    const settings = CONFIG.cdn;
+    const extra = this.regions.length - 1;
+    return extra * settings.popUpkeep + (this.settings.shield ? settings.shieldUpkeep : 0);
+  }
+
+  /** Every cache the CDN runs: the open PoPs, then the shield */
+  get stores() {
+    const stores = this.regions.map((region) => this.pop(region));
+    return this.shield ? [...stores, this.shield] : stores;
+  }
+
+  pop(region) {
+    if (!this.pops.has(region)) this.pops.set(region, this.makeStore());
+    return this.pops.get(region);
+  }
+
+  makeStore() {
+    const store = new CacheStore(this.node, "cdnStats");
+    store.settings.ttl = this.settings.ttl;
+    return store;
+  }
+
+  /** Opens or closes the PoP in `region`; a closed PoP loses what it held */
+  setPop(region, open) {
+    const others = this.settings.regions.filter((id) => id !== region);
+    this.settings.regions = open ? [...others, region] : others;
+    if (!open) this.pops.delete(region);
+  }
+
+  setShield(enabled) {
+    this.settings.shield = enabled;
+    this.shield = enabled ? this.shield || this.makeStore() : null;
+  }
+
+  setTtl(seconds) {
+    this.settings.ttl = seconds;
+    this.pops.forEach((store) => (store.settings.ttl = seconds));
+    if (this.shield) this.shield.settings.ttl = seconds;
+  }
+
+  /** Where a region's PoP sits: with the clients it serves */
+  popPosition(region) {
+    return this.sim.populationPosition({ region });
+  }
+
+  /** Region whose PoP clients of `population` reach */
+  regionFor(population) {
+    const regions = this.regions;
+    if (regions.includes(population.region)) return population.region;
+    const seconds = (region) => this.sim.accessSeconds(population, { position: this.popPosition(region) });
+    return regions.reduce((nearest, region) => (seconds(region) < seconds(nearest) ? region : nearest));
+  }
+
+  /**
+   * A client is sending `req` to the CDN. It goes to its PoP directly,
+   * wherever it would have come in, so its trip is to the PoP.
+   */
+  admit(req) {
+    const population = CONFIG.clients.populations.find((p) => p.id === req.population);
+    if (!population) return;
+    req.edge = this.regionFor(population);
+    req.accessSeconds = this.sim.accessSeconds(population, { position: this.popPosition(req.edge) });
+  }
+
+  /**
+   * Whether the client's edge, or the shield behind it, holds `req`'s asset.
+   * Caches that missed are filled once the origin answers.
+   */
+  serve(req) {
+    const edge = this.pop(this.regions.includes(req.edge) ? req.edge : this.home);
+    if (edge.lookup(req)) return true;
+    if (this.shield?.lookup(req)) {
+      edge.store(req.type, req.assetKey);
+      return true;
+    }
+    req.missedCaches.push(edge);
+    if (this.shield) req.missedCaches.push(this.shield);
+    this.originFetches++;
+    return false;
+  }
+
+  /** Empties every PoP and the shield */
+  purge() {
+    this.pops.forEach((store) => store.restart());
+    if (this.shield) this.shield.restart();
+  }
+
+  toJSON() {
+    return { settings: { ...this.settings, regions: [...this.settings.regions] } };
+  }
+
+  restore(data) {
+    const settings = data.settings || {};
+    if (Array.isArray(settings.regions)) this.settings.regions = [...settings.regions];
+    if (Number.isFinite(settings.ttl)) this.setTtl(settings.ttl);
+    this.setShield(!!settings.shield);
+  }
+}
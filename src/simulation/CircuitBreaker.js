@@ -0,0 +1,91 @@
+/**
+ * CircuitBreaker - Guards one link from a node to a downstream store.
+ * Closed lets everything through and watches the latest outcomes. Too many
+ * failures trip it open, and requests then fail fast without reaching the
+ * store. After a cool-down it half-opens and lets a probe through: a success
+ * closes it again, a failure re-opens it. A probe lost on the way (failed
+ * elsewhere, or dropped with its node) counts as a failure once it is overdue.
+ */
+class CircuitBreaker {
+  constructor(settings = CONFIG.circuitBreaker) {
+    this.settings = settings;
+    this.state = "closed";
+    this.outcomes = [];
+    this.openedAt = 0;
+    this.probes = 0;
+    this.probedAt = 0;
+  }
+
+  /**
+   * Whether a request may be sent now. In half-open this uses up a probe.
+   * @param {number} now game seconds
+   */
+  allowRequest(now) {
+    if (this.state === "closed") return true;
+    if (this.state === "open") return false;
+    if (this.probes >= this.settings.halfOpenProbes) return false;
+    this.probes++;
+    this.probedAt = now;
+    return true;
+  }
+
+  /**
+   * @param {boolean} ok whether the store handled the request
+   * @param {number} now game seconds
+   * @returns {boolean} true when the state changed
+   */
+  record(ok, now) {
+    if (this.state === "open") return false;
+
+    if (this.state === "half-open") {
+      if (ok) this.close();
+      else this.trip(now);
+      return true;
+    }
+
+    this.outcomes.push(ok);
+    if (this.outcomes.length > this.settings.window) this.outcomes.shift();
+    const failures = this.outcomes.filter((o) => !o).length;
+    if (
+      this.outcomes.length >= this.settings.minRequests &&
+      failures / this.outcomes.length >= this.settings.failureThreshold
+    ) {
+      this.trip(now);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Half-opens once the cool-down has passed, and re-opens when the probes
+   * sent while half-open are overdue.
+   * @returns {boolean} true when the state changed
+   */
+  update(now) {
+    if (this.state === "half-open") {
+      const overdue =
+        this.probes >= this.settings.halfOpenProbes &&
+        now - this.probedAt >= this.settings.probeSeconds;
+      if (overdue) this.trip(now);
+      return overdue;
+    }
+    if (this.state !== "open" || now - this.openedAt < this.settings.openSeconds) {
+      return false;
+    }
+    this.state = "half-open";
+    this.probes = 0;
+    return true;
+  }
+
+  trip(now) {
+    this.state = "open";
+    this.openedAt = now;
+    this.outcomes = [];
+  }
+
+  close() {
+    this.state = "closed";
+    this.outcomes = [];
+    this.probes = 0;
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * DnsRouter - Answers client lookups for the DNS node on the map.
+ * Records are the entry points linked from the internet ingresses; every
+ * request asks which one to go to. STATIC assets live on their own hostname
+ * served by the CDN records, everything else on the app hostname.
+ *
+ * Resolvers cache each answer for `ttl` seconds, so clients keep going where
+ * they were sent until it runs out. Policy and health changes only reach them
+ * as caches expire, which is what delays a failover.
+ *
+ * Policies take the router, the records fit to answer with and the client's
+ * population, and return a record:
+ * - latency: the quickest for the client to reach
+ * - weighted: player-set share per record
+ * - geolocation: the client's own region, anywhere else if it has none
+ * - failover: the primary region until none of its records are healthy
+ */
+
+// Nodes that answer a health check themselves
+const HEALTH_CHECK_TARGETS = ["compute", "s3", "cdn"];
+
+const DNS_ROUTING_POLICIES = {
+  latency: (router, records, client) => {
+    const sim = router.sim;
+    const latency = (record) => sim.accessSeconds(client, sim.ingressFor(client, record));
+    const best = Math.min(...records.map(latency));
+    return router.rotate(records.filter((record) => latency(record) === best));
+  },
+
+  weighted: (router, records) => {
+    const weights = records.map((record) => router.weightOf(record));
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    if (total <= 0) return router.rotate(records);
+
+    let r = router.sim.rng.next() * total;
+    for (let i = 0; i < records.length; i++) {
+      r -= weights[i];
+      if (r < 0) return records[i];
+    }
+    return records[records.length - 1];
+  },
+
+  geolocation: (router, records, client) => {
+    const local = records.filter((record) => router.sim.regionAt(record.position).id === client.region);
+    return router.rotate(local.length > 0 ? local : records);
+  },
+
+  failover: (router, records) => {
+    // Primary first, then the other regions in board order
+    const regions = CONFIG.regions.list.map((region) => region.id);
+    const order = [router.settings.primaryRegion, ...regions];
+    for (const region of order) {
+      const inRegion = records.filter((record) => router.sim.regionAt(record.position).id === region);
+      if (inRegion.length > 0) return router.rotate(inRegion);
+    }
+    return router.rotate(records);
+  },
+};
+
+class DnsRouter {
+  constructor(node) {
+    this.node = node;
+    this.sim = node.sim;
+    const config = node.config;
+    this.settings = {
+      policy: config.policy,
+      ttl: config.ttl,
+      primaryRegion: CONFIG.regions.list[0].id,
+    };
+    // Weighted routing shares, by record id
+    this.weights = {};
+    // Cached answers by resolver: { recordId, expiresAt }
+    this.cache = new Map();
+    this.rrIndex = 0;
+    // Lookups answered per record since the policy last changed
+    this.answers = {};
+  }
+
+  /** Entry points linked from any ingress */
+  get records() {
+    const ids = new Set(this.sim.ingresses.flatMap((node) => node.connections));
+    return [...ids].map((id) => this.sim.getEntity(id)).filter(Boolean);
+  }
+
+  weightOf(record) {
+    return this.weights[record.id] ?? this.node.config.defaultWeight;
+  }
+
+  /**
+   * What a health check through the record sees: a path of working nodes
+   * from it down to something that serves requests.
+   */
+  isHealthy(record, seen = new Set()) {
+    if (seen.has(record.id)) return false;
+    seen.add(record.id);
+    if (record.scaling) return record.scaling.inServiceInstances.length > 0;
+    if (!record.isRoutable) return false;
+    if (HEALTH_CHECK_TARGETS.includes(record.type)) return true;
+    return record.connections.some((id) => {
+      const next = this.sim.getEntity(id);
+      return next && this.isHealthy(next, seen);
+    });
+  }
+
+  rotate(records) {
+    return records[this.rrIndex++ % records.length];
+  }
+
+  /** Records serving the hostname a request of `type` looks up */
+  recordsFor(type) {
+    const records = this.records;
+    const cdn = records.filter((record) => record.type === "cdn");
+    const app = records.filter((record) => record.type !== "cdn");
+    if (type === TRAFFIC_TYPES.STATIC && cdn.length > 0) return cdn;
+    return app.length > 0 ? app : cdn;
+  }
+
+  /**
+   * Entry point for a request of `type` from a client of the `client`
+   * population, or null when nothing is linked to answer with.
+   */
+  resolve(type, client) {
+    const records = this.recordsFor(type);
+    if (records.length === 0) return null;
+
+    const now = this.sim.state.elapsedGameTime;
+    const hostname = records[0].type === "cdn" ? "static" : "app";
+    const key = `${client.id}:${hostname}:${this.sim.rng.int(this.node.config.resolvers)}`;
+    const cached = this.cache.get(key);
+    let record = cached && cached.expiresAt > now && records.find((r) => r.id === cached.recordId);
+
+    if (!record) {
+      // With every record down, answer anyway rather than return nothing
+      const healthy = records.filter((r) => this.isHealthy(r));
+      const candidates = healthy.length > 0 ? healthy : records;
+      record = DNS_ROUTING_POLICIES[this.settings.policy](this, candidates, client);
+      this.cache.set(key, { recordId: record.id, expiresAt: now + this.settings.ttl });
+    }
+
+    this.answers[record.id] = (this.answers[record.id] || 0) + 1;
+    return record;
+  }
+
+  /** Share of lookups each record answered, by record id */
+  get shares() {
+    const total = Object.values(this.answers).reduce((sum, n) => sum + n, 0);
+    return Object.fromEntries(
+      Object.entries(this.answers).map(([id, n]) => [id, total > 0 ? n / total : 0])
+    );
+  }
+
+  toJSON() {
+    return { settings: { ...this.settings }, weights: { ...this.weights } };
+  }
+
+  restore(data) {
+    Object.assign(this.settings, data.settings);
+    Object.assign(this.weights, data.weights);
+  }
+}
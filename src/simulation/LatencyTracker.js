@@ -0,0 +1,51 @@
+/**
+ * LatencyTracker - Rolling end-to-end latency percentiles per traffic type.
+ * Keeps the latest completed requests in a fixed-size window so the numbers
+ * follow what the architecture is doing now, not over the whole run.
+ */
+class LatencyTracker {
+  constructor(windowSize = 200) {
+    this.windowSize = windowSize;
+    this.samples = {};
+  }
+
+  /**
+   * @param {string} type traffic type
+   * @param {number} seconds end-to-end latency in game seconds
+   */
+  record(type, seconds) {
+    const samples = (this.samples[type] = this.samples[type] || []);
+    samples.push(seconds);
+    if (samples.length > this.windowSize) samples.shift();
+  }
+
+  /**
+   * Nearest-rank percentile of the current window, or null when empty.
+   * @param {number} p percentile (0 to 100)
+   */
+  percentile(type, p) {
+    const samples = this.samples[type];
+    if (!samples || samples.length === 0) return null;
+    const sorted = [...samples].sort((a, b) => a - b);
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.max(0, rank - 1)];
+  }
+
+  /**
+   * @returns {{count: number, p50: number, p95: number, p99: number} | null}
+   */
+  summary(type) {
+    const samples = this.samples[type];
+    if (!samples || samples.length === 0) return null;
+    return {
+      count: samples.length,
+      p50: this.percentile(type, 50),
+      p95: this.percentile(type, 95),
+      p99: this.percentile(type, 99),
+    };
+  }
+
+  clear() {
+    this.samples = {};
+  }
+}
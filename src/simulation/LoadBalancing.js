@@ -0,0 +1,64 @@
+/**
+ * Load-balancing strategies selectable on the ALB.
+ * Each takes the balancing service and its usable targets and returns the
+ * target for the next request. `lb.rrIndex` carries rotation between picks,
+ * which also spreads ties evenly in the least-* strategies.
+ */
+
+/**
+ * Lowest-scoring target, scanning from the rotation point so equal
+ * targets take turns.
+ */
+function pickLeast(lb, candidates, score) {
+  const start = lb.rrIndex++ % candidates.length;
+  let best = null;
+  let bestScore = Infinity;
+  for (let i = 0; i < candidates.length; i++) {
+    const target = candidates[(start + i) % candidates.length];
+    const value = score(target);
+    if (value < bestScore) {
+      best = target;
+      bestScore = value;
+    }
+  }
+  return best;
+}
+
+const LOAD_BALANCING_STRATEGIES = {
+  // Equal turns, blind to how busy each target is
+  "round-robin": (lb, candidates) =>
+    candidates[lb.rrIndex++ % candidates.length],
+
+  // Fewest requests being processed right now
+  "least-connections": (lb, candidates) =>
+    pickLeast(lb, candidates, (s) => s.processing.length),
+
+  // Shortest backlog waiting to be processed
+  "least-queue": (lb, candidates) =>
+    pickLeast(lb, candidates, (s) => s.queue.length),
+
+  // Share proportional to capacity, so upgraded tiers take more traffic
+  weighted: (lb, candidates) => {
+    const weights = candidates.map((s) => s.getEffectiveCapacity());
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    if (total <= 0) return candidates[lb.rrIndex++ % candidates.length];
+
+    let r = lb.sim.rng.next() * total;
+    for (let i = 0; i < candidates.length; i++) {
+      r -= weights[i];
+      if (r < 0) return candidates[i];
+    }
+    return candidates[candidates.length - 1];
+  },
+
+  // Sample two at random and send to the less loaded one
+  "random-two-choices": (lb, candidates) => {
+    if (candidates.length === 1) return candidates[0];
+    const first = lb.sim.rng.int(candidates.length);
+    const second =
+      (first + 1 + lb.sim.rng.int(candidates.length - 1)) % candidates.length;
+    const a = candidates[first];
+    const b = candidates[second];
+    return b.totalLoad < a.totalLoad ? b : a;
+  },
+};
@@ -0,0 +1,40 @@
+/**
+ * SeededRandom - Small deterministic PRNG (mulberry32).
+ * Every random decision in a run draws from one of these, so the same seed
+ * and the same player actions replay the same game.
+ */
+class SeededRandom {
+  constructor(seed) {
+    this.seed = (seed ?? SeededRandom.randomSeed()) >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Picks a fresh seed short enough to read out in a bug report.
+   */
+  static randomSeed() {
+    return Math.floor(Math.random() * 1000000);
+  }
+
+  /**
+   * @returns {number} float in [0, 1), like Math.random()
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * @returns {number} integer in [0, max)
+   */
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  pick(items) {
+    return items[this.int(items.length)];
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * ShardMap - Splits a database's keys across several db nodes.
+ * Keys fall into a fixed number of buckets, by key range or by hash, and
+ * each bucket is owned by one shard. Range keeps neighbouring keys together,
+ * so a run of hot keys lands on one shard; hash scatters them.
+ *
+ * Splitting a shard hands the upper half of its buckets to a new shard. The
+ * data takes time to copy: until it has, the old shard keeps serving those
+ * keys, with some of its capacity spent on the copy.
+ */
+class ShardMap {
+  /**
+   * @param {string|null} shardId db that owns every bucket to begin with
+   * @param {string} strategy one of CONFIG.sharding.strategies
+   */
+  constructor(shardId, strategy) {
+    this.id = "shards_" + Math.random().toString(36).substr(2, 9);
+    this.strategy = strategy;
+    this.owners = new Array(CONFIG.sharding.buckets).fill(shardId);
+    this.migration = null;
+  }
+
+  bucketOf(key) {
+    const buckets = this.owners.length;
+    if (this.strategy === "range") {
+      return Math.floor((key / CONFIG.sharding.keySpace) * buckets);
+    }
+    // Multiplicative hash, so neighbouring keys end up far apart
+    return (Math.imul(key + 1, 2654435761) >>> 0) % buckets;
+  }
+
+  /** Id of the db shard that serves `key` right now */
+  ownerOf(key) {
+    return this.owners[this.bucketOf(key)];
+  }
+
+  get shardIds() {
+    return [...new Set(this.owners)];
+  }
+
+  bucketsOwnedBy(shardId) {
+    return this.owners.flatMap((owner, bucket) => (owner === shardId ? [bucket] : []));
+  }
+
+  /** Buckets a split of `shardId` would move to the new shard */
+  splitPlan(shardId) {
+    const owned = this.bucketsOwnedBy(shardId);
+    return owned.slice(Math.ceil(owned.length / 2));
+  }
+
+  startMigration(from, to, buckets) {
+    const duration = buckets.length * CONFIG.sharding.secondsPerBucket;
+    this.migration = { from, to, buckets, duration, remaining: duration };
+  }
+
+  /**
+   * Advances the copy in progress.
+   * @returns {boolean} true when it finished and ownership moved
+   */
+  updateMigration(dt) {
+    const migration = this.migration;
+    if (!migration) return false;
+    migration.remaining -= dt;
+    if (migration.remaining > 0) return false;
+
+    migration.buckets.forEach((bucket) => (this.owners[bucket] = migration.to));
+    this.migration = null;
+    return true;
+  }
+
+  /**
+   * A removed shard's keys fall back to another shard, and any copy to or
+   * from it is abandoned.
+   */
+  removeShard(shardId) {
+    const migration = this.migration;
+    if (migration && (migration.from === shardId || migration.to === shardId)) {
+      this.migration = null;
+    }
+    const heir = this.shardIds.find((id) => id !== shardId);
+    if (heir) this.owners = this.owners.map((owner) => (owner === shardId ? heir : owner));
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      strategy: this.strategy,
+      owners: [...this.owners],
+      migration: this.migration && { ...this.migration },
+    };
+  }
+
+  static restore(data) {
+    const map = new ShardMap(null, data.strategy);
+    map.id = data.id;
+    map.owners = [...data.owners];
+    map.migration = data.migration ? { ...data.migration } : null;
+    return map;
+  }
+}
@@ -0,0 +1,1964 @@
+/**
+ * Simulation - Headless core of the game.
+ * Owns services, queues, routing, scoring, upkeep and survival events without
+ * touching Three.js or the DOM, so it runs the same in the browser and in Node.
+ * The 3D scene and the HUD subscribe to its events to render what happens.
+ *
+ * Events: simulation:reset, simulation:cleared, service:added, service:placed,
+ * service:removed, service:upgraded, service:repaired, service:configured,
+ * service:cache-hit, target:unhealthy, target:healthy, breaker:changed,
+ * connection:created, connection:removed, connection:rejected,
+ * request:spawned, request:finished, request:failed, request:blocked,
+ * request:rejected, request:accepted, message:processed, message:dead-lettered,
+ * message:redriven, message:purged,
+ * request:retried, request:removed, score:changed, money:insufficient, warning,
+ * asg:scaled, shard:split, shard:migrated, region:failover, region:recovered,
+ * cache:restarted, cdn:purged, assets:deployed, assets:configured, rps:milestone,
+ * malicious:warning, malicious:start, malicious:end, traffic-shift:start,
+ * traffic-shift:end, random-event:start, random-event:end, game:over
+ */
+
+// Which service types each node type may send traffic to
+const VALID_CONNECTIONS = {
+  internet: ["waf", "apigw", "alb", "cdn"],
+  waf: ["apigw", "alb", "sqs"],
+  apigw: ["alb", "sqs", "compute", "asg"],
+  // A queue's dead-letter queue only takes messages that keep failing
+  sqs: ["alb", "compute", "asg", "dlq"],
+  alb: ["sqs", "compute", "asg"],
+  compute: ["cache", "db", "replica", "nosql", "search", "s3"],
+  asg: ["cache", "db", "replica", "nosql", "search", "s3"],
+  cache: ["db", "nosql", "search", "s3"],
+  // Stores feed their replicas and search indexes; no requests travel these
+  db: ["replica", "search"],
+  nosql: ["search"],
+  cdn: ["s3"],
+};
+
+// Grid offsets (in tiles) tried in order when placing a node next to another
+const SLOT_OFFSETS = [
+  [1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1], [1, -1],
+  [2, 0], [2, 1], [2, -1], [0, 2], [1, 2], [-1, 2], [0, -2], [1, -2],
+  [-1, -2], [-2, 0], [-2, 1], [-2, -1], [2, 2], [-2, 2], [2, -2], [-2, -2],
+];
+
+/**
+ * Calculates the percentage if failure based on the load of the node.
+ * @param {number} load fractions of 1 (0 to 1) of how loaded the node is
+ * @returns {number} chance of failure (0 to 1)
+ */
+function calculateFailChanceBasedOnLoad(load) {
+  if (load <= 0.5) return 0;
+  return 2 * (load - 0.5);
+}
+
+function createFinances() {
+  return {
+    income: {
+      byType: {
+        STATIC: 0,
+        READ: 0,
+        WRITE: 0,
+        UPLOAD: 0,
+        SEARCH: 0,
+      },
+      countByType: {
+        STATIC: 0,
+        READ: 0,
+        WRITE: 0,
+        UPLOAD: 0,
+        SEARCH: 0,
+        blocked: 0,
+      },
+      requests: 0, // Total from all request types
+      blocked: 0, // From blocking attacks
+      total: 0, // Grand total income
+    },
+    expenses: {
+      services: 0, // One-time service purchase costs
+      upkeep: 0, // Running upkeep costs
+      repairs: 0, // Manual repair costs
+      autoRepair: 0, // Auto-repair overhead costs
+      mitigation: 0, // Cost of blocking attacks
+      breach: 0, // Penalties for attacks that got through
+      egress: 0, // Requests crossing between regions
+      byService: {
+        // Breakdown by service type (upkeep + repairs)
+        waf: 0,
+        alb: 0,
+        compute: 0,
+        db: 0,
+        s3: 0,
+        cache: 0,
+        sqs: 0,
+      },
+      countByService: {
+        // Count of each service purchased
+        waf: 0,
+        alb: 0,
+        compute: 0,
+        db: 0,
+        s3: 0,
+        cache: 0,
+        sqs: 0,
+      },
+    },
+    // The share of compute upkeep that paid for capacity nobody used
+    idleUpkeep: 0,
+  };
+}
+
+function createInterventionState() {
+  return {
+    // Traffic shift state
+    trafficShiftTimer: 0,
+    trafficShiftActive: false,
+    currentShift: null,
+    originalTrafficDist: null,
+
+    // Random events state
+    randomEventTimer: 0,
+    activeEvent: null,
+    eventEndTime: 0,
+    eventDuration: 0,
+    costMultiplier: 1.0,
+    trafficBurstMultiplier: 1.0,
+
+    // RPS milestone tracking
+    currentMilestoneIndex: 0,
+    rpsMultiplier: 1.0,
+
+    // Event history for UI
+    recentEvents: [],
+
+    // Warning state
+    warnings: [],
+  };
+}
+
+class Simulation {
+  constructor(state = createInitialState()) {
+    this.state = state;
+    this.listeners = new Map();
+    // Game time not yet simulated, always less than one tick after advance()
+    this.accumulator = 0;
+    this.latency = new LatencyTracker(CONFIG.simulation.latencyWindow);
+    this.rng = new SeededRandom(state.seed);
+    state.seed = this.rng.seed;
+    // Cumulative key popularity, by item count and skew
+    this.zipfTables = new Map();
+  }
+
+  // ==================== EVENTS ====================
+
+  /**
+   * Subscribe to a simulation event. Returns an unsubscribe function.
+   */
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(callback);
+    return () => this.off(event, callback);
+  }
+
+  off(event, callback) {
+    const listeners = this.listeners.get(event);
+    if (listeners) {
+      listeners.delete(callback);
+      if (listeners.size === 0) this.listeners.delete(event);
+    }
+  }
+
+  emit(event, data = null) {
+    const listeners = this.listeners.get(event);
+    if (!listeners) return;
+    listeners.forEach((callback) => callback(data));
+  }
+
+  // ==================== LIFECYCLE ====================
+
+  /**
+   * Starts a new run. Passing the seed of an earlier run replays it.
+   */
+  reset(mode = "survival", seed = SeededRandom.randomSeed()) {
+    const state = this.state;
+    state.gameMode = mode;
+    this.rng = new SeededRandom(seed);
+    state.seed = this.rng.seed;
+    this.accumulator = 0;
+
+    // Set budget based on mode
+    if (mode === "sandbox") {
+      state.sandboxBudget = CONFIG.sandbox.defaultBudget;
+      state.money = state.sandboxBudget;
+      state.upkeepEnabled = CONFIG.sandbox.upkeepEnabled;
+      state.trafficDistribution = {
+        STATIC: CONFIG.sandbox.trafficDistribution.STATIC / 100,
+        READ: CONFIG.sandbox.trafficDistribution.READ / 100,
+        WRITE: CONFIG.sandbox.trafficDistribution.WRITE / 100,
+        UPLOAD: CONFIG.sandbox.trafficDistribution.UPLOAD / 100,
+        SEARCH: CONFIG.sandbox.trafficDistribution.SEARCH / 100,
+        MALICIOUS: CONFIG.sandbox.trafficDistribution.MALICIOUS / 100,
+      };
+      state.burstCount = CONFIG.sandbox.defaultBurstCount;
+      state.currentRPS = CONFIG.sandbox.defaultRPS;
+    } else {
+      state.money = CONFIG.survival.startBudget;
+      state.upkeepEnabled = true;
+      state.trafficDistribution = { ...CONFIG.survival.trafficDistribution };
+      state.currentRPS = 0.5;
+    }
+    const curve = mode === "sandbox" ? CONFIG.sandbox.trafficCurve : CONFIG.survival.trafficCurve;
+    state.trafficCurve = { name: curve, ...CONFIG.trafficCurves.curves[curve] };
+    state.demand = 1;
+
+    state.reputation = 100;
+    state.requestsProcessed = 0;
+    state.score = { total: 0, storage: 0, database: 0, maliciousBlocked: 0 };
+    state.failures = {
+      STATIC: 0,
+      READ: 0,
+      WRITE: 0,
+      UPLOAD: 0,
+      SEARCH: 0,
+      MALICIOUS: 0,
+    };
+    state.timeouts = { STATIC: 0, READ: 0, WRITE: 0, UPLOAD: 0, SEARCH: 0 };
+    state.lateCompletions = 0;
+    state.staleReads = 0;
+    state.rejections = { unauthenticated: 0, invalid: 0, "rate-limited": 0 };
+    state.throttledClients = 0;
+    state.regionHealth = Object.fromEntries(
+      CONFIG.regions.list.map((region) => [region.id, { failureRate: 0, degraded: false }])
+    );
+    state.crossRegionHops = 0;
+    state.messages = {
+      accepted: 0,
+      processed: 0,
+      deadLettered: 0,
+      redriven: 0,
+      purged: 0,
+      overReceived: 0, // Went past their queue's max receives with no DLQ to go to
+      lost: 0,
+      sloBreaches: 0,
+    };
+    state.hotKeyStart = 0;
+    state.hotKeyTimer = 0;
+    state.keyWrites = {};
+    state.cacheStats = { hits: 0, misses: 0, staleHits: 0, invalidations: 0, coalesced: 0 };
+    // Lookups at CDN edges and shields
+    state.cdnStats = { hits: 0, misses: 0, staleHits: 0, invalidations: 0, coalesced: 0 };
+    state.versionedAssets = true;
+    state.assetVersion = 1;
+    state.assetsDeployedAt = 0;
+    state.deployTimer = 0;
+    state.retries = 0;
+    state.isRunning = true;
+    state.spawnTimer = 0;
+
+    // Balance overhaul state
+    state.elapsedGameTime = 0;
+    state.maliciousSpikeTimer = 0;
+    state.maliciousSpikeActive = false;
+    state.normalTrafficDist = null;
+    state.autoRepairEnabled = false;
+    state.intervention = createInterventionState();
+
+    // Detailed finance tracking
+    state.finances = createFinances();
+
+    this.clear();
+    state.internetNode.position = { ...CONFIG.internetNodeStartPos };
+    state.regionIngresses.forEach((node, i) => {
+      node.position = regionIngressPosition(CONFIG.regions.list[i + 1]);
+    });
+
+    this.emit("simulation:reset", { mode, seed: state.seed });
+  }
+
+  /**
+   * Picks a saved run back up mid-stream: same seed, same position in the
+   * random sequence.
+   */
+  restoreRandom(seed, rngState) {
+    this.rng = new SeededRandom(seed);
+    this.rng.state = (rngState ?? this.rng.seed) >>> 0;
+    this.state.seed = this.rng.seed;
+  }
+
+  /**
+   * Removes every service, connection and in-flight request.
+   */
+  clear() {
+    const state = this.state;
+    state.services = [];
+    state.requests = [];
+    state.connections = [];
+    this.ingresses.forEach((node) => (node.connections = []));
+    this.latency.clear();
+    this.emit("simulation:cleared");
+  }
+
+  /**
+   * Advances the simulation by dt seconds of game time.
+   */
+  step(dt) {
+    const state = this.state;
+    if (!state.isRunning) return;
+
+    state.elapsedGameTime += dt;
+
+    state.services.forEach((s) => s.update(dt));
+    state.requests.forEach((r) => r.update(dt));
+    this.expireRequests();
+
+    state.spawnTimer += dt;
+    state.demand = this.demandFactor(state.elapsedGameTime);
+    // Sandbox rates are set by hand, so the hour scales them as they spawn
+    const demand = state.gameMode === "sandbox" ? state.demand : 1;
+    // Apply traffic burst multiplier from random events
+    const effectiveRPS =
+      state.currentRPS * demand * (state.intervention?.trafficBurstMultiplier || 1.0);
+    if (effectiveRPS > 0) {
+      const spawnInterval = 1 / effectiveRPS;
+      // A tick can span several spawn intervals at high RPS
+      while (state.spawnTimer >= spawnInterval) {
+        state.spawnTimer -= spawnInterval;
+        this.spawnRequest();
+      }
+      // Only ramp up in survival mode - use logarithmic growth
+      if (state.gameMode === "survival") {
+        const targetRPS = this.calculateTargetRPS(state.elapsedGameTime);
+
+        // Smooth transition to target, 1% per 1/60s regardless of tick size
+        const pull = 1 - Math.pow(0.99, dt * 60);
+        state.currentRPS += (targetRPS - state.currentRPS) * pull;
+        state.currentRPS = Math.min(state.currentRPS, CONFIG.survival.maxRPS);
+      }
+    }
+
+    this.updateMaliciousSpike(dt);
+    this.updateHotKeys(dt);
+    this.updateDeploys(dt);
+
+    // Intervention mechanics updates
+    this.updateTrafficShift(dt);
+    this.updateRandomEvents(dt);
+    this.processAutoRepair(dt);
+
+    // Deduct auto-repair cost and track it
+    const autoRepairCost = this.getAutoRepairUpkeep();
+    if (autoRepairCost > 0 && state.upkeepEnabled) {
+      const cost = autoRepairCost * dt;
+      state.money -= cost;
+      if (state.finances) state.finances.expenses.autoRepair += cost;
+    }
+
+    state.reputation = Math.min(100, state.reputation);
+
+    // Game over only in survival mode
+    if (
+      state.gameMode === "survival" &&
+      (state.reputation <= 0 || state.money <= -1000)
+    ) {
+      state.isRunning = false;
+      this.emit("game:over");
+    }
+  }
+
+  /**
+   * Feeds real elapsed time into the fixed-tick loop. Faster speeds run
+   * more ticks, never bigger ones, so a run plays out the same at any speed.
+   * Returns the number of ticks taken.
+   */
+  advance(realSeconds, timeScale = 1) {
+    const { tickSeconds, maxTicksPerFrame } = CONFIG.simulation;
+    this.accumulator += realSeconds * timeScale;
+
+    let ticks = 0;
+    while (this.accumulator >= tickSeconds && this.state.isRunning) {
+      if (ticks >= maxTicksPerFrame) {
+        // Too far behind to catch up: drop the backlog instead of freezing
+        this.accumulator = 0;
+        break;
+      }
+      this.step(tickSeconds);
+      this.accumulator -= tickSeconds;
+      ticks++;
+    }
+    return ticks;
+  }
+
+  /**
+   * How far (0 to 1) real time has run past the last tick. Renderers use
+   * it to interpolate motion between ticks.
+   */
+  get alpha() {
+    return this.accumulator / CONFIG.simulation.tickSeconds;
+  }
+
+  /**
+   * Runs the simulation for a span of game time in fixed ticks.
+   * Convenient for scripts and tests that evaluate an architecture.
+   */
+  run(seconds) {
+    const ticks = Math.round(seconds / CONFIG.simulation.tickSeconds);
+    for (let i = 0; i < ticks && this.state.isRunning; i++) {
+      this.step(CONFIG.simulation.tickSeconds);
+    }
+    return this.state;
+  }
+
+  // ==================== TOPOLOGY ====================
+
+  getEntity(id) {
+    if (this.isIngress(id)) return this.ingresses.find((node) => node.id === id);
+    return this.state.services.find((s) => s.id === id);
+  }
+
+  // ==================== REGIONS ====================
+
+  /** Internet ingress nodes, home's first */
+  get ingresses() {
+    return [this.state.internetNode, ...this.state.regionIngresses];
+  }
+
+  isIngress(id) {
+    return id === "internet" || String(id).startsWith("internet:");
+  }
+
+  /** The region whose board `pos` is on, or is nearest to */
+  regionAt(pos) {
+    const distance = (region) =>
+      Math.max(Math.abs(pos.x - region.center.x), Math.abs(pos.z - region.center.z));
+    return CONFIG.regions.list.reduce((nearest, region) =>
+      distance(region) < distance(nearest) ? region : nearest
+    );
+  }
+
+  /** Ingress nodes clients can reach: the ones linked to something */
+  get activeIngresses() {
+    return this.ingresses.filter((node) => node.connections.length > 0);
+  }
+
+  /**
+   * Global traffic manager: sends clients to the nearest linked ingress,
+   * skipping degraded regions except for a trickle of probes from the
+   * clients they would normally serve.
+   */
+  pickIngress(population) {
+    const active = this.activeIngresses;
+    if (active.length <= 1) return active[0] || this.state.internetNode;
+
+    const isDegraded = (node) => this.state.regionHealth[this.regionAt(node.position).id].degraded;
+    const byDistance = this.ingressesByDistance(population, active);
+    const healthy = byDistance.filter((node) => !isDegraded(node));
+    if (healthy.length === 0 || healthy[0] === byDistance[0]) return byDistance[0];
+    if (this.rng.next() < CONFIG.regions.probeShare) return byDistance[0];
+    return healthy[0];
+  }
+
+  // ==================== CLIENT POPULATIONS ====================
+
+  /** Picks the population the next client belongs to, by traffic share */
+  pickPopulation() {
+    const populations = CONFIG.clients.populations;
+    const total = populations.reduce((sum, p) => sum + p.share, 0);
+    let r = this.rng.next() * total;
+    for (const population of populations) {
+      r -= population.share;
+      if (r < 0) return population;
+    }
+    return populations[populations.length - 1];
+  }
+
+  /** Where a population's clients are: just off their region's board */
+  populationPosition(population) {
+    const region = CONFIG.regions.list.find((r) => r.id === population.region);
+    const offset = CONFIG.clients.populationOffset;
+    return { x: region.center.x + offset.x, y: 0, z: region.center.z + offset.z };
+  }
+
+  /** Seconds a client of `population` takes to reach `node` */
+  accessSeconds(population, node) {
+    const from = this.populationPosition(population);
+    const distance = Math.hypot(node.position.x - from.x, node.position.z - from.z);
+    return distance * CONFIG.clients.accessSecondsPerUnit;
+  }
+
+  ingressesByDistance(population, ingresses) {
+    return [...ingresses].sort(
+      (a, b) => this.accessSeconds(population, a) - this.accessSeconds(population, b)
+    );
+  }
+
+  /** Nearest ingress to `population` that links `entry` */
+  ingressFor(population, entry) {
+    const linking = this.activeIngresses.filter((node) => node.connections.includes(entry.id));
+    return this.ingressesByDistance(population, linking)[0] || this.state.internetNode;
+  }
+
+  /** Network seconds a hop between two regions adds over a local one */
+  regionLatency(from, to) {
+    return from === to ? 0 : CONFIG.regions.crossRegionSeconds;
+  }
+
+  /**
+   * Flight time of a hop from `from` (a position) to service `to`. A hop
+   * between regions takes longer and is charged for egress.
+   */
+  startHop(from, to, req = null) {
+    const settings = CONFIG.regions;
+    // A client's own trip to a CDN edge is its access time (see CdnEdges)
+    if (req && !req.sender && req.edge && to.edges) return settings.hopSeconds;
+    const extra = this.regionLatency(this.regionAt(from).id, this.regionAt(to.position).id);
+    if (extra === 0) return settings.hopSeconds;
+
+    const state = this.state;
+    state.money -= settings.egressCost;
+    if (state.finances) {
+      state.finances.expenses.egress += settings.egressCost;
+    }
+    state.crossRegionHops++;
+    return settings.hopSeconds + extra;
+  }
+
+  /** Router of the DNS node, when one is placed */
+  get dnsRouter() {
+    return this.state.services.find((s) => s.type === "dns")?.router || null;
+  }
+
+  /**
+   * Feeds a request's outcome into the failure rate of the region it
+   * entered through, failing the region over or bringing it back.
+   */
+  recordRegionOutcome(req, ok) {
+    const health = this.state.regionHealth[req.region];
+    if (!health) return;
+    const settings = CONFIG.regions;
+    health.failureRate += ((ok ? 0 : 1) - health.failureRate) * settings.healthSmoothing;
+
+    if (!health.degraded && health.failureRate > settings.failoverThreshold) {
+      health.degraded = true;
+      this.emit("region:failover", { region: req.region });
+    } else if (health.degraded && health.failureRate < settings.recoverThreshold) {
+      health.degraded = false;
+      this.emit("region:recovered", { region: req.region });
+    }
+  }
+
+  /**
+   * Places a service the player bought. Returns null when the budget
+   * is short or the tile is taken.
+   */
+  placeService(type, pos) {
+    const state = this.state;
+    const cost = CONFIG.services[type].cost;
+    if (state.money < cost) {
+      this.emit("money:insufficient", { cost });
+      return null;
+    }
+    const taken = state.services.find(
+      (s) => Math.hypot(s.position.x - pos.x, s.position.z - pos.z) < 1
+    );
+    if (taken) return null;
+    // One zone answers for the whole site
+    if (type === "dns" && this.dnsRouter) {
+      this.emit("warning", { key: "warn_one_dns", type: "warning", duration: 3000 });
+      return null;
+    }
+
+    state.money -= cost;
+    if (state.finances) {
+      state.finances.expenses.services += cost;
+      state.finances.expenses.byService[type] =
+        (state.finances.expenses.byService[type] || 0) + cost;
+      state.finances.expenses.countByService[type] =
+        (state.finances.expenses.countByService[type] || 0) + 1;
+    }
+
+    const service = this.addService(type, pos);
+    this.emit("service:placed", { service });
+    return service;
+  }
+
+  /**
+   * Adds a service without charging for it (restores and retries).
+   */
+  addService(type, pos) {
+    return this.registerService(new Service(type, pos, this));
+  }
+
+  restoreService(serviceData, pos) {
+    return this.registerService(Service.restore(serviceData, pos, this));
+  }
+
+  /**
+   * First free grid position around `origin`, or null when boxed in.
+   */
+  freeSlotNear(origin) {
+    const tile = CONFIG.tileSize;
+    for (const [dx, dz] of SLOT_OFFSETS) {
+      const pos = { x: origin.x + dx * tile, y: 0, z: origin.z + dz * tile };
+      const taken = this.state.services.some(
+        (s) => Math.hypot(s.position.x - pos.x, s.position.z - pos.z) < 1
+      );
+      if (!taken) return pos;
+    }
+    return null;
+  }
+
+  registerService(service) {
+    this.state.services.push(service);
+    this.emit("service:added", { service });
+    return service;
+  }
+
+  /**
+   * @param {boolean} [managed] removed by the game itself (an autoscaling
+   *   group retiring an instance) rather than by the player
+   */
+  removeService(id, managed = false) {
+    const state = this.state;
+    const svc = state.services.find((s) => s.id === id);
+    if (!svc) return false;
+
+    // A group takes its instances with it
+    if (svc.scaling) svc.scaling.instances.forEach((s) => this.removeService(s.id, true));
+    if (svc.shardMap) svc.shardMap.removeShard(id);
+
+    state.services.forEach(
+      (s) => (s.connections = s.connections.filter((c) => c !== id))
+    );
+    this.ingresses.forEach(
+      (node) => (node.connections = node.connections.filter((c) => c !== id))
+    );
+    const toRemove = state.connections.filter(
+      (c) => c.from === id || c.to === id
+    );
+    state.connections = state.connections.filter((c) => !toRemove.includes(c));
+    toRemove.forEach((c) => this.emit("connection:removed", c));
+
+    state.services = state.services.filter((s) => s.id !== id);
+    svc.pendingRetries.forEach(({ req }) => this.failRequest(req));
+    // Accepted messages it held go back to their queue; requests just time out
+    state.requests
+      .filter((req) => req.accepted && req.target === svc)
+      .forEach((req) => this.failRequest(req));
+    if (svc.type === "dlq") state.messages.lost += svc.messages.length;
+    // Group instances were never bought, so there is nothing to sell back
+    if (!managed && !svc.groupId) state.money += Math.floor(svc.config.cost / 2);
+    this.emit("service:removed", { service: svc, managed });
+    return true;
+  }
+
+  /**
+   * Splits a db shard in two: buys a new db next to it, links it to
+   * everything that reaches the old one, and starts copying half the old
+   * shard's keys across. The first split of a db picks the strategy.
+   */
+  splitShard(id, strategy) {
+    const state = this.state;
+    const svc = this.getEntity(id);
+    if (!svc || svc.type !== "db") return null;
+    if (!svc.shardMap && !CONFIG.sharding.strategies.includes(strategy)) return null;
+
+    const map = svc.shardMap || new ShardMap(svc.id, strategy);
+    // One copy at a time per map
+    if (map.migration) return null;
+    const buckets = map.splitPlan(svc.id);
+    if (buckets.length === 0) return null;
+
+    const moveCost = buckets.length * CONFIG.sharding.moveCostPerBucket;
+    const total = CONFIG.services.db.cost + moveCost;
+    if (state.money < total) {
+      this.emit("money:insufficient", { cost: total });
+      return null;
+    }
+    const pos = this.freeSlotNear(svc.position);
+    const shard = pos && this.placeService("db", pos);
+    if (!shard) return null;
+
+    state.money -= moveCost;
+    if (state.finances) {
+      state.finances.expenses.services += moveCost;
+      state.finances.expenses.byService.db += moveCost;
+    }
+
+    svc.shardMap = map;
+    shard.shardMap = map;
+    state.services
+      .filter((s) => s.connections.includes(svc.id))
+      .forEach((s) => this.connect(s.id, shard.id, true));
+    map.startMigration(svc.id, shard.id, buckets);
+
+    this.emit("shard:split", { service: svc, shard, buckets: buckets.length });
+    return shard;
+  }
+
+  /** Whether an API gateway is on the board to tell clients apart */
+  hasGateway() {
+    return this.state.services.some((s) => s.type === "apigw");
+  }
+
+  /**
+   * Client a new request comes from. Ordinary clients each send about
+   * `clientRPS`, so there are more of them as traffic grows; the few
+   * abusive ones send a fixed share of everything once a gateway is placed.
+   * @param {boolean} gated whether an API gateway is on the board
+   */
+  randomClient(gated) {
+    const settings = CONFIG.clients;
+    if (gated && this.rng.next() < settings.abusiveShare) {
+      const n = Math.floor(this.rng.next() * settings.abusiveClients) + 1;
+      return { id: `abuser-${n}`, abusive: true };
+    }
+    const pool = Math.max(settings.minClients, Math.ceil(this.state.currentRPS / settings.clientRPS));
+    return { id: `client-${Math.floor(this.rng.next() * pool) + 1}`, abusive: false };
+  }
+
+  /**
+   * Partition key for a database request. A small window of keys is hot,
+   * and the window moves now and then as different data trends. The rest
+   * follow the steady popularity of the key space.
+   */
+  randomPartitionKey() {
+    const settings = CONFIG.sharding;
+    if (this.rng.next() < settings.hotKeyChance) {
+      return (this.state.hotKeyStart + Math.floor(this.rng.next() * settings.hotKeys)) % settings.keySpace;
+    }
+    return this.zipfIndex(settings.keySpace);
+  }
+
+  /**
+   * Which STATIC asset a request asks for. A versioned URL names the release
+   * as well, so each deploy brings a new set of keys.
+   */
+  randomAssetKey() {
+    const asset = this.zipfIndex(CONFIG.caching.staticAssets);
+    return this.state.versionedAssets ? `${asset}@v${this.state.assetVersion}` : asset;
+  }
+
+  /**
+   * One of `n` items, skewed by popularity: the item ranked r comes up in
+   * proportion to 1 / r^zipfExponent. Ranks are scattered over the items so
+   * the popular ones don't all sit side by side.
+   */
+  zipfIndex(n) {
+    const exponent = CONFIG.caching.zipfExponent;
+    const tableKey = `${n}:${exponent}`;
+    let cdf = this.zipfTables.get(tableKey);
+    if (!cdf) {
+      cdf = [];
+      let total = 0;
+      for (let rank = 1; rank <= n; rank++) {
+        total += 1 / Math.pow(rank, exponent);
+        cdf.push(total);
+      }
+      this.zipfTables.set(tableKey, cdf);
+    }
+
+    const r = this.rng.next() * cdf[n - 1];
+    let lo = 0;
+    let hi = n - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (cdf[mid] > r) hi = mid;
+      else lo = mid + 1;
+    }
+    // Stepping by a stride with gcd(stride, n) = 1 gives every rank its own
+    // item. 613 is prime, so that holds unless n is a multiple of it.
+    const stride = n % 613 === 0 ? 1 : 613;
+    return (lo * stride) % n;
+  }
+
+  updateHotKeys(dt) {
+    const state = this.state;
+    state.hotKeyTimer += dt;
+    if (state.hotKeyTimer < CONFIG.sharding.hotKeyShiftInterval) return;
+    state.hotKeyTimer = 0;
+    state.hotKeyStart = Math.floor(this.rng.next() * CONFIG.sharding.keySpace);
+  }
+
+  updateDeploys(dt) {
+    const state = this.state;
+    state.deployTimer += dt;
+    if (state.deployTimer >= CONFIG.cdn.deployInterval) this.deployAssets();
+  }
+
+  /** Ships a release: every asset changes from now on */
+  deployAssets() {
+    const state = this.state;
+    state.deployTimer = 0;
+    state.assetVersion++;
+    state.assetsDeployedAt = state.elapsedGameTime;
+    this.emit("assets:deployed", { version: state.assetVersion, versioned: state.versionedAssets });
+  }
+
+  /** Whether asset URLs carry the release they came with */
+  setVersionedAssets(enabled) {
+    this.state.versionedAssets = !!enabled;
+    this.emit("assets:configured", { versioned: this.state.versionedAssets });
+    return true;
+  }
+
+  /**
+   * A write to `key` committed at `store`. Caches in front of the store drop
+   * what they held for the key, unless set not to.
+   */
+  recordWrite(store, key) {
+    if (key === null) return;
+    this.state.keyWrites[key] = this.state.elapsedGameTime;
+    this.state.services
+      .filter((s) => s.cacheStore?.settings.invalidateOnWrite && s.connections.includes(store.id))
+      .forEach((cache) => cache.cacheStore.invalidate(key));
+  }
+
+  /**
+   * Switches how a load balancer spreads traffic across its targets.
+   */
+  setLoadBalancingStrategy(id, strategy) {
+    const svc = this.getEntity(id);
+    if (!svc || svc.type !== "alb" || !LOAD_BALANCING_STRATEGIES[strategy]) {
+      return false;
+    }
+    svc.lbStrategy = strategy;
+    this.emit("service:configured", { service: svc });
+    return true;
+  }
+
+  /**
+   * Tunes a node's health checks. Only positive whole numbers are taken;
+   * anything else leaves that setting as it was.
+   */
+  configureHealthCheck(id, settings) {
+    const svc = this.getEntity(id);
+    if (!svc || !svc.healthCheck) return false;
+    ["interval", "unhealthyThreshold", "healthyThreshold"].forEach((key) => {
+      const value = Math.floor(Number(settings[key]));
+      if (value >= 1) svc.healthCheck[key] = value;
+    });
+    this.emit("service:configured", { service: svc });
+    return true;
+  }
+
+  /**
+   * Adds or removes a circuit breaker on a link from Compute to a store.
+   */
+  setCircuitBreaker(fromId, toId, enabled) {
+    const from = this.getEntity(fromId);
+    const to = this.getEntity(toId);
+    if (
+      !from ||
+      !to ||
+      from.type !== "compute" ||
+      !CONFIG.circuitBreaker.storeTypes.includes(to.type) ||
+      !from.connections.includes(toId)
+    ) {
+      return false;
+    }
+    if (enabled) from.breakers[toId] = from.breakers[toId] || new CircuitBreaker();
+    else delete from.breakers[toId];
+    from.emitBreakerChange(toId);
+    this.emit("service:configured", { service: from });
+    return true;
+  }
+
+  /**
+   * Updates an autoscaling group's settings. Numbers must be non-negative
+   * and min <= max; the policy and metric must be known ones.
+   */
+  configureScaling(id, settings) {
+    const svc = this.getEntity(id);
+    if (!svc || !svc.scaling) return false;
+    const current = svc.scaling.settings;
+
+    Object.entries(settings).forEach(([key, value]) => {
+      if (key === "policy") {
+        if (["target-tracking", "step", "manual"].includes(value)) current.policy = value;
+      } else if (key === "metric") {
+        if (CONFIG.services.asg.metrics[value]) {
+          current.metric = value;
+          current.target = CONFIG.services.asg.metrics[value].target;
+        }
+      } else if (key in current) {
+        const number = Number(value);
+        if (Number.isFinite(number) && number >= 0) current[key] = number;
+      }
+    });
+    ["min", "max", "desired"].forEach((key) => (current[key] = Math.floor(current[key])));
+    current.max = Math.max(1, current.max);
+    current.min = Math.min(current.min, current.max);
+    current.target = current.target || CONFIG.services.asg.metrics[current.metric].target;
+
+    svc.scaling.reconcile();
+    this.emit("service:configured", { service: svc });
+    return true;
+  }
+
+  /**
+   * DNS settings reach clients only as their cached answers expire.
+   */
+  setDnsPolicy(id, policy) {
+    const svc = this.getEntity(id);
+    if (!svc?.router || !DNS_ROUTING_POLICIES[policy]) return false;
+    svc.router.settings.policy = policy;
+    svc.router.answers = {};
+    this.emit("service:configured", { service: svc });
+    return true;
+  }
+
+  setDnsTtl(id, ttl) {
+    const svc = this.getEntity(id);
+    const seconds = Number(ttl);
+    if (!svc?.router || !Number.isFinite(seconds) || seconds < 0) return false;
+    svc.router.settings.ttl = Math.min(seconds, svc.config.maxTtl);
+    this.emit("service:configured", { service: svc });
+    return true;
+  }
+
+  setDnsPrimaryRegion(id, region) {
+    const svc = this.getEntity(id);
+    if (!svc?.router || !CONFIG.regions.list.some((r) => r.id === region)) return false;
+    svc.router.settings.primaryRegion = region;
+    this.emit("service:configured", { service: svc });
+    return true;
+  }
+
+  setDnsWeight(id, recordId, weight) {
+    const svc = this.getEntity(id);
+    const value = Number(weight);
+    if (!svc?.router || !Number.isFinite(value) || value < 0) return false;
+    svc.router.weights[recordId] = value;
+    svc.router.answers = {};
+    this.emit("service:configured", { service: svc });
+    return true;
+  }
+
+  /** New TTLs apply to answers stored from now on */
+  setCacheTtl(id, ttl) {
+    const svc = this.getEntity(id);
+    const seconds = Number(ttl);
+    if (!svc?.cacheStore || !Number.isFinite(seconds) || seconds < 0) return false;
+    svc.cacheStore.settings.ttl = Math.min(seconds, svc.config.maxTtl);
+    this.emit("service:configured", { service: svc });
+    return true;
+  }
+
+  setCacheInvalidation(id, enabled) {
+    const svc = this.getEntity(id);
+    if (!svc?.cacheStore) return false;
+    svc.cacheStore.settings.invalidateOnWrite = !!enabled;
+    this.emit("service:configured", { service: svc });
+    return true;
+  }
+
+  /** Switches what a full cache evicts; what it holds stays put */
+  setCacheEviction(id, policy) {
+    const svc = this.getEntity(id);
+    if (!svc?.cacheStore || !CONFIG.caching.evictionPolicies.includes(policy)) return false;
+    svc.cacheStore.settings.eviction = policy;
+    this.emit("service:configured", { service: svc });
+    return true;
+  }
+
+  /** Whether later misses on a key wait for the one already at the store */
+  setCacheCoalescing(id, enabled) {
+    const svc = this.getEntity(id);
+    if (!svc?.cacheStore) return false;
+    svc.cacheStore.settings.coalesce = !!enabled;
+    this.emit("service:configured", { service: svc });
+    return true;
+  }
+
+  /**
+   * Whether a cache reloads keys after a restart. Switching it on for an
+   * empty cache starts warming right away.
+   */
+  setCacheWarming(id, enabled) {
+    const svc = this.getEntity(id);
+    if (!svc?.cacheStore) return false;
+    const store = svc.cacheStore;
+    store.settings.warm = !!enabled;
+    if (!store.settings.warm) store.warmQueue = [];
+    else if (store.entries.size === 0) store.warmUp();
+    this.emit("service:configured", { service: svc });
+    return true;
+  }
+
+  /**
+   * Opens or closes a CDN edge in `region`. Opening one is paid for up front
+   * and adds to the CDN's upkeep; the CDN's own region always has one.
+   */
+  setCdnPop(id, region, open) {
+    const svc = this.getEntity(id);
+    if (!svc?.edges || !CONFIG.regions.list.some((r) => r.id === region)) return false;
+    if (region === svc.edges.home || svc.edges.regions.includes(region) === !!open) return false;
+    if (open && !this.chargeService(svc, CONFIG.cdn.popCost)) return false;
+    svc.edges.setPop(region, !!open);
+    this.emit("service:configured", { service: svc });
+    return true;
+  }
+
+  setCdnShield(id, enabled) {
+    const svc = this.getEntity(id);
+    if (!svc?.edges || svc.edges.settings.shield === !!enabled) return false;
+    if (enabled && !this.chargeService(svc, CONFIG.cdn.shieldCost)) return false;
+    svc.edges.setShield(!!enabled);
+    this.emit("service:configured", { service: svc });
+    return true;
+  }
+
+  /** New TTLs apply to assets stored from now on */
+  setCdnTtl(id, ttl) {
+    const svc = this.getEntity(id);
+    const seconds = Number(ttl);
+    if (!svc?.edges || !Number.isFinite(seconds) || seconds < 0) return false;
+    svc.edges.setTtl(Math.min(seconds, svc.config.maxTtl));
+    this.emit("service:configured", { service: svc });
+    return true;
+  }
+
+  /** Empties every edge and the shield; the next requests all go to the origin */
+  purgeCdn(id) {
+    const svc = this.getEntity(id);
+    if (!svc?.edges) return false;
+    svc.edges.purge();
+    this.emit("cdn:purged", { service: svc });
+    return true;
+  }
+
+  /** Pays `cost` for something added to `svc`; false when the budget is short */
+  chargeService(svc, cost) {
+    const state = this.state;
+    if (state.money < cost) {
+      this.emit("money:insufficient", { cost });
+      return false;
+    }
+    state.money -= cost;
+    if (state.finances) {
+      state.finances.expenses.services += cost;
+      state.finances.expenses.byService[svc.type] =
+        (state.finances.expenses.byService[svc.type] || 0) + cost;
+    }
+    return true;
+  }
+
+  /**
+   * Sets an API gateway's per-client limit, in requests per second.
+   */
+  setRateLimit(id, rate) {
+    const svc = this.getEntity(id);
+    const limit = Number(rate);
+    if (!svc || svc.type !== "apigw" || !Number.isFinite(limit) || limit <= 0) return false;
+    svc.rateLimit = limit;
+    this.emit("service:configured", { service: svc });
+    return true;
+  }
+
+  /**
+   * Switches a queue between forwarding requests (sync) and answering
+   * writes as soon as it holds them (async).
+   */
+  setQueueMode(id, async) {
+    const svc = this.getEntity(id);
+    if (!svc || svc.type !== "sqs") return false;
+    svc.asyncMode = !!async;
+    this.emit("service:configured", { service: svc });
+    return true;
+  }
+
+  /**
+   * Sets how many times a queue hands out a message before moving it to
+   * its dead-letter queue.
+   */
+  setMaxReceiveCount(id, count) {
+    const svc = this.getEntity(id);
+    const receives = Math.floor(Number(count));
+    if (!svc || svc.type !== "sqs" || !Number.isFinite(receives) || receives < 1) return false;
+    svc.maxReceiveCount = receives;
+    this.emit("service:configured", { service: svc });
+    return true;
+  }
+
+  setRetryPolicy(id, policy) {
+    const svc = this.getEntity(id);
+    if (!svc || svc.type === "internet" || !CONFIG.retryPolicies[policy]) {
+      return false;
+    }
+    svc.retryPolicy = policy;
+    this.emit("service:configured", { service: svc });
+    return true;
+  }
+
+  canConnect(fromType, toType) {
+    return (VALID_CONNECTIONS[fromType] || []).includes(toType);
+  }
+
+  /**
+   * @param {boolean} [managed] wired by the game itself, not the player
+   */
+  connect(fromId, toId, managed = false) {
+    if (fromId === toId) return false;
+    const from = this.getEntity(fromId),
+      to = this.getEntity(toId);
+    if (!from || !to || from.connections.includes(toId)) return false;
+
+    // A replica copies exactly one primary
+    const secondPrimary = from.type === "db" && to.type === "replica" && to.primary;
+    if (!this.canConnect(from.type, to.type) || secondPrimary) {
+      this.emit("connection:rejected", { from: fromId, to: toId });
+      return false;
+    }
+
+    from.connections.push(toId);
+    const connection = { from: fromId, to: toId };
+    this.state.connections.push(connection);
+    this.emit("connection:created", {
+      ...connection,
+      fromType: from.type,
+      toType: to.type,
+      managed,
+    });
+    return true;
+  }
+
+  disconnect(fromId, toId) {
+    const from = this.getEntity(fromId);
+    if (!from) return false;
+
+    // Check if connection exists
+    if (!from.connections.includes(toId)) return false;
+
+    from.connections = from.connections.filter((c) => c !== toId);
+    const conn = this.state.connections.find(
+      (c) => c.from === fromId && c.to === toId
+    );
+    if (conn) {
+      this.state.connections = this.state.connections.filter((c) => c !== conn);
+    }
+
+    this.emit("connection:removed", { from: fromId, to: toId });
+    return true;
+  }
+
+  // ==================== TRAFFIC ====================
+
+  getTrafficType() {
+    const dist = this.state.trafficDistribution;
+    const types = Object.keys(dist);
+    const total = types.reduce((sum, type) => sum + (dist[type] || 0), 0);
+    if (total === 0) return TRAFFIC_TYPES.STATIC;
+
+    const r = this.rng.next() * total;
+    let cumulative = 0;
+
+    for (const type of types) {
+      cumulative += dist[type] || 0;
+      if (r < cumulative) {
+        return TRAFFIC_TYPES[type] || type;
+      }
+    }
+
+    return TRAFFIC_TYPES.STATIC;
+  }
+
+  spawnRequest(type = this.getTrafficType()) {
+    const state = this.state;
+    if (this.dnsRouter) return this.spawnResolvedRequest(type);
+
+    const population = this.pickPopulation();
+    const ingress = this.pickIngress(population);
+    const req = new Request(type, this, ingress);
+    req.population = population.id;
+    req.accessSeconds = this.accessSeconds(population, ingress);
+    // Only worth tracking per region once there is another to fail over to
+    if (this.activeIngresses.length > 1) req.region = this.regionAt(ingress.position).id;
+    state.requests.push(req);
+    this.emit("request:spawned", { req });
+
+    // Without a DNS node clients follow a fixed preference order
+    const conns = ingress.connections;
+    if (conns.length > 0) {
+      const entryNodes = conns.map((id) =>
+        state.services.find((s) => s.id === id)
+      );
+
+      // Traffic Routing Logic
+      let target;
+
+      // 1. Prefer CDN for STATIC traffic
+      if (type === "STATIC") {
+        target = entryNodes.find((s) => s?.type === "cdn");
+      }
+
+      // 2. Fallback to WAF (Security Best Practice)
+      if (!target) {
+        target = entryNodes.find((s) => s?.type === "waf");
+      }
+
+      // 3. Then an API gateway
+      if (!target) {
+        target = entryNodes.find((s) => s?.type === "apigw");
+      }
+
+      // 4. Last Resort: Random entry point (Reckless)
+      if (!target) {
+        target = this.rng.pick(entryNodes);
+      }
+
+      if (target) {
+        if (target.edges) target.edges.admit(req);
+        req.flyTo(target);
+      } else this.failRequest(req);
+    } else this.failRequest(req);
+
+    return req;
+  }
+
+  /**
+   * Spawns a request whose client looks its entry point up in DNS, then
+   * comes in through the nearest ingress linking the answer.
+   */
+  spawnResolvedRequest(type) {
+    const state = this.state;
+    const population = this.pickPopulation();
+    const entry = this.dnsRouter.resolve(type, population);
+    const ingress = entry ? this.ingressFor(population, entry) : state.internetNode;
+
+    const req = new Request(type, this, ingress);
+    req.population = population.id;
+    req.accessSeconds = this.accessSeconds(population, ingress);
+    state.requests.push(req);
+    this.emit("request:spawned", { req });
+
+    if (entry) {
+      if (this.activeIngresses.length > 1) req.region = this.regionAt(entry.position).id;
+      if (entry.edges) entry.edges.admit(req);
+      req.flyTo(entry);
+    } else this.failRequest(req);
+    return req;
+  }
+
+  updateScore(req, outcome) {
+    const state = this.state;
+    const points = CONFIG.survival.SCORE_POINTS;
+    const typeConfig = req.typeConfig || CONFIG.trafficTypes[req.type];
+
+    if (outcome === "MALICIOUS_BLOCKED") {
+      state.score.maliciousBlocked += points.MALICIOUS_BLOCKED_SCORE;
+      state.score.total += points.MALICIOUS_BLOCKED_SCORE;
+      state.score.total += points.MALICIOUS_BLOCKED_SCORE;
+
+      // Mitigation cost for blocking attacks
+      const mitigationCost = points.MALICIOUS_MITIGATION_COST || 1.0;
+      state.money -= mitigationCost;
+      if (state.finances) {
+        state.finances.expenses.mitigation =
+          (state.finances.expenses.mitigation || 0) + mitigationCost;
+      }
+    } else if (
+      req.type === TRAFFIC_TYPES.MALICIOUS &&
+      outcome === "MALICIOUS_PASSED"
+    ) {
+      state.reputation += points.MALICIOUS_PASSED_REPUTATION;
+      state.reputation += points.MALICIOUS_PASSED_REPUTATION;
+      state.failures.MALICIOUS++;
+
+      // Breach penalty
+      const breachPenalty = points.MALICIOUS_BREACH_PENALTY || 50.0;
+      state.money -= breachPenalty;
+      if (state.finances) {
+        state.finances.expenses.breach =
+          (state.finances.expenses.breach || 0) + breachPenalty;
+      }
+    } else if (outcome === "COMPLETED") {
+      let reward = typeConfig.reward;
+      const score = typeConfig.score;
+
+      if (req.cached) {
+        reward *= 1 + points.CACHE_HIT_BONUS;
+      }
+
+      // Late replies still count, but pay less and earn no reputation
+      const late = req.deadline && req.latency > req.deadline;
+      if (late) {
+        reward *= points.LATE_REWARD_MULTIPLIER;
+        state.lateCompletions++;
+      }
+
+      // Abusive clients' requests are valid but earn nothing
+      if (req.abusive) reward *= CONFIG.clients.abusiveRewardMultiplier;
+
+      // Out-of-date data from a lagging replica is a quality problem
+      if (req.stale) {
+        reward *= CONFIG.replication.STALE_REWARD_MULTIPLIER;
+        state.reputation += CONFIG.replication.STALE_READ_REPUTATION;
+        state.staleReads++;
+      }
+
+      if (typeConfig.destination === "s3" || typeConfig.destination === "cdn") {
+        state.score.storage += score;
+      } else if (typeConfig.destination === "db") {
+        state.score.database += score;
+      }
+
+      state.score.total += score;
+      state.money += reward;
+      if (state.finances) {
+        state.finances.income.requests += reward;
+        state.finances.income.total += reward;
+        // Track by request type
+        const reqType = req.type || "STATIC";
+        state.finances.income.byType[reqType] =
+          (state.finances.income.byType[reqType] || 0) + reward;
+        state.finances.income.countByType[reqType] =
+          (state.finances.income.countByType[reqType] || 0) + 1;
+      }
+      if (!late && !req.stale && !req.abusive) {
+        state.reputation += points.SUCCESS_REPUTATION || 0.5; // Gain reputation on success
+      }
+    } else if (outcome === "FAILED" || outcome === "TIMED_OUT") {
+      state.reputation += points.FAIL_REPUTATION;
+      state.score.total -= (typeConfig.score || 5) / 2;
+      if (state.failures[req.type] !== undefined) {
+        state.failures[req.type]++;
+      }
+      if (outcome === "TIMED_OUT" && state.timeouts[req.type] !== undefined) {
+        state.timeouts[req.type]++;
+      }
+    }
+
+    this.emit("score:changed", { req, outcome });
+  }
+
+  finishRequest(req) {
+    if (req.accepted) return this.completeMessage(req);
+    req.record("finish");
+    this.recordRegionOutcome(req, true);
+    if (req.sender) req.sender.recordHopOutcome(req.target, true);
+    req.missedCaches.forEach((cache) => cache.fill(req));
+    this.latency.record(req.type, req.latency);
+    if (req.population) this.latency.record(`population:${req.population}`, req.latency);
+    this.state.requestsProcessed++;
+    this.updateScore(req, "COMPLETED");
+    this.emit("request:finished", { req });
+    this.removeRequest(req);
+  }
+
+  /**
+   * Transient failures (a full queue, a failed processing roll) go back to
+   * the node that sent the request, which retries if its policy allows.
+   */
+  retryOrFail(req) {
+    const sender = req.sender;
+    if (sender) sender.recordHopOutcome(req.target, false);
+    if (sender && this.state.services.includes(sender) && sender.scheduleRetry(req)) {
+      return;
+    }
+    this.failRequest(req);
+  }
+
+  failRequest(req) {
+    if (req.accepted) return this.redeliverMessage(req);
+    req.record("fail");
+    req.missedCaches.forEach((cache) => cache.release(req));
+    if (req.type !== TRAFFIC_TYPES.MALICIOUS) this.recordRegionOutcome(req, false);
+    const failType =
+      req.type === TRAFFIC_TYPES.MALICIOUS ? "MALICIOUS_PASSED" : "FAILED";
+    this.updateScore(req, failType);
+    this.emit("request:failed", { req, outcome: failType });
+    this.removeRequest(req);
+  }
+
+  /**
+   * Fails requests whose client has given up waiting, wherever they are:
+   * in flight, queued or mid-processing. Accepted messages have no client
+   * waiting on them.
+   */
+  expireRequests() {
+    const factor = CONFIG.survival.SCORE_POINTS.TIMEOUT_MULTIPLIER;
+    this.state.requests
+      .filter((req) => !req.accepted && req.deadline && req.age > req.deadline * factor)
+      .forEach((req) => this.timeoutRequest(req));
+  }
+
+  timeoutRequest(req) {
+    // A request only ever sits at the service it last flew to
+    const holder = req.target;
+    if (req.sender) req.sender.recordHopOutcome(holder, false);
+    if (holder) {
+      holder.queue = holder.queue.filter((r) => r !== req);
+      holder.processing = holder.processing.filter((job) => job.req !== req);
+      holder.pendingRetries = holder.pendingRetries.filter((r) => r.req !== req);
+    }
+
+    req.record("timeout");
+    req.missedCaches.forEach((cache) => cache.release(req));
+    this.recordRegionOutcome(req, false);
+    this.updateScore(req, "TIMED_OUT");
+    this.emit("request:failed", { req, outcome: "TIMED_OUT" });
+    this.removeRequest(req);
+  }
+
+  /**
+   * Turns a request away: bad credentials, a malformed request or a client
+   * over its rate limit. Rejecting those is correct and costs nothing,
+   * except throttling an ordinary client, which costs reputation.
+   * @param {string} reason unauthenticated | invalid | rate-limited
+   */
+  rejectRequest(req, reason) {
+    const state = this.state;
+    req.record("reject");
+    state.rejections[reason]++;
+    if (reason === "rate-limited" && !req.abusive) {
+      state.throttledClients++;
+      state.reputation += CONFIG.clients.THROTTLED_CLIENT_REPUTATION;
+    }
+    this.emit("request:rejected", { req, reason });
+    this.removeRequest(req);
+  }
+
+  // ==================== ASYNC MESSAGES ====================
+
+  /**
+   * A queue in async mode has stored the request: the client gets its
+   * answer (and the reward) now, and the message carries on to the workers.
+   */
+  acceptRequest(req, queue) {
+    req.accepted = true;
+    req.queueId = queue.id;
+    req.acceptedAt = this.state.elapsedGameTime;
+    req.poison = this.rng.next() < CONFIG.messaging.poisonChance;
+    req.record("accept", queue);
+    this.recordRegionOutcome(req, true);
+    req.missedCaches.forEach((cache) => cache.fill(req));
+    this.latency.record(req.type, req.latency);
+    if (req.population) this.latency.record(`population:${req.population}`, req.latency);
+    this.state.requestsProcessed++;
+    this.state.messages.accepted++;
+    this.updateScore(req, "COMPLETED");
+    this.emit("request:accepted", { req, queue });
+  }
+
+  /**
+   * A worker finished an accepted message. It was paid for on acceptance,
+   * so all that is left is whether it took longer than the queue-age SLO.
+   */
+  completeMessage(req) {
+    const state = this.state;
+    req.record("finish");
+    if (req.sender) req.sender.recordHopOutcome(req.target, true);
+    state.messages.processed++;
+    if (state.elapsedGameTime - req.acceptedAt > CONFIG.messaging.queueAgeSLO) {
+      state.messages.sloBreaches++;
+      state.reputation += CONFIG.messaging.SLO_BREACH_REPUTATION;
+    }
+    this.emit("message:processed", { req });
+    this.removeRequest(req);
+  }
+
+  /**
+   * An accepted message that was dropped goes back to its queue to be
+   * received again. Once workers have received it the queue's
+   * maxReceiveCount times it moves to the queue's dead-letter queue; without
+   * one it keeps coming back. Messages no worker took, bounced off a full
+   * consumer or left behind by a removed one, just go back. With its queue
+   * gone it is lost.
+   */
+  redeliverMessage(req) {
+    const state = this.state;
+    const queue = state.services.find((s) => s.id === req.queueId);
+    const received = req.received;
+    req.received = false;
+
+    if (!queue) {
+      state.messages.lost++;
+      req.accepted = false;
+      this.failRequest(req);
+      return;
+    }
+
+    const dlq = queue.deadLetterQueue;
+    if (received && dlq && req.receiveCount >= queue.maxReceiveCount) {
+      req.record("dead-letter", dlq);
+      dlq.messages.push(req);
+      state.messages.deadLettered++;
+      state.reputation += CONFIG.messaging.DEAD_LETTER_REPUTATION;
+      this.emit("message:dead-lettered", { req, queue, dlq });
+      this.removeRequest(req);
+      return;
+    }
+    if (received && req.receiveCount === queue.maxReceiveCount) {
+      state.messages.overReceived++;
+      // Once is enough to point the player at the missing DLQ
+      if (state.messages.overReceived === 1) {
+        this.emit("warning", {
+          key: "warn_no_dlq",
+          params: { count: req.receiveCount },
+          type: "warning",
+          duration: 3000,
+        });
+      }
+    }
+
+    req.record("redeliver", queue);
+    // The queue takes it back itself; nobody upstream retries the hop
+    req.target = null;
+    req.sender = null;
+    req.flyTo(queue);
+  }
+
+  /**
+   * Sends everything in a dead-letter queue back to the queues it came
+   * from, with a fresh receive count. Messages whose queue is gone go to
+   * any queue that still dead-letters here; with none they stay put.
+   * @returns {number} messages redriven
+   */
+  redriveDeadLetters(id) {
+    const state = this.state;
+    const dlq = this.getEntity(id);
+    if (!dlq || dlq.type !== "dlq") return 0;
+    const sources = state.services.filter((s) => s.type === "sqs" && s.connections.includes(id));
+
+    const kept = [];
+    dlq.messages.forEach((req) => {
+      const queue = sources.find((s) => s.id === req.queueId) || sources[0];
+      if (!queue) {
+        kept.push(req);
+        return;
+      }
+      req.queueId = queue.id;
+      req.receiveCount = 0;
+      req.position = { x: dlq.position.x, y: 0, z: dlq.position.z };
+      req.target = null;
+      req.sender = null;
+      state.requests.push(req);
+      this.emit("message:redriven", { req, dlq, queue });
+      req.flyTo(queue);
+    });
+
+    const redriven = dlq.messages.length - kept.length;
+    dlq.messages = kept;
+    state.messages.redriven += redriven;
+    return redriven;
+  }
+
+  /**
+   * Throws away everything in a dead-letter queue.
+   * @returns {number} messages purged
+   */
+  purgeDeadLetters(id) {
+    const dlq = this.getEntity(id);
+    if (!dlq || dlq.type !== "dlq") return 0;
+    const purged = dlq.messages.length;
+    dlq.messages = [];
+    this.state.messages.purged += purged;
+    this.emit("message:purged", { dlq, count: purged });
+    return purged;
+  }
+
+  blockRequest(req) {
+    this.updateScore(req, "MALICIOUS_BLOCKED");
+    this.emit("request:blocked", { req });
+    this.removeRequest(req);
+  }
+
+  removeRequest(req) {
+    req.isMoving = false;
+    this.state.requests = this.state.requests.filter((r) => r !== req);
+    this.emit("request:removed", { req });
+  }
+
+  // ==================== BALANCE ====================
+
+  calculateTargetRPS(gameTimeSeconds) {
+    const state = this.state;
+    const base = CONFIG.survival.baseRPS;
+    const logGrowth = Math.log(1 + gameTimeSeconds / 20) * 2.2;
+    const linearBoost = gameTimeSeconds * 0.008; // Adds ~0.5 RPS per minute
+    let targetRPS = base + logGrowth + linearBoost;
+
+    if (CONFIG.survival.rpsAcceleration && state.intervention) {
+      const milestones = CONFIG.survival.rpsAcceleration.milestones;
+      let multiplier = 1.0;
+
+      for (let i = 0; i < milestones.length; i++) {
+        if (gameTimeSeconds >= milestones[i].time) {
+          multiplier = milestones[i].multiplier;
+          if (state.intervention.currentMilestoneIndex < i + 1) {
+            state.intervention.currentMilestoneIndex = i + 1;
+            this.emit("rps:milestone", { multiplier });
+          }
+        }
+      }
+
+      state.intervention.rpsMultiplier = multiplier;
+      targetRPS *= multiplier;
+    }
+
+    return targetRPS * this.demandFactor(gameTimeSeconds);
+  }
+
+  /** Game clock `seconds` into a run: days since it began, weekday and hour */
+  clockAt(seconds) {
+    const settings = CONFIG.trafficCurves;
+    const hours = settings.startHour + (seconds / settings.dayLength) * 24;
+    const day = Math.floor(hours / 24);
+    return { day, weekday: day % 7, hour: hours % 24 };
+  }
+
+  /**
+   * Traffic `seconds` into a run against the average weekday hour: above 1
+   * around the curve's peak, below it at night and over the weekend.
+   */
+  demandFactor(seconds) {
+    const curve = this.state.trafficCurve;
+    const { weekday, hour } = this.clockAt(seconds);
+    const daily = 1 + curve.swing * Math.cos((2 * Math.PI * (hour - curve.peakHour)) / 24);
+    const weekend = CONFIG.trafficCurves.weekendDays.includes(weekday) ? 1 - curve.weekendDip : 1;
+    return daily * weekend;
+  }
+
+  /** Picks one of the configured curves; sandbox only */
+  setTrafficCurve(name) {
+    const preset = CONFIG.trafficCurves.curves[name];
+    if (this.state.gameMode !== "sandbox" || !preset) return false;
+    this.state.trafficCurve = { name, ...preset };
+    return true;
+  }
+
+  /** Tunes one setting of the sandbox curve, which then becomes a custom one */
+  setTrafficCurveSetting(setting, value) {
+    const limits = { peakHour: [0, 24], swing: [0, 1], weekendDip: [0, 1] };
+    const v = Number(value);
+    if (this.state.gameMode !== "sandbox" || !limits[setting] || !Number.isFinite(v)) return false;
+    const [min, max] = limits[setting];
+    if (v < min || v > max) return false;
+    this.state.trafficCurve = { ...this.state.trafficCurve, name: "custom", [setting]: v };
+    return true;
+  }
+
+  getUpkeepMultiplier() {
+    const state = this.state;
+    if (state.gameMode !== "survival") return 1.0;
+    if (!CONFIG.survival.upkeepScaling.enabled) return 1.0;
+
+    const progress = Math.min(
+      state.elapsedGameTime / CONFIG.survival.upkeepScaling.scaleTime,
+      1.0
+    );
+
+    const base = CONFIG.survival.upkeepScaling.baseMultiplier;
+    const max = CONFIG.survival.upkeepScaling.maxMultiplier;
+
+    let multiplier = base + (max - base) * progress;
+
+    if (state.intervention?.costMultiplier) {
+      multiplier *= state.intervention.costMultiplier;
+    }
+
+    return multiplier;
+  }
+
+  processAutoRepair(dt) {
+    const state = this.state;
+    if (!state.autoRepairEnabled || state.gameMode !== "survival") return;
+    if (!CONFIG.survival.degradation?.enabled) return;
+
+    state.services.forEach((service) => {
+      if (service.health < 100) {
+        // Gradually heal - 5 health per second when auto-repair is on
+        service.health = Math.min(100, service.health + 5 * dt);
+      }
+    });
+  }
+
+  getAutoRepairUpkeep() {
+    const state = this.state;
+    if (!state.autoRepairEnabled) return 0;
+
+    const percent = CONFIG.survival.degradation?.autoRepairCostPercent || 0.1;
+    // 10% of total service cost per second
+    const totalServiceCost = state.services.reduce(
+      (sum, s) => sum + s.config.cost,
+      0
+    );
+    return (totalServiceCost * percent) / 60; // Per second
+  }
+
+  // ==================== MALICIOUS SPIKES ====================
+
+  updateMaliciousSpike(dt) {
+    const state = this.state;
+    if (state.gameMode !== "survival") return;
+    if (!CONFIG.survival.maliciousSpike.enabled) return;
+
+    state.maliciousSpikeTimer += dt;
+
+    const interval = CONFIG.survival.maliciousSpike.interval;
+    const duration = CONFIG.survival.maliciousSpike.duration;
+    const warning = CONFIG.survival.maliciousSpike.warningTime;
+
+    const cycleTime = state.maliciousSpikeTimer % interval;
+
+    if (
+      cycleTime >= interval - warning &&
+      cycleTime < interval - warning + dt &&
+      !state.maliciousSpikeActive
+    ) {
+      this.emit("malicious:warning");
+    }
+
+    if (cycleTime < dt && state.maliciousSpikeTimer > warning) {
+      this.startMaliciousSpike();
+    }
+
+    if (
+      state.maliciousSpikeActive &&
+      cycleTime >= duration &&
+      cycleTime < duration + dt
+    ) {
+      this.endMaliciousSpike();
+    }
+  }
+
+  startMaliciousSpike() {
+    const state = this.state;
+    if (state.intervention && state.intervention.trafficShiftActive) return;
+
+    state.maliciousSpikeActive = true;
+
+    state.normalTrafficDist = { ...state.trafficDistribution };
+
+    const maliciousPct = CONFIG.survival.maliciousSpike.maliciousPercent;
+    const remaining = 1 - maliciousPct;
+
+    const otherTotal = 1 - state.normalTrafficDist.MALICIOUS;
+    state.trafficDistribution = {
+      STATIC: (state.normalTrafficDist.STATIC / otherTotal) * remaining,
+      READ: (state.normalTrafficDist.READ / otherTotal) * remaining,
+      WRITE: (state.normalTrafficDist.WRITE / otherTotal) * remaining,
+      UPLOAD: (state.normalTrafficDist.UPLOAD / otherTotal) * remaining,
+      SEARCH: (state.normalTrafficDist.SEARCH / otherTotal) * remaining,
+      MALICIOUS: maliciousPct,
+    };
+
+    this.emit("malicious:start");
+  }
+
+  endMaliciousSpike() {
+    const state = this.state;
+    state.maliciousSpikeActive = false;
+
+    // Restore normal distribution
+    if (state.normalTrafficDist) {
+      state.trafficDistribution = { ...state.normalTrafficDist };
+      state.normalTrafficDist = null;
+    }
+
+    this.emit("malicious:end");
+  }
+
+  // ==================== TRAFFIC SHIFTS ====================
+
+  updateTrafficShift(dt) {
+    const state = this.state;
+    if (state.gameMode !== "survival") return;
+    if (!CONFIG.survival.trafficShift?.enabled) return;
+    if (!state.intervention) return;
+
+    state.intervention.trafficShiftTimer += dt;
+
+    const config = CONFIG.survival.trafficShift;
+    const interval = config.interval;
+    const duration = config.duration;
+
+    // Check if shift should start
+    if (
+      !state.intervention.trafficShiftActive &&
+      state.intervention.trafficShiftTimer >= interval
+    ) {
+      this.startTrafficShift();
+    }
+
+    // Check if shift should end
+    if (
+      state.intervention.trafficShiftActive &&
+      state.intervention.trafficShiftTimer >= interval + duration
+    ) {
+      this.endTrafficShift();
+      state.intervention.trafficShiftTimer = 0; // Reset for next cycle
+    }
+  }
+
+  startTrafficShift() {
+    const state = this.state;
+    if (!state.intervention || state.maliciousSpikeActive) return;
+
+    const shifts = CONFIG.survival.trafficShift.shifts;
+
+    // Pick a random shift
+    const shift = this.rng.pick(shifts);
+    state.intervention.currentShift = shift;
+    state.intervention.trafficShiftActive = true;
+
+    // Store original distribution
+    state.intervention.originalTrafficDist = { ...state.trafficDistribution };
+
+    if (shift.distribution) {
+      state.trafficDistribution = { ...shift.distribution };
+    }
+
+    this.emit("traffic-shift:start", { shift });
+  }
+
+  endTrafficShift() {
+    const state = this.state;
+    if (!state.intervention) return;
+
+    state.intervention.trafficShiftActive = false;
+
+    // Restore original distribution
+    if (state.intervention.originalTrafficDist) {
+      state.trafficDistribution = { ...state.intervention.originalTrafficDist };
+      state.intervention.originalTrafficDist = null;
+    }
+
+    const shift = state.intervention.currentShift;
+    state.intervention.currentShift = null;
+    this.emit("traffic-shift:end", { shift });
+  }
+
+  // ==================== RANDOM EVENTS ====================
+
+  updateRandomEvents(dt) {
+    const state = this.state;
+    if (state.gameMode !== "survival") return;
+    if (!CONFIG.survival.randomEvents?.enabled) return;
+    if (!state.intervention) return;
+
+    state.intervention.randomEventTimer += dt;
+
+    const config = CONFIG.survival.randomEvents;
+
+    // Check if event should trigger
+    if (state.intervention.randomEventTimer >= config.checkInterval) {
+      state.intervention.randomEventTimer = 0;
+
+      // 30% chance to trigger an event
+      if (this.rng.next() < 0.3) {
+        this.triggerRandomEvent();
+      }
+    }
+
+    // Check if active event should end
+    if (
+      state.intervention.activeEvent &&
+      state.elapsedGameTime >= state.intervention.eventEndTime
+    ) {
+      this.endRandomEvent();
+    }
+  }
+
+  /**
+   * Starts a random event. Durations are in seconds of game time, so
+   * pausing or fast-forwarding stretches events along with everything else.
+   */
+  triggerRandomEvent(eventType = null, duration = 30) {
+    const state = this.state;
+    if (!state.intervention || state.intervention.activeEvent) return;
+
+    const config = CONFIG.survival.randomEvents;
+    // DNS is a global service and rides out both kinds of outage
+    const regional = state.services.filter((s) => s.type !== "dns");
+    const regions = [...new Set(regional.map((s) => this.regionAt(s.position).id))];
+    // Region outages only come up once services run in more than one region
+    if (!eventType)
+      eventType = this.rng.pick(
+        config.types.filter((type) => type !== "REGION_OUTAGE" || regions.length > 1)
+      );
+    // A region outage is just an outage when everything runs in one region
+    if (eventType === "REGION_OUTAGE" && regions.length < 2) eventType = "SERVICE_OUTAGE";
+
+    state.intervention.activeEvent = eventType;
+    state.intervention.eventEndTime = state.elapsedGameTime + duration;
+    state.intervention.eventDuration = duration;
+
+    let target = null;
+    let region = null;
+    switch (eventType) {
+      case "COST_SPIKE":
+        state.intervention.costMultiplier = 2.0;
+        break;
+
+      case "CAPACITY_DROP":
+        state.services.forEach((s) => {
+          s.tempCapacityReduction = 0.5; // 50% capacity
+        });
+        break;
+
+      case "TRAFFIC_BURST":
+        state.intervention.trafficBurstMultiplier = 3.0;
+        break;
+
+      case "SERVICE_OUTAGE": {
+        // Pick a random service to temporarily disable
+        const services = regional.filter((s) => s.type !== "waf");
+        if (services.length > 0) {
+          target = this.rng.pick(services);
+          target.isDisabled = true;
+        }
+        break;
+      }
+
+      case "REGION_OUTAGE":
+        region = this.rng.pick(regions);
+        regional
+          .filter((s) => this.regionAt(s.position).id === region)
+          .forEach((s) => (s.isDisabled = true));
+        break;
+    }
+
+    this.emit("random-event:start", { eventType, target, region });
+  }
+
+  endRandomEvent() {
+    const state = this.state;
+    if (!state.intervention || !state.intervention.activeEvent) return;
+
+    const eventType = state.intervention.activeEvent;
+
+    switch (eventType) {
+      case "COST_SPIKE":
+        state.intervention.costMultiplier = 1.0;
+        break;
+
+      case "CAPACITY_DROP":
+        state.services.forEach((s) => {
+          s.tempCapacityReduction = 1.0;
+        });
+        break;
+
+      case "TRAFFIC_BURST":
+        state.intervention.trafficBurstMultiplier = 1.0;
+        break;
+
+      case "SERVICE_OUTAGE":
+      case "REGION_OUTAGE":
+        state.services.forEach((s) => {
+          // Caches lose what they held when they go down
+          if (s.isDisabled && s.cacheStore) {
+            s.cacheStore.restart();
+            this.emit("cache:restarted", { service: s });
+          }
+          s.isDisabled = false;
+        });
+        break;
+    }
+
+    state.intervention.activeEvent = null;
+    this.emit("random-event:end", { eventType });
+  }
+}
@@ -0,0 +1,51 @@
+/**
+ * Headless loader - runs the simulation core in Node without a browser.
+ * Evaluates the same classic scripts play.html loads, in the same order,
+ * inside an isolated context and hands back the simulation API.
+ *
+ *   const { Simulation } = require("./src/simulation/headless.js").loadSimulation();
+ *   const sim = new Simulation();
+ *   sim.reset("survival", 1234); // same seed, same run
+ *   const waf = sim.addService("waf", { x: 0, y: 0, z: 0 });
+ *   sim.connect("internet", waf.id);
+ *   sim.run(120);
+ */
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.join(__dirname, "..");
+
+// Script order matters: later files use globals declared by earlier ones
+const SIMULATION_SCRIPTS = [
+  "config.js",
+  "state.js",
+  "entities/Request.js",
+  "simulation/LoadBalancing.js",
+  "simulation/CircuitBreaker.js",
+  "simulation/AutoScalingGroup.js",
+  "simulation/ShardMap.js",
+  "simulation/DnsRouter.js",
+  "simulation/CacheStore.js",
+  "simulation/CdnEdges.js",
+  "entities/Service.js",
+  "simulation/SeededRandom.js",
+  "simulation/LatencyTracker.js",
+  "simulation/Simulation.js",
+];
+
+function loadSimulation() {
+  const context = vm.createContext({ console });
+
+  SIMULATION_SCRIPTS.forEach((file) => {
+    const filename = path.join(ROOT, file);
+    vm.runInContext(fs.readFileSync(filename, "utf8"), context, { filename });
+  });
+
+  return vm.runInContext(
+    "({ CONFIG, TRAFFIC_TYPES, Simulation, SeededRandom, LatencyTracker, CircuitBreaker, LOAD_BALANCING_STRATEGIES, Service, Request, createInitialState })",
+    context
+  );
+}
+
+module.exports = { loadSimulation };
@@ -1,98 +1,174 @@
-const STATE = {
-    money: 0,
-    reputation: 0,
-    requestsProcessed: 0,
-
-    score: {
-        total: 0,
-        storage: 0,
-        database: 0,
-        maliciousBlocked: 0
-    },
-
-    failures: {
-        STATIC: 0,
-        READ: 0,
-        WRITE: 0,
-        UPLOAD: 0,
-        SEARCH: 0,
-        MALICIOUS: 0
-    },
-
-    activeTool: 'select',
-    selectedNodeId: null,
-    services: [],
-    requests: [],
-    connections: [],
-
-    lastTime: 0,
-    spawnTimer: 0,
-    currentRPS: 0.5,
-    timeScale: 1,
-    isRunning: true,
-    animationId: null,
-
-    internetNode: {
-        id: 'internet',
-        type: 'internet',
-        position: new THREE.Vector3(
-            CONFIG.internetNodeStartPos.x,
-            CONFIG.internetNodeStartPos.y,
-            CONFIG.internetNodeStartPos.z
+/**
+ * Where a region's internet ingress starts: the home ingress's spot, moved
+ * onto the region's board.
+ */
+function regionIngressPosition(region) {
+    const home = CONFIG.internetNodeStartPos;
+    return { x: home.x + region.center.x, y: home.y, z: home.z + region.center.z };
+}
+
+/**
+ * Builds a fresh game state. The browser keeps one as the global STATE;
+ * headless runs create their own per Simulation.
+ */
+function createInitialState() {
+    return {
+        money: 0,
+        reputation: 0,
+        requestsProcessed: 0,
+
+        // Seed of the run's random sequence, shown in the HUD and saved
+        seed: null,
+
+        score: {
+            total: 0,
+            storage: 0,
+            database: 0,
+            maliciousBlocked: 0
+        },
+
+        failures: {
+            STATIC: 0,
+            READ: 0,
+            WRITE: 0,
+            UPLOAD: 0,
+            SEARCH: 0,
+            MALICIOUS: 0
+        },
+
+        // Requests whose client gave up waiting, by traffic type
+        timeouts: {
+            STATIC: 0,
+            READ: 0,
+            WRITE: 0,
+            UPLOAD: 0,
+            SEARCH: 0
+        },
+        // Replies that arrived after their deadline
+        lateCompletions: 0,
+        staleReads: 0,
+        hotKeyStart: 0, // First key of the current hot window
+        hotKeyTimer: 0,
+        // Game time of the latest write to each partition key
+        keyWrites: {},
+        // Memory cache lookups, hits on answers a write had made stale, and
+        // misses that waited on another instead of going to the store
+        cacheStats: { hits: 0, misses: 0, staleHits: 0, invalidations: 0, coalesced: 0 },
+        // The same for CDN edges and origin shields
+        cdnStats: { hits: 0, misses: 0, staleHits: 0, invalidations: 0, coalesced: 0 },
+        // Asset releases: whether URLs name the release, which one is live,
+        // when it shipped and time since, towards the next
+        versionedAssets: true,
+        assetVersion: 1,
+        assetsDeployedAt: 0,
+        deployTimer: 0,
+        // Daily traffic curve in play and the demand it sets right now
+        trafficCurve: { name: 'flat', peakHour: 12, swing: 0, weekendDip: 0 },
+        demand: 1,
+        // Requests turned away as unauthenticated, invalid or over a rate limit
+        rejections: { unauthenticated: 0, invalid: 0, 'rate-limited': 0 },
+        // Ordinary (not abusive) clients a rate limit turned away
+        throttledClients: 0,
+        // What became of messages async queues accepted
+        messages: {
+            accepted: 0,
+            processed: 0,
+            deadLettered: 0,
+            redriven: 0,
+            purged: 0,
+            overReceived: 0,
+            lost: 0,
+            sloBreaches: 0
+        },
+        // Extra attempts sent by retry policies
+        retries: 0,
+
+        activeTool: 'select',
+        selectedNodeId: null,
+        // Service shown in the inspector panel, if any
+        inspectedServiceId: null,
+        services: [],
+        requests: [],
+        connections: [],
+
+        lastTime: 0,
+        spawnTimer: 0,
+        currentRPS: 0.5,
+        timeScale: 1,
+        isRunning: true,
+        animationId: null,
+
+        internetNode: {
+            id: 'internet',
+            type: 'internet',
+            position: { ...CONFIG.internetNodeStartPos },
+            connections: []
+        },
+        // Ingress of every region other than home, each on its own board
+        regionIngresses: CONFIG.regions.list.slice(1).map((region) => ({
+            id: `internet:${region.id}`,
+            type: 'internet',
+            position: regionIngressPosition(region),
+            connections: []
+        })),
+        // Share of each region's recent traffic that failed, for failover
+        regionHealth: Object.fromEntries(
+            CONFIG.regions.list.map((region) => [region.id, { failureRate: 0, degraded: false }])
         ),
-        connections: []
-    },
-
-    sound: null,
-
-    // Sandbox mode state
-    gameMode: 'survival',
-    sandboxBudget: 2000,
-    upkeepEnabled: true,
-    trafficDistribution: {
-        STATIC: 0.30,
-        READ: 0.20,
-        WRITE: 0.15,
-        UPLOAD: 0.05,
-        SEARCH: 0.10,
-        MALICIOUS: 0.20
-    },
-    burstCount: 10,
-
-    // Menu state
-    gameStarted: false,
-    previousTimeScale: 1,
-
-    // Balance overhaul state
-    gameStartTime: 0,
-    elapsedGameTime: 0,
-    maliciousSpikeTimer: 0,
-    maliciousSpikeActive: false,
-    normalTrafficDist: null,
-
-    // Intervention mechanics state
-    intervention: {
-        // Traffic shift state
-        trafficShiftTimer: 0,
-        trafficShiftActive: false,
-        currentShift: null,
-        originalTrafficDist: null,
-
-        // Random events state
-        randomEventTimer: 0,
-        activeEvent: null,
-        eventEndTime: 0,
-        pausedEvent: null,
-        remainingTime: 0,
-
-        // RPS milestone tracking
-        currentMilestoneIndex: 0,
-        rpsMultiplier: 1.0,
-
-        // Event history for UI
-        recentEvents: [],
-
-        // Warning state
-        warnings: []
-    }
-};
+        // Hops that crossed from one region to another
+        crossRegionHops: 0,
+
+        sound: null,
+
+        // Sandbox mode state
+        gameMode: 'survival',
+        sandboxBudget: 2000,
+        upkeepEnabled: true,
+        trafficDistribution: {
+            STATIC: 0.30,
+            READ: 0.20,
+            WRITE: 0.15,
+            UPLOAD: 0.05,
+            SEARCH: 0.10,
+            MALICIOUS: 0.20
+        },
+        burstCount: 10,
+
+        // Menu state
+        gameStarted: false,
+        previousTimeScale: 1,
+
+        // Balance overhaul state
+        gameStartTime: 0,
+        elapsedGameTime: 0,
+        maliciousSpikeTimer: 0,
+        maliciousSpikeActive: false,
+        normalTrafficDist: null,
+
+        // Intervention mechanics state
+        intervention: {
+            // Traffic shift state
+            trafficShiftTimer: 0,
+            trafficShiftActive: false,
+            currentShift: null,
+            originalTrafficDist: null,
+
+            // Random events state
+            randomEventTimer: 0,
+            activeEvent: null,
+            eventEndTime: 0,
+
+            // RPS milestone tracking
+            currentMilestoneIndex: 0,
+            rpsMultiplier: 1.0,
+
+            // Event history for UI
+            recentEvents: [],
+
+            // Warning state
+            warnings: []
+        }
+    };
+}
+
+const STATE = createInitialState();
@@ -173,9 +173,189 @@ class UIIntegration {
             }
         });
 
-        this.eventSystem.on('game:fast-forward', () => {
+        this.eventSystem.on('game:fast-forward', (data) => {
             if (typeof window.setTimeScale === 'function') {
-                window.setTimeScale(3);
+                window.setTimeScale(data?.speed || 3);
+            }
+        });
+
+        this.eventSystem.on('game:lb-strategy-selected', (data) => {
+            if (typeof window.setLoadBalancingStrategy === 'function') {
+                window.setLoadBalancingStrategy(data.strategy);
+            }
+        });
+
+        this.eventSystem.on('game:retry-policy-selected', (data) => {
+            if (typeof window.setRetryPolicy === 'function') {
+                window.setRetryPolicy(data.policy);
+            }
+        });
+
+        this.eventSystem.on('game:breaker-toggled', (data) => {
+            if (typeof window.toggleCircuitBreaker === 'function') {
+                window.toggleCircuitBreaker(data.targetId);
+            }
+        });
+
+        this.eventSystem.on('game:rate-limit-changed', (data) => {
+            if (typeof window.setRateLimit === 'function') {
+                window.setRateLimit(data.rate);
+            }
+        });
+
+        this.eventSystem.on('game:queue-mode-changed', (data) => {
+            if (typeof window.setQueueMode === 'function') {
+                window.setQueueMode(data.async);
+            }
+        });
+
+        this.eventSystem.on('game:cache-eviction-selected', (data) => {
+            if (typeof window.setCacheEviction === 'function') {
+                window.setCacheEviction(data.policy);
+            }
+        });
+
+        this.eventSystem.on('game:cache-ttl-changed', (data) => {
+            if (typeof window.setCacheTtl === 'function') {
+                window.setCacheTtl(data.ttl);
+            }
+        });
+
+        this.eventSystem.on('game:cache-invalidation-changed', (data) => {
+            if (typeof window.setCacheInvalidation === 'function') {
+                window.setCacheInvalidation(data.enabled);
+            }
+        });
+
+        this.eventSystem.on('game:cache-coalescing-changed', (data) => {
+            if (typeof window.setCacheCoalescing === 'function') {
+                window.setCacheCoalescing(data.enabled);
+            }
+        });
+
+        this.eventSystem.on('game:cache-warming-changed', (data) => {
+            if (typeof window.setCacheWarming === 'function') {
+                window.setCacheWarming(data.enabled);
+            }
+        });
+
+        this.eventSystem.on('game:cdn-pop-toggled', (data) => {
+            if (typeof window.setCdnPop === 'function') {
+                window.setCdnPop(data.region, data.open);
+            }
+        });
+
+        this.eventSystem.on('game:cdn-shield-changed', (data) => {
+            if (typeof window.setCdnShield === 'function') {
+                window.setCdnShield(data.enabled);
+            }
+        });
+
+        this.eventSystem.on('game:cdn-ttl-changed', (data) => {
+            if (typeof window.setCdnTtl === 'function') {
+                window.setCdnTtl(data.ttl);
+            }
+        });
+
+        this.eventSystem.on('game:cdn-versioned-changed', (data) => {
+            if (typeof window.setVersionedAssets === 'function') {
+                window.setVersionedAssets(data.enabled);
+            }
+        });
+
+        this.eventSystem.on('game:cdn-deploy', () => {
+            if (typeof window.deployAssets === 'function') {
+                window.deployAssets();
+            }
+        });
+
+        this.eventSystem.on('game:cdn-purge', () => {
+            if (typeof window.purgeCdn === 'function') {
+                window.purgeCdn();
+            }
+        });
+
+        this.eventSystem.on('game:dns-policy-selected', (data) => {
+            if (typeof window.setDnsPolicy === 'function') {
+                window.setDnsPolicy(data.policy);
+            }
+        });
+
+        this.eventSystem.on('game:dns-ttl-changed', (data) => {
+            if (typeof window.setDnsTtl === 'function') {
+                window.setDnsTtl(data.ttl);
+            }
+        });
+
+        this.eventSystem.on('game:dns-primary-selected', (data) => {
+            if (typeof window.setDnsPrimaryRegion === 'function') {
+                window.setDnsPrimaryRegion(data.region);
+            }
+        });
+
+        this.eventSystem.on('game:dns-weight-changed', (data) => {
+            if (typeof window.setDnsWeight === 'function') {
+                window.setDnsWeight(data.recordId, data.weight);
+            }
+        });
+
+        this.eventSystem.on('game:max-receive-changed', (data) => {
+            if (typeof window.setMaxReceiveCount === 'function') {
+                window.setMaxReceiveCount(data.count);
+            }
+        });
+
+        this.eventSystem.on('game:dlq-redrive', () => {
+            if (typeof window.redriveDeadLetters === 'function') {
+                window.redriveDeadLetters();
+            }
+        });
+
+        this.eventSystem.on('game:dlq-purge', () => {
+            if (typeof window.purgeDeadLetters === 'function') {
+                window.purgeDeadLetters();
+            }
+        });
+
+        this.eventSystem.on('game:focus-region', (data) => {
+            if (typeof window.focusRegion === 'function') {
+                window.focusRegion(data.region);
+            }
+        });
+
+        this.eventSystem.on('game:traffic-curve-selected', (data) => {
+            if (typeof window.setTrafficCurve === 'function') {
+                window.setTrafficCurve(data.curve);
+            }
+        });
+
+        this.eventSystem.on('game:traffic-curve-setting-changed', (data) => {
+            if (typeof window.setTrafficCurveSetting === 'function') {
+                window.setTrafficCurveSetting(data.setting, data.value);
+            }
+        });
+
+        this.eventSystem.on('game:shard-split', (data) => {
+            if (typeof window.splitShard === 'function') {
+                window.splitShard(data.strategy);
+            }
+        });
+
+        this.eventSystem.on('game:scaling-changed', (data) => {
+            if (typeof window.setScalingSetting === 'function') {
+                window.setScalingSetting(data.setting, data.value);
+            }
+        });
+
+        this.eventSystem.on('game:health-check-changed', (data) => {
+            if (typeof window.setHealthCheckSetting === 'function') {
+                window.setHealthCheckSetting(data.setting, data.value);
+            }
+        });
+
+        this.eventSystem.on('game:inspector-close', () => {
+            if (typeof window.closeInspector === 'function') {
+                window.closeInspector();
             }
         });
     }
@@ -184,7 +364,7 @@ class UIIntegration {
         if (!window.STATE?.services) return 0;
         
         const baseUpkeep = window.STATE.services.reduce(
-            (sum, s) => sum + (s.config?.upkeep || 0) / 60,
+            (sum, s) => sum + (s.upkeep || 0) / 60,
             0
         );
         
@@ -0,0 +1,573 @@
+/**
+ * InspectorPanel - Details and settings for the service picked with the select tool
+ * The legacy game loop fills the fields each frame; this component owns the markup
+ * and forwards setting changes to the game.
+ */
+import { BaseComponent } from '../BaseComponent.js';
+
+class InspectorPanel extends BaseComponent {
+    constructor(app) {
+        super(app, 'inspector-panel');
+    }
+
+    async setup() {
+        if (!this.element) {
+            this.element = this.createInspectorPanel();
+            const uiContainer = document.getElementById('ui-container') || document.body;
+            uiContainer.appendChild(this.element);
+        }
+    }
+
+    bindEvents() {
+        const closeBtn = this.querySelector('#inspector-close');
+        if (closeBtn) {
+            this.addEventListener(closeBtn, 'click', () => this.eventSystem.emit('game:inspector-close'));
+        }
+
+        const strategySelect = this.querySelector('#inspector-lb-strategy');
+        if (strategySelect) {
+            this.addEventListener(strategySelect, 'change', (e) => {
+                this.eventSystem.emit('game:lb-strategy-selected', { strategy: e.target.value });
+            });
+        }
+
+        const rateInput = this.querySelector('#inspector-gw-rate');
+        if (rateInput) {
+            this.addEventListener(rateInput, 'change', (e) => {
+                this.eventSystem.emit('game:rate-limit-changed', { rate: e.target.value });
+            });
+        }
+
+        const asyncToggle = this.querySelector('#inspector-queue-async');
+        if (asyncToggle) {
+            this.addEventListener(asyncToggle, 'change', (e) => {
+                this.eventSystem.emit('game:queue-mode-changed', { async: e.target.checked });
+            });
+        }
+
+        const receivesInput = this.querySelector('#inspector-queue-max-receives');
+        if (receivesInput) {
+            this.addEventListener(receivesInput, 'change', (e) => {
+                this.eventSystem.emit('game:max-receive-changed', { count: e.target.value });
+            });
+        }
+
+        const cacheEviction = this.querySelector('#inspector-cache-eviction');
+        if (cacheEviction) {
+            this.addEventListener(cacheEviction, 'change', (e) => {
+                this.eventSystem.emit('game:cache-eviction-selected', { policy: e.target.value });
+            });
+        }
+
+        const cacheTtl = this.querySelector('#inspector-cache-ttl');
+        if (cacheTtl) {
+            this.addEventListener(cacheTtl, 'change', (e) => {
+                this.eventSystem.emit('game:cache-ttl-changed', { ttl: e.target.value });
+            });
+        }
+
+        const cacheInvalidate = this.querySelector('#inspector-cache-invalidate');
+        if (cacheInvalidate) {
+            this.addEventListener(cacheInvalidate, 'change', (e) => {
+                this.eventSystem.emit('game:cache-invalidation-changed', { enabled: e.target.checked });
+            });
+        }
+
+        const cacheCoalesce = this.querySelector('#inspector-cache-coalesce');
+        if (cacheCoalesce) {
+            this.addEventListener(cacheCoalesce, 'change', (e) => {
+                this.eventSystem.emit('game:cache-coalescing-changed', { enabled: e.target.checked });
+            });
+        }
+
+        const cacheWarm = this.querySelector('#inspector-cache-warm');
+        if (cacheWarm) {
+            this.addEventListener(cacheWarm, 'change', (e) => {
+                this.eventSystem.emit('game:cache-warming-changed', { enabled: e.target.checked });
+            });
+        }
+
+        // A PoP row per region, rebuilt by the game, so listen on the list
+        const cdnPops = this.querySelector('#inspector-cdn-pops');
+        if (cdnPops) {
+            this.addEventListener(cdnPops, 'change', (e) => {
+                const region = e.target.dataset.cdnPop;
+                if (!region) return;
+                this.eventSystem.emit('game:cdn-pop-toggled', { region, open: e.target.checked });
+            });
+        }
+
+        const cdnShield = this.querySelector('#inspector-cdn-shield');
+        if (cdnShield) {
+            this.addEventListener(cdnShield, 'change', (e) => {
+                this.eventSystem.emit('game:cdn-shield-changed', { enabled: e.target.checked });
+            });
+        }
+
+        const cdnTtl = this.querySelector('#inspector-cdn-ttl');
+        if (cdnTtl) {
+            this.addEventListener(cdnTtl, 'change', (e) => {
+                this.eventSystem.emit('game:cdn-ttl-changed', { ttl: e.target.value });
+            });
+        }
+
+        const cdnVersioned = this.querySelector('#inspector-cdn-versioned');
+        if (cdnVersioned) {
+            this.addEventListener(cdnVersioned, 'change', (e) => {
+                this.eventSystem.emit('game:cdn-versioned-changed', { enabled: e.target.checked });
+            });
+        }
+
+        const cdnDeploy = this.querySelector('#inspector-cdn-deploy');
+        if (cdnDeploy) {
+            this.addEventListener(cdnDeploy, 'click', () => this.eventSystem.emit('game:cdn-deploy'));
+        }
+
+        const cdnPurge = this.querySelector('#inspector-cdn-purge');
+        if (cdnPurge) {
+            this.addEventListener(cdnPurge, 'click', () => this.eventSystem.emit('game:cdn-purge'));
+        }
+
+        const dnsPolicy = this.querySelector('#inspector-dns-policy');
+        if (dnsPolicy) {
+            this.addEventListener(dnsPolicy, 'change', (e) => {
+                this.eventSystem.emit('game:dns-policy-selected', { policy: e.target.value });
+            });
+        }
+
+        const dnsTtl = this.querySelector('#inspector-dns-ttl');
+        if (dnsTtl) {
+            this.addEventListener(dnsTtl, 'change', (e) => {
+                this.eventSystem.emit('game:dns-ttl-changed', { ttl: e.target.value });
+            });
+        }
+
+        const dnsPrimary = this.querySelector('#inspector-dns-primary');
+        if (dnsPrimary) {
+            this.addEventListener(dnsPrimary, 'change', (e) => {
+                this.eventSystem.emit('game:dns-primary-selected', { region: e.target.value });
+            });
+        }
+
+        // Record rows are rebuilt by the game as links change, so listen on the list
+        const dnsRecords = this.querySelector('#inspector-dns-records');
+        if (dnsRecords) {
+            this.addEventListener(dnsRecords, 'change', (e) => {
+                const recordId = e.target.dataset.dnsWeight;
+                if (!recordId) return;
+                this.eventSystem.emit('game:dns-weight-changed', { recordId, weight: e.target.value });
+            });
+        }
+
+        const redriveBtn = this.querySelector('#inspector-dlq-redrive');
+        if (redriveBtn) {
+            this.addEventListener(redriveBtn, 'click', () => this.eventSystem.emit('game:dlq-redrive'));
+        }
+
+        const purgeBtn = this.querySelector('#inspector-dlq-purge');
+        if (purgeBtn) {
+            this.addEventListener(purgeBtn, 'click', () => this.eventSystem.emit('game:dlq-purge'));
+        }
+
+        const retrySelect = this.querySelector('#inspector-retry-policy');
+        if (retrySelect) {
+            this.addEventListener(retrySelect, 'change', (e) => {
+                this.eventSystem.emit('game:retry-policy-selected', { policy: e.target.value });
+            });
+        }
+
+        // Rows are rebuilt by the game as links change, so listen on the list
+        const breakerList = this.querySelector('#inspector-breaker-list');
+        if (breakerList) {
+            this.addEventListener(breakerList, 'click', (e) => {
+                const button = e.target.closest('[data-breaker-target]');
+                if (!button) return;
+                this.eventSystem.emit('game:breaker-toggled', { targetId: button.dataset.breakerTarget });
+            });
+        }
+
+        this.querySelectorAll('[data-shard-strategy]').forEach((button) => {
+            this.addEventListener(button, 'click', () => {
+                this.eventSystem.emit('game:shard-split', { strategy: button.dataset.shardStrategy });
+            });
+        });
+
+        this.querySelectorAll('.asg-input').forEach((input) => {
+            this.addEventListener(input, 'change', (e) => {
+                this.eventSystem.emit('game:scaling-changed', {
+                    setting: e.target.dataset.setting,
+                    value: e.target.value
+                });
+            });
+        });
+
+        this.querySelectorAll('.hc-input').forEach((input) => {
+            this.addEventListener(input, 'change', (e) => {
+                this.eventSystem.emit('game:health-check-changed', {
+                    setting: e.target.dataset.setting,
+                    value: e.target.value
+                });
+            });
+        });
+    }
+
+    createInspectorPanel() {
+        const panel = this.createElement('div', {
+            id: 'inspector-panel',
+            class: 'hidden absolute bottom-24 right-4 glass-panel rounded-xl p-4 w-64 pointer-events-auto text-xs'
+        });
+
+        panel.innerHTML = `
+            <div class="flex justify-between items-center mb-2 border-b border-gray-700 pb-2">
+                <span data-i18n="inspector" class="text-gray-400 uppercase">Inspector</span>
+                <button id="inspector-close" class="text-gray-500 hover:text-white">✕</button>
+            </div>
+
+            <div id="inspector-title" class="text-white font-bold text-sm mb-2">-</div>
+
+            <div class="space-y-1 font-mono">
+                <div class="flex justify-between">
+                    <span data-i18n="load" class="text-gray-500">Load</span>
+                    <span id="inspector-load" class="text-gray-300">-</span>
+                </div>
+                <div class="flex justify-between">
+                    <span data-i18n="capacity" class="text-gray-500">Capacity</span>
+                    <span id="inspector-capacity" class="text-gray-300">-</span>
+                </div>
+                <div class="flex justify-between">
+                    <span data-i18n="health" class="text-gray-500">Health</span>
+                    <span id="inspector-health" class="text-gray-300">-</span>
+                </div>
+            </div>
+
+            <!-- Load balancer settings -->
+            <div id="inspector-lb" class="hidden mt-3 pt-2 border-t border-gray-700/50">
+                <label for="inspector-lb-strategy" data-i18n="lb_strategy" class="block text-gray-500 mb-1">Balancing Strategy</label>
+                <select id="inspector-lb-strategy" class="w-full bg-gray-800 border border-gray-600 rounded px-2 py-1 text-gray-200">
+                    <option value="round-robin" data-i18n="lb_round_robin">Round Robin</option>
+                    <option value="least-connections" data-i18n="lb_least_connections">Least Connections</option>
+                    <option value="least-queue" data-i18n="lb_least_queue">Least Queue</option>
+                    <option value="weighted" data-i18n="lb_weighted">Weighted (by tier)</option>
+                    <option value="random-two-choices" data-i18n="lb_random_two_choices">Random Two Choices</option>
+                </select>
+                <p id="inspector-lb-desc" class="text-gray-500 mt-1 leading-snug"></p>
+            </div>
+
+            <!-- API gateway rate limit -->
+            <div id="inspector-gateway" class="hidden mt-3 pt-2 border-t border-gray-700/50 space-y-1">
+                <label class="flex justify-between items-center">
+                    <span data-i18n="rate_limit" class="text-gray-500">Rate limit (req/s per client)</span>
+                    <input type="number" min="0.5" step="0.5" id="inspector-gw-rate" class="w-14 bg-gray-800 border border-gray-600 rounded px-1 text-right font-mono text-gray-200">
+                </label>
+                <div class="flex justify-between font-mono">
+                    <span data-i18n="rejected_unauthenticated" class="text-gray-500">Unauthenticated</span>
+                    <span id="inspector-gw-unauthenticated" class="text-gray-300">0</span>
+                </div>
+                <div class="flex justify-between font-mono">
+                    <span data-i18n="rejected_invalid" class="text-gray-500">Invalid</span>
+                    <span id="inspector-gw-invalid" class="text-gray-300">0</span>
+                </div>
+                <div class="flex justify-between font-mono">
+                    <span data-i18n="rejected_rate_limited" class="text-gray-500">Rate limited</span>
+                    <span id="inspector-gw-rate-limited" class="text-gray-300">0</span>
+                </div>
+            </div>
+
+            <!-- DNS routing policy and records -->
+            <div id="inspector-dns" class="hidden mt-3 pt-2 border-t border-gray-700/50 space-y-1">
+                <label for="inspector-dns-policy" data-i18n="dns_policy" class="block text-gray-500">Routing policy</label>
+                <select id="inspector-dns-policy" class="w-full bg-gray-800 border border-gray-600 rounded px-2 py-1 text-gray-200">
+                    <option value="latency" data-i18n="dns_latency">Latency</option>
+                    <option value="weighted" data-i18n="dns_weighted">Weighted</option>
+                    <option value="geolocation" data-i18n="dns_geolocation">Geolocation</option>
+                    <option value="failover" data-i18n="dns_failover">Failover</option>
+                </select>
+                <p id="inspector-dns-desc" class="text-gray-500 leading-snug"></p>
+                <label id="inspector-dns-primary-row" class="hidden flex justify-between items-center">
+                    <span data-i18n="dns_primary" class="text-gray-500">Primary region</span>
+                    <select id="inspector-dns-primary" class="bg-gray-800 border border-gray-600 rounded px-1 text-gray-200"></select>
+                </label>
+                <label class="flex justify-between items-center">
+                    <span data-i18n="dns_ttl" class="text-gray-500">TTL (s)</span>
+                    <input type="number" min="0" max="300" step="5" id="inspector-dns-ttl" class="w-14 bg-gray-800 border border-gray-600 rounded px-1 text-right font-mono text-gray-200">
+                </label>
+                <span data-i18n="dns_records" class="block text-gray-500">Records</span>
+                <div id="inspector-dns-records" class="space-y-0.5 font-mono"></div>
+            </div>
+
+            <!-- Memory cache contents and freshness -->
+            <div id="inspector-cache" class="hidden mt-3 pt-2 border-t border-gray-700/50 space-y-1">
+                <div class="flex justify-between font-mono">
+                    <span data-i18n="cache_hit_rate" class="text-gray-500">Hit Rate</span>
+                    <span id="inspector-cache-hit-rate" class="text-gray-300">-</span>
+                </div>
+                <div class="flex justify-between font-mono">
+                    <span data-i18n="cache_entries" class="text-gray-500">Entries</span>
+                    <span id="inspector-cache-entries" class="text-gray-300">-</span>
+                </div>
+                <div class="flex justify-between font-mono">
+                    <span data-i18n="cache_memory" class="text-gray-500">Memory</span>
+                    <span id="inspector-cache-memory" class="text-gray-300">-</span>
+                </div>
+                <label for="inspector-cache-eviction" data-i18n="cache_eviction" class="block text-gray-500">Eviction policy</label>
+                <select id="inspector-cache-eviction" class="w-full bg-gray-800 border border-gray-600 rounded px-2 py-1 text-gray-200">
+                    <option value="lru" data-i18n="eviction_lru">Least recently used</option>
+                    <option value="lfu" data-i18n="eviction_lfu">Least frequently used</option>
+                    <option value="random" data-i18n="eviction_random">Random</option>
+                    <option value="ttl" data-i18n="eviction_ttl">TTL only</option>
+                </select>
+                <p id="inspector-cache-eviction-desc" class="text-gray-500 leading-snug"></p>
+                <div class="flex justify-between font-mono">
+                    <span data-i18n="cache_evictions" class="text-gray-500">Evictions</span>
+                    <span id="inspector-cache-evictions" class="text-gray-300">0</span>
+                </div>
+                <label class="flex justify-between items-center">
+                    <span data-i18n="cache_ttl" class="text-gray-500">TTL (s)</span>
+                    <input type="number" min="0" max="300" step="5" id="inspector-cache-ttl" class="w-14 bg-gray-800 border border-gray-600 rounded px-1 text-right font-mono text-gray-200">
+                </label>
+                <label class="flex justify-between items-center">
+                    <span data-i18n="cache_invalidate" class="text-gray-500">Invalidate on write</span>
+                    <input type="checkbox" id="inspector-cache-invalidate">
+                </label>
+                <p data-i18n="cache_invalidate_desc" class="text-gray-500 leading-snug">Writes to the store behind this cache drop the answers they change.</p>
+                <div class="flex justify-between font-mono">
+                    <span data-i18n="cache_stale_hits" class="text-gray-500">Stale hits</span>
+                    <span id="inspector-cache-stale" class="text-gray-300">0</span>
+                </div>
+                <label class="flex justify-between items-center">
+                    <span data-i18n="cache_coalesce" class="text-gray-500">Coalesce misses</span>
+                    <input type="checkbox" id="inspector-cache-coalesce">
+                </label>
+                <div class="flex justify-between font-mono">
+                    <span data-i18n="cache_coalesced" class="text-gray-500">Coalesced</span>
+                    <span id="inspector-cache-coalesced" class="text-gray-300">0</span>
+                </div>
+                <label class="flex justify-between items-center">
+                    <span data-i18n="cache_warm" class="text-gray-500">Warm after restart</span>
+                    <input type="checkbox" id="inspector-cache-warm">
+                </label>
+                <p data-i18n="cache_warm_desc" class="text-gray-500 leading-snug">Reloads hot and recently held keys in the background, taking some of the store's capacity.</p>
+                <div id="inspector-cache-warming" class="hidden font-mono text-amber-400"></div>
+            </div>
+
+            <!-- CDN edge locations, origin shield and asset releases -->
+            <div id="inspector-cdn" class="hidden mt-3 pt-2 border-t border-gray-700/50 space-y-1">
+                <div data-i18n="cdn_edges" class="text-gray-500">Edge locations</div>
+                <div id="inspector-cdn-pops" class="space-y-0.5 font-mono"></div>
+                <p id="inspector-cdn-pop-cost" class="text-gray-500 leading-snug"></p>
+                <label class="flex justify-between items-center">
+                    <span data-i18n="cdn_shield" class="text-gray-500">Origin shield</span>
+                    <input type="checkbox" id="inspector-cdn-shield">
+                </label>
+                <p id="inspector-cdn-shield-desc" class="text-gray-500 leading-snug"></p>
+                <div class="flex justify-between font-mono">
+                    <span data-i18n="cdn_shield_hit_rate" class="text-gray-500">Shield hit rate</span>
+                    <span id="inspector-cdn-shield-hit" class="text-gray-300">-</span>
+                </div>
+                <div class="flex justify-between font-mono">
+                    <span data-i18n="cdn_origin_fetches" class="text-gray-500">Origin fetches</span>
+                    <span id="inspector-cdn-origin" class="text-gray-300">0</span>
+                </div>
+                <label class="flex justify-between items-center">
+                    <span data-i18n="cdn_ttl" class="text-gray-500">Edge TTL (s)</span>
+                    <input type="number" min="0" max="3600" step="30" id="inspector-cdn-ttl" class="w-14 bg-gray-800 border border-gray-600 rounded px-1 text-right font-mono text-gray-200">
+                </label>
+                <label class="flex justify-between items-center">
+                    <span data-i18n="cdn_versioned" class="text-gray-500">Versioned asset URLs</span>
+                    <input type="checkbox" id="inspector-cdn-versioned">
+                </label>
+                <p data-i18n="cdn_versioned_desc" class="text-gray-500 leading-snug">Each release gets new URLs, so edges fetch it fresh instead of serving the old files.</p>
+                <div class="flex justify-between font-mono">
+                    <span data-i18n="cdn_release" class="text-gray-500">Release</span>
+                    <span id="inspector-cdn-release" class="text-gray-300">-</span>
+                </div>
+                <div class="flex justify-between font-mono">
+                    <span data-i18n="cache_stale_hits" class="text-gray-500">Stale hits</span>
+                    <span id="inspector-cdn-stale" class="text-gray-300">0</span>
+                </div>
+                <div class="flex gap-1">
+                    <button id="inspector-cdn-deploy" data-i18n="cdn_deploy" class="flex-1 bg-gray-800 border border-gray-600 rounded px-1 py-0.5 text-gray-200 hover:border-orange-400">Deploy</button>
+                    <button id="inspector-cdn-purge" data-i18n="cdn_purge" class="flex-1 bg-gray-800 border border-gray-600 rounded px-1 py-0.5 text-gray-200 hover:border-red-400">Purge</button>
+                </div>
+            </div>
+
+            <!-- Message queue mode and backlog -->
+            <div id="inspector-queue" class="hidden mt-3 pt-2 border-t border-gray-700/50 space-y-1">
+                <label class="flex justify-between items-center">
+                    <span data-i18n="queue_async_mode" class="text-gray-500">Async mode</span>
+                    <input type="checkbox" id="inspector-queue-async">
+                </label>
+                <p data-i18n="queue_async_desc" class="text-gray-500 leading-snug">Writes and uploads are answered once queued; workers finish them later.</p>
+                <div class="flex justify-between font-mono">
+                    <span data-i18n="queue_depth" class="text-gray-500">Queued</span>
+                    <span id="inspector-queue-depth" class="text-gray-300">0</span>
+                </div>
+                <div class="flex justify-between font-mono">
+                    <span data-i18n="oldest_message" class="text-gray-500">Oldest message</span>
+                    <span id="inspector-queue-age" class="text-gray-300">-</span>
+                </div>
+                <label class="flex justify-between items-center">
+                    <span data-i18n="max_receive_count" class="text-gray-500">Max receives</span>
+                    <input type="number" min="1" step="1" id="inspector-queue-max-receives" class="w-14 bg-gray-800 border border-gray-600 rounded px-1 text-right font-mono text-gray-200">
+                </label>
+                <div class="flex justify-between font-mono">
+                    <span data-i18n="dead_letters" class="text-gray-500">Dead letters</span>
+                    <span id="inspector-queue-dlq" class="text-gray-300">0</span>
+                </div>
+            </div>
+
+            <!-- Dead-letter queue contents -->
+            <div id="inspector-dlq" class="hidden mt-3 pt-2 border-t border-gray-700/50 space-y-1">
+                <div class="flex justify-between font-mono">
+                    <span data-i18n="dead_letters" class="text-gray-500">Dead letters</span>
+                    <span id="inspector-dlq-count" class="text-gray-300">0</span>
+                </div>
+                <div id="inspector-dlq-list" class="space-y-0.5 font-mono"></div>
+                <div class="flex gap-1">
+                    <button id="inspector-dlq-redrive" data-i18n="dlq_redrive" class="flex-1 bg-gray-800 border border-gray-600 rounded px-1 py-0.5 text-gray-200 hover:border-orange-400 disabled:opacity-40">Redrive</button>
+                    <button id="inspector-dlq-purge" data-i18n="dlq_purge" class="flex-1 bg-gray-800 border border-gray-600 rounded px-1 py-0.5 text-gray-200 hover:border-red-400 disabled:opacity-40">Purge</button>
+                </div>
+            </div>
+
+            <!-- Retry policy for requests this node sends -->
+            <div id="inspector-retry" class="hidden mt-3 pt-2 border-t border-gray-700/50">
+                <label for="inspector-retry-policy" data-i18n="retry_policy" class="block text-gray-500 mb-1">Retry Policy</label>
+                <select id="inspector-retry-policy" class="w-full bg-gray-800 border border-gray-600 rounded px-2 py-1 text-gray-200">
+                    <option value="none" data-i18n="retry_none">No Retries</option>
+                    <option value="immediate" data-i18n="retry_immediate">Immediate (5 tries)</option>
+                    <option value="exponential" data-i18n="retry_exponential">Exponential Backoff</option>
+                    <option value="exponential-jitter" data-i18n="retry_exponential_jitter">Backoff + Jitter</option>
+                    <option value="budgeted" data-i18n="retry_budgeted">Backoff + Jitter + Budget</option>
+                </select>
+                <p id="inspector-retry-desc" class="text-gray-500 mt-1 leading-snug"></p>
+            </div>
+
+            <!-- Circuit breakers on links to stores (Compute) -->
+            <div id="inspector-breakers" class="hidden mt-3 pt-2 border-t border-gray-700/50">
+                <span data-i18n="circuit_breakers" class="block text-gray-500 mb-1">Circuit Breakers</span>
+                <div id="inspector-breaker-list" class="space-y-1"></div>
+            </div>
+
+            <!-- Database sharding -->
+            <div id="inspector-shards" class="hidden mt-3 pt-2 border-t border-gray-700/50 space-y-1">
+                <div class="flex justify-between">
+                    <span data-i18n="sharding" class="text-gray-500">Sharding</span>
+                    <span id="inspector-shard-info" class="font-mono text-gray-300">-</span>
+                </div>
+                <div id="inspector-shard-migration" class="hidden font-mono text-amber-400"></div>
+                <div class="flex gap-1">
+                    <button data-shard-strategy="hash" data-i18n="shard_split_hash" class="flex-1 bg-gray-800 border border-gray-600 rounded px-1 py-0.5 text-gray-200 hover:border-red-400">Split by hash</button>
+                    <button data-shard-strategy="range" data-i18n="shard_split_range" class="flex-1 bg-gray-800 border border-gray-600 rounded px-1 py-0.5 text-gray-200 hover:border-red-400">Split by range</button>
+                </div>
+                <p id="inspector-shard-cost" class="text-gray-500 leading-snug"></p>
+            </div>
+
+            <!-- Search index freshness -->
+            <div id="inspector-search" class="hidden mt-3 pt-2 border-t border-gray-700/50 space-y-1 font-mono">
+                <div class="flex justify-between">
+                    <span data-i18n="index_lag" class="text-gray-500">Index Lag</span>
+                    <span id="inspector-search-lag" class="text-gray-300">-</span>
+                </div>
+                <div class="flex justify-between">
+                    <span data-i18n="index_backlog" class="text-gray-500">Writes to Index</span>
+                    <span id="inspector-search-backlog" class="text-gray-300">-</span>
+                </div>
+                <div class="flex justify-between">
+                    <span data-i18n="stale_chance" class="text-gray-500">Stale Read Chance</span>
+                    <span id="inspector-search-stale" class="text-gray-300">-</span>
+                </div>
+            </div>
+
+            <!-- Read replica status -->
+            <div id="inspector-replica" class="hidden mt-3 pt-2 border-t border-gray-700/50 space-y-1 font-mono">
+                <div class="flex justify-between">
+                    <span data-i18n="replication_lag" class="text-gray-500">Replication Lag</span>
+                    <span id="inspector-replica-lag" class="text-gray-300">-</span>
+                </div>
+                <div class="flex justify-between">
+                    <span data-i18n="stale_chance" class="text-gray-500">Stale Read Chance</span>
+                    <span id="inspector-replica-stale" class="text-gray-300">-</span>
+                </div>
+            </div>
+
+            <!-- Autoscaling group settings -->
+            <div id="inspector-asg" class="hidden mt-3 pt-2 border-t border-gray-700/50 space-y-1">
+                <div class="flex justify-between">
+                    <span data-i18n="asg_instances" class="text-gray-500">Instances</span>
+                    <span id="inspector-asg-instances" class="font-mono text-gray-300">-</span>
+                </div>
+                <div class="flex justify-between">
+                    <span data-i18n="asg_metric_now" class="text-gray-500">Metric now</span>
+                    <span id="inspector-asg-metric-now" class="font-mono text-gray-300">-</span>
+                </div>
+                <label class="flex justify-between items-center gap-2">
+                    <span data-i18n="asg_policy" class="text-gray-500">Policy</span>
+                    <select id="inspector-asg-policy" data-setting="policy" class="asg-input bg-gray-800 border border-gray-600 rounded px-1 text-gray-200">
+                        <option value="target-tracking" data-i18n="asg_target_tracking">Target tracking</option>
+                        <option value="step" data-i18n="asg_step">Step</option>
+                        <option value="manual" data-i18n="asg_manual">Manual</option>
+                    </select>
+                </label>
+                <label class="flex justify-between items-center gap-2">
+                    <span data-i18n="asg_metric" class="text-gray-500">Metric</span>
+                    <select id="inspector-asg-metric" data-setting="metric" class="asg-input bg-gray-800 border border-gray-600 rounded px-1 text-gray-200">
+                        <option value="cpu" data-i18n="asg_metric_cpu">CPU (load)</option>
+                        <option value="queue" data-i18n="asg_metric_queue">Queue depth</option>
+                    </select>
+                </label>
+                <label class="flex justify-between items-center">
+                    <span data-i18n="asg_target" class="text-gray-500">Target</span>
+                    <input type="number" min="0" step="0.1" id="inspector-asg-target" data-setting="target" class="asg-input w-14 bg-gray-800 border border-gray-600 rounded px-1 text-right font-mono text-gray-200">
+                </label>
+                <label class="flex justify-between items-center">
+                    <span data-i18n="asg_min" class="text-gray-500">Min</span>
+                    <input type="number" min="0" id="inspector-asg-min" data-setting="min" class="asg-input w-14 bg-gray-800 border border-gray-600 rounded px-1 text-right font-mono text-gray-200">
+                </label>
+                <label class="flex justify-between items-center">
+                    <span data-i18n="asg_max" class="text-gray-500">Max</span>
+                    <input type="number" min="1" id="inspector-asg-max" data-setting="max" class="asg-input w-14 bg-gray-800 border border-gray-600 rounded px-1 text-right font-mono text-gray-200">
+                </label>
+                <label class="flex justify-between items-center">
+                    <span data-i18n="asg_desired" class="text-gray-500">Desired</span>
+                    <input type="number" min="0" id="inspector-asg-desired" data-setting="desired" class="asg-input w-14 bg-gray-800 border border-gray-600 rounded px-1 text-right font-mono text-gray-200">
+                </label>
+                <label class="flex justify-between items-center">
+                    <span data-i18n="asg_scale_out_cooldown" class="text-gray-500">Scale-out cooldown (s)</span>
+                    <input type="number" min="0" id="inspector-asg-scaleOutCooldown" data-setting="scaleOutCooldown" class="asg-input w-14 bg-gray-800 border border-gray-600 rounded px-1 text-right font-mono text-gray-200">
+                </label>
+                <label class="flex justify-between items-center">
+                    <span data-i18n="asg_scale_in_cooldown" class="text-gray-500">Scale-in cooldown (s)</span>
+                    <input type="number" min="0" id="inspector-asg-scaleInCooldown" data-setting="scaleInCooldown" class="asg-input w-14 bg-gray-800 border border-gray-600 rounded px-1 text-right font-mono text-gray-200">
+                </label>
+                <label class="flex justify-between items-center">
+                    <span data-i18n="asg_warmup" class="text-gray-500">Warm-up (s)</span>
+                    <input type="number" min="0" id="inspector-asg-warmup" data-setting="warmup" class="asg-input w-14 bg-gray-800 border border-gray-600 rounded px-1 text-right font-mono text-gray-200">
+                </label>
+            </div>
+
+            <!-- Health check settings (ALB, SQS) -->
+            <div id="inspector-hc" class="hidden mt-3 pt-2 border-t border-gray-700/50 space-y-1">
+                <div class="flex justify-between">
+                    <span data-i18n="health_checks" class="text-gray-500">Health Checks</span>
+                    <span id="inspector-hc-targets" class="font-mono text-gray-300">-</span>
+                </div>
+                <label class="flex justify-between items-center">
+                    <span data-i18n="hc_interval" class="text-gray-500">Interval (s)</span>
+                    <input type="number" min="1" id="inspector-hc-interval" data-setting="interval" class="hc-input w-14 bg-gray-800 border border-gray-600 rounded px-1 text-right font-mono text-gray-200">
+                </label>
+                <label class="flex justify-between items-center">
+                    <span data-i18n="hc_unhealthy_threshold" class="text-gray-500">Unhealthy after</span>
+                    <input type="number" min="1" id="inspector-hc-unhealthyThreshold" data-setting="unhealthyThreshold" class="hc-input w-14 bg-gray-800 border border-gray-600 rounded px-1 text-right font-mono text-gray-200">
+                </label>
+                <label class="flex justify-between items-center">
+                    <span data-i18n="hc_healthy_threshold" class="text-gray-500">Healthy after</span>
+                    <input type="number" min="1" id="inspector-hc-healthyThreshold" data-setting="healthyThreshold" class="hc-input w-14 bg-gray-800 border border-gray-600 rounded px-1 text-right font-mono text-gray-200">
+                </label>
+            </div>
+        `;
+
+        return panel;
+    }
+}
+
+export { InspectorPanel };
@@ -36,10 +36,54 @@ class StatsPanel extends BaseComponent {
         this.subscribeToEvent('game:stats-update', (data) => this.updateStats(data));
         this.subscribeToEvent('game:mode-change', (data) => this.handleModeChange(data));
         
+        // Time controls
+        const timeControls = this.querySelector('#time-controls');
+        if (timeControls) {
+            this.addEventListener(timeControls, 'click', (e) => this.handleTimeClick(e));
+        }
+
+        // Region jump buttons are rebuilt by the game loop, so delegate
+        const regionsList = this.querySelector('#regions-list');
+        if (regionsList) {
+            this.addEventListener(regionsList, 'click', (e) => {
+                const button = e.target.closest('[data-region]');
+                if (button) this.eventSystem.emit('game:focus-region', { region: button.dataset.region });
+            });
+        }
+
+        // Sandbox traffic curve
+        const curvePanel = this.querySelector('#curve-panel');
+        if (curvePanel) {
+            this.addEventListener(curvePanel, 'change', (e) => {
+                if (e.target.id === 'curve-select') {
+                    this.eventSystem.emit('game:traffic-curve-selected', { curve: e.target.value });
+                } else if (e.target.dataset.curveSetting) {
+                    this.eventSystem.emit('game:traffic-curve-setting-changed', {
+                        setting: e.target.dataset.curveSetting,
+                        value: e.target.value
+                    });
+                }
+            });
+        }
+
         // Start periodic updates
         this.updateInterval = setInterval(() => this.updateDisplay(), 100);
     }
 
+    handleTimeClick(e) {
+        const button = e.target.closest('[data-speed]');
+        if (!button) return;
+
+        const speed = Number(button.dataset.speed);
+        if (speed === 0) {
+            this.eventSystem.emit('game:pause');
+        } else if (speed === 1) {
+            this.eventSystem.emit('game:resume');
+        } else {
+            this.eventSystem.emit('game:fast-forward', { speed });
+        }
+    }
+
     subscribeToState() {
         // Subscribe to relevant state changes
         this.subscribeToStateChange('game.currentSession', () => this.updateDisplay());
@@ -60,6 +104,14 @@ class StatsPanel extends BaseComponent {
                 <span class="text-xs text-gray-500 font-mono">v3.0</span>
             </div>
 
+            <div id="time-controls" class="flex gap-1 mb-3 font-mono text-xs">
+                <button id="btn-pause" class="time-btn active flex-1 bg-gray-800 border border-gray-600 rounded py-1 text-gray-300" data-speed="0" data-i18n-title="pause" title="Pause">⏸</button>
+                <button id="btn-play" class="time-btn flex-1 bg-gray-800 border border-gray-600 rounded py-1 text-gray-300" data-speed="1" data-i18n-title="play" title="Play">▶</button>
+                <button id="btn-fast" class="time-btn flex-1 bg-gray-800 border border-gray-600 rounded py-1 text-gray-300" data-speed="3" data-i18n-title="fast_forward" title="Fast forward">×3</button>
+                <button id="btn-fast-10" class="time-btn flex-1 bg-gray-800 border border-gray-600 rounded py-1 text-gray-300" data-speed="10" data-i18n-title="fast_forward" title="Fast forward">×10</button>
+                <button id="btn-fast-100" class="time-btn flex-1 bg-gray-800 border border-gray-600 rounded py-1 text-gray-300" data-speed="100" data-i18n-title="fast_forward" title="Fast forward">×100</button>
+            </div>
+
             <div class="space-y-2">
                 <div class="flex justify-between items-center">
                     <span data-i18n="budget" class="text-gray-400 text-sm">BUDGET</span>
@@ -75,6 +127,19 @@ class StatsPanel extends BaseComponent {
                     <span data-i18n="elapsed_time" class="text-gray-500">Elapsed Time</span>
                     <span id="elapsed-time" class="text-gray-400 font-mono">00:00</span>
                 </div>
+
+                <div class="flex justify-between items-center text-xs">
+                    <span data-i18n="time_of_day" class="text-gray-500">Time of Day</span>
+                    <div class="flex items-center gap-2 font-mono">
+                        <span id="clock-display" class="text-gray-400">-</span>
+                        <span id="demand-display" class="text-sky-300">×1.0</span>
+                    </div>
+                </div>
+
+                <div class="flex justify-between items-center text-xs">
+                    <span data-i18n="seed" class="text-gray-500">Seed</span>
+                    <span id="seed-display" class="text-gray-400 font-mono select-all">-</span>
+                </div>
                 
                 <div class="flex justify-between items-center">
                     <span data-i18n="reputation" class="text-gray-400 text-sm">REPUTATION</span>
@@ -112,6 +177,138 @@ class StatsPanel extends BaseComponent {
                     </div>
                 </div>
 
+                <!-- Sandbox traffic curve -->
+                <div id="curve-panel" class="hidden space-y-1 text-xs">
+                    <label class="flex justify-between items-center">
+                        <span data-i18n="traffic_curve" class="text-gray-500">Traffic Curve</span>
+                        <select id="curve-select" class="bg-gray-800 border border-gray-600 rounded px-1 text-gray-200">
+                            <option value="flat" data-i18n="curve_flat">Flat</option>
+                            <option value="business" data-i18n="curve_business">Business Hours</option>
+                            <option value="consumer" data-i18n="curve_consumer">Evening Peak</option>
+                            <option value="custom" data-i18n="curve_custom" disabled>Custom</option>
+                        </select>
+                    </label>
+                    <label class="flex justify-between items-center">
+                        <span data-i18n="curve_peak_hour" class="text-gray-500">Peak Hour</span>
+                        <input type="number" min="0" max="23" step="1" id="curve-peakHour-input" data-curve-setting="peakHour" class="w-14 bg-gray-800 border border-gray-600 rounded px-1 text-right font-mono text-gray-200">
+                    </label>
+                    <label class="flex justify-between items-center">
+                        <span data-i18n="curve_swing" class="text-gray-500">Daily Swing</span>
+                        <input type="number" min="0" max="1" step="0.1" id="curve-swing-input" data-curve-setting="swing" class="w-14 bg-gray-800 border border-gray-600 rounded px-1 text-right font-mono text-gray-200">
+                    </label>
+                    <label class="flex justify-between items-center">
+                        <span data-i18n="curve_weekend_dip" class="text-gray-500">Weekend Dip</span>
+                        <input type="number" min="0" max="1" step="0.1" id="curve-weekendDip-input" data-curve-setting="weekendDip" class="w-14 bg-gray-800 border border-gray-600 rounded px-1 text-right font-mono text-gray-200">
+                    </label>
+                </div>
+
+                <!-- Latency Table -->
+                <div id="latency-panel" class="mt-2 pt-2 border-t border-gray-700/50 hidden">
+                    <div class="flex justify-between items-center mb-2">
+                        <span data-i18n="latency_ms" class="text-gray-500 text-xs uppercase">Latency (ms)</span>
+                    </div>
+                    <table class="w-full text-[10px] font-mono">
+                        <thead>
+                            <tr class="text-gray-500">
+                                <th data-i18n="type" class="text-left font-normal">Type</th>
+                                <th class="text-right font-normal">p50</th>
+                                <th class="text-right font-normal">p95</th>
+                                <th class="text-right font-normal">p99</th>
+                            </tr>
+                        </thead>
+                        <tbody id="latency-tbody">
+                            <tr class="text-green-400 hidden" id="lat-row-static">
+                                <td data-i18n="fail_static">ST Static</td>
+                                <td class="text-right" id="lat-static-p50">-</td>
+                                <td class="text-right" id="lat-static-p95">-</td>
+                                <td class="text-right" id="lat-static-p99">-</td>
+                            </tr>
+                            <tr class="text-blue-400 hidden" id="lat-row-read">
+                                <td data-i18n="fail_read">RD Read</td>
+                                <td class="text-right" id="lat-read-p50">-</td>
+                                <td class="text-right" id="lat-read-p95">-</td>
+                                <td class="text-right" id="lat-read-p99">-</td>
+                            </tr>
+                            <tr class="text-orange-400 hidden" id="lat-row-write">
+                                <td data-i18n="fail_write">WR Write</td>
+                                <td class="text-right" id="lat-write-p50">-</td>
+                                <td class="text-right" id="lat-write-p95">-</td>
+                                <td class="text-right" id="lat-write-p99">-</td>
+                            </tr>
+                            <tr class="text-yellow-400 hidden" id="lat-row-upload">
+                                <td data-i18n="fail_upload">UP Upload</td>
+                                <td class="text-right" id="lat-upload-p50">-</td>
+                                <td class="text-right" id="lat-upload-p95">-</td>
+                                <td class="text-right" id="lat-upload-p99">-</td>
+                            </tr>
+                            <tr class="text-cyan-400 hidden" id="lat-row-search">
+                                <td data-i18n="fail_search">SR Search</td>
+                                <td class="text-right" id="lat-search-p50">-</td>
+                                <td class="text-right" id="lat-search-p95">-</td>
+                                <td class="text-right" id="lat-search-p99">-</td>
+                            </tr>
+                            <tr class="text-slate-300 hidden" id="lat-row-population-na">
+                                <td data-i18n="population_na">NA clients</td>
+                                <td class="text-right" id="lat-population-na-p50">-</td>
+                                <td class="text-right" id="lat-population-na-p95">-</td>
+                                <td class="text-right" id="lat-population-na-p99">-</td>
+                            </tr>
+                            <tr class="text-slate-300 hidden" id="lat-row-population-eu">
+                                <td data-i18n="population_eu">EU clients</td>
+                                <td class="text-right" id="lat-population-eu-p50">-</td>
+                                <td class="text-right" id="lat-population-eu-p95">-</td>
+                                <td class="text-right" id="lat-population-eu-p99">-</td>
+                            </tr>
+                            <tr class="text-slate-300 hidden" id="lat-row-population-apac">
+                                <td data-i18n="population_apac">APAC clients</td>
+                                <td class="text-right" id="lat-population-apac-p50">-</td>
+                                <td class="text-right" id="lat-population-apac-p95">-</td>
+                                <td class="text-right" id="lat-population-apac-p99">-</td>
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+
+                <div id="retries-row" class="hidden flex justify-between items-center text-xs">
+                    <span data-i18n="retries" class="text-gray-500">Retries</span>
+                    <span id="retries-display" class="text-orange-400 font-mono">0</span>
+                </div>
+
+                <div id="rejected-row" class="hidden flex justify-between items-center text-xs">
+                    <span data-i18n="rejected" class="text-gray-500">Rejected</span>
+                    <span id="rejected-display" class="text-teal-400 font-mono">0</span>
+                </div>
+
+                <div id="stale-reads-row" class="hidden flex justify-between items-center text-xs">
+                    <span data-i18n="stale_reads" class="text-gray-500">Stale Reads</span>
+                    <span id="stale-reads-display" class="text-rose-400 font-mono">0</span>
+                </div>
+
+                <div id="cache-row" class="hidden flex justify-between items-center text-xs">
+                    <span data-i18n="cache_hit_rate" class="text-gray-500">Cache Hit Rate</span>
+                    <span class="font-mono"><span id="cache-hit-display" class="text-green-400">-</span> <span id="cache-stale-display" class="text-rose-400"></span></span>
+                </div>
+
+                <div id="queue-slo-row" class="hidden flex justify-between items-center text-xs">
+                    <span data-i18n="queue_slo_breaches" class="text-gray-500">Queue SLO Breaches</span>
+                    <span id="queue-slo-display" class="text-amber-400 font-mono">0</span>
+                </div>
+
+                <div id="dead-letters-row" class="hidden flex justify-between items-center text-xs">
+                    <span data-i18n="dead_letters" class="text-gray-500">Dead Letters</span>
+                    <span id="dead-letters-display" class="text-red-400 font-mono">0</span>
+                </div>
+
+                <!-- Regions -->
+                <div id="regions-panel" class="hidden mt-2 pt-2 border-t border-gray-700/50">
+                    <span data-i18n="regions" class="text-gray-500 text-xs uppercase">Regions</span>
+                    <div id="regions-list" class="mt-1 space-y-1 text-xs font-mono"></div>
+                    <div class="flex justify-between items-center text-[10px] mt-1">
+                        <span data-i18n="cross_region_hops" class="text-gray-500">Cross-region Hops</span>
+                        <span id="cross-region-hops" class="text-sky-300 font-mono">0</span>
+                    </div>
+                </div>
+
                 <!-- Failures Table -->
                 <div id="failures-panel" class="mt-2 pt-2 border-t border-gray-700/50 hidden">
                     <div class="flex justify-between items-center mb-2">
@@ -159,6 +356,10 @@ class StatsPanel extends BaseComponent {
                             </tr>
                         </tbody>
                     </table>
+                    <div id="fail-timeouts-row" class="hidden flex justify-between text-[10px] font-mono mt-1 text-gray-400">
+                        <span data-i18n="timed_out">Timed out</span>
+                        <span id="fail-timeouts" class="text-red-400">0</span>
+                    </div>
                 </div>
 
                 <div class="flex justify-between items-center pt-3 border-t border-gray-700 mt-2">
@@ -98,6 +98,13 @@ class ToolbarPanel extends BaseComponent {
 
                 <!-- Services Shop -->
                 <div class="flex gap-2 pl-2">
+                    <!-- DNS -->
+                    <button id="tool-dns" class="service-btn bg-gray-800 text-gray-200 p-2 rounded-lg w-16 h-16 flex flex-col items-center justify-center border border-transparent group relative overflow-hidden" data-tool="dns" data-cost="40">
+                        <div class="absolute top-0 right-0 bg-green-900/80 text-green-400 text-[9px] px-1 rounded-bl font-mono">$40</div>
+                        <div class="w-4 h-4 bg-indigo-500 rounded-full mb-1 shadow-[0_0_10px_rgba(99,102,241,0.6)]"></div>
+                        <span data-i18n="dns_short" class="text-[10px] font-bold mt-1">DNS</span>
+                    </button>
+
                     <!-- WAF -->
                     <button id="tool-waf" class="service-btn bg-gray-800 text-gray-200 p-2 rounded-lg w-16 h-16 flex flex-col items-center justify-center border border-transparent group relative overflow-hidden" data-tool="waf" data-cost="40">
                         <div class="absolute top-0 right-0 bg-green-900/80 text-green-400 text-[9px] px-1 rounded-bl font-mono">$40</div>
@@ -112,6 +119,13 @@ class ToolbarPanel extends BaseComponent {
                         <span data-i18n="queue" class="text-[10px] font-bold mt-1">Queue</span>
                     </button>
 
+                    <!-- Dead-Letter Queue -->
+                    <button id="tool-dlq" class="service-btn bg-gray-800 text-gray-200 p-2 rounded-lg w-16 h-16 flex flex-col items-center justify-center border border-transparent group relative overflow-hidden" data-tool="dlq" data-cost="20">
+                        <div class="absolute top-0 right-0 bg-green-900/80 text-green-400 text-[9px] px-1 rounded-bl font-mono">$20</div>
+                        <div class="w-4 h-3 bg-orange-800 rounded-sm mb-1 shadow-[0_0_10px_rgba(154,52,18,0.6)]"></div>
+                        <span data-i18n="dlq_short" class="text-[10px] font-bold mt-1">DLQ</span>
+                    </button>
+
                     <!-- ALB -->
                     <button id="tool-alb" class="service-btn bg-gray-800 text-gray-200 p-2 rounded-lg w-16 h-16 flex flex-col items-center justify-center border border-transparent group relative overflow-hidden" data-tool="alb" data-cost="50">
                         <div class="absolute top-0 right-0 bg-green-900/80 text-green-400 text-[9px] px-1 rounded-bl font-mono">$50</div>
@@ -126,6 +140,20 @@ class ToolbarPanel extends BaseComponent {
                         <span data-i18n="compute_short" class="text-[10px] font-bold mt-1">Compute</span>
                     </button>
 
+                    <!-- API Gateway -->
+                    <button id="tool-apigw" class="service-btn bg-gray-800 text-gray-200 p-2 rounded-lg w-16 h-16 flex flex-col items-center justify-center border border-transparent group relative overflow-hidden" data-tool="apigw" data-cost="70">
+                        <div class="absolute top-0 right-0 bg-green-900/80 text-green-400 text-[9px] px-1 rounded-bl font-mono">$70</div>
+                        <div class="w-5 h-3 bg-teal-500 rounded-sm mb-1 shadow-[0_0_10px_rgba(20,184,166,0.6)]"></div>
+                        <span data-i18n="apigw_short" class="text-[10px] font-bold mt-1">Gateway</span>
+                    </button>
+
+                    <!-- Auto Scaling Group -->
+                    <button id="tool-asg" class="service-btn bg-gray-800 text-gray-200 p-2 rounded-lg w-16 h-16 flex flex-col items-center justify-center border border-transparent group relative overflow-hidden" data-tool="asg" data-cost="80">
+                        <div class="absolute top-0 right-0 bg-green-900/80 text-green-400 text-[9px] px-1 rounded-bl font-mono">$80</div>
+                        <div class="w-5 h-4 border-2 border-dashed border-amber-400 rounded-sm mb-1 shadow-[0_0_10px_rgba(251,191,36,0.6)]"></div>
+                        <span data-i18n="asg_short" class="text-[10px] font-bold mt-1">ASG</span>
+                    </button>
+
                     <!-- Database -->
                     <button id="tool-db" class="service-btn bg-gray-800 text-gray-200 p-2 rounded-lg w-16 h-16 flex flex-col items-center justify-center border border-transparent group relative overflow-hidden" data-tool="db" data-cost="150">
                         <div class="absolute top-0 right-0 bg-green-900/80 text-green-400 text-[9px] px-1 rounded-bl font-mono">$150</div>
@@ -133,6 +161,27 @@ class ToolbarPanel extends BaseComponent {
                         <span data-i18n="db_short" class="text-[10px] font-bold mt-1">SQL DB</span>
                     </button>
 
+                    <!-- Read Replica -->
+                    <button id="tool-replica" class="service-btn bg-gray-800 text-gray-200 p-2 rounded-lg w-16 h-16 flex flex-col items-center justify-center border border-transparent group relative overflow-hidden" data-tool="replica" data-cost="90">
+                        <div class="absolute top-0 right-0 bg-green-900/80 text-green-400 text-[9px] px-1 rounded-bl font-mono">$90</div>
+                        <div class="w-4 h-4 bg-red-400 rounded-sm mb-1 shadow-[0_0_10px_rgba(248,113,113,0.6)] border-b-2 border-red-600"></div>
+                        <span data-i18n="replica_short" class="text-[10px] font-bold mt-1">Replica</span>
+                    </button>
+
+                    <!-- NoSQL Store -->
+                    <button id="tool-nosql" class="service-btn bg-gray-800 text-gray-200 p-2 rounded-lg w-16 h-16 flex flex-col items-center justify-center border border-transparent group relative overflow-hidden" data-tool="nosql" data-cost="70">
+                        <div class="absolute top-0 right-0 bg-green-900/80 text-green-400 text-[9px] px-1 rounded-bl font-mono">$70</div>
+                        <div class="w-4 h-4 bg-lime-500 rotate-45 mb-1 shadow-[0_0_10px_rgba(132,204,22,0.6)]"></div>
+                        <span data-i18n="nosql_short" class="text-[10px] font-bold mt-1">NoSQL</span>
+                    </button>
+
+                    <!-- Search Index -->
+                    <button id="tool-search" class="service-btn bg-gray-800 text-gray-200 p-2 rounded-lg w-16 h-16 flex flex-col items-center justify-center border border-transparent group relative overflow-hidden" data-tool="search" data-cost="110">
+                        <div class="absolute top-0 right-0 bg-green-900/80 text-green-400 text-[9px] px-1 rounded-bl font-mono">$110</div>
+                        <div class="w-4 h-4 bg-yellow-500 rotate-45 rounded-sm mb-1 shadow-[0_0_10px_rgba(234,179,8,0.6)]"></div>
+                        <span data-i18n="search_short" class="text-[10px] font-bold mt-1">Search</span>
+                    </button>
+
                     <!-- Cache -->
                     <button id="tool-cache" class="service-btn bg-gray-800 text-gray-200 p-2 rounded-lg w-16 h-16 flex flex-col items-center justify-center border border-transparent group relative overflow-hidden" data-tool="cache" data-cost="60">
                         <div class="absolute top-0 right-0 bg-green-900/80 text-green-400 text-[9px] px-1 rounded-bl font-mono">$60</div>